@@ -0,0 +1,187 @@
+const crypto = require('crypto');
+const db = require('./db');
+const merkle = require('./merkle');
+const audit = require('./audit');
+
+const BATCH_INTERVAL_MS = parseInt(process.env.ANCHOR_BATCH_INTERVAL_MS || '15000');
+const BATCH_MAX_SIZE = parseInt(process.env.ANCHOR_BATCH_MAX_SIZE || '100');
+const MAX_ATTEMPTS = parseInt(process.env.ANCHOR_MAX_ATTEMPTS || '8');
+const RETRY_BASE_MS = parseInt(process.env.ANCHOR_RETRY_BASE_MS || '5000');
+const RETRY_MAX_MS = parseInt(process.env.ANCHOR_RETRY_MAX_MS || '600000');
+const STALE_AFTER_MS = parseInt(process.env.ANCHOR_STALE_AFTER_MS || '300000');
+
+// db method writing a batch's anchor onto each kind of job subject
+const BATCH_ANCHOR_UPDATES = {
+     delivery: 'updateEventBatchAnchor',
+     attempt: 'updateAttemptBatchAnchor',
+     checkpoint: 'updateCheckpointBatchAnchor'
+};
+
+/**
+ * Background worker draining the persistent anchor job queue. Each run claims due
+ * jobs, builds a Merkle tree over their anchor hashes and anchors only the root
+ * with the configured anchoring backend (see ./anchoring). Failed runs are retried
+ * with exponential backoff until MAX_ATTEMPTS, after which the events are marked failed.
+ * Failed delivery attempts recorded with anchoring enabled and audit log checkpoints
+ * share the same queue. The outcome of every batch is written to the audit log.
+ *
+ * Several backend instances may share one database: jobs are claimed with a
+ * conditional update, and jobs stuck in 'anchoring' for STALE_AFTER_MS are treated
+ * as abandoned by a crashed instance and requeued.
+ *
+ * Event states: pending -> anchoring -> anchored | failed
+ */
+class BatchAnchorer {
+     constructor() {
+          this.backend = null;
+          this.timer = null;
+          this.flushing = false;
+          this.pausedLogged = false;
+     }
+
+     async start(backend) {
+          this.backend = backend;
+
+          // Jobs left in 'anchoring' by a crash are retried; the backend recovers the tx if the root already landed
+          const recovered = await db.resetStaleAnchorJobs(Date.now() - STALE_AFTER_MS);
+          const enqueued = await db.enqueueUnanchoredEvents();
+          if (recovered || enqueued) {
+               console.log(`♻️  Anchor queue: ${recovered} interrupted job(s) reset, ${enqueued} unqueued event(s) enqueued`);
+          }
+
+          this.timer = setInterval(() => {
+               this.flush().catch((error) => {
+                    console.error('Batch anchoring failed:', error.message);
+               });
+          }, BATCH_INTERVAL_MS);
+          console.log(`⏱️  Batch anchorer running every ${BATCH_INTERVAL_MS / 1000}s (max ${BATCH_MAX_SIZE} events per batch)`);
+     }
+
+     stop() {
+          if (this.timer) {
+               clearInterval(this.timer);
+               this.timer = null;
+          }
+     }
+
+     retryDelay(attempts) {
+          return Math.min(RETRY_BASE_MS * Math.pow(2, attempts - 1), RETRY_MAX_MS);
+     }
+
+     async flush() {
+          if (!this.backend || this.flushing) {
+               return null;
+          }
+
+          this.flushing = true;
+          try {
+               // Leave jobs queued while the backend is paused instead of burning their retry attempts
+               if (await this.backend.isPaused()) {
+                    if (!this.pausedLogged) {
+                         console.warn(`⏸️  Anchoring backend ${this.backend.name} is paused; batches are held until it is unpaused`);
+                         this.pausedLogged = true;
+                    }
+                    return null;
+               }
+               this.pausedLogged = false;
+
+               const recovered = await db.resetStaleAnchorJobs(Date.now() - STALE_AFTER_MS);
+               if (recovered) {
+                    console.log(`♻️  Anchor queue: ${recovered} abandoned job(s) reset`);
+               }
+
+               const due = await db.getDueAnchorJobs(Date.now(), BATCH_MAX_SIZE);
+               if (due.length === 0) {
+                    return null;
+               }
+
+               // Another backend instance sharing the database may claim some of the same jobs first
+               const batch_id = `batch_${crypto.randomBytes(8).toString('hex')}`;
+               const jobs = [];
+               for (const job of due) {
+                    if (await db.markAnchorJobAnchoring(job.event_id, batch_id)) {
+                         jobs.push(job);
+                    }
+               }
+               if (jobs.length === 0) {
+                    return null;
+               }
+
+               const { root, proofs } = merkle.buildTree(jobs.map(job => job.anchor_hash));
+               await db.createAnchorBatch({
+                    batch_id,
+                    merkle_root: root,
+                    event_count: jobs.length,
+                    created_at: Date.now()
+               });
+
+               console.log(`📦 Anchoring batch ${batch_id} (${jobs.length} events, root ${root.slice(0, 18)}...)`);
+
+               let receipt;
+               try {
+                    receipt = await this.backend.anchorRoot(root, batch_id, jobs.map(job => job.event_id));
+               } catch (error) {
+                    await db.updateAnchorBatch(batch_id, 'failed');
+                    await this.recordFailure(jobs, error);
+                    await audit.recordBatch(batch_id, jobs, 'failed', { merkle_root: root, error: error.message });
+                    return null;
+               }
+
+               const anchored_at = new Date().toISOString();
+               const anchor_backend = this.backend.name;
+               const anchor_network = this.backend.network;
+               await db.updateAnchorBatch(batch_id, 'anchored', {
+                    tx_hash: receipt.tx_hash,
+                    block_number: receipt.block_number,
+                    anchored_at,
+                    anchor_backend,
+                    anchor_network,
+                    anchor_receipt: receipt.receipt
+               });
+
+               for (let i = 0; i < jobs.length; i++) {
+                    await db[BATCH_ANCHOR_UPDATES[jobs[i].subject]](jobs[i].event_id, {
+                         batch_id,
+                         merkle_root: root,
+                         merkle_proof: JSON.stringify(proofs[i]),
+                         leaf_index: i,
+                         tx_hash: receipt.tx_hash,
+                         anchored_at,
+                         anchor_backend,
+                         anchor_network
+                    });
+                    await db.completeAnchorJob(jobs[i].event_id);
+               }
+
+               await audit.recordBatch(batch_id, jobs, 'anchored', {
+                    merkle_root: root,
+                    anchor_backend,
+                    anchor_network,
+                    tx_hash: receipt.tx_hash,
+                    block_number: receipt.block_number
+               });
+
+               console.log(`⛓️  Batch ${batch_id} anchored via ${anchor_backend}! TX: ${receipt.tx_hash}`);
+               return batch_id;
+          } finally {
+               this.flushing = false;
+          }
+     }
+
+     async recordFailure(jobs, error) {
+          const now = Date.now();
+          for (const job of jobs) {
+               const attempts = job.attempts + 1;
+               const exhausted = attempts >= MAX_ATTEMPTS;
+               await db.recordAnchorJobFailure(job.event_id, {
+                    status: exhausted ? 'failed' : 'pending',
+                    attempts,
+                    last_error: error.message,
+                    next_attempt_at: exhausted ? now : now + this.retryDelay(attempts)
+               });
+          }
+          console.error(`⚠️  Anchoring attempt failed for ${jobs.length} event(s): ${error.message}`);
+     }
+}
+
+module.exports = new BatchAnchorer();
@@ -0,0 +1,126 @@
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require('ethers');
+
+const DEFAULT_DEPLOYMENT_PATH = path.join(__dirname, '../../contracts/deployment.json');
+const DEFAULT_ARTIFACT_PATH = path.join(__dirname, '../../contracts/artifacts/contracts/AnchorRegistry.sol/AnchorRegistry.json');
+
+// Commitment to a batch's event ids in leaf order, as the registry stores it: keccak256(abi.encode(eventIds))
+function hashEventIds(eventIds) {
+     return ethers.keccak256(ethers.AbiCoder.defaultAbiCoder().encode(['string[]'], [eventIds]));
+}
+
+/**
+ * Anchors Merkle roots in the AnchorRegistry contract over JSON-RPC.
+ */
+class EvmAnchoringBackend {
+     constructor({ signerPrivateKey }) {
+          this.name = 'evm';
+          this.network = null;
+          this.signerPrivateKey = signerPrivateKey;
+          this.deployment = null;
+          this.provider = null;
+          this.wallet = null;
+          this.contract = null;
+     }
+
+     async init() {
+          const deploymentPath = process.env.ANCHOR_DEPLOYMENT_PATH || DEFAULT_DEPLOYMENT_PATH;
+          if (!fs.existsSync(deploymentPath)) {
+               console.warn('⚠️  Deployment file not found. Run contract deployment first.');
+               console.warn('   Blockchain anchoring will be disabled until contract is deployed.');
+               return false;
+          }
+
+          this.deployment = JSON.parse(fs.readFileSync(deploymentPath, 'utf8'));
+
+          const rpcUrl = process.env.RPC_URL || 'http://127.0.0.1:8545';
+          this.provider = new ethers.JsonRpcProvider(rpcUrl);
+          this.wallet = new ethers.Wallet(this.signerPrivateKey, this.provider);
+
+          const artifactPath = process.env.ANCHOR_ARTIFACT_PATH || DEFAULT_ARTIFACT_PATH;
+          const artifact = JSON.parse(fs.readFileSync(artifactPath, 'utf8'));
+          this.contract = new ethers.Contract(this.deployment.contractAddress, artifact.abi, this.wallet);
+
+          const { chainId } = await this.provider.getNetwork();
+          this.network = `eip155:${chainId}`;
+
+          if (!(await this.contract.anchorers(this.wallet.address))) {
+               console.warn(`⚠️  Signer ${this.wallet.address} is not an authorized anchorer; anchoring will fail until the owner grants it.`);
+          }
+
+          console.log('✅ Blockchain initialized. Contract at:', this.deployment.contractAddress);
+          return true;
+     }
+
+     async isPaused() {
+          return await this.contract.paused();
+     }
+
+     /**
+      * Anchor a root, reusing the original transaction if an interrupted run already stored it.
+      */
+     async anchorRoot(root, batch_id, eventIds) {
+          if (await this.contract.isAnchored(root)) {
+               const logs = await this.contract.queryFilter(this.contract.filters.MerkleRootStored(root));
+               if (logs.length > 0) {
+                    return { tx_hash: logs[0].transactionHash, block_number: logs[0].blockNumber };
+               }
+          }
+
+          const tx = await this.contract.storeMerkleRoot(root, batch_id, eventIds.length, hashEventIds(eventIds));
+          const receipt = await tx.wait();
+          return { tx_hash: receipt.hash, block_number: receipt.blockNumber };
+     }
+
+     async isAnchored(root) {
+          return await this.contract.isAnchored(root);
+     }
+
+     /**
+      * Fetch the registry's record of the batch the backend says covers an event, and list
+      * the fields that disagree with the backend's batch and transaction records.
+      * Returns null when the registry has no anchor for that batch.
+      */
+     async lookupEvent(event, batch) {
+          if (!event.batch_id) {
+               return null;
+          }
+          const [merkleRoot, record] = await this.contract.getAnchorByBatchId(event.batch_id);
+          if (record.timestamp === 0n) {
+               return null;
+          }
+
+          const onchain = {
+               anchor_hash: merkleRoot,
+               anchorer: record.anchorer,
+               anchored_at: new Date(Number(record.timestamp) * 1000).toISOString(),
+               block_number: Number(record.blockNumber),
+               batch_id: record.batchId,
+               leaf_count: Number(record.leafCount),
+               event_ids_hash: record.eventIdHash
+          };
+
+          const tx = event.tx_hash ? await this.provider.getTransaction(event.tx_hash) : null;
+          const expected = {
+               anchor_hash: event.merkle_root,
+               batch_id: event.batch_id,
+               block_number: batch && batch.block_number,
+               leaf_count: batch && batch.event_count,
+               anchorer: tx && tx.from
+          };
+
+          onchain.mismatches = Object.keys(expected).filter(field => onchain[field] !== expected[field]);
+          return onchain;
+     }
+
+     // Extra fields exported with bundles and credentials so they can be checked against the chain
+     describe() {
+          return {
+               contract_address: this.deployment.contractAddress,
+               chain_id: this.deployment.chainId
+          };
+     }
+}
+
+module.exports = EvmAnchoringBackend;
@@ -0,0 +1,39 @@
+const EvmAnchoringBackend = require('./evm');
+const SignedLogAnchoringBackend = require('./signed_log');
+const OpenTimestampsAnchoringBackend = require('./opentimestamps');
+
+/**
+ * Anchoring backends share one interface so the anchorer and the verify routes
+ * do not care where a Merkle root ends up:
+ *
+ *   name                              backend id stored with every anchored event
+ *   network                           where it anchors (e.g. eip155:31337), set once init() succeeds
+ *   init()                            connect; resolves false when the backend is unusable
+ *   isPaused()                        true while writes must be held back
+ *   anchorRoot(root, batch_id, ids)   -> { tx_hash, block_number, receipt? }; must be safe to repeat
+ *   isAnchored(root)                  whether the root is anchored
+ *   lookupEvent(event, batch)         backend's record for an event plus `mismatches`, or null
+ *   describe()                        extra fields exported with bundles and credentials
+ */
+const BACKENDS = {
+     'evm': EvmAnchoringBackend,
+     'signed-log': SignedLogAnchoringBackend,
+     'opentimestamps': OpenTimestampsAnchoringBackend
+};
+
+/**
+ * Build the backend selected by ANCHOR_BACKEND (default: evm).
+ * @param {object} options - signerPrivateKey (hex) and signingKey (elliptic key pair)
+ */
+function createAnchoringBackend(options) {
+     const name = process.env.ANCHOR_BACKEND || 'evm';
+     const Backend = BACKENDS[name];
+     if (!Backend) {
+          throw new Error(`Unknown ANCHOR_BACKEND "${name}" (expected one of: ${Object.keys(BACKENDS).join(', ')})`);
+     }
+     return new Backend(options);
+}
+
+module.exports = {
+     createAnchoringBackend
+};
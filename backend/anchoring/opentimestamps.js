@@ -0,0 +1,102 @@
+const crypto = require('crypto');
+
+const DEFAULT_CALENDAR_URL = 'http://127.0.0.1:14788';
+
+/**
+ * Submits Merkle roots to an OpenTimestamps-style calendar server
+ * (POST /digest, GET /timestamp/<hex>). The calendar's receipt is opaque to the
+ * backend; its sha256 stands in for a transaction hash and the raw receipt is kept
+ * on the batch so it can later be upgraded with an OpenTimestamps client.
+ *
+ * scripts/ots_calendar_stub.js is a local in-memory calendar for development;
+ * point OTS_CALENDAR_URL at a real calendar to replace it.
+ */
+class OpenTimestampsAnchoringBackend {
+     constructor() {
+          this.name = 'opentimestamps';
+          this.calendarUrl = (process.env.OTS_CALENDAR_URL || DEFAULT_CALENDAR_URL).replace(/\/$/, '');
+          this.network = `ots:${this.calendarUrl}`;
+     }
+
+     async init() {
+          try {
+               await fetch(this.calendarUrl, { signal: AbortSignal.timeout(5000) });
+          } catch (error) {
+               console.warn(`⚠️  OpenTimestamps calendar ${this.calendarUrl} is unreachable: ${error.message}`);
+               console.warn('   Batches will be retried until it comes up.');
+          }
+
+          console.log('✅ OpenTimestamps anchoring initialized. Calendar at:', this.calendarUrl);
+          return true;
+     }
+
+     async isPaused() {
+          return false;
+     }
+
+     // Calendars are idempotent per digest, so resubmitting after a crash is harmless
+     async anchorRoot(root) {
+          const response = await fetch(`${this.calendarUrl}/digest`, {
+               method: 'POST',
+               headers: { 'Content-Type': 'application/octet-stream', Accept: 'application/vnd.opentimestamps.v1' },
+               body: Buffer.from(root.slice(2), 'hex'),
+               signal: AbortSignal.timeout(15000)
+          });
+          if (!response.ok) {
+               throw new Error(`Calendar rejected digest (HTTP ${response.status})`);
+          }
+
+          const receipt = Buffer.from(await response.arrayBuffer());
+          return {
+               tx_hash: '0x' + crypto.createHash('sha256').update(receipt).digest('hex'),
+               block_number: null,
+               receipt: receipt.toString('hex')
+          };
+     }
+
+     async fetchTimestamp(root) {
+          const response = await fetch(`${this.calendarUrl}/timestamp/${root.slice(2)}`, {
+               headers: { Accept: 'application/vnd.opentimestamps.v1' },
+               signal: AbortSignal.timeout(15000)
+          });
+          if (response.status === 404) {
+               return null;
+          }
+          if (!response.ok) {
+               throw new Error(`Calendar lookup failed (HTTP ${response.status})`);
+          }
+          return Buffer.from(await response.arrayBuffer());
+     }
+
+     async isAnchored(root) {
+          return (await this.fetchTimestamp(root)) !== null;
+     }
+
+     /**
+      * A calendar only commits to digests, so the only field it can vouch for is the
+      * batch root itself; batch ids and leaf counts stay in the backend's records.
+      */
+     async lookupEvent(event) {
+          if (!event.merkle_root) {
+               return null;
+          }
+
+          const timestamp = await this.fetchTimestamp(event.merkle_root);
+          if (!timestamp) {
+               return null;
+          }
+
+          return {
+               anchor_hash: event.merkle_root,
+               calendar: this.calendarUrl,
+               timestamp: timestamp.toString('hex'),
+               mismatches: []
+          };
+     }
+
+     describe() {
+          return { calendar_url: this.calendarUrl };
+     }
+}
+
+module.exports = OpenTimestampsAnchoringBackend;
@@ -0,0 +1,37 @@
+const db = require('../db');
+
+/**
+ * Anomaly store backed by the database: deliveries, DP keys and recorded signature
+ * failures, with flags going to the review queue.
+ */
+class DbStore {
+     async countDeliveries(dp_id, since, until) {
+          return await db.countDeliveriesByDP(dp_id, since, until);
+     }
+
+     async countSignatureFailures(dp_id, since, until) {
+          return await db.countSignatureFailures(dp_id, since, until);
+     }
+
+     async saveSignatureFailure(failure) {
+          await db.recordSignatureFailure(failure);
+     }
+
+     async dpsWithKey(public_key, dp_id) {
+          return await db.getDPsWithPublicKey(public_key, dp_id);
+     }
+
+     async lastPosition(dp_id) {
+          return (await db.getAnomalyPosition(dp_id)) || null;
+     }
+
+     async savePosition(dp_id, position) {
+          await db.saveAnomalyPosition(dp_id, position);
+     }
+
+     async saveFlag(flag) {
+          return await db.createAnomalyFlag(flag);
+     }
+}
+
+module.exports = DbStore;
@@ -0,0 +1,121 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { RULES, configureRules } = require('./rules');
+const DbStore = require('./db_store');
+
+const DEFAULT_CONFIG_PATH = path.join(__dirname, '../anomaly_rules.json');
+const GEOHASH_PATTERN = /^gh:([0-9b-hjkmnp-z]{1,12})$/;
+
+/**
+ * Anomaly and fraud detection for delivery events. Every recorded delivery, and every
+ * proof or attempt rejected for a bad signature, is run through the rules in ./rules.js
+ * that apply to it; each rule that fires leaves a flag with its severity in the review
+ * queue, where an auditor or operator confirms or dismisses it. Flags never hold up a
+ * delivery.
+ *
+ * Rules read what they need from a store:
+ *   countDeliveries(dp_id, since, until)         deliveries recorded by the DP in [since, until]
+ *   countSignatureFailures(dp_id, since, until)  proofs and attempts by the DP rejected for a bad signature
+ *   saveSignatureFailure(failure)
+ *   dpsWithKey(public_key, dp_id)                other DPs that have registered the same public key
+ *   lastPosition(dp_id)                          { event_id, observed_at, location } of the DP's last located delivery, or null
+ *   savePosition(dp_id, position)
+ *   saveFlag(flag)                               false if the event or failure already has a flag for the rule,
+ *                                                or a flag with the same dedupe_key exists
+ * which is the database (./db_store.js) on the server, and recorded fixtures when
+ * replaying (./replay.js).
+ *
+ * Rule options come from ANOMALY_RULES_PATH (default backend/anomaly_rules.json),
+ * merged over each rule's defaults:
+ *   { "velocity": { "max_deliveries": 20 }, "submit_latency": { "enabled": false } }
+ * Without it, every rule runs with its defaults.
+ */
+class AnomalyDetector {
+     constructor() {
+          this.configPath = path.resolve(__dirname, '..', process.env.ANOMALY_RULES_PATH || DEFAULT_CONFIG_PATH);
+          this.store = new DbStore();
+          this.rules = configureRules({});
+     }
+
+     init() {
+          if (fs.existsSync(this.configPath)) {
+               this.rules = configureRules(JSON.parse(fs.readFileSync(this.configPath, 'utf8')));
+          }
+
+          const enabled = Object.keys(this.rules).filter(rule => this.rules[rule].enabled);
+          console.log(`🚩 Anomaly rules: ${enabled.join(', ') || 'none'}`);
+     }
+
+     /**
+      * The coarse location of a delivery from its plaintext metadata ('gh:' geohash),
+      * cut to the precision impossible_travel works at, or null.
+      */
+     locationOf(metadata, rules = this.rules) {
+          const match = metadata && typeof metadata.coarse_location === 'string' && metadata.coarse_location.match(GEOHASH_PATTERN);
+          return match ? match[1].slice(0, rules.impossible_travel.precision) : null;
+     }
+
+     /**
+      * Run a recorded delivery through every enabled delivery rule and queue a flag for
+      * each that fires. delivery is { event_id, dp_id, dp_public_key, received_at,
+      * challenge_issued_at, location }. Returns the new flags.
+      */
+     async evaluate(delivery, { store = this.store, rules = this.rules, now = Date.now() } = {}) {
+          const flags = await this.runRules('delivery', delivery, { event_id: delivery.event_id }, { store, rules, now });
+
+          // Recorded after the rules ran, so impossible_travel compares against the delivery before this one.
+          // Only the cell from locationOf is kept, never the metadata's own location, and retention purges it
+          if (delivery.location) {
+               await store.savePosition(delivery.dp_id, {
+                    event_id: delivery.event_id,
+                    observed_at: delivery.received_at,
+                    location: delivery.location
+               });
+          }
+
+          return flags;
+     }
+
+     /**
+      * Record a proof or attempt rejected for a bad signature, then run it through every
+      * enabled signature failure rule. failure is { failure_id, dp_id, action, subject_id,
+      * code, created_at }. Returns the new flags.
+      */
+     async recordSignatureFailure(failure, { store = this.store, rules = this.rules, now = Date.now() } = {}) {
+          await store.saveSignatureFailure(failure);
+          return await this.runRules('signature_failure', failure, { failure_id: failure.failure_id }, { store, rules, now });
+     }
+
+     async runRules(on, subject, flagSubject, { store, rules, now }) {
+          const flags = [];
+          for (const [rule, options] of Object.entries(rules)) {
+               if (!options.enabled || RULES[rule].on !== on) {
+                    continue;
+               }
+
+               const details = await RULES[rule].evaluate(subject, store, options);
+               if (!details) {
+                    continue;
+               }
+
+               const flag = {
+                    flag_id: `flag_${crypto.randomBytes(8).toString('hex')}`,
+                    ...flagSubject,
+                    ...(RULES[rule].dedupeKey ? { dedupe_key: `${rule}:${RULES[rule].dedupeKey(subject, options)}` } : {}),
+                    dp_id: subject.dp_id,
+                    rule,
+                    severity: options.severity,
+                    details,
+                    created_at: now,
+                    status: 'open'
+               };
+               if (await store.saveFlag(flag)) {
+                    flags.push(flag);
+               }
+          }
+          return flags;
+     }
+}
+
+module.exports = new AnomalyDetector();
@@ -0,0 +1,120 @@
+const anomaly = require('./index');
+const { configureRules } = require('./rules');
+
+/**
+ * In-memory anomaly store, filled from recorded activity instead of the database.
+ */
+class ReplayStore {
+     constructor() {
+          this.deliveries = [];
+          this.signatureFailures = [];
+          this.keys = [];
+          this.positions = new Map();
+          this.flags = [];
+     }
+
+     async countDeliveries(dp_id, since, until) {
+          return this.deliveries.filter(d => d.dp_id === dp_id && d.received_at >= since && d.received_at <= until).length;
+     }
+
+     async countSignatureFailures(dp_id, since, until) {
+          return this.signatureFailures.filter(f => f.dp_id === dp_id && f.code === 'INVALID_SIGNATURE' && f.created_at >= since && f.created_at <= until).length;
+     }
+
+     async saveSignatureFailure(failure) {
+          this.signatureFailures.push(failure);
+     }
+
+     async dpsWithKey(public_key, dp_id) {
+          const dp_ids = this.keys.filter(key => key.public_key === public_key && key.dp_id !== dp_id).map(key => key.dp_id);
+          return [...new Set(dp_ids)].sort();
+     }
+
+     async lastPosition(dp_id) {
+          return this.positions.get(dp_id) || null;
+     }
+
+     async savePosition(dp_id, position) {
+          const current = this.positions.get(dp_id);
+          if (!current || current.observed_at <= position.observed_at) {
+               this.positions.set(dp_id, position);
+          }
+     }
+
+     async saveFlag(flag) {
+          if (this.flags.some(f => (f.event_id === flag.event_id && f.failure_id === flag.failure_id && f.rule === flag.rule) ||
+               (flag.dedupe_key && f.dedupe_key === flag.dedupe_key))) {
+               return false;
+          }
+          this.flags.push(flag);
+          return true;
+     }
+
+     currentKey(dp_id) {
+          const keys = this.keys.filter(key => key.dp_id === dp_id);
+          return keys.length > 0 ? keys[keys.length - 1].public_key : null;
+     }
+}
+
+/**
+ * Replay a fixture of recorded activity through the anomaly rules:
+ *
+ *   {
+ *     "rules": { rule options, as in ANOMALY_RULES_PATH },
+ *     "records": [                                     in time order
+ *       { "type": "dp_key", "at", "dp_id", "public_key" },
+ *       { "type": "signature_failure", "at", "failure_id", "dp_id", "action"? },
+ *       { "type": "delivery", "at", "event_id", "dp_id", "challenge_issued_at"?, "coarse_location"? }
+ *     ]
+ *   }
+ *
+ * Times are ISO timestamps; a delivery signs with the DP's latest key. Returns the flags
+ * raised, in order.
+ */
+async function replay(fixture) {
+     const rules = configureRules(fixture.rules || {});
+     const store = new ReplayStore();
+     let previousAt = -Infinity;
+
+     for (const [i, record] of fixture.records.entries()) {
+          const at = Date.parse(record.at);
+          if (Number.isNaN(at) || at < previousAt) {
+               throw new Error(`Record ${i} (${record.type}) is not in time order or has no valid "at"`);
+          }
+          previousAt = at;
+
+          if (record.type === 'dp_key') {
+               store.keys.push({ dp_id: record.dp_id, public_key: record.public_key });
+          } else if (record.type === 'signature_failure') {
+               await anomaly.recordSignatureFailure({
+                    failure_id: record.failure_id,
+                    dp_id: record.dp_id,
+                    action: record.action || 'delivery.submit',
+                    subject_id: null,
+                    code: 'INVALID_SIGNATURE',
+                    created_at: at
+               }, { store, rules, now: at });
+          } else if (record.type === 'delivery') {
+               const delivery = {
+                    event_id: record.event_id,
+                    dp_id: record.dp_id,
+                    dp_public_key: store.currentKey(record.dp_id),
+                    received_at: at,
+                    challenge_issued_at: record.challenge_issued_at ? Date.parse(record.challenge_issued_at) : null,
+                    location: anomaly.locationOf({ coarse_location: record.coarse_location }, rules)
+               };
+               // As on the server, the delivery is recorded before the rules look at it
+               store.deliveries.push(delivery);
+               await anomaly.evaluate(delivery, { store, rules, now: at });
+          } else {
+               throw new Error(`Record ${i} has unknown type ${record.type}`);
+          }
+     }
+
+     return store.flags;
+}
+
+module.exports = {
+     ReplayStore,
+     replay
+};
@@ -0,0 +1,175 @@
+/**
+ * Anomaly rules. Each looks at a new delivery or signature failure and what the store
+ * knows from before it, and resolves to the details of a flag, or null:
+ *
+ *   on                                 'delivery' or 'signature_failure': what the rule runs on
+ *   defaults                           options, including severity (low | medium | high);
+ *                                      overridden per rule by the rules config
+ *   evaluate(subject, store, options)  -> Promise<object | null>
+ *   dedupeKey(subject, options)        optional: flags with the same key are raised once
+ *
+ * A delivery is { event_id, dp_id, dp_public_key, received_at, challenge_issued_at,
+ * location }, with times in ms and location a geohash cell or null. A signature failure
+ * is { failure_id, dp_id, action, subject_id, code, created_at }. The store interface is
+ * described in ./index.js.
+ */
+
+const SEVERITIES = ['low', 'medium', 'high'];
+const GEOHASH_ALPHABET = '0123456789bcdefghjkmnpqrstuvwxyz';
+const EARTH_RADIUS_KM = 6371;
+
+/**
+ * Bounds of a geohash cell: { lat, lon, lat_error, lon_error } (degrees, center and half-size).
+ */
+function decodeGeohash(geohash) {
+     const lat = [-90, 90];
+     const lon = [-180, 180];
+     let even = true;
+     for (const char of geohash) {
+          const bits = GEOHASH_ALPHABET.indexOf(char);
+          for (let bit = 4; bit >= 0; bit--) {
+               const range = even ? lon : lat;
+               const mid = (range[0] + range[1]) / 2;
+               range[(bits >> bit) & 1 ? 0 : 1] = mid;
+               even = !even;
+          }
+     }
+     return {
+          lat: (lat[0] + lat[1]) / 2,
+          lon: (lon[0] + lon[1]) / 2,
+          lat_error: (lat[1] - lat[0]) / 2,
+          lon_error: (lon[1] - lon[0]) / 2
+     };
+}
+
+function haversineKm(a, b) {
+     const rad = degrees => degrees * Math.PI / 180;
+     const dLat = rad(b.lat - a.lat);
+     const dLon = rad(b.lon - a.lon);
+     const h = Math.sin(dLat / 2) ** 2 + Math.cos(rad(a.lat)) * Math.cos(rad(b.lat)) * Math.sin(dLon / 2) ** 2;
+     return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(h));
+}
+
+// Distance from a cell's center to its corner: how far apart two points in the cell can be from the center
+function cellRadiusKm(cell) {
+     return haversineKm(cell, { lat: cell.lat + cell.lat_error, lon: cell.lon + cell.lon_error });
+}
+
+const RULES = {
+     // Many deliveries by one DP in a short window
+     velocity: {
+          on: 'delivery',
+          defaults: { severity: 'medium', window_seconds: 600, max_deliveries: 10 },
+          async evaluate(delivery, store, { window_seconds, max_deliveries }) {
+               const count = await store.countDeliveries(delivery.dp_id, delivery.received_at - window_seconds * 1000, delivery.received_at);
+               return count > max_deliveries ? { deliveries: count, window_seconds, max_deliveries } : null;
+          }
+     },
+
+     // Proof submitted implausibly fast after the challenge (scripted) or close to its expiry (relayed)
+     submit_latency: {
+          on: 'delivery',
+          defaults: { severity: 'low', min_seconds: 1, max_seconds: 45 },
+          async evaluate(delivery, store, { min_seconds, max_seconds }) {
+               if (delivery.challenge_issued_at === null || delivery.challenge_issued_at === undefined) {
+                    return null;
+               }
+               const latency_seconds = (delivery.received_at - delivery.challenge_issued_at) / 1000;
+               if (latency_seconds < min_seconds) {
+                    return { latency_seconds, bound: 'min_seconds', min_seconds };
+               }
+               if (latency_seconds > max_seconds) {
+                    return { latency_seconds, bound: 'max_seconds', max_seconds };
+               }
+               return null;
+          }
+     },
+
+     // The DP's proofs and attempts rejected for a bad signature; fires on a failure past the limit
+     signature_failures: {
+          on: 'signature_failure',
+          defaults: { severity: 'high', window_seconds: 3600, max_failures: 2 },
+          // Failures counted together may skip any exact count, so every one past the limit fires and one flag is kept per DP and window
+          dedupeKey(failure, { window_seconds }) {
+               return `${failure.dp_id}:${Math.floor(failure.created_at / (window_seconds * 1000))}`;
+          },
+          async evaluate(failure, store, { window_seconds, max_failures }) {
+               const failures = await store.countSignatureFailures(failure.dp_id, failure.created_at - window_seconds * 1000, failure.created_at);
+               return failures > max_failures ? { failures, window_seconds, max_failures } : null;
+          }
+     },
+
+     // The signing key has also been registered by other DPs: one device acting for several accounts
+     shared_device_key: {
+          on: 'delivery',
+          defaults: { severity: 'high' },
+          async evaluate(delivery, store) {
+               const dp_ids = await store.dpsWithKey(delivery.dp_public_key, delivery.dp_id);
+               return dp_ids.length > 0 ? { shared_with: dp_ids } : null;
+          }
+     },
+
+     // Consecutive located deliveries by the DP further apart than max_speed_kmh allows
+     impossible_travel: {
+          on: 'delivery',
+          // precision: geohash characters of the location kept per DP (5 is a cell of about 5 x 5 km)
+          defaults: { severity: 'high', max_speed_kmh: 150, precision: 5 },
+          async evaluate(delivery, store, { max_speed_kmh }) {
+               const previous = delivery.location ? await store.lastPosition(delivery.dp_id) : null;
+               if (!previous || previous.observed_at > delivery.received_at) {
+                    return null;
+               }
+
+               const from = decodeGeohash(previous.location);
+               const to = decodeGeohash(delivery.location);
+               // Only the cells are known, so the distance that must have been covered is measured edge to edge
+               const distance_km = Math.max(0, haversineKm(from, to) - cellRadiusKm(from) - cellRadiusKm(to));
+               const elapsed_seconds = (delivery.received_at - previous.observed_at) / 1000;
+               const speed_kmh = elapsed_seconds > 0 ? distance_km / (elapsed_seconds / 3600) : (distance_km > 0 ? Infinity : 0);
+               if (speed_kmh <= max_speed_kmh) {
+                    return null;
+               }
+
+               return {
+                    previous_event_id: previous.event_id,
+                    distance_km: Math.round(distance_km * 10) / 10,
+                    elapsed_seconds,
+                    speed_kmh: Number.isFinite(speed_kmh) ? Math.round(speed_kmh) : null,
+                    max_speed_kmh
+               };
+          }
+     }
+};
+
+/**
+ * Resolve rule options: { rule: { enabled, severity, ...options } } for every rule, with
+ * overrides merged over the defaults. Throws on unknown rules or options and on invalid severities.
+ */
+function configureRules(overrides = {}) {
+     for (const [rule, override] of Object.entries(overrides)) {
+          if (!RULES[rule]) {
+               throw new Error(`Unknown anomaly rule ${rule} (rules: ${Object.keys(RULES).join(', ')})`);
+          }
+          const unknown = Object.keys(override).filter(option => option !== 'enabled' && !(option in RULES[rule].defaults));
+          if (unknown.length > 0) {
+               throw new Error(`Unknown options for anomaly rule ${rule}: ${unknown.join(', ')}`);
+          }
+     }
+
+     const rules = {};
+     for (const [rule, { defaults }] of Object.entries(RULES)) {
+          const options = { enabled: true, ...defaults, ...overrides[rule] };
+          if (!SEVERITIES.includes(options.severity)) {
+               throw new Error(`Anomaly rule ${rule} severity must be one of ${SEVERITIES.join(', ')}`);
+          }
+          rules[rule] = options;
+     }
+     return rules;
+}
+
+module.exports = {
+     RULES,
+     configureRules,
+     decodeGeohash,
+     haversineKm
+};
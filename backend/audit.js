@@ -0,0 +1,294 @@
+const crypto = require('crypto');
+const db = require('./db');
+const merkle = require('./merkle');
+const retention = require('./retention');
+
+const CHECKPOINT_INTERVAL_MS = parseInt(process.env.AUDIT_CHECKPOINT_INTERVAL_MS || '600000');
+const APPEND_RETRIES = 10;
+const VERIFY_PAGE_SIZE = 1000;
+
+// Outcome entries of batches holding nothing but checkpoints; they alone never call for a new checkpoint
+const CHECKPOINT_BATCH_ACTION = 'anchor.checkpoint_batch';
+const ANCHORER_ACTOR = { role: 'system', id: 'batch-anchorer' };
+
+function sha256Hex(data) {
+     return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+// Field order matters: entry_hash is the SHA256 of this JSON
+function hashEntry(entry) {
+     const body = {
+          seq: entry.seq,
+          created_at: entry.created_at,
+          action: entry.action,
+          outcome: entry.outcome,
+          actor_role: entry.actor_role,
+          actor_id: entry.actor_id,
+          subject_type: entry.subject_type,
+          subject_id: entry.subject_id,
+          detail: entry.detail,
+          prev_entry_hash: entry.prev_entry_hash
+     };
+     return '0x' + sha256Hex(JSON.stringify(body));
+}
+
+// The Merkle leaf anchored for a checkpoint
+function hashCheckpoint(checkpoint) {
+     return '0x' + sha256Hex(JSON.stringify({
+          type: 'audit_checkpoint',
+          checkpoint_id: checkpoint.checkpoint_id,
+          seq: checkpoint.seq,
+          head_hash: checkpoint.head_hash,
+          created_at: checkpoint.created_at
+     }));
+}
+
+function idOrNull(value) {
+     return typeof value === 'string' || typeof value === 'number' ? String(value) : null;
+}
+
+/**
+ * Append-only audit log of backend actions. Every entry carries the hash of the one
+ * before it, so editing, inserting or deleting an entry breaks the chain from there on.
+ * A background job periodically checkpoints the chain head and queues it for anchoring
+ * with the delivery events, which pins everything up to the checkpoint: a rewritten
+ * chain can no longer reproduce an anchored head.
+ *
+ * Customers appear by their salted customer reference, never their id, so the log
+ * holds no PII to purge (see retention.js).
+ */
+class AuditLog {
+     constructor() {
+          this.timer = null;
+          this.checkpointing = false;
+          this.queue = Promise.resolve();
+     }
+
+     start() {
+          this.timer = setInterval(() => {
+               this.checkpoint().catch((error) => {
+                    console.error('Audit checkpoint failed:', error.message);
+               });
+          }, CHECKPOINT_INTERVAL_MS);
+          console.log(`🧾 Audit log checkpoints every ${CHECKPOINT_INTERVAL_MS / 1000}s`);
+     }
+
+     stop() {
+          if (this.timer) {
+               clearInterval(this.timer);
+               this.timer = null;
+          }
+     }
+
+     /**
+      * Append an entry. actor and subject are { role, id } and { type, id }, or null;
+      * detail is a plain object. Appends from this instance are serialized; another
+      * instance taking the next seq first only causes a retry on the new head.
+      */
+     record({ action, outcome, actor = null, subject = null, detail = {} }) {
+          const result = this.queue.then(() => this.append({ action, outcome, actor, subject, detail }));
+          this.queue = result.catch(() => { });
+          return result;
+     }
+
+     async append({ action, outcome, actor, subject, detail }) {
+          const entry = {
+               action,
+               outcome,
+               actor_role: actor ? actor.role : null,
+               actor_id: actor ? await this.pseudonymize(actor.role, actor.id) : null,
+               subject_type: subject ? subject.type : null,
+               subject_id: subject ? await this.pseudonymize(subject.type, subject.id) : null,
+               detail: JSON.stringify(detail)
+          };
+
+          for (let attempt = 0; attempt < APPEND_RETRIES; attempt++) {
+               const head = await db.getAuditHead();
+               entry.seq = head ? head.seq + 1 : 1;
+               entry.created_at = Date.now();
+               entry.prev_entry_hash = head ? head.entry_hash : null;
+               entry.entry_hash = hashEntry(entry);
+               if (await db.appendAuditEntry(entry)) {
+                    return entry;
+               }
+          }
+          throw new Error(`Audit log head kept moving; gave up after ${APPEND_RETRIES} attempts`);
+     }
+
+     // Customers are logged by their salted reference, or with no id before their first recorded delivery and after erasure
+     async pseudonymize(kind, id) {
+          id = idOrNull(id);
+          return kind === 'customer' && id ? await retention.customerRef(id) : id;
+     }
+
+     /**
+      * Record the outcome of anchoring a batch ('anchored' or 'failed'); jobs are the
+      * anchor jobs it held, counted by subject in the detail.
+      */
+     async recordBatch(batch_id, jobs, outcome, detail) {
+          const subjects = {};
+          for (const job of jobs) {
+               subjects[job.subject] = (subjects[job.subject] || 0) + 1;
+          }
+          const checkpointsOnly = Object.keys(subjects).every(subject => subject === 'checkpoint');
+
+          return await this.record({
+               action: checkpointsOnly ? CHECKPOINT_BATCH_ACTION : 'anchor.batch',
+               outcome,
+               actor: ANCHORER_ACTOR,
+               subject: { type: 'batch', id: batch_id },
+               detail: { ...detail, subjects }
+          });
+     }
+
+     /**
+      * Express middleware recording the request's outcome once the response is sent:
+      * 'accepted' (2xx/3xx), 'rejected' (4xx, with the error code) or 'error' (5xx).
+      * describe(req, body) returns the { subject, detail } of the entry, where body is
+      * the JSON response. Mount it before auth so unauthenticated attempts are kept too.
+      */
+     capture(action, describe) {
+          return (req, res, next) => {
+               const json = res.json.bind(res);
+               res.json = (body) => {
+                    res.locals.auditBody = body;
+                    return json(body);
+               };
+
+               res.on('finish', () => {
+                    Promise.resolve().then(() => {
+                         const body = res.locals.auditBody || {};
+                         const outcome = res.statusCode < 400 ? 'accepted' : res.statusCode < 500 ? 'rejected' : 'error';
+                         const { subject = null, detail = {} } = describe(req, body);
+                         const rejection = outcome === 'accepted' ? {} : { status: res.statusCode, code: body.code || null, error: body.error || null };
+
+                         return this.record({
+                              action,
+                              outcome,
+                              actor: req.auth ? { role: req.auth.role, id: req.auth.subject_id } : null,
+                              subject,
+                              detail: { ...detail, ...rejection }
+                         });
+                    }).catch((error) => {
+                         console.error(`Audit log append failed (${action}):`, error.message);
+                    });
+               });
+               next();
+          };
+     }
+
+     /**
+      * Checkpoint the chain head and queue it for anchoring. Returns the checkpoint, or
+      * null when nothing but checkpoint anchoring was logged since the last one.
+      */
+     async checkpoint(now = Date.now()) {
+          if (this.checkpointing) {
+               return null;
+          }
+
+          this.checkpointing = true;
+          try {
+               const head = await db.getAuditHead();
+               const latest = await db.getLatestAuditCheckpoint();
+               if (!head || (latest && await db.countAuditEntriesSince(latest.seq, CHECKPOINT_BATCH_ACTION) === 0)) {
+                    return null;
+               }
+
+               const checkpoint = {
+                    checkpoint_id: `ckpt_${crypto.randomBytes(8).toString('hex')}`,
+                    seq: head.seq,
+                    head_hash: head.entry_hash,
+                    created_at: now
+               };
+               checkpoint.anchor_hash = hashCheckpoint(checkpoint);
+
+               // Another instance may checkpoint the same head first
+               if (!(await db.createAuditCheckpoint(checkpoint))) {
+                    return null;
+               }
+
+               console.log(`🧾 Audit checkpoint ${checkpoint.checkpoint_id} at entry ${head.seq} (queued for anchoring)`);
+               return checkpoint;
+          } finally {
+               this.checkpointing = false;
+          }
+     }
+
+     /**
+      * Recompute the whole chain and check every checkpoint against it. An anchored
+      * checkpoint's Merkle proof is checked against its root, and the root is looked up
+      * with `backend` when given and it is the backend and network the checkpoint was
+      * anchored with. Returns a report; `valid` is false if any problem was found.
+      */
+     async verify({ backend = null } = {}) {
+          const problems = [];
+          const checkpoints = await db.getAuditCheckpoints();
+          const headAt = new Map(checkpoints.map(checkpoint => [checkpoint.seq, null]));
+
+          let previous = null;
+          let entries = 0;
+          let page;
+          do {
+               page = await db.getAuditEntries(previous ? previous.seq : 0, VERIFY_PAGE_SIZE);
+               for (const entry of page) {
+                    const expectedSeq = previous ? previous.seq + 1 : 1;
+                    if (entry.seq !== expectedSeq) {
+                         problems.push({ seq: entry.seq, problem: `entries ${expectedSeq} to ${entry.seq - 1} are missing` });
+                    }
+                    if (entry.prev_entry_hash !== (previous ? previous.entry_hash : null)) {
+                         problems.push({ seq: entry.seq, problem: 'prev_entry_hash does not match the previous entry' });
+                    }
+                    if (hashEntry(entry) !== entry.entry_hash) {
+                         problems.push({ seq: entry.seq, problem: 'entry_hash does not match the entry' });
+                    }
+                    if (headAt.has(entry.seq)) {
+                         headAt.set(entry.seq, entry.entry_hash);
+                    }
+                    previous = entry;
+                    entries++;
+               }
+          } while (page.length === VERIFY_PAGE_SIZE);
+
+          const report = {
+               entries,
+               head: previous ? { seq: previous.seq, entry_hash: previous.entry_hash } : null,
+               checkpoints: { total: checkpoints.length, anchored: 0, checked_with_backend: 0, pending: 0 },
+               last_anchored_seq: null,
+               problems
+          };
+
+          for (const checkpoint of checkpoints) {
+               const fail = problem => problems.push({ checkpoint_id: checkpoint.checkpoint_id, seq: checkpoint.seq, problem });
+
+               if (headAt.get(checkpoint.seq) !== checkpoint.head_hash) {
+                    fail(headAt.get(checkpoint.seq) ? 'checkpointed head hash does not match the entry' : 'checkpointed entry is missing');
+               }
+               if (hashCheckpoint(checkpoint) !== checkpoint.anchor_hash) {
+                    fail('anchor_hash does not match the checkpoint');
+               }
+               if (checkpoint.status !== 'anchored') {
+                    report.checkpoints.pending++;
+                    continue;
+               }
+
+               report.checkpoints.anchored++;
+               if (!merkle.verifyProof(hashCheckpoint(checkpoint), JSON.parse(checkpoint.merkle_proof || '[]'), checkpoint.merkle_root)) {
+                    fail('Merkle proof does not lead to the anchored root');
+                    continue;
+               }
+               if (backend && backend.name === checkpoint.anchor_backend && backend.network === checkpoint.anchor_network) {
+                    if (!(await backend.isAnchored(checkpoint.merkle_root))) {
+                         fail(`root is not anchored with ${backend.name}`);
+                         continue;
+                    }
+                    report.checkpoints.checked_with_backend++;
+               }
+               report.last_anchored_seq = checkpoint.seq;
+          }
+
+          report.valid = problems.length === 0;
+          return report;
+     }
+}
+
+module.exports = new AuditLog();
@@ -0,0 +1,76 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+const TOKEN_TTL_SECONDS = parseInt(process.env.AUTH_TOKEN_TTL_SECONDS || '900');
+
+let JWT_SECRET = process.env.JWT_SECRET;
+if (!JWT_SECRET) {
+     // Tokens will not survive a restart, which is fine for local simulation only
+     JWT_SECRET = crypto.randomBytes(32).toString('hex');
+     console.warn('⚠️  JWT_SECRET not set; using a random per-process secret.');
+}
+
+/**
+ * Issue a short-lived access token for a role and subject (customer_id, dp_id or auditor_id).
+ */
+function issueToken(role, subject_id) {
+     const access_token = jwt.sign({ role }, JWT_SECRET, {
+          subject: subject_id,
+          expiresIn: TOKEN_TTL_SECONDS
+     });
+     return { access_token, token_type: 'Bearer', expires_in: TOKEN_TTL_SECONDS, role, subject_id };
+}
+
+/**
+ * Message a customer or DP signs with its registered key to prove possession at login.
+ */
+function loginMessage(role, subject_id, nonce) {
+     return JSON.stringify({ action: 'login', role, subject_id, nonce });
+}
+
+/**
+ * Express middleware: require a valid Bearer token, optionally restricted to some roles.
+ * Sets req.auth = { role, subject_id }.
+ */
+function requireAuth(...roles) {
+     return (req, res, next) => {
+          const header = req.headers.authorization || '';
+          const [scheme, token] = header.split(' ');
+          if (scheme !== 'Bearer' || !token) {
+               return res.status(401).json({ error: 'Missing bearer token', code: 'UNAUTHENTICATED' });
+          }
+
+          let claims;
+          try {
+               claims = jwt.verify(token, JWT_SECRET);
+          } catch (error) {
+               return res.status(401).json({ error: 'Invalid or expired token', code: 'UNAUTHENTICATED' });
+          }
+
+          if (roles.length > 0 && !roles.includes(claims.role)) {
+               return res.status(403).json({ error: `Requires role: ${roles.join(' or ')}`, code: 'FORBIDDEN' });
+          }
+
+          req.auth = { role: claims.role, subject_id: claims.sub };
+          next();
+     };
+}
+
+/**
+ * Reject with 403 unless the authenticated subject is acting as `subject_id`.
+ * Returns true when a response has been sent.
+ */
+function rejectIfNotSelf(req, res, subject_id) {
+     if (req.auth.subject_id !== subject_id) {
+          res.status(403).json({ error: `Token does not authorize acting as ${subject_id}`, code: 'FORBIDDEN' });
+          return true;
+     }
+     return false;
+}
+
+module.exports = {
+     issueToken,
+     loginMessage,
+     requireAuth,
+     rejectIfNotSelf
+};
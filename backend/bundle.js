@@ -0,0 +1,75 @@
+const crypto = require('crypto');
+
+// Bump when the document layout changes; documented by verifier/bundle.schema.json
+const BUNDLE_VERSION = 2;
+
+const EVENT_FIELDS = [
+     'event_id', 'session_id', 'order_id', 'customer_id', 'customer_ref', 'dp_id', 'ephemeral_token_hash', 'challenge_nonce',
+     'dp_signature', 'evidence_hashes', 'timestamp', 'backend_received_at', 'customer_signature', 'token_channel'
+];
+
+function sha256Hex(data) {
+     return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+// The backend signs the bundle exactly as serialized without its signature block
+function signedContent(bundle) {
+     const { backend_signature, ...content } = bundle;
+     return JSON.stringify(content);
+}
+
+/**
+ * Assemble a self-contained, backend-signed proof-of-delivery bundle.
+ * @param {object} parts - event row, canonical_event JSON, signing dp_key row, anchor batch row and the
+ *                         describe() fields of the anchoring backend
+ * @param {object} signingKey - elliptic secp256k1 key pair of the backend
+ */
+function createBundle({ event, canonical_event, dp_key, batch, anchoring }, signingKey) {
+     const bundleEvent = {};
+     for (const field of EVENT_FIELDS) {
+          if (event[field] !== null && event[field] !== undefined) {
+               bundleEvent[field] = event[field];
+          }
+     }
+
+     const bundle = {
+          bundle_version: BUNDLE_VERSION,
+          issued_at: new Date().toISOString(),
+          event: bundleEvent,
+          canonical_event,
+          dp_signed_blob: Buffer.from(JSON.stringify({
+               message: event.dp_signed_message,
+               signature: event.dp_signature
+          })).toString('base64'),
+          dp_public_key: dp_key.public_key,
+          dp_key_version: dp_key.key_version,
+          anchor: {
+               anchor_hash: event.anchor_hash,
+               batch_id: event.batch_id,
+               leaf_index: event.leaf_index,
+               merkle_root: event.merkle_root,
+               merkle_proof: JSON.parse(event.merkle_proof),
+               tx_hash: event.tx_hash,
+               block_number: batch.block_number,
+               anchored_at: event.anchored_at,
+               backend: event.anchor_backend,
+               network: event.anchor_network,
+               ...anchoring
+          }
+     };
+     if (batch.anchor_receipt) {
+          bundle.anchor.receipt = batch.anchor_receipt;
+     }
+
+     // Low-S form, so the signature has exactly one valid encoding
+     const signature = signingKey.sign(sha256Hex(signedContent(bundle)), { canonical: true });
+     bundle.backend_signature = {
+          public_key: signingKey.getPublic('hex'),
+          signature: signature.r.toString('hex', 64) + signature.s.toString('hex', 64)
+     };
+     return bundle;
+}
+
+module.exports = {
+     createBundle
+};
@@ -0,0 +1,194 @@
+const crypto = require('crypto');
+const { ethers } = require('ethers');
+const elliptic = require('elliptic');
+
+const ec = new elliptic.ec('secp256k1');
+
+// Multicodec varint prefix for a compressed secp256k1 public key (0xe7)
+const SECP256K1_PUB_PREFIX = Buffer.from([0xe7, 0x01]);
+
+const CREDENTIAL_CONTEXT = [
+     'https://www.w3.org/2018/credentials/v1',
+     { '@vocab': 'https://proximity-pod.local/vocab#' }
+];
+
+// describe() fields of an anchoring backend become camelCase evidence properties (contract_address -> contractAddress)
+function camelCase(field) {
+     return field.replace(/_([a-z])/g, (match, letter) => letter.toUpperCase());
+}
+
+function base64url(data) {
+     return Buffer.from(data).toString('base64url');
+}
+
+/**
+ * did:key identifier of a secp256k1 key pair (base58btc multibase, "zQ3s..." form).
+ */
+function didKeyFor(keyPair) {
+     const compressed = Buffer.from(keyPair.getPublic(true, 'hex'), 'hex');
+     return 'did:key:z' + ethers.encodeBase58(Buffer.concat([SECP256K1_PUB_PREFIX, compressed]));
+}
+
+/**
+ * Resolve a secp256k1 did:key back to its public key. did:key needs no registry,
+ * so presented credentials can be checked offline.
+ */
+function publicKeyFromDidKey(did) {
+     if (typeof did !== 'string' || !did.startsWith('did:key:z')) {
+          throw new Error('Issuer is not a did:key');
+     }
+
+     const bytes = Buffer.from(ethers.toBeArray(ethers.decodeBase58(did.slice('did:key:z'.length))));
+     if (bytes.length !== 35 || !bytes.subarray(0, 2).equals(SECP256K1_PUB_PREFIX)) {
+          throw new Error('did:key is not a secp256k1 key');
+     }
+     return ec.keyFromPublic(bytes.subarray(2).toString('hex'), 'hex');
+}
+
+// Stable key order so a credential reserialized by a holder still compares equal
+function sortKeys(value) {
+     if (Array.isArray(value)) {
+          return value.map(sortKeys);
+     }
+     if (value && typeof value === 'object') {
+          return Object.keys(value).sort().reduce((sorted, key) => {
+               sorted[key] = sortKeys(value[key]);
+               return sorted;
+          }, {});
+     }
+     return value;
+}
+
+/**
+ * Evidence properties naming where a root was anchored. Used both to issue credentials
+ * and to tell whether presented evidence points at the backend this server runs.
+ * @param {string} backend - anchoring backend name
+ * @param {string} network - network within the backend
+ * @param {object} details - describe() fields of the backend
+ */
+function anchorEvidence(backend, network, details) {
+     const evidence = {
+          anchorBackend: backend,
+          anchorNetwork: network
+     };
+     for (const [field, value] of Object.entries(details)) {
+          evidence[camelCase(field)] = value;
+     }
+     return evidence;
+}
+
+/**
+ * Issue a delivery event as a W3C Verifiable Credential secured with an ES256K JWT.
+ * The credential subject carries exactly the canonicalizeEvent fields plus the anchor
+ * hash, and the anchoring transaction is attached as evidence.
+ * @param {object} parts - event row, its anchor batch row and the describe() fields of the anchoring backend
+ * @param {object} signingKey - elliptic secp256k1 key pair of the backend
+ */
+function issueDeliveryCredential({ event, batch, anchoring }, signingKey) {
+     const issuer = didKeyFor(signingKey);
+     const issuanceDate = new Date().toISOString();
+
+     const credentialSubject = {
+          id: `urn:pod:event:${event.event_id}`,
+          session_id: event.session_id,
+          order_id: event.order_id,
+          ...(event.customer_ref ? { customer_ref: event.customer_ref } : { customer_id: event.customer_id }),
+          dp_id: event.dp_id,
+          ephemeral_token_hash: event.ephemeral_token_hash,
+          challenge_nonce: event.challenge_nonce,
+          dp_signature: event.dp_signature,
+          evidence_hashes: event.evidence_hashes,
+          timestamp: event.timestamp,
+          backend_received_at: event.backend_received_at
+     };
+     if (event.customer_signature) {
+          credentialSubject.customer_signature = event.customer_signature;
+     }
+     if (event.token_channel) {
+          credentialSubject.token_channel = event.token_channel;
+     }
+     credentialSubject.anchor_hash = event.anchor_hash;
+
+     const credential = {
+          '@context': CREDENTIAL_CONTEXT,
+          id: `urn:uuid:${crypto.randomUUID()}`,
+          type: ['VerifiableCredential', 'ProofOfDeliveryCredential'],
+          issuer,
+          issuanceDate,
+          credentialSubject,
+          evidence: [{
+               type: ['BlockchainAnchor'],
+               ...anchorEvidence(event.anchor_backend, event.anchor_network, anchoring),
+               transactionHash: event.tx_hash,
+               blockNumber: batch.block_number,
+               merkleRoot: event.merkle_root,
+               merkleProof: JSON.parse(event.merkle_proof)
+          }]
+     };
+
+     const header = { alg: 'ES256K', typ: 'JWT', kid: `${issuer}#${issuer.slice('did:key:'.length)}` };
+     const payload = {
+          iss: issuer,
+          sub: credentialSubject.id,
+          jti: credential.id,
+          nbf: Math.floor(Date.parse(issuanceDate) / 1000),
+          vc: credential
+     };
+
+     const signingInput = `${base64url(JSON.stringify(header))}.${base64url(JSON.stringify(payload))}`;
+     const signature = signingKey.sign(crypto.createHash('sha256').update(signingInput).digest('hex'), { canonical: true });
+     const jwt = `${signingInput}.${base64url(Buffer.from(signature.r.toString('hex', 64) + signature.s.toString('hex', 64), 'hex'))}`;
+
+     return { ...credential, proof: { type: 'JwtProof2020', jwt } };
+}
+
+/**
+ * Check the JWT proof of a presented credential and return the credential it secures.
+ * Accepts either the credential object (with proof.jwt) or the bare JWT.
+ * @returns {{ credential: object, issuer: string, signature_valid: boolean, body_matches_proof: boolean }}
+ */
+function verifyCredentialProof(presented) {
+     const jwt = typeof presented === 'string' ? presented : presented && presented.proof && presented.proof.jwt;
+     const parts = typeof jwt === 'string' ? jwt.split('.') : [];
+     if (parts.length !== 3) {
+          throw new Error('Credential has no JWT proof');
+     }
+
+     let header, payload;
+     try {
+          header = JSON.parse(Buffer.from(parts[0], 'base64url').toString('utf8'));
+          payload = JSON.parse(Buffer.from(parts[1], 'base64url').toString('utf8'));
+     } catch (error) {
+          throw new Error('Credential proof is not a valid JWT');
+     }
+     if (header.alg !== 'ES256K' || !payload.vc) {
+          throw new Error('Unsupported credential proof');
+     }
+
+     const publicKey = publicKeyFromDidKey(payload.iss);
+     const signature = Buffer.from(parts[2], 'base64url').toString('hex');
+     const signature_valid = signature.length === 128 && publicKey.verify(
+          crypto.createHash('sha256').update(`${parts[0]}.${parts[1]}`).digest('hex'),
+          { r: signature.slice(0, 64), s: signature.slice(64, 128) }
+     );
+
+     let body_matches_proof = true;
+     if (typeof presented !== 'string') {
+          const { proof, ...body } = presented;
+          body_matches_proof = JSON.stringify(sortKeys(body)) === JSON.stringify(sortKeys(payload.vc));
+     }
+
+     return {
+          credential: payload.vc,
+          issuer: payload.iss,
+          signature_valid: signature_valid && payload.vc.issuer === payload.iss,
+          body_matches_proof
+     };
+}
+
+module.exports = {
+     anchorEvidence,
+     didKeyFor,
+     issueDeliveryCredential,
+     verifyCredentialProof
+};
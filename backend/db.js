@@ -1,137 +1,81 @@
-const sqlite3 = require('sqlite3').verbose();
-const path = require('path');
-
-const DB_PATH = path.join(__dirname, 'proximity_pod.db');
+const crypto = require('crypto');
+const { createStorage } = require('./storage');
+const migrations = require('./migrations');
 
 class Database {
      constructor() {
-          this.db = null;
+          this.storage = null;
+     }
+
+     async connect() {
+          this.storage = createStorage();
+          try {
+               await this.storage.open();
+          } catch (err) {
+               console.error('Database connection error:', err);
+               throw err;
+          }
      }
 
+     /**
+      * Connect and bring the schema up to date. Set DB_AUTO_MIGRATE=false to have
+      * startup refuse pending migrations instead of applying them (run `npm run migrate`).
+      */
      async initialize() {
-          return new Promise((resolve, reject) => {
-               this.db = new sqlite3.Database(DB_PATH, (err) => {
-                    if (err) {
-                         console.error('Database connection error:', err);
-                         reject(err);
-                    } else {
-                         console.log('Connected to SQLite database');
-                         this.createTables().then(resolve).catch(reject);
-                    }
-               });
-          });
+          await this.connect();
+          await migrations.prepare(this, { autoMigrate: process.env.DB_AUTO_MIGRATE !== 'false' });
      }
 
-     async createTables() {
-          const schemas = [
-               `CREATE TABLE IF NOT EXISTS sessions (
-        session_id TEXT PRIMARY KEY,
-        customer_id TEXT NOT NULL,
-        order_id TEXT NOT NULL,
-        ephemeral_token TEXT NOT NULL,
-        token_type TEXT DEFAULT 'BLE',
-        created_at INTEGER NOT NULL,
-        expires_at INTEGER NOT NULL,
-        status TEXT DEFAULT 'active'
-      )`,
-
-               `CREATE TABLE IF NOT EXISTS challenges (
-        challenge_id TEXT PRIMARY KEY,
-        session_id TEXT NOT NULL,
-        dp_id TEXT NOT NULL,
-        challenge_nonce TEXT NOT NULL,
-        created_at INTEGER NOT NULL,
-        expires_at INTEGER NOT NULL,
-        used INTEGER DEFAULT 0,
-        FOREIGN KEY (session_id) REFERENCES sessions(session_id)
-      )`,
-
-               `CREATE TABLE IF NOT EXISTS delivery_events (
-        event_id TEXT PRIMARY KEY,
-        session_id TEXT NOT NULL,
-        order_id TEXT NOT NULL,
-        customer_id TEXT NOT NULL,
-        dp_id TEXT NOT NULL,
-        ephemeral_token_hash TEXT NOT NULL,
-        challenge_nonce TEXT NOT NULL,
-        dp_signature TEXT NOT NULL,
-        evidence_hashes TEXT,
-        timestamp TEXT NOT NULL,
-        backend_received_at TEXT NOT NULL,
-        anchor_hash TEXT,
-        tx_hash TEXT,
-        anchored_at TEXT,
-        status TEXT DEFAULT 'pending',
-        FOREIGN KEY (session_id) REFERENCES sessions(session_id)
-      )`,
-
-               `CREATE TABLE IF NOT EXISTS dp_keys (
-        dp_id TEXT PRIMARY KEY,
-        public_key TEXT NOT NULL,
-        key_type TEXT DEFAULT 'secp256k1',
-        registered_at INTEGER NOT NULL,
-        status TEXT DEFAULT 'active'
-      )`,
-
-               `CREATE INDEX IF NOT EXISTS idx_sessions_customer ON sessions(customer_id)`,
-               `CREATE INDEX IF NOT EXISTS idx_sessions_expires ON sessions(expires_at)`,
-               `CREATE INDEX IF NOT EXISTS idx_challenges_session ON challenges(session_id)`,
-               `CREATE INDEX IF NOT EXISTS idx_events_session ON delivery_events(session_id)`,
-               `CREATE INDEX IF NOT EXISTS idx_events_dp ON delivery_events(dp_id)`,
-               `CREATE INDEX IF NOT EXISTS idx_events_anchor ON delivery_events(anchor_hash)`
-          ];
-
-          for (const schema of schemas) {
-               await this.run(schema);
-          }
+     // Queries use ? placeholders and SQL that runs unchanged on every storage driver
+     async run(sql, params = []) {
+          return await this.storage.run(sql, params);
+     }
 
-          console.log('Database tables created/verified');
+     async get(sql, params = []) {
+          return await this.storage.get(sql, params);
      }
 
-     run(sql, params = []) {
-          return new Promise((resolve, reject) => {
-               this.db.run(sql, params, function (err) {
-                    if (err) reject(err);
-                    else resolve({ lastID: this.lastID, changes: this.changes });
-               });
-          });
+     async all(sql, params = []) {
+          return await this.storage.all(sql, params);
      }
 
-     get(sql, params = []) {
-          return new Promise((resolve, reject) => {
-               this.db.get(sql, params, (err, row) => {
-                    if (err) reject(err);
-                    else resolve(row);
-               });
-          });
+     async columns(table) {
+          return await this.storage.columns(table);
      }
 
-     all(sql, params = []) {
-          return new Promise((resolve, reject) => {
-               this.db.all(sql, params, (err, rows) => {
-                    if (err) reject(err);
-                    else resolve(rows);
-               });
-          });
+     /**
+      * Run fn(tx) in one transaction. `tx` has every Database method but is bound to the
+      * transaction; fn must use it rather than `db`, which would wait for the transaction
+      * to finish on SQLite. Throwing from fn rolls everything back.
+      */
+     async transaction(fn) {
+          return await this.storage.transaction(connection => fn(Object.create(this, { storage: { value: connection } })));
      }
 
      async close() {
-          return new Promise((resolve, reject) => {
-               this.db.close((err) => {
-                    if (err) reject(err);
-                    else resolve();
-               });
-          });
+          await this.storage.close();
      }
 
      // Session methods
      async createSession(sessionData) {
-          const { session_id, customer_id, order_id, ephemeral_token, token_type, created_at, expires_at } = sessionData;
-          await this.run(
-               `INSERT INTO sessions (session_id, customer_id, order_id, ephemeral_token, token_type, created_at, expires_at)
-       VALUES (?, ?, ?, ?, ?, ?, ?)`,
-               [session_id, customer_id, order_id, ephemeral_token, token_type, created_at, expires_at]
-          );
+          const {
+               session_id, customer_id, order_id, ephemeral_token, token_type,
+               token_seed = null, rotation_seconds = null, requires_cosignature = false, qr_payload = null,
+               created_at, expires_at
+          } = sessionData;
+          await this.transaction(async (tx) => {
+               await tx.run(
+                    `INSERT INTO sessions (session_id, customer_id, order_id, ephemeral_token, token_type, token_seed, rotation_seconds,
+        requires_cosignature, qr_payload, created_at, expires_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+                    [session_id, customer_id, order_id, ephemeral_token, token_type, token_seed, rotation_seconds,
+                         requires_cosignature ? 1 : 0, qr_payload, created_at, expires_at]
+               );
+               await tx.recordSessionTransition(session_id, {
+                    from_status: null, to_status: 'active', actor: { role: 'customer', id: customer_id },
+                    reason: 'created', details: { expires_at: new Date(expires_at).toISOString() }, at: created_at
+               });
+          });
           return session_id;
      }
 
@@ -139,10 +83,99 @@ class Database {
           return await this.get('SELECT * FROM sessions WHERE session_id = ?', [session_id]);
      }
 
+     async getLatestSessionForOrder(order_id) {
+          return await this.get('SELECT * FROM sessions WHERE order_id = ? ORDER BY created_at DESC LIMIT 1', [order_id]);
+     }
+
      async updateSessionStatus(session_id, status) {
           await this.run('UPDATE sessions SET status = ? WHERE session_id = ?', [status, session_id]);
      }
 
+     // actor is { role, id }: the authenticated caller, or role 'system' for the sweeper
+     async recordSessionTransition(session_id, { from_status, to_status, actor, reason = null, details = null, at = Date.now() }) {
+          await this.run(
+               `INSERT INTO session_transitions (transition_id, session_id, from_status, to_status, actor_role, actor_id, reason, details, created_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+               [`st_${crypto.randomBytes(8).toString('hex')}`, session_id, from_status, to_status, actor.role, actor.id,
+                    reason, details ? JSON.stringify(details) : null, at]
+          );
+     }
+
+     async getSessionTransitions(session_id) {
+          return await this.all('SELECT * FROM session_transitions WHERE session_id = ? ORDER BY created_at ASC', [session_id]);
+     }
+
+     /**
+      * Move an active session to a final status (completed, cancelled, expired) and log it.
+      * Returns false if the session was no longer active. Call on a transaction handle so
+      * the status change and its log entry are written together.
+      */
+     async endSession(session_id, to_status, actor, { reason = null, details = null, at = Date.now() } = {}) {
+          const result = await this.run(
+               `UPDATE sessions SET status = ? WHERE session_id = ? AND status = 'active'`,
+               [to_status, session_id]
+          );
+          if (result.changes !== 1) {
+               return false;
+          }
+          await this.recordSessionTransition(session_id, { from_status: 'active', to_status, actor, reason, details, at });
+          return true;
+     }
+
+     async cancelSession(session_id, actor, reason = null) {
+          return await this.transaction(tx => tx.endSession(session_id, 'cancelled', actor, { reason }));
+     }
+
+     // Returns false if the session is not active or not yet past its expiry
+     async expireSession(session_id, actor, now = Date.now()) {
+          return await this.transaction(async (tx) => {
+               const session = await tx.get(`SELECT expires_at FROM sessions WHERE session_id = ? AND status = 'active'`, [session_id]);
+               if (!session || session.expires_at >= now) {
+                    return false;
+               }
+               return await tx.endSession(session_id, 'expired', actor, { reason: 'ttl elapsed', details: { expires_at: new Date(session.expires_at).toISOString() }, at: now });
+          });
+     }
+
+     async getExpiredActiveSessions(now, limit) {
+          return await this.all(
+               `SELECT session_id FROM sessions WHERE status = 'active' AND expires_at < ? ORDER BY expires_at ASC LIMIT ?`,
+               [now, limit]
+          );
+     }
+
+     /**
+      * Push an active, unexpired session's expiry to expires_at (re-signed qr_payload for QR
+      * sessions). Only succeeds if the expiry is still previous_expires_at, so concurrent
+      * extensions can't both count against one limit check.
+      */
+     async extendSession(session_id, { previous_expires_at, expires_at, qr_payload = null, actor, at = Date.now() }) {
+          return await this.transaction(async (tx) => {
+               const result = await tx.run(
+                    `UPDATE sessions SET expires_at = ?, qr_payload = COALESCE(?, qr_payload)
+       WHERE session_id = ? AND status = 'active' AND expires_at = ? AND expires_at >= ?`,
+                    [expires_at, qr_payload, session_id, previous_expires_at, at]
+               );
+               if (result.changes !== 1) {
+                    return false;
+               }
+               await tx.recordSessionTransition(session_id, {
+                    from_status: 'active', to_status: 'active', actor,
+                    reason: 'extended',
+                    details: { previous_expires_at: new Date(previous_expires_at).toISOString(), expires_at: new Date(expires_at).toISOString() }, at
+               });
+               return true;
+          });
+     }
+
+     async countSessionExtensions(session_id) {
+          const row = await this.get(
+               `SELECT COUNT(*) AS extensions FROM session_transitions WHERE session_id = ? AND reason = 'extended'`,
+               [session_id]
+          );
+          return Number(row.extensions);
+     }
+
      // Challenge methods
      async createChallenge(challengeData) {
           const { challenge_id, session_id, dp_id, challenge_nonce, created_at, expires_at } = challengeData;
@@ -161,54 +194,1029 @@ class Database {
           );
      }
 
+     // Stamp unused challenges past their expiry; returns how many were marked
+     async expireChallenges(now = Date.now()) {
+          const result = await this.run(
+               'UPDATE challenges SET expired_at = ? WHERE used = 0 AND expired_at IS NULL AND expires_at < ?',
+               [now, now]
+          );
+          return result.changes;
+     }
+
+     // Returns false if the challenge had already been used
      async markChallengeUsed(challenge_id) {
-          await this.run('UPDATE challenges SET used = 1 WHERE challenge_id = ?', [challenge_id]);
+          const result = await this.run('UPDATE challenges SET used = 1 WHERE challenge_id = ? AND used = 0', [challenge_id]);
+          return result.changes === 1;
      }
 
      // Delivery event methods
      async createDeliveryEvent(eventData) {
           const {
                event_id, session_id, order_id, customer_id, dp_id,
-               ephemeral_token_hash, challenge_nonce, dp_signature,
-               evidence_hashes, timestamp, backend_received_at
+               ephemeral_token_hash, challenge_nonce, dp_signature, dp_signed_message = null, dp_key_version = null, customer_signature = null,
+               token_channel = null, evidence_hashes, timestamp, backend_received_at, anchor_hash, sealed_metadata = null, customer_ref = null
           } = eventData;
 
           await this.run(
                `INSERT INTO delivery_events 
-       (event_id, session_id, order_id, customer_id, dp_id, ephemeral_token_hash, 
-        challenge_nonce, dp_signature, evidence_hashes, timestamp, backend_received_at)
-       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
-               [event_id, session_id, order_id, customer_id, dp_id, ephemeral_token_hash,
-                    challenge_nonce, dp_signature, evidence_hashes, timestamp, backend_received_at]
+       (event_id, session_id, order_id, customer_id, dp_id, ephemeral_token_hash, challenge_nonce, dp_signature,
+        dp_signed_message, dp_key_version, customer_signature, token_channel, evidence_hashes, timestamp, backend_received_at, anchor_hash,
+        sealed_metadata, customer_ref)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+               [event_id, session_id, order_id, customer_id, dp_id, ephemeral_token_hash, challenge_nonce, dp_signature,
+                    dp_signed_message, dp_key_version, customer_signature, token_channel, evidence_hashes, timestamp, backend_received_at, anchor_hash,
+                    sealed_metadata, customer_ref]
           );
           return event_id;
      }
 
-     async updateEventAnchor(event_id, anchor_hash, tx_hash, anchored_at) {
+     /**
+      * Consume the challenge, complete the session and record the event with its anchor
+      * job atomically. Returns { recorded: true } or, when a concurrent submission got there
+      * first, { recorded: false, code } with nothing written.
+      */
+     async recordDelivery(eventData, challenge_id, sealedKey = null) {
+          return await this.transaction(async (tx) => {
+               if (!await tx.markChallengeUsed(challenge_id)) {
+                    throw Object.assign(new Error('Challenge already used'), { code: 'CHALLENGE_USED' });
+               }
+               const delivered = await tx.endSession(eventData.session_id, 'completed', { role: 'dp', id: eventData.dp_id }, {
+                    reason: 'delivered', details: { event_id: eventData.event_id }
+               });
+               if (!delivered) {
+                    throw Object.assign(new Error('Session not active'), { code: 'SESSION_NOT_ACTIVE' });
+               }
+               await tx.createDeliveryEvent(eventData);
+               await tx.createAnchorJob(eventData.event_id);
+               if (sealedKey) {
+                    await tx.createSealedKey(sealedKey);
+               }
+               return { recorded: true };
+          }).catch((err) => {
+               if (err.code === 'CHALLENGE_USED' || err.code === 'SESSION_NOT_ACTIVE') {
+                    return { recorded: false, code: err.code };
+               }
+               throw err;
+          });
+     }
+
+     async updateEventBatchAnchor(event_id, batchAnchor) {
+          const { batch_id, merkle_root, merkle_proof, leaf_index, tx_hash, anchored_at, anchor_backend, anchor_network } = batchAnchor;
           await this.run(
                `UPDATE delivery_events 
-       SET anchor_hash = ?, tx_hash = ?, anchored_at = ?, status = 'anchored'
+       SET batch_id = ?, merkle_root = ?, merkle_proof = ?, leaf_index = ?, tx_hash = ?, anchored_at = ?,
+           anchor_backend = ?, anchor_network = ?, status = 'anchored'
        WHERE event_id = ?`,
-               [anchor_hash, tx_hash, anchored_at, event_id]
+               [batch_id, merkle_root, merkle_proof, leaf_index, tx_hash, anchored_at, anchor_backend, anchor_network, event_id]
           );
      }
 
+     async getDeliveryEventsByOrder(order_id) {
+          return await this.all('SELECT * FROM delivery_events WHERE order_id = ? ORDER BY backend_received_at ASC', [order_id]);
+     }
+
      async getDeliveryEvent(event_id) {
           return await this.get('SELECT * FROM delivery_events WHERE event_id = ?', [event_id]);
      }
 
+     async updateEventStatus(event_id, status) {
+          await this.run('UPDATE delivery_events SET status = ? WHERE event_id = ?', [status, event_id]);
+     }
+
+     // Evidence methods
+     // Uploading the same blob again for a session and DP returns the existing record
+     async recordEvidence(evidence, sealedKey = null) {
+          const {
+               evidence_id, address, sha256, size, content_type = null, session_id, order_id, customer_id, dp_id, challenge_id = null, uploaded_at,
+               stored_address = null
+          } = evidence;
+
+          return await this.transaction(async (tx) => {
+               const existing = await tx.getEvidenceUpload(session_id, dp_id, address);
+               if (existing) {
+                    return existing;
+               }
+               if (sealedKey) {
+                    await tx.createSealedKey(sealedKey);
+               }
+               await tx.run(
+                    `INSERT INTO evidence
+       (evidence_id, address, sha256, size, content_type, session_id, order_id, customer_id, dp_id, challenge_id, uploaded_at, key_id, stored_address)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+                    [evidence_id, address, sha256, size, content_type, session_id, order_id, customer_id, dp_id, challenge_id, uploaded_at,
+                         sealedKey ? sealedKey.key_id : null, stored_address]
+               );
+               return await tx.getEvidenceUpload(session_id, dp_id, address);
+          });
+     }
+
+     async getEvidenceUpload(session_id, dp_id, address) {
+          return await this.get('SELECT * FROM evidence WHERE session_id = ? AND dp_id = ? AND address = ?', [session_id, dp_id, address]);
+     }
+
+     async getEvidence(evidence_id) {
+          return await this.get('SELECT * FROM evidence WHERE evidence_id = ?', [evidence_id]);
+     }
+
+     async getEvidenceByAddress(address) {
+          return await this.all('SELECT * FROM evidence WHERE address = ? ORDER BY uploaded_at ASC', [address]);
+     }
+
+     // Addresses among `addresses` that the DP uploaded for the session (session_id) or for any session of the order (order_id)
+     async getUploadedEvidenceAddresses(dp_id, { session_id, order_id }, addresses) {
+          if (addresses.length === 0) {
+               return [];
+          }
+          const [column, value] = session_id ? ['session_id', session_id] : ['order_id', order_id];
+          const rows = await this.all(
+               `SELECT DISTINCT address FROM evidence WHERE dp_id = ? AND ${column} = ? AND address IN (${addresses.map(() => '?').join(', ')})`,
+               [dp_id, value, ...addresses]
+          );
+          return rows.map(row => row.address);
+     }
+
+     // Delivery attempt methods
+     /**
+      * Record a failed attempt; a proximity-verified attempt consumes its challenge in the
+      * same transaction. Returns { recorded: false, code } with nothing written if the challenge
+      * was already used (CHALLENGE_USED) or the DP already submitted this signed message (ATTEMPT_DUPLICATE).
+      */
+     async recordDeliveryAttempt(attempt, { challenge_id = null, anchor = false, sealedKey = null } = {}) {
+          const {
+               attempt_id, order_id, session_id = null, customer_id = null, dp_id, dp_key_version = null, reason_code, proximity,
+               ephemeral_token_hash = null, challenge_nonce = null, token_channel = null, dp_signature, dp_signed_message,
+               evidence_hashes, timestamp, backend_received_at, anchor_hash, sealed_metadata = null, customer_ref = null
+          } = attempt;
+
+          return await this.transaction(async (tx) => {
+               if (await tx.get('SELECT attempt_id FROM delivery_attempts WHERE dp_id = ? AND dp_signed_message = ?', [dp_id, dp_signed_message])) {
+                    return { recorded: false, code: 'ATTEMPT_DUPLICATE' };
+               }
+               if (challenge_id && !await tx.markChallengeUsed(challenge_id)) {
+                    return { recorded: false, code: 'CHALLENGE_USED' };
+               }
+               await tx.run(
+                    `INSERT INTO delivery_attempts
+       (attempt_id, order_id, session_id, customer_id, dp_id, dp_key_version, reason_code, proximity, ephemeral_token_hash,
+        challenge_nonce, token_channel, dp_signature, dp_signed_message, evidence_hashes, timestamp, backend_received_at, anchor_hash, status,
+        sealed_metadata, customer_ref)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+                    [attempt_id, order_id, session_id, customer_id, dp_id, dp_key_version, reason_code, proximity, ephemeral_token_hash,
+                         challenge_nonce, token_channel, dp_signature, dp_signed_message, evidence_hashes, timestamp, backend_received_at,
+                         anchor_hash, anchor ? 'pending' : 'recorded', sealed_metadata, customer_ref]
+               );
+               if (anchor) {
+                    await tx.createAnchorJob(attempt_id, 'attempt');
+               }
+               if (sealedKey) {
+                    await tx.createSealedKey(sealedKey);
+               }
+               return { recorded: true };
+          });
+     }
+
+     async getDeliveryAttempt(attempt_id) {
+          return await this.get('SELECT * FROM delivery_attempts WHERE attempt_id = ?', [attempt_id]);
+     }
+
+     async getDeliveryAttempts(order_id) {
+          return await this.all('SELECT * FROM delivery_attempts WHERE order_id = ? ORDER BY backend_received_at ASC', [order_id]);
+     }
+
+     async updateAttemptBatchAnchor(attempt_id, batchAnchor) {
+          const { batch_id, merkle_root, merkle_proof, leaf_index, tx_hash, anchored_at, anchor_backend, anchor_network } = batchAnchor;
+          await this.run(
+               `UPDATE delivery_attempts
+       SET batch_id = ?, merkle_root = ?, merkle_proof = ?, leaf_index = ?, tx_hash = ?, anchored_at = ?,
+           anchor_backend = ?, anchor_network = ?, status = 'anchored'
+       WHERE attempt_id = ?`,
+               [batch_id, merkle_root, merkle_proof, leaf_index, tx_hash, anchored_at, anchor_backend, anchor_network, attempt_id]
+          );
+     }
+
+     // Escrow methods
+     // A sealed item's data key record and the wrapped shares of its holders
+     async createSealedKey(key) {
+          const { key_id, order_id, subject, subject_id, threshold, share_count, created_at, shares } = key;
+          await this.run(
+               `INSERT INTO sealed_keys (key_id, order_id, subject, subject_id, threshold, share_count, created_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?)`,
+               [key_id, order_id, subject, subject_id, threshold, share_count, created_at]
+          );
+          for (const share of shares) {
+               await this.run(
+                    `INSERT INTO key_shares (key_id, holder_id, holder_role, holder_public_key, share_index, wrapped_share)
+       VALUES (?, ?, ?, ?, ?, ?)`,
+                    [key_id, share.holder_id, share.holder_role, share.holder_public_key, share.share_index, share.wrapped_share]
+               );
+          }
+     }
+
+     async getSealedKeysForOrder(order_id) {
+          return await this.all('SELECT * FROM sealed_keys WHERE order_id = ? ORDER BY created_at ASC', [order_id]);
+     }
+
+     async getSealedKeys(key_ids) {
+          if (key_ids.length === 0) {
+               return [];
+          }
+          return await this.all(
+               `SELECT * FROM sealed_keys WHERE key_id IN (${key_ids.map(() => '?').join(', ')}) ORDER BY created_at ASC`,
+               key_ids
+          );
+     }
+
+     async getKeyShares(key_ids, holder_id = null) {
+          if (key_ids.length === 0) {
+               return [];
+          }
+          const holderClause = holder_id ? ' AND holder_id = ?' : '';
+          return await this.all(
+               `SELECT * FROM key_shares WHERE key_id IN (${key_ids.map(() => '?').join(', ')})${holderClause} ORDER BY key_id, share_index`,
+               holder_id ? [...key_ids, holder_id] : key_ids
+          );
+     }
+
+     async createUnlockRequest(request) {
+          const { request_id, order_id, reviewer_role, reviewer_id, reviewer_public_key, reason, key_ids, created_at } = request;
+          await this.run(
+               `INSERT INTO unlock_requests (request_id, order_id, reviewer_role, reviewer_id, reviewer_public_key, reason, key_ids, created_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+               [request_id, order_id, reviewer_role, reviewer_id, reviewer_public_key, reason, JSON.stringify(key_ids), created_at]
+          );
+     }
+
+     async getUnlockRequest(request_id) {
+          return await this.get('SELECT * FROM unlock_requests WHERE request_id = ?', [request_id]);
+     }
+
+     // Returns false if the holder already approved this request
+     async recordUnlockApproval(approval) {
+          const { request_id, holder_id, holder_role, shares, signed_message, signature, approved_at } = approval;
+          const result = await this.run(
+               `INSERT INTO unlock_approvals (request_id, holder_id, holder_role, shares, signed_message, signature, approved_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?)
+       ON CONFLICT (request_id, holder_id) DO NOTHING`,
+               [request_id, holder_id, holder_role, shares, signed_message, signature, approved_at]
+          );
+          return result.changes === 1;
+     }
+
+     async getUnlockApprovals(request_id) {
+          return await this.all('SELECT * FROM unlock_approvals WHERE request_id = ? ORDER BY approved_at ASC', [request_id]);
+     }
+
+     async markUnlockRequestUnlocked(request_id, unlocked_at = Date.now()) {
+          const result = await this.run(
+               `UPDATE unlock_requests SET status = 'unlocked', unlocked_at = ? WHERE request_id = ? AND status = 'pending'`,
+               [unlocked_at, request_id]
+          );
+          return result.changes === 1;
+     }
+
+     // Retention methods
+     /**
+      * Salt of a customer's salted reference, or null if they have none. With `create` it is
+      * created on first use, except for an erased customer, whose tombstone blocks a new one.
+      */
+     async getCustomerSalt(customer_id, create = false) {
+          if (create) {
+               await this.run(
+                    `INSERT INTO customer_salts (customer_id, salt, created_at)
+       SELECT ?, ?, ? WHERE NOT EXISTS (SELECT 1 FROM erased_customers WHERE customer_hash = ?)
+       ON CONFLICT (customer_id) DO NOTHING`,
+                    [customer_id, crypto.randomBytes(16).toString('hex'), Date.now(), customerHash(customer_id)]
+               );
+          }
+          const row = await this.get('SELECT salt FROM customer_salts WHERE customer_id = ?', [customer_id]);
+          return row ? row.salt : null;
+     }
+
+     async countActiveSessions(customer_id) {
+          const row = await this.get(`SELECT COUNT(*) AS count FROM sessions WHERE customer_id = ? AND status = 'active'`, [customer_id]);
+          return Number(row.count);
+     }
+
+     /**
+      * Ended sessions that expired before `before` and still hold PII. With customer_id (an
+      * erasure) every ended session of that customer is returned, expired or not.
+      */
+     async getSessionsToPurge(before, { customer_id = null, limit }) {
+          return await this.all(
+               `SELECT session_id, customer_id, ephemeral_token FROM sessions
+       WHERE pii_purged_at IS NULL AND status != 'active' AND ${customer_id ? 'customer_id = ?' : 'expires_at < ?'}
+       ORDER BY expires_at ASC LIMIT ?`,
+               [customer_id || before, limit]
+          );
+     }
+
+     /**
+      * Replace a session's customer id with their reference and its raw token with its hash,
+      * and drop the token seed and QR payload. Customer actors in its transition log get the
+      * reference too. Returns false if another run purged the session first.
+      */
+     async purgeSession(session_id, { customer_ref, ephemeral_token_hash }, at = Date.now()) {
+          return await this.transaction(async (tx) => {
+               const result = await tx.run(
+                    `UPDATE sessions SET customer_id = ?, ephemeral_token = ?, token_seed = NULL, qr_payload = NULL, pii_purged_at = ?
+       WHERE session_id = ? AND pii_purged_at IS NULL`,
+                    [customer_ref, ephemeral_token_hash, at, session_id]
+               );
+               if (result.changes !== 1) {
+                    return { purged: false };
+               }
+               const transitions = await tx.run(
+                    `UPDATE session_transitions SET actor_id = ? WHERE session_id = ? AND actor_role = 'customer'`,
+                    [customer_ref, session_id]
+               );
+               return { purged: true, transitions: transitions.changes };
+          });
+     }
+
+     /**
+      * Events (table 'delivery_events') or attempts ('delivery_attempts') received before
+      * `before` (ISO) that still hold PII. Rows without a customer reference commit to the
+      * plaintext customer id in their anchor hash and are left alone; see countUnpurgeableRecords.
+      */
+     async getRecordsToPurge(table, before, { customer_id = null, limit }) {
+          const id = table === 'delivery_events' ? 'event_id' : 'attempt_id';
+          return await this.all(
+               `SELECT ${id} AS record_id, customer_id, dp_signed_message, sealed_metadata FROM ${table}
+       WHERE pii_purged_at IS NULL AND backend_received_at < ? AND (customer_ref IS NOT NULL OR customer_id IS NULL)${customer_id ? ' AND customer_id = ?' : ''}
+       ORDER BY backend_received_at ASC LIMIT ?`,
+               [before, ...(customer_id ? [customer_id] : []), limit]
+          );
+     }
+
+     async countUnpurgeableRecords(table, before, customer_id = null) {
+          const row = await this.get(
+               `SELECT COUNT(*) AS count FROM ${table}
+       WHERE pii_purged_at IS NULL AND backend_received_at < ? AND customer_ref IS NULL AND customer_id IS NOT NULL${customer_id ? ' AND customer_id = ?' : ''}`,
+               [before, ...(customer_id ? [customer_id] : [])]
+          );
+          return Number(row.count);
+     }
+
+     /**
+      * Swap a record's customer id for the customer reference its anchor hash commits to,
+      * drop its sealed metadata and shred the metadata's key. `dp_signed_message` is the
+      * message to keep (null to redact it). Returns { purged, sealed_keys }.
+      */
+     async purgeRecord(table, record_id, { dp_signed_message }, at = Date.now()) {
+          const id = table === 'delivery_events' ? 'event_id' : 'attempt_id';
+          return await this.transaction(async (tx) => {
+               const result = await tx.run(
+                    `UPDATE ${table} SET customer_id = customer_ref, dp_signed_message = ?, sealed_metadata = NULL, pii_purged_at = ?
+       WHERE ${id} = ? AND pii_purged_at IS NULL`,
+                    [dp_signed_message, at, record_id]
+               );
+               if (result.changes !== 1) {
+                    return { purged: false, sealed_keys: 0 };
+               }
+               return { purged: true, sealed_keys: await tx.shredSealedKeys('metadata', record_id) };
+          });
+     }
+
+     async getEvidenceToPurge(before, { customer_id = null, limit }) {
+          return await this.all(
+               `SELECT evidence_id, address, customer_id, key_id, stored_address FROM evidence
+       WHERE pii_purged_at IS NULL AND uploaded_at < ?${customer_id ? ' AND customer_id = ?' : ''}
+       ORDER BY uploaded_at ASC LIMIT ?`,
+               [before, ...(customer_id ? [customer_id] : []), limit]
+          );
+     }
+
+     // Pseudonymize an evidence record and shred its escrow key. Returns { purged, sealed_keys }
+     async purgeEvidence(evidence_id, customer_ref, at = Date.now()) {
+          return await this.transaction(async (tx) => {
+               const result = await tx.run(
+                    'UPDATE evidence SET customer_id = ?, pii_purged_at = ? WHERE evidence_id = ? AND pii_purged_at IS NULL',
+                    [customer_ref, at, evidence_id]
+               );
+               if (result.changes !== 1) {
+                    return { purged: false, sealed_keys: 0 };
+               }
+               return { purged: true, sealed_keys: await tx.shredSealedKeys('evidence', evidence_id) };
+          });
+     }
+
+     // Records still referencing a stored blob, which must outlive them
+     async countEvidenceReferences(address) {
+          const row = await this.get(
+               'SELECT COUNT(*) AS count FROM evidence WHERE pii_purged_at IS NULL AND (address = ? OR stored_address = ?)',
+               [address, address]
+          );
+          return Number(row.count);
+     }
+
+     // Crypto-shredding: with every share of its data key gone, a sealed item can never be decrypted
+     async shredSealedKeys(subject, subject_id) {
+          await this.run(
+               'DELETE FROM key_shares WHERE key_id IN (SELECT key_id FROM sealed_keys WHERE subject = ? AND subject_id = ?)',
+               [subject, subject_id]
+          );
+          const result = await this.run('DELETE FROM sealed_keys WHERE subject = ? AND subject_id = ?', [subject, subject_id]);
+          return result.changes;
+     }
+
+     /**
+      * Remove what identifies a customer outside their records: registered key, login nonces and
+      * salt, leaving a tombstone so the salt is never recreated. Escrow shares they hold and their unlock approvals are kept under their reference,
+      * without their public key or signed message. Returns how many rows of each were touched.
+      */
+     async eraseCustomerIdentity(customer_id, customer_ref) {
+          return await this.transaction(async (tx) => {
+               const keys = await tx.run('DELETE FROM customer_keys WHERE customer_id = ?', [customer_id]);
+               const nonces = await tx.run(`DELETE FROM auth_nonces WHERE role = 'customer' AND subject_id = ?`, [customer_id]);
+               const shares = await tx.run(
+                    `UPDATE key_shares SET holder_id = ?, holder_public_key = '' WHERE holder_role = 'customer' AND holder_id = ?`,
+                    [customer_ref, customer_id]
+               );
+               const approvals = await tx.run(
+                    `UPDATE unlock_approvals SET holder_id = ?, signed_message = '', signature = '' WHERE holder_role = 'customer' AND holder_id = ?`,
+                    [customer_ref, customer_id]
+               );
+               const enrolments = await tx.run('DELETE FROM customer_enrolments WHERE customer_id = ?', [customer_id]);
+               const salts = await tx.run('DELETE FROM customer_salts WHERE customer_id = ?', [customer_id]);
+               await tx.run(
+                    'INSERT INTO erased_customers (customer_hash, erased_at) VALUES (?, ?) ON CONFLICT (customer_hash) DO NOTHING',
+                    [customerHash(customer_id), Date.now()]
+               );
+               return {
+                    customer_keys: keys.changes,
+                    customer_enrolments: enrolments.changes,
+                    auth_nonces: nonces.changes,
+                    key_shares: shares.changes,
+                    unlock_approvals: approvals.changes,
+                    customer_salts: salts.changes
+               };
+          });
+     }
+
+     async recordRetentionRun(run) {
+          const { run_id, kind, subject_ref = null, started_at, finished_at, report } = run;
+          await this.run(
+               `INSERT INTO retention_runs (run_id, kind, subject_ref, started_at, finished_at, report)
+       VALUES (?, ?, ?, ?, ?, ?)`,
+               [run_id, kind, subject_ref, started_at, finished_at, JSON.stringify(report)]
+          );
+     }
+
+     async getRetentionRuns(limit = 50) {
+          return await this.all('SELECT * FROM retention_runs ORDER BY started_at DESC LIMIT ?', [limit]);
+     }
+
+     // Audit log methods
+     async getAuditHead() {
+          return await this.get('SELECT * FROM audit_log ORDER BY seq DESC LIMIT 1');
+     }
+
+     // Returns false if another instance appended an entry with the same seq first
+     async appendAuditEntry(entry) {
+          const {
+               seq, created_at, action, outcome, actor_role = null, actor_id = null, subject_type = null, subject_id = null,
+               detail, prev_entry_hash = null, entry_hash
+          } = entry;
+          const result = await this.run(
+               `INSERT INTO audit_log
+       (seq, created_at, action, outcome, actor_role, actor_id, subject_type, subject_id, detail, prev_entry_hash, entry_hash)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+       ON CONFLICT (seq) DO NOTHING`,
+               [seq, created_at, action, outcome, actor_role, actor_id, subject_type, subject_id, detail, prev_entry_hash, entry_hash]
+          );
+          return result.changes === 1;
+     }
+
+     async getAuditEntries(after_seq = 0, limit = 100) {
+          return await this.all('SELECT * FROM audit_log WHERE seq > ? ORDER BY seq ASC LIMIT ?', [after_seq, limit]);
+     }
+
+     async getAuditEntry(seq) {
+          return await this.get('SELECT * FROM audit_log WHERE seq = ?', [seq]);
+     }
+
+     // Entries after `after_seq`, not counting those of `except_action`
+     async countAuditEntriesSince(after_seq, except_action) {
+          const row = await this.get('SELECT COUNT(*) AS count FROM audit_log WHERE seq > ? AND action <> ?', [after_seq, except_action]);
+          return Number(row.count);
+     }
+
+     // A checkpoint and its anchor job are written together; returns false if the head was already checkpointed
+     async createAuditCheckpoint(checkpoint) {
+          const { checkpoint_id, seq, head_hash, created_at, anchor_hash } = checkpoint;
+          return await this.transaction(async (tx) => {
+               const result = await tx.run(
+                    `INSERT INTO audit_checkpoints (checkpoint_id, seq, head_hash, created_at, anchor_hash)
+       VALUES (?, ?, ?, ?, ?)
+       ON CONFLICT (seq) DO NOTHING`,
+                    [checkpoint_id, seq, head_hash, created_at, anchor_hash]
+               );
+               if (result.changes !== 1) {
+                    return false;
+               }
+               await tx.createAnchorJob(checkpoint_id, 'checkpoint');
+               return true;
+          });
+     }
+
+     async getLatestAuditCheckpoint() {
+          return await this.get('SELECT * FROM audit_checkpoints ORDER BY seq DESC LIMIT 1');
+     }
+
+     async getAuditCheckpoints(limit = null) {
+          if (limit) {
+               return await this.all('SELECT * FROM audit_checkpoints ORDER BY seq DESC LIMIT ?', [limit]);
+          }
+          return await this.all('SELECT * FROM audit_checkpoints ORDER BY seq ASC');
+     }
+
+     async updateCheckpointBatchAnchor(checkpoint_id, batchAnchor) {
+          const { batch_id, merkle_root, merkle_proof, leaf_index, tx_hash, anchored_at, anchor_backend, anchor_network } = batchAnchor;
+          await this.run(
+               `UPDATE audit_checkpoints
+       SET batch_id = ?, merkle_root = ?, merkle_proof = ?, leaf_index = ?, tx_hash = ?, anchored_at = ?,
+           anchor_backend = ?, anchor_network = ?, status = 'anchored'
+       WHERE checkpoint_id = ?`,
+               [batch_id, merkle_root, merkle_proof, leaf_index, tx_hash, anchored_at, anchor_backend, anchor_network, checkpoint_id]
+          );
+     }
+
+     // Anomaly detection methods
+     // backend_received_at is an ISO timestamp, so the window bounds are compared as ISO strings
+     async countDeliveriesByDP(dp_id, since, until) {
+          const row = await this.get(
+               'SELECT COUNT(*) AS count FROM delivery_events WHERE dp_id = ? AND backend_received_at >= ? AND backend_received_at <= ?',
+               [dp_id, new Date(since).toISOString(), new Date(until).toISOString()]
+          );
+          return Number(row.count);
+     }
+
+     async recordSignatureFailure(failure) {
+          const { failure_id, dp_id, action, subject_id = null, code, created_at } = failure;
+          await this.run(
+               `INSERT INTO signature_failures (failure_id, dp_id, action, subject_id, code, created_at)
+       VALUES (?, ?, ?, ?, ?, ?)`,
+               [failure_id, dp_id, action, subject_id, code, created_at]
+          );
+     }
+
+     // Proofs and attempts by the DP rejected with INVALID_SIGNATURE
+     async countSignatureFailures(dp_id, since, until) {
+          const row = await this.get(
+               `SELECT COUNT(*) AS count FROM signature_failures
+       WHERE dp_id = ? AND code = 'INVALID_SIGNATURE' AND created_at >= ? AND created_at <= ?`,
+               [dp_id, since, until]
+          );
+          return Number(row.count);
+     }
+
+     async getDPsWithPublicKey(public_key, except_dp_id) {
+          const rows = await this.all(
+               'SELECT DISTINCT dp_id FROM dp_keys WHERE public_key = ? AND dp_id <> ? ORDER BY dp_id',
+               [public_key, except_dp_id]
+          );
+          return rows.map(row => row.dp_id);
+     }
+
+     /**
+      * Positions observed before `before`; with customer_id (an erasure) instead those of
+      * that customer's deliveries. They are not anchored, so they are deleted outright.
+      */
+     async purgeAnomalyPositions(before, customer_id = null) {
+          const result = customer_id
+               ? await this.run(
+                    'DELETE FROM anomaly_positions WHERE event_id IN (SELECT event_id FROM delivery_events WHERE customer_id = ?)',
+                    [customer_id]
+               )
+               : await this.run('DELETE FROM anomaly_positions WHERE observed_at < ?', [before]);
+          return result.changes;
+     }
+
+     async getAnomalyPosition(dp_id) {
+          return await this.get('SELECT * FROM anomaly_positions WHERE dp_id = ?', [dp_id]);
+     }
+
+     // Deliveries evaluated out of order never move a DP's position back in time
+     async saveAnomalyPosition(dp_id, { event_id, observed_at, location }) {
+          await this.run(
+               `INSERT INTO anomaly_positions (dp_id, event_id, observed_at, location) VALUES (?, ?, ?, ?)
+       ON CONFLICT (dp_id) DO UPDATE SET
+        event_id = excluded.event_id, observed_at = excluded.observed_at, location = excluded.location
+       WHERE anomaly_positions.observed_at <= excluded.observed_at`,
+               [dp_id, event_id, observed_at, location]
+          );
+     }
+
+     // Returns false if the event or signature failure already has a flag for the rule, or its dedupe_key is taken
+     async createAnomalyFlag(flag) {
+          const { flag_id, event_id = null, failure_id = null, dedupe_key = null, dp_id, rule, severity, details, created_at } = flag;
+          const result = await this.run(
+               `INSERT INTO anomaly_flags (flag_id, event_id, failure_id, dedupe_key, dp_id, rule, severity, details, created_at, status)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, 'open')
+       ON CONFLICT DO NOTHING`,
+               [flag_id, event_id, failure_id, dedupe_key, dp_id, rule, severity, JSON.stringify(details), created_at]
+          );
+          return result.changes === 1;
+     }
+
+     async getAnomalyFlag(flag_id) {
+          return await this.get('SELECT * FROM anomaly_flags WHERE flag_id = ?', [flag_id]);
+     }
+
+     // Newest first; each filter is optional
+     async getAnomalyFlags({ status = null, severity = null, dp_id = null, event_id = null, limit = 50 } = {}) {
+          const filters = { status, severity, dp_id, event_id };
+          const columns = Object.keys(filters).filter(column => filters[column] !== null);
+          const where = columns.length > 0 ? `WHERE ${columns.map(column => `${column} = ?`).join(' AND ')}` : '';
+          return await this.all(
+               `SELECT * FROM anomaly_flags ${where} ORDER BY created_at DESC, flag_id ASC LIMIT ?`,
+               [...columns.map(column => filters[column]), limit]
+          );
+     }
+
+     // Returns false if the flag was already reviewed
+     async reviewAnomalyFlag(flag_id, { status, reviewed_by_role, reviewed_by_id, review_note = null, reviewed_at = Date.now() }) {
+          const result = await this.run(
+               `UPDATE anomaly_flags SET status = ?, reviewed_by_role = ?, reviewed_by_id = ?, review_note = ?, reviewed_at = ?
+       WHERE flag_id = ? AND status = 'open'`,
+               [status, reviewed_by_role, reviewed_by_id, review_note, reviewed_at, flag_id]
+          );
+          return result.changes === 1;
+     }
+
+     // Anchor job queue methods
+     // A job's subject is a delivery event, a failed delivery attempt or an audit checkpoint; event_id holds its id
+     async createAnchorJob(event_id, subject = 'delivery') {
+          const now = Date.now();
+          await this.run(
+               `INSERT INTO anchor_jobs (event_id, subject, next_attempt_at, created_at, updated_at)
+       VALUES (?, ?, ?, ?, ?)`,
+               [event_id, subject, now, now, now]
+          );
+     }
+
+     // Mirror a job's status onto its subject row
+     async updateAnchorSubjectStatus(event_id, status) {
+          await this.updateEventStatus(event_id, status);
+          await this.run('UPDATE delivery_attempts SET status = ? WHERE attempt_id = ?', [status, event_id]);
+          await this.run('UPDATE audit_checkpoints SET status = ? WHERE checkpoint_id = ?', [status, event_id]);
+     }
+
+     async enqueueUnanchoredEvents() {
+          const now = Date.now();
+          const result = await this.run(
+               `INSERT INTO anchor_jobs (event_id, next_attempt_at, created_at, updated_at)
+       SELECT event_id, CAST(? AS BIGINT), CAST(? AS BIGINT), CAST(? AS BIGINT) FROM delivery_events
+       WHERE status = 'pending' AND anchor_hash IS NOT NULL
+         AND event_id NOT IN (SELECT event_id FROM anchor_jobs)`,
+               [now, now, now]
+          );
+          return result.changes;
+     }
+
+     // Jobs claimed before stale_before are assumed to belong to a run that died
+     async resetStaleAnchorJobs(stale_before = Date.now()) {
+          const now = Date.now();
+          await this.run(
+               `UPDATE delivery_events SET status = 'pending'
+       WHERE event_id IN (SELECT event_id FROM anchor_jobs WHERE status = 'anchoring' AND updated_at < ?)`,
+               [stale_before]
+          );
+          await this.run(
+               `UPDATE delivery_attempts SET status = 'pending'
+       WHERE attempt_id IN (SELECT event_id FROM anchor_jobs WHERE status = 'anchoring' AND updated_at < ?)`,
+               [stale_before]
+          );
+          await this.run(
+               `UPDATE audit_checkpoints SET status = 'pending'
+       WHERE checkpoint_id IN (SELECT event_id FROM anchor_jobs WHERE status = 'anchoring' AND updated_at < ?)`,
+               [stale_before]
+          );
+          const result = await this.run(
+               `UPDATE anchor_jobs SET status = 'pending', next_attempt_at = ?, updated_at = ?
+       WHERE status = 'anchoring' AND updated_at < ?`,
+               [now, now, stale_before]
+          );
+          return result.changes;
+     }
+
+     async getDueAnchorJobs(now, limit) {
+          return await this.all(
+               `SELECT j.*, COALESCE(e.anchor_hash, a.anchor_hash, c.anchor_hash) AS anchor_hash FROM anchor_jobs j
+       LEFT JOIN delivery_events e ON j.subject = 'delivery' AND e.event_id = j.event_id
+       LEFT JOIN delivery_attempts a ON j.subject = 'attempt' AND a.attempt_id = j.event_id
+       LEFT JOIN audit_checkpoints c ON j.subject = 'checkpoint' AND c.checkpoint_id = j.event_id
+       WHERE j.status = 'pending' AND j.next_attempt_at <= ?
+       ORDER BY j.created_at ASC LIMIT ?`,
+               [now, limit]
+          );
+     }
+
+     // Conditional update so that with several backend instances each job lands in exactly one batch
+     async markAnchorJobAnchoring(event_id, batch_id) {
+          const result = await this.run(
+               `UPDATE anchor_jobs SET status = 'anchoring', batch_id = ?, updated_at = ?
+       WHERE event_id = ? AND status = 'pending'`,
+               [batch_id, Date.now(), event_id]
+          );
+          if (result.changes !== 1) {
+               return false;
+          }
+          await this.updateAnchorSubjectStatus(event_id, 'anchoring');
+          return true;
+     }
+
+     async completeAnchorJob(event_id) {
+          await this.run(
+               `UPDATE anchor_jobs SET status = 'anchored', attempts = attempts + 1, last_error = NULL, updated_at = ?
+       WHERE event_id = ?`,
+               [Date.now(), event_id]
+          );
+     }
+
+     async recordAnchorJobFailure(event_id, failure) {
+          const { status, attempts, last_error, next_attempt_at } = failure;
+          await this.run(
+               `UPDATE anchor_jobs SET status = ?, attempts = ?, last_error = ?, next_attempt_at = ?, updated_at = ?
+       WHERE event_id = ?`,
+               [status, attempts, last_error, next_attempt_at, Date.now(), event_id]
+          );
+          await this.updateAnchorSubjectStatus(event_id, status);
+     }
+
+     async getAnchorJob(event_id) {
+          return await this.get('SELECT * FROM anchor_jobs WHERE event_id = ?', [event_id]);
+     }
+
+     // Anchor batch methods
+     async createAnchorBatch(batchData) {
+          const { batch_id, merkle_root, event_count, created_at } = batchData;
+          await this.run(
+               `INSERT INTO anchor_batches (batch_id, merkle_root, event_count, created_at)
+       VALUES (?, ?, ?, ?)`,
+               [batch_id, merkle_root, event_count, created_at]
+          );
+          return batch_id;
+     }
+
+     async updateAnchorBatch(batch_id, status, anchor = {}) {
+          const { tx_hash = null, block_number = null, anchored_at = null, anchor_backend = null, anchor_network = null, anchor_receipt = null } = anchor;
+          await this.run(
+               `UPDATE anchor_batches
+       SET status = ?, tx_hash = ?, block_number = ?, anchored_at = ?, anchor_backend = ?, anchor_network = ?, anchor_receipt = ?
+       WHERE batch_id = ?`,
+               [status, tx_hash, block_number, anchored_at, anchor_backend, anchor_network, anchor_receipt, batch_id]
+          );
+     }
+
+     async getAnchorBatch(batch_id) {
+          return await this.get('SELECT * FROM anchor_batches WHERE batch_id = ?', [batch_id]);
+     }
+
+     // Chain indexer methods
+     async recordChainLog(log) {
+          const {
+               tx_hash, log_index, contract_address, event_name, anchor_hash, actor,
+               event_id = null, batch_id = null, leaf_count = null, block_number, block_hash, block_timestamp
+          } = log;
+          await this.run(
+               `INSERT INTO chain_anchor_logs
+       (tx_hash, log_index, contract_address, event_name, anchor_hash, actor, event_id, batch_id, leaf_count,
+        block_number, block_hash, block_timestamp, indexed_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+       ON CONFLICT (tx_hash, log_index) DO UPDATE SET
+        contract_address = excluded.contract_address, event_name = excluded.event_name, anchor_hash = excluded.anchor_hash,
+        actor = excluded.actor, event_id = excluded.event_id, batch_id = excluded.batch_id, leaf_count = excluded.leaf_count,
+        block_number = excluded.block_number, block_hash = excluded.block_hash, block_timestamp = excluded.block_timestamp,
+        indexed_at = excluded.indexed_at`,
+               [tx_hash, log_index, contract_address, event_name, anchor_hash, actor, event_id, batch_id, leaf_count,
+                    block_number, block_hash, block_timestamp, Date.now()]
+          );
+     }
+
+     async recordIndexedBlock(block_number, block_hash) {
+          await this.run(
+               `INSERT INTO indexed_blocks (block_number, block_hash) VALUES (?, ?)
+       ON CONFLICT (block_number) DO UPDATE SET block_hash = excluded.block_hash`,
+               [block_number, block_hash]
+          );
+     }
+
+     // The highest indexed block is the cursor the indexer resumes from
+     async getIndexerCursor() {
+          return await this.get('SELECT * FROM indexed_blocks ORDER BY block_number DESC LIMIT 1');
+     }
+
+     async getIndexedBlocks() {
+          return await this.all('SELECT * FROM indexed_blocks ORDER BY block_number DESC');
+     }
+
+     async pruneIndexedBlocks(below_block) {
+          await this.run('DELETE FROM indexed_blocks WHERE block_number < ?', [below_block]);
+     }
+
+     // Drop everything indexed above a block, e.g. the blocks replaced by a reorg
+     async rewindIndex(above_block) {
+          const result = await this.run('DELETE FROM chain_anchor_logs WHERE block_number > ?', [above_block]);
+          await this.run('DELETE FROM indexed_blocks WHERE block_number > ?', [above_block]);
+          return result.changes;
+     }
+
+     async getAnchoredEventsWithoutLog(contract_address, indexed_through_block) {
+          return await this.all(
+               `SELECT e.event_id, e.batch_id, e.tx_hash, e.anchored_at, b.block_number,
+              COALESCE(e.merkle_root, e.anchor_hash) AS anchored_hash,
+              (SELECT l.tx_hash FROM chain_anchor_logs l
+               WHERE l.anchor_hash = COALESCE(e.merkle_root, e.anchor_hash) AND l.contract_address = ?
+               LIMIT 1) AS log_tx_hash
+       FROM delivery_events e
+       LEFT JOIN anchor_batches b ON b.batch_id = e.batch_id
+       WHERE e.status = 'anchored' AND COALESCE(e.anchor_backend, 'evm') = 'evm'
+         AND (b.block_number IS NULL OR b.block_number <= ?)
+         AND NOT EXISTS (
+              SELECT 1 FROM chain_anchor_logs l
+              WHERE l.anchor_hash = COALESCE(e.merkle_root, e.anchor_hash)
+                AND l.tx_hash = e.tx_hash AND l.contract_address = ?
+         )
+       ORDER BY e.anchored_at ASC`,
+               [contract_address, indexed_through_block, contract_address]
+          );
+     }
+
+     async getChainLogsWithoutEvent(contract_address) {
+          return await this.all(
+               `SELECT * FROM chain_anchor_logs l
+       WHERE l.contract_address = ?
+         AND NOT EXISTS (SELECT 1 FROM anchor_batches b WHERE b.merkle_root = l.anchor_hash)
+         AND NOT EXISTS (SELECT 1 FROM delivery_events e WHERE e.anchor_hash = l.anchor_hash)
+       ORDER BY l.block_number ASC, l.log_index ASC`,
+               [contract_address]
+          );
+     }
+
      // DP key management
+     // Every key a DP has held is kept as a numbered version so older events stay verifiable
      async registerDPKey(dp_id, public_key, key_type = 'secp256k1') {
           const registered_at = Date.now();
+          const key_version = await this.nextDPKeyVersion(dp_id);
+          await this.run(
+               'INSERT INTO dp_keys (dp_id, key_version, public_key, key_type, registered_at) VALUES (?, ?, ?, ?, ?)',
+               [dp_id, key_version, public_key, key_type, registered_at]
+          );
+          return key_version;
+     }
+
+     async createDPEnrolment(enrolment) {
+          const { code_hash, dp_id, issued_by_role, issued_by_id, created_at, expires_at } = enrolment;
           await this.run(
-               'INSERT OR REPLACE INTO dp_keys (dp_id, public_key, key_type, registered_at) VALUES (?, ?, ?, ?)',
-               [dp_id, public_key, key_type, registered_at]
+               `INSERT INTO dp_enrolments (code_hash, dp_id, issued_by_role, issued_by_id, created_at, expires_at)
+       VALUES (?, ?, ?, ?, ?, ?)`,
+               [code_hash, dp_id, issued_by_role, issued_by_id, created_at, expires_at]
           );
      }
 
+     /**
+      * Consume an unused, unexpired enrolment code issued for this DP and register its
+      * first key atomically. Returns { registered: true, key_version } or
+      * { registered: false, code } with nothing written. A DP with key history is re-keyed
+      * through rotation or revocation, never by registering again.
+      */
+     async registerEnrolledDPKey(dp_id, code_hash, public_key, now = Date.now()) {
+          return await this.transaction(async (tx) => {
+               if ((await tx.getDPKeyHistory(dp_id)).length > 0) {
+                    throw Object.assign(new Error('DP already registered'), { code: 'DP_ALREADY_REGISTERED' });
+               }
+               const consumed = await tx.run(
+                    `UPDATE dp_enrolments SET used_at = ?
+       WHERE code_hash = ? AND dp_id = ? AND used_at IS NULL AND expires_at >= ?`,
+                    [now, code_hash, dp_id, now]
+               );
+               if (consumed.changes !== 1) {
+                    throw Object.assign(new Error('Invalid enrolment code'), { code: 'INVALID_ENROLMENT_CODE' });
+               }
+               return { registered: true, key_version: await tx.registerDPKey(dp_id, public_key) };
+          }).catch((err) => {
+               if (err.code === 'DP_ALREADY_REGISTERED' || err.code === 'INVALID_ENROLMENT_CODE') {
+                    return { registered: false, code: err.code };
+               }
+               throw err;
+          });
+     }
+
+     async nextDPKeyVersion(dp_id) {
+          const row = await this.get('SELECT MAX(key_version) AS latest FROM dp_keys WHERE dp_id = ?', [dp_id]);
+          return (row && row.latest ? row.latest : 0) + 1;
+     }
+
      async getDPKey(dp_id) {
-          return await this.get('SELECT * FROM dp_keys WHERE dp_id = ? AND status = "active"', [dp_id]);
+          return await this.get(`SELECT * FROM dp_keys WHERE dp_id = ? AND status = 'active'`, [dp_id]);
+     }
+
+     async getDPKeyVersion(dp_id, key_version) {
+          return await this.get('SELECT * FROM dp_keys WHERE dp_id = ? AND key_version = ?', [dp_id, key_version]);
+     }
+
+     async getDPKeyHistory(dp_id) {
+          return await this.all('SELECT * FROM dp_keys WHERE dp_id = ? ORDER BY key_version ASC', [dp_id]);
+     }
+
+     async rotateDPKey(dp_id, current_version, new_public_key, key_type = 'secp256k1') {
+          const rotated_at = Date.now();
+          const result = await this.run(
+               `UPDATE dp_keys SET status = 'rotated', rotated_at = ?
+       WHERE dp_id = ? AND key_version = ? AND status = 'active'`,
+               [rotated_at, dp_id, current_version]
+          );
+          if (result.changes !== 1) {
+               throw new Error('Key is no longer active');
+          }
+          return await this.registerDPKey(dp_id, new_public_key, key_type);
+     }
+
+     async revokeDPKey(dp_id, key_version, reason, effective_at) {
+          const result = await this.run(
+               `UPDATE dp_keys SET status = 'revoked', revoked_at = ?, revocation_reason = ?, revocation_effective_at = ?
+       WHERE dp_id = ? AND key_version = ? AND status != 'revoked'`,
+               [Date.now(), reason, effective_at, dp_id, key_version]
+          );
+          return result.changes === 1;
+     }
+
+     // Auth nonce methods
+     async createAuthNonce(nonceData) {
+          const { nonce, role, subject_id, created_at, expires_at } = nonceData;
+          await this.run(
+               `INSERT INTO auth_nonces (nonce, role, subject_id, created_at, expires_at)
+       VALUES (?, ?, ?, ?, ?)`,
+               [nonce, role, subject_id, created_at, expires_at]
+          );
+          return nonce;
      }
+
+     async getAuthNonce(nonce) {
+          return await this.get('SELECT * FROM auth_nonces WHERE nonce = ?', [nonce]);
+     }
+
+     async consumeAuthNonce(nonce) {
+          // Conditional update so a nonce can only ever be exchanged for one token
+          const result = await this.run('UPDATE auth_nonces SET used = 1 WHERE nonce = ? AND used = 0', [nonce]);
+          return result.changes === 1;
+     }
+
+     // Customer key management
+     async registerCustomerKey(customer_id, public_key, key_type = 'secp256k1') {
+          const registered_at = Date.now();
+          await this.run(
+               'INSERT INTO customer_keys (customer_id, public_key, key_type, registered_at) VALUES (?, ?, ?, ?)',
+               [customer_id, public_key, key_type, registered_at]
+          );
+     }
+
+     async createCustomerEnrolment(enrolment) {
+          const { code_hash, customer_id, issued_by_role, issued_by_id, created_at, expires_at } = enrolment;
+          await this.run(
+               `INSERT INTO customer_enrolments (code_hash, customer_id, issued_by_role, issued_by_id, created_at, expires_at)
+       VALUES (?, ?, ?, ?, ?, ?)`,
+               [code_hash, customer_id, issued_by_role, issued_by_id, created_at, expires_at]
+          );
+     }
+
+     /**
+      * Consume an unused, unexpired enrolment code issued for this customer and register
+      * their key atomically. Returns { registered: true } or { registered: false, code }
+      * with nothing written.
+      */
+     async registerEnrolledCustomerKey(customer_id, code_hash, public_key, now = Date.now()) {
+          return await this.transaction(async (tx) => {
+               if (await tx.getCustomerKey(customer_id)) {
+                    throw Object.assign(new Error('Customer already registered'), { code: 'CUSTOMER_ALREADY_REGISTERED' });
+               }
+               const consumed = await tx.run(
+                    `UPDATE customer_enrolments SET used_at = ?
+       WHERE code_hash = ? AND customer_id = ? AND used_at IS NULL AND expires_at >= ?`,
+                    [now, code_hash, customer_id, now]
+               );
+               if (consumed.changes !== 1) {
+                    throw Object.assign(new Error('Invalid enrolment code'), { code: 'INVALID_ENROLMENT_CODE' });
+               }
+               await tx.registerCustomerKey(customer_id, public_key);
+               return { registered: true };
+          }).catch((err) => {
+               if (err.code === 'CUSTOMER_ALREADY_REGISTERED' || err.code === 'INVALID_ENROLMENT_CODE') {
+                    return { registered: false, code: err.code };
+               }
+               throw err;
+          });
+     }
+
+     async getCustomerKey(customer_id) {
+          return await this.get(`SELECT * FROM customer_keys WHERE customer_id = ? AND status = 'active'`, [customer_id]);
+     }
+}
+
+// Erased customers are remembered by the hash of their id only
+function customerHash(customer_id) {
+     return 'sha256:' + crypto.createHash('sha256').update(customer_id).digest('hex');
 }
 
 module.exports = new Database();
@@ -0,0 +1,119 @@
+const crypto = require('crypto');
+const elliptic = require('elliptic');
+
+const ec = new elliptic.ec('secp256k1');
+const WRAP_INFO = 'pod-escrow-share-v1';
+
+/**
+ * Symmetric sealing of evidence and metadata: AES-256-GCM under a fresh data key,
+ * packed as iv (12 bytes) || tag (16 bytes) || ciphertext. `aad` binds the ciphertext
+ * to what it describes (e.g. the evidence address), so it cannot be swapped.
+ */
+function seal(key, plaintext, aad) {
+     const iv = crypto.randomBytes(12);
+     const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+     cipher.setAAD(Buffer.from(aad));
+     const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+     return Buffer.concat([iv, cipher.getAuthTag(), ciphertext]);
+}
+
+// Throws if the key, the aad or the sealed bytes are wrong
+function open(key, sealed, aad) {
+     const decipher = crypto.createDecipheriv('aes-256-gcm', key, sealed.subarray(0, 12));
+     decipher.setAAD(Buffer.from(aad));
+     decipher.setAuthTag(sealed.subarray(12, 28));
+     return Buffer.concat([decipher.update(sealed.subarray(28)), decipher.final()]);
+}
+
+/**
+ * ECIES over secp256k1 (the curve of every other key in the system): ECDH with an
+ * ephemeral key, HKDF-SHA256 to an AES-256-GCM key. Used to hand a key share to
+ * one holder, and by holders to hand it on to a dispute reviewer.
+ */
+function wrap(publicKeyHex, plaintext) {
+     const ephemeral = ec.genKeyPair();
+     const shared = Buffer.from(ephemeral.derive(ec.keyFromPublic(publicKeyHex, 'hex').getPublic()).toArray('be', 32));
+     const ephemeral_public_key = ephemeral.getPublic('hex');
+     const key = Buffer.from(crypto.hkdfSync('sha256', shared, Buffer.alloc(0), WRAP_INFO, 32));
+     return {
+          ephemeral_public_key,
+          sealed: seal(key, plaintext, ephemeral_public_key).toString('base64')
+     };
+}
+
+function unwrap(privateKeyHex, wrapped) {
+     const shared = Buffer.from(ec.keyFromPrivate(privateKeyHex, 'hex')
+          .derive(ec.keyFromPublic(wrapped.ephemeral_public_key, 'hex').getPublic()).toArray('be', 32));
+     const key = Buffer.from(crypto.hkdfSync('sha256', shared, Buffer.alloc(0), WRAP_INFO, 32));
+     return open(key, Buffer.from(wrapped.sealed, 'base64'), wrapped.ephemeral_public_key);
+}
+
+// GF(256) arithmetic with the AES polynomial, for Shamir secret sharing
+const EXP = new Array(510);
+const LOG = new Array(256);
+for (let i = 0, x = 1; i < 255; i++) {
+     EXP[i] = EXP[i + 255] = x;
+     LOG[x] = i;
+     x ^= (x << 1) ^ (x & 0x80 ? 0x11b : 0);
+     x &= 0xff;
+}
+
+function gfMul(a, b) {
+     return a === 0 || b === 0 ? 0 : EXP[LOG[a] + LOG[b]];
+}
+
+function gfDiv(a, b) {
+     return a === 0 ? 0 : EXP[LOG[a] + 255 - LOG[b]];
+}
+
+/**
+ * Shamir k-of-n split of a secret, byte by byte over GF(256).
+ * Returns n shares { index: 1..n, value: Buffer }; any k of them recover the secret.
+ */
+function split(secret, n, k) {
+     if (!(k >= 1 && k <= n && n <= 255)) {
+          throw new Error(`Invalid threshold ${k} of ${n}`);
+     }
+
+     const shares = Array.from({ length: n }, (_, i) => ({ index: i + 1, value: Buffer.alloc(secret.length) }));
+     for (let byte = 0; byte < secret.length; byte++) {
+          const coefficients = [secret[byte], ...crypto.randomBytes(k - 1)];
+          for (const share of shares) {
+               // Horner evaluation of the polynomial at x = index
+               let y = 0;
+               for (let c = coefficients.length - 1; c >= 0; c--) {
+                    y = gfMul(y, share.index) ^ coefficients[c];
+               }
+               share.value[byte] = y;
+          }
+     }
+     return shares;
+}
+
+// Lagrange interpolation at x = 0; needs at least k distinct shares to give the right secret
+function combine(shares) {
+     const secret = Buffer.alloc(shares[0].value.length);
+     for (let byte = 0; byte < secret.length; byte++) {
+          let y = 0;
+          for (const share of shares) {
+               let basis = 1;
+               for (const other of shares) {
+                    if (other.index !== share.index) {
+                         basis = gfMul(basis, gfDiv(other.index, other.index ^ share.index));
+                    }
+               }
+               y ^= gfMul(share.value[byte], basis);
+          }
+          secret[byte] = y;
+     }
+     return secret;
+}
+
+module.exports = {
+     seal,
+     open,
+     wrap,
+     unwrap,
+     split,
+     combine
+};
@@ -0,0 +1,94 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { seal, split, wrap } = require('./crypto');
+
+const DEFAULT_CONFIG_PATH = path.join(__dirname, '../escrow_holders.json');
+
+/**
+ * Key escrow for data kept encrypted at rest (evidence blobs, rich delivery metadata).
+ * Each item is sealed under its own data key, which is split k-of-n (Shamir) across
+ * the escrow holders: the configured holders (operator, compliance officer, ...) plus
+ * the customer when they have a registered key. Every share is wrapped to its holder's
+ * secp256k1 public key and the data key itself is discarded, so the server cannot
+ * decrypt anything on its own.
+ *
+ * A dispute reviewer opens an unlock request for an order; each holder unwraps their
+ * share locally and re-wraps it to the reviewer's key. Once k holders have approved,
+ * the reviewer can rebuild the data keys (see scripts/escrow.js).
+ *
+ * Holders come from ESCROW_CONFIG_PATH (default backend/escrow_holders.json):
+ *   { "threshold": 2, "holders": [{ "holder_id", "role", "public_key" }] }
+ * which `npm run escrow -- keygen` writes with local test keys. Without it, nothing is sealed.
+ */
+class EscrowService {
+     constructor() {
+          this.configPath = path.resolve(__dirname, '..', process.env.ESCROW_CONFIG_PATH || DEFAULT_CONFIG_PATH);
+          this.threshold = null;
+          this.holders = [];
+     }
+
+     get enabled() {
+          return this.threshold !== null;
+     }
+
+     init() {
+          if (!fs.existsSync(this.configPath)) {
+               console.log(`⚠️  Escrow disabled: no holder config at ${this.configPath}; evidence is stored unencrypted`);
+               return false;
+          }
+
+          const { threshold, holders } = JSON.parse(fs.readFileSync(this.configPath, 'utf8'));
+          if (!Array.isArray(holders) || holders.some(holder => !holder.holder_id || !holder.role || !holder.public_key)) {
+               throw new Error(`Escrow config ${this.configPath} needs holders with holder_id, role and public_key`);
+          }
+          // The configured holders alone must be able to reach the threshold, so customers without a key don't lock data away
+          if (!Number.isInteger(threshold) || threshold < 1 || threshold > holders.length) {
+               throw new Error(`Escrow threshold must be an integer between 1 and ${holders.length}`);
+          }
+
+          this.threshold = threshold;
+          this.holders = holders;
+          console.log(`🔐 Evidence escrow: ${threshold} of ${holders.length} holders (${holders.map(holder => holder.role).join(', ')}) + customer`);
+          return true;
+     }
+
+     /**
+      * Seal plaintext under a fresh data key shared across the holders.
+      * @param {object} subject - order_id, subject ('evidence' | 'metadata'), subject_id and the customer's
+      *                           active key row (or null), whose public key receives one more share
+      * @returns {{ sealed: Buffer, key: object }} the ciphertext and the key record to store with it
+      */
+     seal(plaintext, { order_id, subject, subject_id, customerKey = null }) {
+          const holders = customerKey
+               ? [...this.holders, { holder_id: customerKey.customer_id, role: 'customer', public_key: customerKey.public_key }]
+               : this.holders;
+
+          const dataKey = crypto.randomBytes(32);
+          const sealed = seal(dataKey, plaintext, `${subject}:${subject_id}`);
+          const shares = split(dataKey, holders.length, this.threshold).map((share, i) => ({
+               holder_id: holders[i].holder_id,
+               holder_role: holders[i].role,
+               holder_public_key: holders[i].public_key,
+               share_index: share.index,
+               wrapped_share: JSON.stringify(wrap(holders[i].public_key, share.value))
+          }));
+          dataKey.fill(0);
+
+          return {
+               sealed,
+               key: {
+                    key_id: `key_${crypto.randomBytes(8).toString('hex')}`,
+                    order_id,
+                    subject,
+                    subject_id,
+                    threshold: this.threshold,
+                    share_count: shares.length,
+                    created_at: Date.now(),
+                    shares
+               }
+          };
+     }
+}
+
+module.exports = new EscrowService();
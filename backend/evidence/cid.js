@@ -0,0 +1,69 @@
+/**
+ * IPFS CIDv1 for raw blobs hashed with sha2-256, in the default base32 multibase
+ * ("bafkrei..."), so evidence addresses resolve on any IPFS gateway that has the blob.
+ *
+ *   <multibase 'b'> base32( <version 0x01> <codec raw 0x55> <sha2-256 0x12> <length 0x20> <digest> )
+ */
+const ALPHABET = 'abcdefghijklmnopqrstuvwxyz234567';
+const PREFIX = Buffer.from([0x01, 0x55, 0x12, 0x20]);
+
+function base32Encode(bytes) {
+     let output = '';
+     let buffer = 0;
+     let bits = 0;
+     for (const byte of bytes) {
+          buffer = (buffer << 8) | byte;
+          bits += 8;
+          while (bits >= 5) {
+               output += ALPHABET[(buffer >>> (bits - 5)) & 31];
+               bits -= 5;
+          }
+     }
+     if (bits > 0) {
+          output += ALPHABET[(buffer << (5 - bits)) & 31];
+     }
+     return output;
+}
+
+function base32Decode(text) {
+     const bytes = [];
+     let buffer = 0;
+     let bits = 0;
+     for (const char of text) {
+          const value = ALPHABET.indexOf(char);
+          if (value === -1) {
+               return null;
+          }
+          buffer = (buffer << 5) | value;
+          bits += 5;
+          if (bits >= 8) {
+               bytes.push((buffer >>> (bits - 8)) & 255);
+               bits -= 8;
+          }
+     }
+     return Buffer.from(bytes);
+}
+
+// sha256 digest (hex) -> CID string
+function fromSha256(hex) {
+     return 'b' + base32Encode(Buffer.concat([PREFIX, Buffer.from(hex, 'hex')]));
+}
+
+// CID string -> sha256 digest (hex), or null for anything but a raw sha2-256 CIDv1
+function toSha256(cid) {
+     if (typeof cid !== 'string' || !cid.startsWith('b')) {
+          return null;
+     }
+     const bytes = base32Decode(cid.slice(1));
+     if (!bytes || bytes.length !== PREFIX.length + 32 || !bytes.subarray(0, PREFIX.length).equals(PREFIX)) {
+          return null;
+     }
+     const hex = bytes.subarray(PREFIX.length).toString('hex');
+     // Reject non-canonical encodings (trailing characters or padding bits)
+     return fromSha256(hex) === cid ? hex : null;
+}
+
+module.exports = {
+     fromSha256,
+     toSha256
+};
@@ -0,0 +1,96 @@
+const crypto = require('crypto');
+const LocalEvidenceStore = require('./local');
+const cid = require('./cid');
+
+/**
+ * Evidence (delivery photos and other attachments) is content-addressed: a blob is
+ * stored and fetched by the hash of its bytes, so an address in a signed delivery
+ * event pins exactly one file. Blob stores share one interface:
+ *
+ *   name                   store id
+ *   init()                 prepare the store
+ *   put(sha256, content)   store a blob under its sha256 digest (hex); must be safe to repeat
+ *   get(sha256)            -> Buffer, or null when the blob is missing
+ *   delete(sha256)         remove a blob (retention purges); -> false when it was missing
+ *
+ * Addresses are `sha256:<hex>` by default, or IPFS CIDv1 strings with
+ * EVIDENCE_ADDRESSING=cid. Both forms are accepted when reading.
+ */
+const STORES = {
+     'local': LocalEvidenceStore
+};
+
+const ADDRESSING = {
+     'sha256': {
+          fromSha256: hex => 'sha256:' + hex,
+          toSha256: address => /^sha256:[0-9a-f]{64}$/.test(address) ? address.slice(7) : null
+     },
+     'cid': cid
+};
+
+/**
+ * Content-addressed evidence storage over the blob store selected by EVIDENCE_STORE (default: local).
+ */
+class EvidenceStore {
+     constructor() {
+          const name = process.env.EVIDENCE_STORE || 'local';
+          const Store = STORES[name];
+          if (!Store) {
+               throw new Error(`Unknown EVIDENCE_STORE "${name}" (expected one of: ${Object.keys(STORES).join(', ')})`);
+          }
+
+          this.addressing = process.env.EVIDENCE_ADDRESSING || 'sha256';
+          if (!ADDRESSING[this.addressing]) {
+               throw new Error(`Unknown EVIDENCE_ADDRESSING "${this.addressing}" (expected one of: ${Object.keys(ADDRESSING).join(', ')})`);
+          }
+          this.blobs = new Store();
+     }
+
+     async init() {
+          await this.blobs.init();
+     }
+
+     // sha256 digest (hex) of an address in any supported form, or null if it is not an evidence address
+     digestOf(address) {
+          for (const scheme of Object.values(ADDRESSING)) {
+               const sha256 = scheme.toSha256(address);
+               if (sha256) {
+                    return sha256;
+               }
+          }
+          return null;
+     }
+
+     // { address, sha256, size } a blob is stored under
+     addressOf(content) {
+          const sha256 = crypto.createHash('sha256').update(content).digest('hex');
+          return { address: ADDRESSING[this.addressing].fromSha256(sha256), sha256, size: content.length };
+     }
+
+     // Store a blob; resolves to its addressOf()
+     async put(content) {
+          const stored = this.addressOf(content);
+          await this.blobs.put(stored.sha256, content);
+          return stored;
+     }
+
+     async delete(address) {
+          const sha256 = this.digestOf(address);
+          return sha256 ? await this.blobs.delete(sha256) : false;
+     }
+
+     // Fetch a blob by address; throws if the stored bytes no longer match their hash
+     async get(address) {
+          const sha256 = this.digestOf(address);
+          const content = sha256 && await this.blobs.get(sha256);
+          if (!content) {
+               return null;
+          }
+          if (crypto.createHash('sha256').update(content).digest('hex') !== sha256) {
+               throw new Error(`Stored evidence ${address} does not match its hash`);
+          }
+          return content;
+     }
+}
+
+module.exports = new EvidenceStore();
@@ -0,0 +1,63 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_EVIDENCE_DIR = path.join(__dirname, '../evidence_store');
+
+/**
+ * Evidence blobs on local disk, one file per sha256 digest (<dir>/<first two hex>/<digest>).
+ * Files are written under a temporary name and renamed into place, so a blob is
+ * either fully stored or absent; storing the same content twice is a no-op.
+ */
+class LocalEvidenceStore {
+     constructor() {
+          this.name = 'local';
+          this.dir = path.resolve(__dirname, '..', process.env.EVIDENCE_DIR || DEFAULT_EVIDENCE_DIR);
+     }
+
+     async init() {
+          await fs.promises.mkdir(this.dir, { recursive: true });
+          console.log(`✅ Evidence store initialized (${this.dir})`);
+     }
+
+     pathFor(sha256) {
+          return path.join(this.dir, sha256.slice(0, 2), sha256);
+     }
+
+     async put(sha256, content) {
+          const target = this.pathFor(sha256);
+          if (fs.existsSync(target)) {
+               return;
+          }
+          await fs.promises.mkdir(path.dirname(target), { recursive: true });
+          const temporary = `${target}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+          await fs.promises.writeFile(temporary, content);
+          await fs.promises.rename(temporary, target);
+     }
+
+     // Resolves to false if there was nothing to delete
+     async delete(sha256) {
+          try {
+               await fs.promises.unlink(this.pathFor(sha256));
+               return true;
+          } catch (error) {
+               if (error.code === 'ENOENT') {
+                    return false;
+               }
+               throw error;
+          }
+     }
+
+     async get(sha256) {
+          try {
+               return await fs.promises.readFile(this.pathFor(sha256));
+          } catch (error) {
+               if (error.code === 'ENOENT') {
+                    return null;
+               }
+               throw error;
+          }
+     }
+}
+
+module.exports = LocalEvidenceStore;
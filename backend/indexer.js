@@ -0,0 +1,215 @@
+const db = require('./db');
+
+const POLL_INTERVAL_MS = parseInt(process.env.INDEXER_POLL_INTERVAL_MS || '5000');
+const MAX_BLOCK_RANGE = parseInt(process.env.INDEXER_MAX_BLOCK_RANGE || '2000');
+const REORG_DEPTH = parseInt(process.env.INDEXER_REORG_DEPTH || '64');
+
+const INDEXED_EVENTS = ['AnchorStored', 'MerkleRootStored'];
+
+/**
+ * Follows AnchorRegistry logs and mirrors them into chain_anchor_logs so anchors can
+ * be reconciled against the DB without trusting the tx_hash written at anchoring time.
+ *
+ * The hash of every indexed block is kept for the last REORG_DEPTH blocks. Each poll
+ * first checks that the first new block's parent hash is the cursor's stored hash; if
+ * not, it walks back through the stored hashes to the newest block still on the chain,
+ * rewinds to it and re-indexes from there.
+ */
+class ChainIndexer {
+     constructor() {
+          this.contract = null;
+          this.provider = null;
+          this.startBlock = 0;
+          this.timer = null;
+          this.polling = false;
+     }
+
+     async start(contract, provider, deployment) {
+          this.contract = contract;
+          this.provider = provider;
+          this.startBlock = deployment.deployBlock || 0;
+
+          const cursor = await db.getIndexerCursor();
+          console.log(`🔎 Chain indexer resuming from block ${cursor ? cursor.block_number + 1 : this.startBlock}`);
+
+          await this.poll().catch((error) => {
+               console.error('Chain indexing failed:', error.message);
+          });
+          this.timer = setInterval(() => {
+               this.poll().catch((error) => {
+                    console.error('Chain indexing failed:', error.message);
+               });
+          }, POLL_INTERVAL_MS);
+     }
+
+     stop() {
+          if (this.timer) {
+               clearInterval(this.timer);
+               this.timer = null;
+          }
+     }
+
+     async poll() {
+          if (!this.contract || this.polling) {
+               return;
+          }
+
+          this.polling = true;
+          try {
+               const head = await this.provider.getBlockNumber();
+               await this.handleReorg(head);
+
+               const cursor = await db.getIndexerCursor();
+               let from = cursor ? cursor.block_number + 1 : this.startBlock;
+               // A poll that failed part-way may have left logs above the cursor from blocks since replaced
+               await db.rewindIndex(from - 1);
+
+               while (from <= head) {
+                    const to = Math.min(from + MAX_BLOCK_RANGE - 1, head);
+                    await this.indexRange(from, to, head);
+                    from = to + 1;
+               }
+
+               await db.pruneIndexedBlocks(head - REORG_DEPTH);
+          } finally {
+               this.polling = false;
+          }
+     }
+
+     async indexRange(from, to, head) {
+          // Every block within REORG_DEPTH of the head is kept, each checked to build on the one before it
+          const blocks = new Map();
+          const windowStart = Math.max(from, head - REORG_DEPTH + 1);
+          let parentHash = windowStart === from ? (await db.getIndexerCursor())?.block_hash : null;
+          for (let number = windowStart; number <= to; number++) {
+               const block = await this.provider.getBlock(number);
+               if (!block || (parentHash && block.parentHash !== parentHash)) {
+                    throw new Error(`Chain reorganized at block ${number} while indexing; retrying next poll`);
+               }
+               blocks.set(number, block);
+               parentHash = block.hash;
+          }
+
+          const topics = INDEXED_EVENTS.map(name => this.contract.interface.getEvent(name).topicHash);
+          const logs = await this.provider.getLogs({
+               address: await this.contract.getAddress(),
+               fromBlock: from,
+               toBlock: to,
+               topics: [topics]
+          });
+
+          for (const log of logs) {
+               if (!blocks.has(log.blockNumber)) {
+                    blocks.set(log.blockNumber, await this.provider.getBlock(log.blockNumber));
+               }
+               const block = blocks.get(log.blockNumber);
+               if (!block || block.hash !== log.blockHash) {
+                    throw new Error(`Chain reorganized at block ${log.blockNumber} while indexing; retrying next poll`);
+               }
+               const parsed = this.contract.interface.parseLog(log);
+               const isBatch = parsed.name === 'MerkleRootStored';
+
+               await db.recordChainLog({
+                    tx_hash: log.transactionHash,
+                    log_index: log.index,
+                    contract_address: log.address,
+                    event_name: parsed.name,
+                    anchor_hash: parsed.args[0],
+                    actor: parsed.args.actor,
+                    event_id: isBatch ? null : parsed.args.eventId,
+                    batch_id: isBatch ? parsed.args.batchId : null,
+                    leaf_count: isBatch ? Number(parsed.args.leafCount) : 1,
+                    block_number: log.blockNumber,
+                    block_hash: block.hash,
+                    block_timestamp: block.timestamp
+               });
+          }
+
+          // Stored last, so the cursor only moves once the range's logs are in
+          for (let number = windowStart; number <= to; number++) {
+               await db.recordIndexedBlock(number, blocks.get(number).hash);
+          }
+          if (windowStart > to) {
+               const last = blocks.get(to) || await this.provider.getBlock(to);
+               await db.recordIndexedBlock(to, last.hash);
+          }
+
+          if (logs.length > 0) {
+               console.log(`🔎 Indexed ${logs.length} anchor log(s) in blocks ${from}-${to}`);
+          }
+     }
+
+     async handleReorg(head) {
+          const cursor = await db.getIndexerCursor();
+          if (!cursor) {
+               return;
+          }
+
+          // The first new block must build on the cursor; with none yet, the cursor itself must still be on the chain
+          const next = cursor.block_number < head ? await this.provider.getBlock(cursor.block_number + 1) : null;
+          const cursorHash = next ? next.parentHash : (await this.provider.getBlock(cursor.block_number))?.hash;
+          if (cursorHash === cursor.block_hash) {
+               return;
+          }
+
+          // Walk back to the newest stored block still on the canonical chain
+          let ancestor = this.startBlock - 1;
+          for (const block of await db.getIndexedBlocks()) {
+               if (await this.isCanonical(block)) {
+                    ancestor = block.block_number;
+                    break;
+               }
+          }
+
+          const dropped = await db.rewindIndex(ancestor);
+          console.warn(`⚠️  Chain reorg detected at block ${cursor.block_number}; rewound index to block ${ancestor} (${dropped} log(s) dropped)`);
+     }
+
+     async isCanonical(indexedBlock) {
+          const block = await this.provider.getBlock(indexedBlock.block_number);
+          return !!block && block.hash === indexedBlock.block_hash;
+     }
+
+     /**
+      * Compare anchored DB events with indexed logs of the current registry.
+      */
+     async reconcile(contractAddress) {
+          const cursor = await db.getIndexerCursor();
+          const indexedThrough = cursor ? cursor.block_number : this.startBlock - 1;
+
+          const missing = await db.getAnchoredEventsWithoutLog(contractAddress, indexedThrough);
+          const orphans = await db.getChainLogsWithoutEvent(contractAddress);
+
+          return {
+               generated_at: new Date().toISOString(),
+               contract_address: contractAddress,
+               indexed_through_block: indexedThrough,
+               summary: {
+                    events_missing_log: missing.length,
+                    logs_without_event: orphans.length
+               },
+               events_missing_log: missing.map(row => ({
+                    event_id: row.event_id,
+                    batch_id: row.batch_id,
+                    anchored_hash: row.anchored_hash,
+                    claimed_tx_hash: row.tx_hash,
+                    claimed_block_number: row.block_number,
+                    anchored_at: row.anchored_at,
+                    // Set when the hash is on-chain but in a different transaction than the DB claims
+                    log_tx_hash: row.log_tx_hash
+               })),
+               logs_without_event: orphans.map(row => ({
+                    event_name: row.event_name,
+                    anchor_hash: row.anchor_hash,
+                    event_id: row.event_id,
+                    batch_id: row.batch_id,
+                    actor: row.actor,
+                    tx_hash: row.tx_hash,
+                    block_number: row.block_number,
+                    block_timestamp: new Date(row.block_timestamp * 1000).toISOString()
+               }))
+          };
+     }
+}
+
+module.exports = new ChainIndexer();
@@ -0,0 +1,90 @@
+const crypto = require('crypto');
+
+// Domain separation prefixes so an interior node can never be passed off as a leaf
+const LEAF_PREFIX = Buffer.from([0x00]);
+const NODE_PREFIX = Buffer.from([0x01]);
+
+function toBuffer(hash) {
+     return Buffer.from(hash.replace(/^0x/, ''), 'hex');
+}
+
+function toHex(buffer) {
+     return '0x' + buffer.toString('hex');
+}
+
+function hashLeaf(anchorHash) {
+     return crypto.createHash('sha256').update(Buffer.concat([LEAF_PREFIX, toBuffer(anchorHash)])).digest();
+}
+
+function hashNode(left, right) {
+     return crypto.createHash('sha256').update(Buffer.concat([NODE_PREFIX, left, right])).digest();
+}
+
+/**
+ * Build a Merkle tree over a list of event anchor hashes (0x-prefixed SHA256 hex).
+ * The last node of an odd level is promoted to the next level unchanged, so leaves under
+ * it get no proof step there. Duplicating it instead would give [a, b, c] and
+ * [a, b, c, c] the same root.
+ * @returns {{ root: string, proofs: Array<Array<{ position: string, hash: string }>> }}
+ */
+function buildTree(anchorHashes) {
+     if (!anchorHashes.length) {
+          throw new Error('Cannot build Merkle tree with no leaves');
+     }
+
+     let level = anchorHashes.map(hashLeaf);
+     // positions[i] tracks which node on the current level leaf i descends into
+     const positions = anchorHashes.map((_, i) => i);
+     const proofs = anchorHashes.map(() => []);
+
+     while (level.length > 1) {
+          for (let i = 0; i < proofs.length; i++) {
+               const index = positions[i];
+               const isRight = index % 2 === 1;
+               if (isRight || index + 1 < level.length) {
+                    const sibling = level[isRight ? index - 1 : index + 1];
+                    proofs[i].push({ position: isRight ? 'left' : 'right', hash: toHex(sibling) });
+               }
+               positions[i] = Math.floor(index / 2);
+          }
+
+          const next = [];
+          for (let i = 0; i < level.length; i += 2) {
+               next.push(i + 1 < level.length ? hashNode(level[i], level[i + 1]) : level[i]);
+          }
+          level = next;
+     }
+
+     return { root: toHex(level[0]), proofs };
+}
+
+/**
+ * Recompute the root from a leaf anchor hash and its inclusion proof. A step pairing a
+ * node with itself only comes from duplicate padding, which buildTree never produces,
+ * and is rejected.
+ */
+function computeRoot(anchorHash, proof) {
+     let node = hashLeaf(anchorHash);
+     for (const step of proof) {
+          const sibling = toBuffer(step.hash);
+          if (sibling.equals(node)) {
+               throw new Error('Inclusion proof pairs a node with itself');
+          }
+          node = step.position === 'left' ? hashNode(sibling, node) : hashNode(node, sibling);
+     }
+     return toHex(node);
+}
+
+function verifyProof(anchorHash, proof, root) {
+     try {
+          return computeRoot(anchorHash, proof).toLowerCase() === root.toLowerCase();
+     } catch (error) {
+          return false;
+     }
+}
+
+module.exports = {
+     buildTree,
+     computeRoot,
+     verifyProof
+};
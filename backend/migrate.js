@@ -0,0 +1,60 @@
+#!/usr/bin/env node
+require('dotenv').config();
+
+/**
+ * Schema migration CLI, against the database configured by DB_CLIENT/DB_PATH/DATABASE_URL.
+ *
+ *   node migrate.js [up] [--to=<version>]               apply pending migrations
+ *   node migrate.js down [--steps=<n>|--to=<version>]   revert migrations (default: the last one)
+ *   node migrate.js status                              show applied and pending migrations
+ */
+
+const db = require('./db');
+const migrations = require('./migrations');
+
+function printStatus(state) {
+     console.log(`Schema version: ${state.current} (latest known: ${state.latest})`);
+     for (const row of state.applied) {
+          const marker = state.unknown.includes(row) ? '❓' : '✅';
+          console.log(`  ${marker} ${migrations.label(row)}  applied ${new Date(row.applied_at).toISOString()}`);
+     }
+     for (const migration of state.pending) {
+          console.log(`  ⏳ ${migrations.label(migration)}  pending`);
+     }
+     if (state.unknown.length > 0) {
+          console.log('❓ marks migrations recorded by a newer build; this build cannot run against the database.');
+     }
+}
+
+async function main() {
+     const args = process.argv.slice(2);
+     const command = args.find(arg => !arg.startsWith('--')) || 'up';
+     const to = args.find(arg => arg.startsWith('--to='))?.split('=')[1];
+     const steps = args.find(arg => arg.startsWith('--steps='))?.split('=')[1];
+     const target = to !== undefined ? parseInt(to, 10) : undefined;
+
+     if (!['up', 'down', 'status'].includes(command) || Number.isNaN(target) || (steps !== undefined && !(parseInt(steps, 10) > 0))) {
+          console.error('❌ Usage: node migrate.js [up|down|status] [--to=<version>] [--steps=<n>]');
+          process.exit(2);
+     }
+
+     await db.connect();
+     try {
+          if (command === 'status') {
+               printStatus(await migrations.status(db));
+          } else if (command === 'up') {
+               const applied = await migrations.migrate(db, { target });
+               console.log(applied.length > 0 ? `✅ Applied ${applied.length} migration(s)` : '✅ Already up to date');
+          } else {
+               const reverted = await migrations.rollback(db, { target, steps: steps ? parseInt(steps, 10) : 1 });
+               console.log(reverted.length > 0 ? `✅ Reverted ${reverted.length} migration(s)` : '✅ Nothing to revert');
+          }
+     } finally {
+          await db.close();
+     }
+}
+
+main().catch((error) => {
+     console.error('❌ Migration failed:', error.message);
+     process.exit(1);
+});
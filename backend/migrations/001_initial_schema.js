@@ -0,0 +1,226 @@
+/**
+ * Baseline schema. Also upgrades databases created by the pre-migration
+ * createTables(): tables that already exist get any missing columns added, and
+ * the old single-key dp_keys table is rebuilt with a key_version column.
+ */
+
+// Created in this order so foreign keys resolve on PostgreSQL; dropped in reverse
+const TABLES = [
+     {
+          name: 'sessions',
+          columns: [
+               ['session_id', 'TEXT PRIMARY KEY'],
+               ['customer_id', 'TEXT NOT NULL'],
+               ['order_id', 'TEXT NOT NULL'],
+               ['ephemeral_token', 'TEXT NOT NULL'],
+               ['token_type', `TEXT DEFAULT 'BLE'`],
+               ['token_seed', 'TEXT'],
+               ['rotation_seconds', 'INTEGER'],
+               ['requires_cosignature', 'INTEGER DEFAULT 0'],
+               ['qr_payload', 'TEXT'],
+               ['created_at', 'BIGINT NOT NULL'],
+               ['expires_at', 'BIGINT NOT NULL'],
+               ['status', `TEXT DEFAULT 'active'`]
+          ]
+     },
+     {
+          name: 'challenges',
+          columns: [
+               ['challenge_id', 'TEXT PRIMARY KEY'],
+               ['session_id', 'TEXT NOT NULL'],
+               ['dp_id', 'TEXT NOT NULL'],
+               ['challenge_nonce', 'TEXT NOT NULL'],
+               ['created_at', 'BIGINT NOT NULL'],
+               ['expires_at', 'BIGINT NOT NULL'],
+               ['used', 'INTEGER DEFAULT 0']
+          ],
+          constraints: ['FOREIGN KEY (session_id) REFERENCES sessions(session_id)']
+     },
+     {
+          name: 'anchor_batches',
+          columns: [
+               ['batch_id', 'TEXT PRIMARY KEY'],
+               ['merkle_root', 'TEXT NOT NULL'],
+               ['event_count', 'INTEGER NOT NULL'],
+               ['created_at', 'BIGINT NOT NULL'],
+               ['tx_hash', 'TEXT'],
+               ['block_number', 'INTEGER'],
+               ['anchored_at', 'TEXT'],
+               ['anchor_backend', 'TEXT'],
+               ['anchor_network', 'TEXT'],
+               ['anchor_receipt', 'TEXT'],
+               ['status', `TEXT DEFAULT 'pending'`]
+          ]
+     },
+     {
+          name: 'delivery_events',
+          columns: [
+               ['event_id', 'TEXT PRIMARY KEY'],
+               ['session_id', 'TEXT NOT NULL'],
+               ['order_id', 'TEXT NOT NULL'],
+               ['customer_id', 'TEXT NOT NULL'],
+               ['dp_id', 'TEXT NOT NULL'],
+               ['ephemeral_token_hash', 'TEXT NOT NULL'],
+               ['challenge_nonce', 'TEXT NOT NULL'],
+               ['dp_signature', 'TEXT NOT NULL'],
+               ['dp_signed_message', 'TEXT'],
+               ['dp_key_version', 'INTEGER'],
+               ['customer_signature', 'TEXT'],
+               ['token_channel', 'TEXT'],
+               ['evidence_hashes', 'TEXT'],
+               ['timestamp', 'TEXT NOT NULL'],
+               ['backend_received_at', 'TEXT NOT NULL'],
+               ['anchor_hash', 'TEXT'],
+               ['batch_id', 'TEXT'],
+               ['merkle_root', 'TEXT'],
+               ['merkle_proof', 'TEXT'],
+               ['leaf_index', 'INTEGER'],
+               ['tx_hash', 'TEXT'],
+               ['anchored_at', 'TEXT'],
+               ['anchor_backend', 'TEXT'],
+               ['anchor_network', 'TEXT'],
+               ['status', `TEXT DEFAULT 'pending'`]
+          ],
+          constraints: [
+               'FOREIGN KEY (session_id) REFERENCES sessions(session_id)',
+               'FOREIGN KEY (batch_id) REFERENCES anchor_batches(batch_id)'
+          ]
+     },
+     {
+          name: 'anchor_jobs',
+          columns: [
+               ['event_id', 'TEXT PRIMARY KEY'],
+               ['status', `TEXT DEFAULT 'pending'`],
+               ['attempts', 'INTEGER DEFAULT 0'],
+               ['last_error', 'TEXT'],
+               ['batch_id', 'TEXT'],
+               ['next_attempt_at', 'BIGINT NOT NULL'],
+               ['created_at', 'BIGINT NOT NULL'],
+               ['updated_at', 'BIGINT NOT NULL']
+          ],
+          constraints: ['FOREIGN KEY (event_id) REFERENCES delivery_events(event_id)']
+     },
+     {
+          name: 'dp_keys',
+          columns: [
+               ['dp_id', 'TEXT NOT NULL'],
+               ['key_version', 'INTEGER NOT NULL DEFAULT 1'],
+               ['public_key', 'TEXT NOT NULL'],
+               ['key_type', `TEXT DEFAULT 'secp256k1'`],
+               ['registered_at', 'BIGINT NOT NULL'],
+               ['status', `TEXT DEFAULT 'active'`],
+               ['rotated_at', 'BIGINT'],
+               ['revoked_at', 'BIGINT'],
+               ['revocation_reason', 'TEXT'],
+               ['revocation_effective_at', 'BIGINT']
+          ],
+          constraints: ['PRIMARY KEY (dp_id, key_version)']
+     },
+     {
+          name: 'customer_keys',
+          columns: [
+               ['customer_id', 'TEXT PRIMARY KEY'],
+               ['public_key', 'TEXT NOT NULL'],
+               ['key_type', `TEXT DEFAULT 'secp256k1'`],
+               ['registered_at', 'BIGINT NOT NULL'],
+               ['status', `TEXT DEFAULT 'active'`]
+          ]
+     },
+     {
+          name: 'auth_nonces',
+          columns: [
+               ['nonce', 'TEXT PRIMARY KEY'],
+               ['role', 'TEXT NOT NULL'],
+               ['subject_id', 'TEXT NOT NULL'],
+               ['created_at', 'BIGINT NOT NULL'],
+               ['expires_at', 'BIGINT NOT NULL'],
+               ['used', 'INTEGER DEFAULT 0']
+          ]
+     },
+     {
+          name: 'chain_anchor_logs',
+          columns: [
+               ['tx_hash', 'TEXT NOT NULL'],
+               ['log_index', 'INTEGER NOT NULL'],
+               ['contract_address', 'TEXT NOT NULL'],
+               ['event_name', 'TEXT NOT NULL'],
+               ['anchor_hash', 'TEXT NOT NULL'],
+               ['actor', 'TEXT NOT NULL'],
+               ['event_id', 'TEXT'],
+               ['batch_id', 'TEXT'],
+               ['leaf_count', 'INTEGER'],
+               ['block_number', 'INTEGER NOT NULL'],
+               ['block_hash', 'TEXT NOT NULL'],
+               ['block_timestamp', 'BIGINT NOT NULL'],
+               ['indexed_at', 'BIGINT NOT NULL']
+          ],
+          constraints: ['PRIMARY KEY (tx_hash, log_index)']
+     },
+     {
+          name: 'indexed_blocks',
+          columns: [
+               ['block_number', 'INTEGER PRIMARY KEY'],
+               ['block_hash', 'TEXT NOT NULL']
+          ]
+     }
+];
+
+const INDEXES = [
+     'CREATE INDEX IF NOT EXISTS idx_sessions_customer ON sessions(customer_id)',
+     'CREATE INDEX IF NOT EXISTS idx_sessions_expires ON sessions(expires_at)',
+     'CREATE INDEX IF NOT EXISTS idx_challenges_session ON challenges(session_id)',
+     'CREATE INDEX IF NOT EXISTS idx_events_session ON delivery_events(session_id)',
+     'CREATE INDEX IF NOT EXISTS idx_events_dp ON delivery_events(dp_id)',
+     'CREATE INDEX IF NOT EXISTS idx_events_anchor ON delivery_events(anchor_hash)',
+     'CREATE INDEX IF NOT EXISTS idx_events_status ON delivery_events(status)',
+     'CREATE INDEX IF NOT EXISTS idx_events_batch ON delivery_events(batch_id)',
+     'CREATE INDEX IF NOT EXISTS idx_anchor_jobs_due ON anchor_jobs(status, next_attempt_at)',
+     'CREATE INDEX IF NOT EXISTS idx_chain_logs_anchor ON chain_anchor_logs(anchor_hash)',
+     'CREATE INDEX IF NOT EXISTS idx_chain_logs_block ON chain_anchor_logs(block_number)'
+];
+
+function createTableSql(table, name = table.name) {
+     const lines = table.columns.map(([column, type]) => `${column} ${type}`).concat(table.constraints || []);
+     return `CREATE TABLE ${name} (\n        ${lines.join(',\n        ')}\n      )`;
+}
+
+// Pre-versioning dp_keys was keyed by dp_id alone; existing keys become version 1
+async function rebuildLegacyDpKeys(db, table) {
+     await db.run('ALTER TABLE dp_keys RENAME TO dp_keys_legacy');
+     await db.run(createTableSql(table));
+     await db.run(
+          `INSERT INTO dp_keys (dp_id, key_version, public_key, key_type, registered_at, status)
+       SELECT dp_id, 1, public_key, key_type, registered_at, status FROM dp_keys_legacy`
+     );
+     await db.run('DROP TABLE dp_keys_legacy');
+}
+
+module.exports = {
+     async up(db) {
+          for (const table of TABLES) {
+               const existing = await db.columns(table.name);
+
+               if (existing.length === 0) {
+                    await db.run(createTableSql(table));
+               } else if (table.name === 'dp_keys' && !existing.includes('key_version')) {
+                    await rebuildLegacyDpKeys(db, table);
+               } else {
+                    for (const [column, type] of table.columns) {
+                         if (!existing.includes(column)) {
+                              await db.run(`ALTER TABLE ${table.name} ADD COLUMN ${column} ${type}`);
+                         }
+                    }
+               }
+          }
+
+          for (const index of INDEXES) {
+               await db.run(index);
+          }
+     },
+
+     async down(db) {
+          for (const table of [...TABLES].reverse()) {
+               await db.run(`DROP TABLE IF EXISTS ${table.name}`);
+          }
+     }
+};
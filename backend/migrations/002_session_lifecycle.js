@@ -0,0 +1,32 @@
+/**
+ * Session lifecycle: every status change (created, extended, cancelled, expired,
+ * completed) is logged with its actor, and the sweeper stamps challenges that
+ * expired unused.
+ */
+module.exports = {
+     async up(db) {
+          await db.run(
+               `CREATE TABLE session_transitions (
+        transition_id TEXT PRIMARY KEY,
+        session_id TEXT NOT NULL,
+        from_status TEXT,
+        to_status TEXT NOT NULL,
+        actor_role TEXT NOT NULL,
+        actor_id TEXT NOT NULL,
+        reason TEXT,
+        details TEXT,
+        created_at BIGINT NOT NULL,
+        FOREIGN KEY (session_id) REFERENCES sessions(session_id)
+      )`
+          );
+          await db.run('CREATE INDEX idx_session_transitions_session ON session_transitions(session_id, created_at)');
+          await db.run('ALTER TABLE challenges ADD COLUMN expired_at BIGINT');
+          await db.run('CREATE INDEX idx_sessions_status_expires ON sessions(status, expires_at)');
+     },
+
+     async down(db) {
+          await db.run('DROP INDEX IF EXISTS idx_sessions_status_expires');
+          await db.run('ALTER TABLE challenges DROP COLUMN expired_at');
+          await db.run('DROP TABLE IF EXISTS session_transitions');
+     }
+};
@@ -0,0 +1,83 @@
+/**
+ * Failed delivery attempts, signed by the DP and optionally anchored. anchor_jobs
+ * gains a subject ('delivery' or 'attempt'), so its event_id may now hold an attempt
+ * id and the foreign key to delivery_events is dropped.
+ */
+
+const JOB_COLUMNS = 'event_id, status, attempts, last_error, batch_id, next_attempt_at, created_at, updated_at';
+
+/**
+ * Neither SQLite nor portable SQL can drop a foreign key, so the table is rebuilt:
+ * created under a new name, filled, and swapped in for the old one.
+ */
+async function rebuildAnchorJobs(db, { withSubject }) {
+     const columns = [
+          'event_id TEXT PRIMARY KEY',
+          ...(withSubject ? [`subject TEXT NOT NULL DEFAULT 'delivery'`] : []),
+          `status TEXT DEFAULT 'pending'`,
+          'attempts INTEGER DEFAULT 0',
+          'last_error TEXT',
+          'batch_id TEXT',
+          'next_attempt_at BIGINT NOT NULL',
+          'created_at BIGINT NOT NULL',
+          'updated_at BIGINT NOT NULL',
+          ...(withSubject ? [] : ['FOREIGN KEY (event_id) REFERENCES delivery_events(event_id)'])
+     ];
+
+     await db.run(`CREATE TABLE anchor_jobs_rebuilt (\n        ${columns.join(',\n        ')}\n      )`);
+     await db.run(`INSERT INTO anchor_jobs_rebuilt (${JOB_COLUMNS}) SELECT ${JOB_COLUMNS} FROM anchor_jobs`);
+     await db.run('DROP TABLE anchor_jobs');
+     await db.run('ALTER TABLE anchor_jobs_rebuilt RENAME TO anchor_jobs');
+     await db.run('CREATE INDEX idx_anchor_jobs_due ON anchor_jobs(status, next_attempt_at)');
+}
+
+module.exports = {
+     async up(db) {
+          await db.run(
+               `CREATE TABLE delivery_attempts (
+        attempt_id TEXT PRIMARY KEY,
+        order_id TEXT NOT NULL,
+        session_id TEXT,
+        customer_id TEXT,
+        dp_id TEXT NOT NULL,
+        dp_key_version INTEGER,
+        reason_code TEXT NOT NULL,
+        proximity TEXT NOT NULL,
+        ephemeral_token_hash TEXT,
+        challenge_nonce TEXT,
+        token_channel TEXT,
+        dp_signature TEXT NOT NULL,
+        dp_signed_message TEXT NOT NULL,
+        evidence_hashes TEXT,
+        timestamp TEXT NOT NULL,
+        backend_received_at TEXT NOT NULL,
+        anchor_hash TEXT NOT NULL,
+        batch_id TEXT,
+        merkle_root TEXT,
+        merkle_proof TEXT,
+        leaf_index INTEGER,
+        tx_hash TEXT,
+        anchored_at TEXT,
+        anchor_backend TEXT,
+        anchor_network TEXT,
+        status TEXT DEFAULT 'recorded',
+        FOREIGN KEY (session_id) REFERENCES sessions(session_id),
+        FOREIGN KEY (batch_id) REFERENCES anchor_batches(batch_id)
+      )`
+          );
+          await db.run('CREATE INDEX idx_attempts_order ON delivery_attempts(order_id)');
+          // A signed attempt is recorded once, however often it is resubmitted
+          await db.run('CREATE UNIQUE INDEX idx_attempts_dp_message ON delivery_attempts(dp_id, dp_signed_message)');
+          await db.run('CREATE INDEX idx_events_order ON delivery_events(order_id)');
+
+          await rebuildAnchorJobs(db, { withSubject: true });
+     },
+
+     async down(db) {
+          await db.run(`DELETE FROM anchor_jobs WHERE subject = 'attempt'`);
+          await rebuildAnchorJobs(db, { withSubject: false });
+
+          await db.run('DROP INDEX IF EXISTS idx_events_order');
+          await db.run('DROP TABLE IF EXISTS delivery_attempts');
+     }
+};
@@ -0,0 +1,31 @@
+/**
+ * Evidence uploads: each row ties a content-addressed blob to the session, DP and
+ * challenge it was uploaded for. Deliveries and attempts may only reference
+ * evidence their DP uploaded for that session or order.
+ */
+module.exports = {
+     async up(db) {
+          await db.run(
+               `CREATE TABLE evidence (
+        evidence_id TEXT PRIMARY KEY,
+        address TEXT NOT NULL,
+        sha256 TEXT NOT NULL,
+        size BIGINT NOT NULL,
+        content_type TEXT,
+        session_id TEXT NOT NULL,
+        order_id TEXT NOT NULL,
+        customer_id TEXT NOT NULL,
+        dp_id TEXT NOT NULL,
+        challenge_id TEXT,
+        uploaded_at BIGINT NOT NULL,
+        FOREIGN KEY (session_id) REFERENCES sessions(session_id)
+      )`
+          );
+          await db.run('CREATE UNIQUE INDEX idx_evidence_upload ON evidence(session_id, dp_id, address)');
+          await db.run('CREATE INDEX idx_evidence_address ON evidence(address)');
+     },
+
+     async down(db) {
+          await db.run('DROP TABLE IF EXISTS evidence');
+     }
+};
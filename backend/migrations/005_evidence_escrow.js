@@ -0,0 +1,77 @@
+/**
+ * Escrowed encryption at rest: data keys of sealed evidence and metadata, the
+ * per-holder shares they were split into, and dispute unlock requests with the
+ * holders' approvals (shares re-wrapped to the reviewer).
+ */
+module.exports = {
+     async up(db) {
+          await db.run(
+               `CREATE TABLE sealed_keys (
+        key_id TEXT PRIMARY KEY,
+        order_id TEXT NOT NULL,
+        subject TEXT NOT NULL,
+        subject_id TEXT NOT NULL,
+        threshold INTEGER NOT NULL,
+        share_count INTEGER NOT NULL,
+        created_at BIGINT NOT NULL
+      )`
+          );
+          await db.run('CREATE INDEX idx_sealed_keys_order ON sealed_keys(order_id)');
+          await db.run(
+               `CREATE TABLE key_shares (
+        key_id TEXT NOT NULL,
+        holder_id TEXT NOT NULL,
+        holder_role TEXT NOT NULL,
+        holder_public_key TEXT NOT NULL,
+        share_index INTEGER NOT NULL,
+        wrapped_share TEXT NOT NULL,
+        PRIMARY KEY (key_id, holder_id),
+        FOREIGN KEY (key_id) REFERENCES sealed_keys(key_id)
+      )`
+          );
+
+          await db.run('ALTER TABLE evidence ADD COLUMN key_id TEXT');
+          await db.run('ALTER TABLE evidence ADD COLUMN stored_address TEXT');
+          await db.run('ALTER TABLE delivery_events ADD COLUMN sealed_metadata TEXT');
+          await db.run('ALTER TABLE delivery_attempts ADD COLUMN sealed_metadata TEXT');
+
+          await db.run(
+               `CREATE TABLE unlock_requests (
+        request_id TEXT PRIMARY KEY,
+        order_id TEXT NOT NULL,
+        reviewer_role TEXT NOT NULL,
+        reviewer_id TEXT NOT NULL,
+        reviewer_public_key TEXT NOT NULL,
+        reason TEXT NOT NULL,
+        key_ids TEXT NOT NULL,
+        status TEXT DEFAULT 'pending',
+        created_at BIGINT NOT NULL,
+        unlocked_at BIGINT
+      )`
+          );
+          await db.run(
+               `CREATE TABLE unlock_approvals (
+        request_id TEXT NOT NULL,
+        holder_id TEXT NOT NULL,
+        holder_role TEXT NOT NULL,
+        shares TEXT NOT NULL,
+        signed_message TEXT NOT NULL,
+        signature TEXT NOT NULL,
+        approved_at BIGINT NOT NULL,
+        PRIMARY KEY (request_id, holder_id),
+        FOREIGN KEY (request_id) REFERENCES unlock_requests(request_id)
+      )`
+          );
+     },
+
+     async down(db) {
+          await db.run('DROP TABLE IF EXISTS unlock_approvals');
+          await db.run('DROP TABLE IF EXISTS unlock_requests');
+          await db.run('ALTER TABLE delivery_attempts DROP COLUMN sealed_metadata');
+          await db.run('ALTER TABLE delivery_events DROP COLUMN sealed_metadata');
+          await db.run('ALTER TABLE evidence DROP COLUMN stored_address');
+          await db.run('ALTER TABLE evidence DROP COLUMN key_id');
+          await db.run('DROP TABLE IF EXISTS key_shares');
+          await db.run('DROP TABLE IF EXISTS sealed_keys');
+     }
+};
@@ -0,0 +1,46 @@
+/**
+ * PII retention: per-customer salts for the salted customer reference that events
+ * and attempts commit to instead of the customer id, purge stamps on the rows the
+ * retention job pseudonymizes, and the reports of each purge run.
+ */
+module.exports = {
+     async up(db) {
+          await db.run(
+               `CREATE TABLE customer_salts (
+        customer_id TEXT PRIMARY KEY,
+        salt TEXT NOT NULL,
+        created_at BIGINT NOT NULL
+      )`
+          );
+
+          await db.run('ALTER TABLE delivery_events ADD COLUMN customer_ref TEXT');
+          await db.run('ALTER TABLE delivery_events ADD COLUMN pii_purged_at BIGINT');
+          await db.run('ALTER TABLE delivery_attempts ADD COLUMN customer_ref TEXT');
+          await db.run('ALTER TABLE delivery_attempts ADD COLUMN pii_purged_at BIGINT');
+          await db.run('ALTER TABLE sessions ADD COLUMN pii_purged_at BIGINT');
+          await db.run('ALTER TABLE evidence ADD COLUMN pii_purged_at BIGINT');
+
+          await db.run(
+               `CREATE TABLE retention_runs (
+        run_id TEXT PRIMARY KEY,
+        kind TEXT NOT NULL,
+        subject_ref TEXT,
+        started_at BIGINT NOT NULL,
+        finished_at BIGINT NOT NULL,
+        report TEXT NOT NULL
+      )`
+          );
+          await db.run('CREATE INDEX idx_retention_runs_started ON retention_runs(started_at)');
+     },
+
+     async down(db) {
+          await db.run('DROP TABLE IF EXISTS retention_runs');
+          await db.run('ALTER TABLE evidence DROP COLUMN pii_purged_at');
+          await db.run('ALTER TABLE sessions DROP COLUMN pii_purged_at');
+          await db.run('ALTER TABLE delivery_attempts DROP COLUMN pii_purged_at');
+          await db.run('ALTER TABLE delivery_attempts DROP COLUMN customer_ref');
+          await db.run('ALTER TABLE delivery_events DROP COLUMN pii_purged_at');
+          await db.run('ALTER TABLE delivery_events DROP COLUMN customer_ref');
+          await db.run('DROP TABLE IF EXISTS customer_salts');
+     }
+};
@@ -0,0 +1,52 @@
+/**
+ * Tamper-evident audit log: an append-only table of backend actions where every entry
+ * is hash-chained to the previous one, and checkpoints of the chain head that go
+ * through the anchor job queue (subject 'checkpoint') like delivery events.
+ */
+module.exports = {
+     async up(db) {
+          await db.run(
+               `CREATE TABLE audit_log (
+        seq INTEGER PRIMARY KEY,
+        created_at BIGINT NOT NULL,
+        action TEXT NOT NULL,
+        outcome TEXT NOT NULL,
+        actor_role TEXT,
+        actor_id TEXT,
+        subject_type TEXT,
+        subject_id TEXT,
+        detail TEXT NOT NULL,
+        prev_entry_hash TEXT,
+        entry_hash TEXT NOT NULL
+      )`
+          );
+          await db.run('CREATE INDEX idx_audit_log_subject ON audit_log(subject_type, subject_id)');
+
+          await db.run(
+               `CREATE TABLE audit_checkpoints (
+        checkpoint_id TEXT PRIMARY KEY,
+        seq INTEGER NOT NULL UNIQUE,
+        head_hash TEXT NOT NULL,
+        created_at BIGINT NOT NULL,
+        anchor_hash TEXT NOT NULL,
+        batch_id TEXT,
+        merkle_root TEXT,
+        merkle_proof TEXT,
+        leaf_index INTEGER,
+        tx_hash TEXT,
+        anchored_at TEXT,
+        anchor_backend TEXT,
+        anchor_network TEXT,
+        status TEXT DEFAULT 'pending',
+        FOREIGN KEY (batch_id) REFERENCES anchor_batches(batch_id)
+      )`
+          );
+     },
+
+     async down(db) {
+          await db.run(`DELETE FROM anchor_jobs WHERE subject = 'checkpoint'`);
+          await db.run('DROP TABLE IF EXISTS audit_checkpoints');
+          await db.run('DROP INDEX IF EXISTS idx_audit_log_subject');
+          await db.run('DROP TABLE IF EXISTS audit_log');
+     }
+};
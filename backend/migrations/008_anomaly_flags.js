@@ -0,0 +1,48 @@
+/**
+ * Anomaly detection: the review queue of flags raised by the rules (one per event and
+ * rule), the last coarse position of each DP for the impossible travel rule, and
+ * indexes for the lookups the rules make on every delivery.
+ */
+module.exports = {
+     async up(db) {
+          await db.run(
+               `CREATE TABLE anomaly_flags (
+        flag_id TEXT PRIMARY KEY,
+        event_id TEXT NOT NULL,
+        dp_id TEXT NOT NULL,
+        rule TEXT NOT NULL,
+        severity TEXT NOT NULL,
+        details TEXT NOT NULL,
+        created_at BIGINT NOT NULL,
+        status TEXT DEFAULT 'open',
+        reviewed_by_role TEXT,
+        reviewed_by_id TEXT,
+        review_note TEXT,
+        reviewed_at BIGINT,
+        UNIQUE (event_id, rule),
+        FOREIGN KEY (event_id) REFERENCES delivery_events(event_id)
+      )`
+          );
+          await db.run('CREATE INDEX idx_anomaly_flags_status ON anomaly_flags(status, created_at)');
+
+          await db.run(
+               `CREATE TABLE anomaly_positions (
+        dp_id TEXT PRIMARY KEY,
+        event_id TEXT NOT NULL,
+        observed_at BIGINT NOT NULL,
+        location TEXT NOT NULL
+      )`
+          );
+
+          await db.run('CREATE INDEX idx_audit_log_actor ON audit_log(actor_role, actor_id, created_at)');
+          await db.run('CREATE INDEX idx_dp_keys_public_key ON dp_keys(public_key)');
+     },
+
+     async down(db) {
+          await db.run('DROP INDEX IF EXISTS idx_dp_keys_public_key');
+          await db.run('DROP INDEX IF EXISTS idx_audit_log_actor');
+          await db.run('DROP TABLE IF EXISTS anomaly_positions');
+          await db.run('DROP INDEX IF EXISTS idx_anomaly_flags_status');
+          await db.run('DROP TABLE IF EXISTS anomaly_flags');
+     }
+};
@@ -0,0 +1,25 @@
+/**
+ * Customer enrolment codes: one-time codes an operator issues for a customer id, which
+ * customer key registration must present. Only the code's hash is stored.
+ */
+module.exports = {
+     async up(db) {
+          await db.run(
+               `CREATE TABLE customer_enrolments (
+        code_hash TEXT PRIMARY KEY,
+        customer_id TEXT NOT NULL,
+        issued_by_role TEXT NOT NULL,
+        issued_by_id TEXT NOT NULL,
+        created_at BIGINT NOT NULL,
+        expires_at BIGINT NOT NULL,
+        used_at BIGINT
+      )`
+          );
+          await db.run('CREATE INDEX idx_customer_enrolments_customer ON customer_enrolments(customer_id)');
+     },
+
+     async down(db) {
+          await db.run('DROP INDEX IF EXISTS idx_customer_enrolments_customer');
+          await db.run('DROP TABLE IF EXISTS customer_enrolments');
+     }
+};
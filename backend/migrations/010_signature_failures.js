@@ -0,0 +1,73 @@
+/**
+ * Signature failures: DP proofs and attempts rejected for a bad signature, recorded
+ * with their rejection code when they happen, so the signature_failures anomaly rule
+ * counts rows instead of searching audit detail. anomaly_flags gains a failure_id, and
+ * its event_id may now be null for flags raised on a failure rather than a delivery.
+ */
+
+const FLAG_COLUMNS = 'flag_id, event_id, dp_id, rule, severity, details, created_at, status, ' +
+     'reviewed_by_role, reviewed_by_id, review_note, reviewed_at';
+
+/**
+ * Neither SQLite nor portable SQL can relax NOT NULL, so the table is rebuilt:
+ * created under a new name, filled, and swapped in for the old one.
+ */
+async function rebuildAnomalyFlags(db, { withFailures }) {
+     const columns = [
+          'flag_id TEXT PRIMARY KEY',
+          `event_id TEXT${withFailures ? '' : ' NOT NULL'}`,
+          ...(withFailures ? ['failure_id TEXT'] : []),
+          'dp_id TEXT NOT NULL',
+          'rule TEXT NOT NULL',
+          'severity TEXT NOT NULL',
+          'details TEXT NOT NULL',
+          'created_at BIGINT NOT NULL',
+          `status TEXT DEFAULT 'open'`,
+          'reviewed_by_role TEXT',
+          'reviewed_by_id TEXT',
+          'review_note TEXT',
+          'reviewed_at BIGINT',
+          'UNIQUE (event_id, rule)',
+          ...(withFailures ? ['UNIQUE (failure_id, rule)'] : []),
+          'FOREIGN KEY (event_id) REFERENCES delivery_events(event_id)',
+          ...(withFailures ? ['FOREIGN KEY (failure_id) REFERENCES signature_failures(failure_id)'] : [])
+     ];
+
+     await db.run('DROP INDEX IF EXISTS idx_anomaly_flags_status');
+     await db.run(`CREATE TABLE anomaly_flags_rebuilt (\n        ${columns.join(',\n        ')}\n      )`);
+     await db.run(`INSERT INTO anomaly_flags_rebuilt (${FLAG_COLUMNS}) SELECT ${FLAG_COLUMNS} FROM anomaly_flags`);
+     await db.run('DROP TABLE anomaly_flags');
+     await db.run('ALTER TABLE anomaly_flags_rebuilt RENAME TO anomaly_flags');
+     await db.run('CREATE INDEX idx_anomaly_flags_status ON anomaly_flags(status, created_at)');
+}
+
+module.exports = {
+     async up(db) {
+          await db.run(
+               `CREATE TABLE signature_failures (
+        failure_id TEXT PRIMARY KEY,
+        dp_id TEXT NOT NULL,
+        action TEXT NOT NULL,
+        subject_id TEXT,
+        code TEXT NOT NULL,
+        created_at BIGINT NOT NULL
+      )`
+          );
+          await db.run('CREATE INDEX idx_signature_failures_dp ON signature_failures(dp_id, code, created_at)');
+
+          await rebuildAnomalyFlags(db, { withFailures: true });
+
+          // Only the audit detail search for signature failures used it
+          await db.run('DROP INDEX IF EXISTS idx_audit_log_actor');
+     },
+
+     async down(db) {
+          await db.run('CREATE INDEX idx_audit_log_actor ON audit_log(actor_role, actor_id, created_at)');
+
+          await db.run('DELETE FROM anomaly_flags WHERE event_id IS NULL');
+          await rebuildAnomalyFlags(db, { withFailures: false });
+
+          await db.run('DROP INDEX IF EXISTS idx_signature_failures_dp');
+          await db.run('DROP TABLE IF EXISTS signature_failures');
+     }
+};
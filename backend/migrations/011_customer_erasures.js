@@ -0,0 +1,19 @@
+/**
+ * Erased customers: a tombstone per erased customer id, so no salt (and no salted
+ * reference linking new records to the old ones) is ever created for them again.
+ * Only the hash of the id is kept.
+ */
+module.exports = {
+     async up(db) {
+          await db.run(
+               `CREATE TABLE erased_customers (
+        customer_hash TEXT PRIMARY KEY,
+        erased_at BIGINT NOT NULL
+      )`
+          );
+     },
+
+     async down(db) {
+          await db.run('DROP TABLE IF EXISTS erased_customers');
+     }
+};
@@ -0,0 +1,16 @@
+/**
+ * Anomaly flags raised at most once per DP and window: a rule can give its flag a
+ * dedupe_key, and a second flag with the same key is not stored, however many requests
+ * race to raise it.
+ */
+module.exports = {
+     async up(db) {
+          await db.run('ALTER TABLE anomaly_flags ADD COLUMN dedupe_key TEXT');
+          await db.run('CREATE UNIQUE INDEX idx_anomaly_flags_dedupe ON anomaly_flags(dedupe_key)');
+     },
+
+     async down(db) {
+          await db.run('DROP INDEX IF EXISTS idx_anomaly_flags_dedupe');
+          await db.run('ALTER TABLE anomaly_flags DROP COLUMN dedupe_key');
+     }
+};
@@ -0,0 +1,25 @@
+/**
+ * DP enrolment codes: one-time codes an operator issues for a dp_id, which DP key
+ * registration must present, as customer registration does. Only the code's hash is stored.
+ */
+module.exports = {
+     async up(db) {
+          await db.run(
+               `CREATE TABLE dp_enrolments (
+        code_hash TEXT PRIMARY KEY,
+        dp_id TEXT NOT NULL,
+        issued_by_role TEXT NOT NULL,
+        issued_by_id TEXT NOT NULL,
+        created_at BIGINT NOT NULL,
+        expires_at BIGINT NOT NULL,
+        used_at BIGINT
+      )`
+          );
+          await db.run('CREATE INDEX idx_dp_enrolments_dp ON dp_enrolments(dp_id)');
+     },
+
+     async down(db) {
+          await db.run('DROP INDEX IF EXISTS idx_dp_enrolments_dp');
+          await db.run('DROP TABLE IF EXISTS dp_enrolments');
+     }
+};
@@ -0,0 +1,160 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Versioned schema migrations. Each file in this directory named NNN_description.js
+ * exports:
+ *
+ *   up(db)      apply the change
+ *   down(db)    revert it
+ *
+ * `db` is the Database wrapper (run/get/all/columns), bound to a transaction that also
+ * records the version in schema_migrations; the highest recorded version is the
+ * database's schema version.
+ */
+
+const MIGRATION_FILE = /^(\d{3})_(\w+)\.js$/;
+
+function label({ version, name }) {
+     return `${String(version).padStart(3, '0')}_${name}`;
+}
+
+function loadMigrations() {
+     const migrations = fs.readdirSync(__dirname)
+          .map(file => file.match(MIGRATION_FILE))
+          .filter(Boolean)
+          .map(([file, version, name]) => ({ version: parseInt(version, 10), name, ...require(path.join(__dirname, file)) }))
+          .sort((a, b) => a.version - b.version);
+
+     migrations.forEach((migration, i) => {
+          if (migration.version !== i + 1) {
+               throw new Error(`Migration ${label(migration)} is out of sequence (expected ${i + 1})`);
+          }
+     });
+
+     return migrations;
+}
+
+async function ensureMigrationsTable(db) {
+     await db.run(
+          `CREATE TABLE IF NOT EXISTS schema_migrations (
+        version INTEGER PRIMARY KEY,
+        name TEXT NOT NULL,
+        applied_at BIGINT NOT NULL
+      )`
+     );
+}
+
+/**
+ * Compare the database against the migrations shipped with this build.
+ * `unknown` lists versions recorded in the database that this build doesn't have.
+ */
+async function status(db) {
+     await ensureMigrationsTable(db);
+     const migrations = loadMigrations();
+     const applied = await db.all('SELECT version, name, applied_at FROM schema_migrations ORDER BY version ASC');
+     const appliedVersions = new Set(applied.map(row => row.version));
+     const known = new Set(migrations.map(migration => migration.version));
+
+     return {
+          current: applied.length > 0 ? applied[applied.length - 1].version : 0,
+          latest: migrations.length > 0 ? migrations[migrations.length - 1].version : 0,
+          applied,
+          pending: migrations.filter(migration => !appliedVersions.has(migration.version)),
+          unknown: applied.filter(row => !known.has(row.version))
+     };
+}
+
+function assertKnownVersion(state) {
+     if (state.unknown.length > 0) {
+          const versions = state.unknown.map(label).join(', ');
+          throw new Error(
+               `Database schema is at version ${state.current} but this build only knows up to ${state.latest} ` +
+               `(unknown migrations: ${versions}). Upgrade the backend or roll the database back with a newer build.`
+          );
+     }
+}
+
+/**
+ * Apply pending migrations in order, up to `target` (default: latest).
+ */
+async function migrate(db, { target } = {}) {
+     const state = await status(db);
+     assertKnownVersion(state);
+
+     const applied = [];
+     for (const migration of state.pending) {
+          if (target !== undefined && migration.version > target) {
+               break;
+          }
+          console.log(`⬆️  Applying migration ${label(migration)}`);
+          await db.transaction(async (tx) => {
+               await migration.up(tx);
+               await tx.run(
+                    'INSERT INTO schema_migrations (version, name, applied_at) VALUES (?, ?, ?)',
+                    [migration.version, migration.name, Date.now()]
+               );
+          });
+          applied.push(migration);
+     }
+     return applied;
+}
+
+/**
+ * Revert the most recent `steps` migrations (default 1), or everything above `target`.
+ */
+async function rollback(db, { steps = 1, target } = {}) {
+     const state = await status(db);
+     assertKnownVersion(state);
+
+     const migrations = loadMigrations();
+     const floor = target !== undefined ? target : Math.max(state.current - steps, 0);
+     const reverted = [];
+
+     for (const row of [...state.applied].reverse()) {
+          if (row.version <= floor) {
+               break;
+          }
+          const migration = migrations.find(m => m.version === row.version);
+          console.log(`⬇️  Reverting migration ${label(migration)}`);
+          await db.transaction(async (tx) => {
+               await migration.down(tx);
+               await tx.run('DELETE FROM schema_migrations WHERE version = ?', [migration.version]);
+          });
+          reverted.push(migration);
+     }
+     return reverted;
+}
+
+/**
+ * Startup check: refuse databases written by a newer build, then either apply
+ * pending migrations or, with autoMigrate off, refuse to start until they are run.
+ */
+async function prepare(db, { autoMigrate = true } = {}) {
+     const state = await status(db);
+     assertKnownVersion(state);
+
+     if (state.pending.length === 0) {
+          console.log(`Database schema at version ${state.current}`);
+          return;
+     }
+
+     if (!autoMigrate) {
+          throw new Error(
+               `Database schema is at version ${state.current}, ${state.latest} required. ` +
+               'Run `npm run migrate` in backend/ before starting the server.'
+          );
+     }
+
+     await migrate(db);
+     console.log(`Database schema migrated to version ${state.latest}`);
+}
+
+module.exports = {
+     label,
+     loadMigrations,
+     status,
+     migrate,
+     rollback,
+     prepare
+};
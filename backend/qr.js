@@ -0,0 +1,64 @@
+const crypto = require('crypto');
+
+// Compact, backend-signed QR payload: POD1.<base64url(json)>.<base64url(r||s)>
+const QR_PREFIX = 'POD1';
+
+function sha256Hex(data) {
+     return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+/**
+ * Build the QR payload shown by the customer device when BLE is unavailable.
+ * @param {object} session - session_id, ephemeral_token and expires_at (ms)
+ * @param {object} signingKey - elliptic secp256k1 key pair of the backend
+ */
+function createQrPayload(session, signingKey) {
+     const body = Buffer.from(JSON.stringify({
+          sid: session.session_id,
+          tok: session.ephemeral_token,
+          exp: Math.floor(session.expires_at / 1000)
+     })).toString('base64url');
+
+     const signature = signingKey.sign(sha256Hex(body));
+     const signatureBytes = Buffer.from(signature.r.toString('hex', 64) + signature.s.toString('hex', 64), 'hex');
+
+     return `${QR_PREFIX}.${body}.${signatureBytes.toString('base64url')}`;
+}
+
+/**
+ * Decode a QR payload without checking its signature.
+ * @returns {{ session_id: string, ephemeral_token: string, expires_at: number, body: string, signature: string }}
+ */
+function parseQrPayload(payload) {
+     const parts = typeof payload === 'string' ? payload.split('.') : [];
+     if (parts.length !== 3 || parts[0] !== QR_PREFIX) {
+          throw new Error('Not a POD1 QR payload');
+     }
+
+     const data = JSON.parse(Buffer.from(parts[1], 'base64url').toString('utf8'));
+     return {
+          session_id: data.sid,
+          ephemeral_token: data.tok,
+          expires_at: data.exp * 1000,
+          body: parts[1],
+          signature: Buffer.from(parts[2], 'base64url').toString('hex')
+     };
+}
+
+function verifyQrPayload(payload, publicKey) {
+     try {
+          const { body, signature } = parseQrPayload(payload);
+          return publicKey.verify(sha256Hex(body), {
+               r: signature.slice(0, 64),
+               s: signature.slice(64, 128)
+          });
+     } catch (error) {
+          return false;
+     }
+}
+
+module.exports = {
+     createQrPayload,
+     parseQrPayload,
+     verifyQrPayload
+};
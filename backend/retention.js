@@ -0,0 +1,266 @@
+const crypto = require('crypto');
+const db = require('./db');
+const evidence = require('./evidence');
+
+const PURGE_INTERVAL_MS = parseInt(process.env.RETENTION_INTERVAL_MS || '3600000');
+const PURGE_BATCH_SIZE = parseInt(process.env.RETENTION_BATCH_SIZE || '500');
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Retention window per table, in days (RETENTION_<TABLE>_DAYS), and what purging a row
+ * past it removes. Rows are pseudonymized rather than deleted, so anchored records stay
+ * verifiable: events and attempts commit to a salted customer reference (see customerRef)
+ * instead of the customer id, which the purge puts in place of the id.
+ */
+const POLICIES = {
+     sessions: {
+          env: 'RETENTION_SESSIONS_DAYS',
+          defaultDays: 30,
+          purges: 'customer id (replaced by the customer reference), raw ephemeral token (replaced by its hash), token seed and QR payload of ended sessions; customer ids in their transition log'
+     },
+     delivery_events: {
+          env: 'RETENTION_DELIVERY_EVENTS_DAYS',
+          defaultDays: 365,
+          purges: 'customer id (the anchor hash commits to the customer reference), sealed metadata and its escrow key, DP-signed messages naming the customer'
+     },
+     delivery_attempts: {
+          env: 'RETENTION_DELIVERY_ATTEMPTS_DAYS',
+          defaultDays: 365,
+          purges: 'customer id (the anchor hash commits to the customer reference), sealed metadata and its escrow key'
+     },
+     evidence: {
+          env: 'RETENTION_EVIDENCE_DAYS',
+          defaultDays: 90,
+          purges: 'evidence files and the escrow keys of sealed ones; the customer id of the record. The content hash stays in the events citing it'
+     },
+     // Past a week no journey on Earth is fast enough to trip impossible_travel at its default speed
+     anomaly_positions: {
+          env: 'RETENTION_ANOMALY_POSITIONS_DAYS',
+          defaultDays: 7,
+          purges: 'the coarse cell of each DP\'s last located delivery, kept for the impossible travel rule (deleted)'
+     }
+};
+
+function loadPolicies() {
+     const policies = {};
+     for (const [table, policy] of Object.entries(POLICIES)) {
+          const days = parseFloat(process.env[policy.env] || String(policy.defaultDays));
+          if (!(days >= 0)) {
+               throw new Error(`${policy.env} must be a number of days`);
+          }
+          policies[table] = { days, purges: policy.purges };
+     }
+     return policies;
+}
+
+/**
+ * Background job that purges PII past its retention window (see POLICIES), and the
+ * machinery behind customer erasure, which purges one customer's rows regardless of
+ * their age. Every run is stored with a report of what it purged. Safe to run on several
+ * instances: each row is purged with a conditional update.
+ */
+class RetentionJob {
+     constructor() {
+          this.policies = loadPolicies();
+          this.timer = null;
+          this.purging = false;
+     }
+
+     start() {
+          this.timer = setInterval(() => {
+               this.purge().catch((error) => {
+                    console.error('Retention purge failed:', error.message);
+               });
+          }, PURGE_INTERVAL_MS);
+          const windows = Object.entries(this.policies).map(([table, { days }]) => `${table} ${days}d`).join(', ');
+          console.log(`🗑️  Retention purge running every ${PURGE_INTERVAL_MS / 1000}s (${windows})`);
+     }
+
+     stop() {
+          if (this.timer) {
+               clearInterval(this.timer);
+               this.timer = null;
+          }
+     }
+
+     /**
+      * Salted reference that stands in for a customer id in anchored records:
+      * sha256 of a random per-customer salt and the id. Once erasure deletes the salt,
+      * the reference can no longer be linked back to the customer. Only recording an
+      * event or attempt passes `create`; null when the customer has no salt (nothing of
+      * theirs was recorded yet, or they were erased).
+      */
+     async customerRef(customer_id, { create = false } = {}) {
+          const salt = await db.getCustomerSalt(customer_id, create);
+          return salt ? 'sha256:' + crypto.createHash('sha256').update(`${salt}:${customer_id}`).digest('hex') : null;
+     }
+
+     // Scheduled purge of everything past its window; returns the report, or null if a run is in progress
+     async purge(now = Date.now(), kind = 'schedule') {
+          if (this.purging) {
+               return null;
+          }
+
+          this.purging = true;
+          try {
+               const cutoffs = Object.fromEntries(Object.entries(this.policies).map(([table, { days }]) => [table, now - days * DAY_MS]));
+               const report = await this.run(kind, cutoffs, { now });
+
+               const purged = Object.values(report.purged).reduce((sum, count) => sum + count, 0);
+               if (purged) {
+                    console.log(`🗑️  Retention purge ${report.run_id}: ${JSON.stringify(report.purged)}`);
+               }
+               return report;
+          } finally {
+               this.purging = false;
+          }
+     }
+
+     /**
+      * Erase a customer: purge all their rows now, then remove their key, login nonces and
+      * salt. The run is stored under the customer reference, never the id.
+      */
+     async eraseCustomer(customer_id, now = Date.now()) {
+          const customer_ref = await this.customerRef(customer_id) || unlinkedRef();
+          const cutoffs = Object.fromEntries(Object.keys(this.policies).map(table => [table, now + 1]));
+          return await this.run('erasure', cutoffs, {
+               now,
+               customer_id,
+               finish: async (report) => {
+                    report.erased = await db.eraseCustomerIdentity(customer_id, customer_ref);
+                    report.subject_ref = customer_ref;
+               }
+          });
+     }
+
+     async run(kind, cutoffs, { now, customer_id = null, finish = null }) {
+          const report = {
+               run_id: `ret_${crypto.randomBytes(8).toString('hex')}`,
+               kind,
+               cutoffs: Object.fromEntries(Object.entries(cutoffs).map(([table, cutoff]) => [table, new Date(cutoff).toISOString()])),
+               purged: {
+                    sessions: 0,
+                    session_transitions: 0,
+                    delivery_events: 0,
+                    dp_messages_redacted: 0,
+                    delivery_attempts: 0,
+                    evidence: 0,
+                    evidence_files: 0,
+                    sealed_keys: 0,
+                    anomaly_positions: 0
+               },
+               retained: {}
+          };
+          const refs = new Map();
+          const refFor = async (id) => {
+               if (!refs.has(id)) {
+                    refs.set(id, await this.customerRef(id) || unlinkedRef());
+               }
+               return refs.get(id);
+          };
+
+          await this.purgeSessions(cutoffs.sessions, customer_id, refFor, report, now);
+          // Before the events: an erasure finds the customer's positions through their events' customer id
+          report.purged.anomaly_positions = await db.purgeAnomalyPositions(cutoffs.anomaly_positions, customer_id);
+          for (const table of ['delivery_events', 'delivery_attempts']) {
+               await this.purgeRecords(table, new Date(cutoffs[table]).toISOString(), customer_id, report, now);
+          }
+          await this.purgeEvidence(cutoffs.evidence, customer_id, refFor, report, now);
+          if (finish) {
+               await finish(report);
+          }
+
+          report.started_at = new Date(now).toISOString();
+          report.finished_at = new Date().toISOString();
+          await db.recordRetentionRun({
+               run_id: report.run_id,
+               kind,
+               subject_ref: report.subject_ref || null,
+               started_at: now,
+               finished_at: Date.parse(report.finished_at),
+               report
+          });
+          return report;
+     }
+
+     async purgeSessions(before, customer_id, refFor, report, now) {
+          let batch;
+          do {
+               batch = await db.getSessionsToPurge(before, { customer_id, limit: PURGE_BATCH_SIZE });
+               for (const session of batch) {
+                    const { purged, transitions } = await db.purgeSession(session.session_id, {
+                         customer_ref: await refFor(session.customer_id),
+                         ephemeral_token_hash: 'sha256:' + crypto.createHash('sha256').update(session.ephemeral_token).digest('hex')
+                    }, now);
+                    if (purged) {
+                         report.purged.sessions++;
+                         report.purged.session_transitions += transitions;
+                    }
+               }
+          } while (batch.length === PURGE_BATCH_SIZE);
+     }
+
+     async purgeRecords(table, before, customer_id, report, now) {
+          let batch;
+          do {
+               batch = await db.getRecordsToPurge(table, before, { customer_id, limit: PURGE_BATCH_SIZE });
+               for (const record of batch) {
+                    // A signed message naming the customer cannot be edited without breaking its signature, so it is dropped
+                    let dp_signed_message = record.dp_signed_message;
+                    if (table === 'delivery_events' && record.customer_id && namesCustomer(dp_signed_message)) {
+                         dp_signed_message = null;
+                    }
+                    const { purged, sealed_keys } = await db.purgeRecord(table, record.record_id, { dp_signed_message }, now);
+                    if (purged) {
+                         report.purged[table]++;
+                         report.purged.sealed_keys += sealed_keys;
+                         if (dp_signed_message !== record.dp_signed_message) {
+                              report.purged.dp_messages_redacted++;
+                         }
+                    }
+               }
+          } while (batch.length === PURGE_BATCH_SIZE);
+
+          // Recorded before salted references existed: their anchor hash commits to the plaintext customer id
+          const unpurgeable = await db.countUnpurgeableRecords(table, before, customer_id);
+          if (unpurgeable) {
+               report.retained[table] = { count: unpurgeable, reason: 'anchor hash commits to the plaintext customer id' };
+          }
+     }
+
+     async purgeEvidence(before, customer_id, refFor, report, now) {
+          let batch;
+          do {
+               batch = await db.getEvidenceToPurge(before, { customer_id, limit: PURGE_BATCH_SIZE });
+               for (const record of batch) {
+                    const { purged, sealed_keys } = await db.purgeEvidence(record.evidence_id, await refFor(record.customer_id), now);
+                    if (!purged) {
+                         continue;
+                    }
+                    report.purged.evidence++;
+                    report.purged.sealed_keys += sealed_keys;
+
+                    // The same plaintext file may back another upload that is still retained
+                    const stored = record.stored_address || record.address;
+                    if (await db.countEvidenceReferences(stored) === 0 && await evidence.delete(stored)) {
+                         report.purged.evidence_files++;
+                    }
+               }
+          } while (batch.length === PURGE_BATCH_SIZE);
+     }
+}
+
+// Stands in for a customer with no salt: no anchored record commits to them, so it need link to nothing
+function unlinkedRef() {
+     return 'sha256:' + crypto.randomBytes(32).toString('hex');
+}
+
+function namesCustomer(message) {
+     try {
+          return message !== null && JSON.parse(message).customer_id !== undefined;
+     } catch (error) {
+          return true;
+     }
+}
+
+module.exports = new RetentionJob();
@@ -1,13 +1,27 @@
+require('dotenv').config();
 const express = require('express');
 const crypto = require('crypto');
 const { ethers } = require('ethers');
 const elliptic = require('elliptic');
 const db = require('./db');
-const fs = require('fs');
-const path = require('path');
+const anchorer = require('./anchorer');
+const sweeper = require('./sweeper');
+const retention = require('./retention');
+const audit = require('./audit');
+const indexer = require('./indexer');
+const merkle = require('./merkle');
+const tokens = require('./tokens');
+const qr = require('./qr');
+const bundles = require('./bundle');
+const credentials = require('./credentials');
+const evidence = require('./evidence');
+const escrow = require('./escrow');
+const anomaly = require('./anomaly');
+const { createAnchoringBackend } = require('./anchoring');
+const auth = require('./auth');
 const rateLimit = require('express-rate-limit');
 const morgan = require('morgan');
-require('dotenv').config();
+const multer = require('multer');
 
 const app = express();
 app.use(express.json());
@@ -29,45 +43,53 @@ const limiter = rateLimit({
 app.use(limiter);
 
 const PORT = process.env.PORT || 3000;
+const MAX_CLOCK_SKEW_MS = parseInt(process.env.MAX_CLOCK_SKEW_SECONDS || '30') * 1000;
 const SIGNER_PRIVATE_KEY = process.env.SIGNER_PRIVATE_KEY || '0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf4f2ff80';
 const ec = new elliptic.ec('secp256k1');
+const TOKEN_TYPES = ['BLE', 'QR'];
+// A session may live at most SESSION_MAX_TTL_SECONDS from creation, extensions included
+const SESSION_MAX_TTL_SECONDS = parseInt(process.env.SESSION_MAX_TTL_SECONDS || '3600');
+const SESSION_MAX_EXTENSIONS = parseInt(process.env.SESSION_MAX_EXTENSIONS || '3');
 
-// Load deployment info
-let contractAddress, contract, provider, wallet;
-
-async function initBlockchain() {
-     try {
-          const deploymentPath = path.join(__dirname, '../contracts/deployment.json');
+const ATTEMPT_REASON_CODES = ['CUSTOMER_UNAVAILABLE', 'CUSTOMER_REFUSED', 'ADDRESS_NOT_FOUND', 'ACCESS_DENIED', 'UNSAFE_LOCATION', 'OTHER'];
+const ANCHOR_FAILED_ATTEMPTS = process.env.ANCHOR_FAILED_ATTEMPTS === 'true';
 
-          if (!fs.existsSync(deploymentPath)) {
-               console.warn('⚠️  Deployment file not found. Run contract deployment first.');
-               console.warn('   Blockchain anchoring will be disabled until contract is deployed.');
-               return false;
-          }
+// One-time codes an operator issues so a customer can register their key
+const CUSTOMER_ENROLMENT_TTL_SECONDS = parseInt(process.env.CUSTOMER_ENROLMENT_TTL_SECONDS || '86400');
+const DP_ENROLMENT_TTL_SECONDS = parseInt(process.env.DP_ENROLMENT_TTL_SECONDS || '86400');
 
-          const deployment = JSON.parse(fs.readFileSync(deploymentPath, 'utf8'));
-          contractAddress = deployment.contractAddress;
+// Anomaly flags start open; review moves them to one of the decisions
+const FLAG_STATUSES = ['open', 'confirmed', 'dismissed'];
+const REVIEW_DECISIONS = ['confirmed', 'dismissed'];
 
-          // Connect to local Hardhat node
-          const rpcUrl = process.env.RPC_URL || 'http://127.0.0.1:8545';
-          provider = new ethers.JsonRpcProvider(rpcUrl);
+const EVIDENCE_MAX_BYTES = parseInt(process.env.EVIDENCE_MAX_BYTES || '10485760');
+const evidenceUpload = multer({ storage: multer.memoryStorage(), limits: { fileSize: EVIDENCE_MAX_BYTES, files: 1 } }).single('file');
 
-          // Use configured signer
-          wallet = new ethers.Wallet(SIGNER_PRIVATE_KEY, provider);
+// Backend's own secp256k1 key (same as the anchoring wallet), used to sign QR payloads
+const backendKey = ec.keyFromPrivate(SIGNER_PRIVATE_KEY.replace(/^0x/, ''), 'hex');
 
-          // Load contract ABI
-          const artifactPath = path.join(__dirname, '../contracts/artifacts/contracts/AnchorRegistry.sol/AnchorRegistry.json');
-          const artifact = JSON.parse(fs.readFileSync(artifactPath, 'utf8'));
-          contract = new ethers.Contract(contractAddress, artifact.abi, wallet);
+// Anchoring backend selected by ANCHOR_BACKEND; null until it initializes
+const anchoringBackend = createAnchoringBackend({ signerPrivateKey: SIGNER_PRIVATE_KEY, signingKey: backendKey });
+let anchoring = null;
 
-          console.log('✅ Blockchain initialized. Contract at:', contractAddress);
+async function initAnchoring() {
+     try {
+          if (!(await anchoringBackend.init())) {
+               return false;
+          }
+          anchoring = anchoringBackend;
           return true;
      } catch (error) {
-          console.error('❌ Blockchain initialization failed:', error.message);
+          console.error(`❌ Anchoring backend ${anchoringBackend.name} initialization failed:`, error.message);
           return false;
      }
 }
 
+// Whether an event was anchored with the backend and network this server is running
+function anchoredWithCurrentBackend(event) {
+     return !!anchoring && event.anchor_backend === anchoring.name && event.anchor_network === anchoring.network;
+}
+
 // Utility functions
 function generateToken(length = 32) {
      return crypto.randomBytes(length).toString('hex');
@@ -81,19 +103,55 @@ function hashString(data) {
      return crypto.createHash('sha256').update(data).digest('hex');
 }
 
+// Records with a salted customer reference commit to it instead of the customer id, so the id can be purged
+function customerField(record) {
+     return record.customer_ref ? { customer_ref: record.customer_ref } : { customer_id: record.customer_id };
+}
+
 function canonicalizeEvent(eventData) {
      // Create canonical JSON representation for hashing
-     return JSON.stringify({
+     const canonical = {
           session_id: eventData.session_id,
           order_id: eventData.order_id,
-          customer_id: eventData.customer_id,
+          ...customerField(eventData),
           dp_id: eventData.dp_id,
           ephemeral_token_hash: eventData.ephemeral_token_hash,
           challenge_nonce: eventData.challenge_nonce,
           dp_signature: eventData.dp_signature,
           evidence_hashes: eventData.evidence_hashes || [],
+          // DP-signed time from the proof message, kept apart from the backend's own receipt time
           timestamp: eventData.timestamp,
           backend_received_at: eventData.backend_received_at
+     };
+
+     // Optional fields are only added when set, so hashes of events recorded before they existed are unchanged
+     if (eventData.customer_signature) {
+          canonical.customer_signature = eventData.customer_signature;
+     }
+     if (eventData.token_channel) {
+          canonical.token_channel = eventData.token_channel;
+     }
+
+     return JSON.stringify(canonical);
+}
+
+// The type field keeps attempt leaves distinct from delivery event leaves in a shared batch
+function canonicalizeAttempt(attempt) {
+     return JSON.stringify({
+          type: 'delivery_attempt',
+          order_id: attempt.order_id,
+          session_id: attempt.session_id,
+          ...customerField(attempt),
+          dp_id: attempt.dp_id,
+          reason_code: attempt.reason_code,
+          proximity: attempt.proximity,
+          ephemeral_token_hash: attempt.ephemeral_token_hash,
+          challenge_nonce: attempt.challenge_nonce,
+          token_channel: attempt.token_channel,
+          dp_signature: attempt.dp_signature,
+          evidence_hashes: attempt.evidence_hashes || [],
+          timestamp: attempt.timestamp,
+          backend_received_at: attempt.backend_received_at
      });
 }
 
@@ -132,55 +190,675 @@ function verifySignature(publicKeyHex, message, signatureHex) {
      }
 }
 
+/**
+ * Decode a base64 signed blob of the form { message, signature } where message is JSON.
+ * Throws if the blob or its message cannot be parsed.
+ */
+function parseSignedBlob(signedBlob) {
+     const { message, signature } = JSON.parse(Buffer.from(signedBlob, 'base64').toString('utf8'));
+     return { message, signature, messageData: JSON.parse(message) };
+}
+
+/**
+ * Auditors may read any event; customers and DPs only their own.
+ * Returns true when a response has been sent.
+ */
+function rejectIfNotEventParty(req, res, event) {
+     if (req.auth.role === 'customer') {
+          return auth.rejectIfNotSelf(req, res, event.customer_id);
+     }
+     if (req.auth.role === 'dp') {
+          return auth.rejectIfNotSelf(req, res, event.dp_id);
+     }
+     return false;
+}
+
+/**
+ * Load an anchored event the caller may read, for bundle and credential export.
+ * Returns null when a response has been sent.
+ */
+async function loadExportableEvent(req, res) {
+     const event = await db.getDeliveryEvent(req.params.event_id);
+     if (!event) {
+          res.status(404).json({ error: 'Event not found' });
+          return null;
+     }
+
+     if (rejectIfNotEventParty(req, res, event)) {
+          return null;
+     }
+
+     if (event.status !== 'anchored') {
+          res.status(409).json({ error: 'Event is not anchored yet', code: 'NOT_ANCHORED' });
+          return null;
+     }
+
+     if (!anchoredWithCurrentBackend(event)) {
+          res.status(409).json({
+               error: `Event was anchored with ${event.anchor_backend} (${event.anchor_network}), which this server is not running`,
+               code: 'ANCHOR_BACKEND_UNAVAILABLE'
+          });
+          return null;
+     }
+
+     if ('0x' + hashString(canonicalizeEvent(event)) !== event.anchor_hash) {
+          res.status(409).json({ error: 'Stored event no longer matches its anchor hash', code: 'EVENT_TAMPERED' });
+          return null;
+     }
+
+     return event;
+}
+
+/**
+ * Validate an id + secp256k1 public key registration body.
+ * Returns { error } on failure, otherwise { publicKey } with the trimmed key.
+ */
+function validateKeyRegistration(idField, id, public_key) {
+     if (!id || typeof id !== 'string' || id.trim().length === 0) {
+          return { error: `${idField} must be a non-empty string` };
+     }
+
+     if (!public_key || typeof public_key !== 'string' || public_key.trim().length === 0) {
+          return { error: 'public_key must be a non-empty string' };
+     }
+
+     if (!/^[a-zA-Z0-9_-]{1,128}$/.test(id)) {
+          return { error: `${idField} must be alphanumeric (1-128 chars)` };
+     }
+
+     const trimmedKey = public_key.trim();
+     if (!/^[0-9a-fA-F]{130}$/.test(trimmedKey)) {
+          return { error: 'public_key must be 130 hex chars (secp256k1 uncompressed)' };
+     }
+
+     try {
+          ec.keyFromPublic(trimmedKey, 'hex');
+     } catch (error) {
+          return { error: 'Invalid public key format' };
+     }
+
+     return { publicKey: trimmedKey };
+}
+
+/**
+ * Message the current DP key signs to authorize its replacement.
+ */
+function keyRotationMessage(dp_id, key_version, new_public_key) {
+     return JSON.stringify({ action: 'rotate_key', dp_id, key_version, new_public_key });
+}
+
+function toISO(ms) {
+     return ms ? new Date(ms).toISOString() : null;
+}
+
+/**
+ * Public view of a dp_keys row.
+ */
+function describeDPKey(key) {
+     return {
+          key_version: key.key_version,
+          public_key: key.public_key,
+          key_type: key.key_type,
+          status: key.status,
+          registered_at: toISO(key.registered_at),
+          rotated_at: toISO(key.rotated_at),
+          revoked_at: toISO(key.revoked_at),
+          revocation_reason: key.revocation_reason,
+          revocation_effective_at: toISO(key.revocation_effective_at)
+     };
+}
+
+/**
+ * Status view of a session for the customer app; secrets (token, seed, QR) are left out.
+ */
+function describeSession(session, transitions) {
+     return {
+          session_id: session.session_id,
+          customer_id: session.customer_id,
+          order_id: session.order_id,
+          token_type: session.token_type,
+          status: session.status,
+          requires_customer_signature: !!session.requires_cosignature,
+          created_at: toISO(session.created_at),
+          expires_at: toISO(session.expires_at),
+          extensions: transitions.filter(t => t.reason === 'extended').length,
+          transitions: transitions.map(t => ({
+               from_status: t.from_status,
+               to_status: t.to_status,
+               actor: { role: t.actor_role, id: t.actor_id },
+               reason: t.reason,
+               details: t.details ? JSON.parse(t.details) : null,
+               at: toISO(t.created_at)
+          }))
+     };
+}
+
+/**
+ * Load the session in req.params for its owning customer (auditors and operators may
+ * read any). A session read after its expiry is expired on the spot rather than
+ * waiting for the sweeper. Returns null when a response has been sent.
+ */
+async function loadSessionForCaller(req, res) {
+     let session = await db.getSession(req.params.session_id);
+     if (!session) {
+          res.status(404).json({ error: 'Session not found' });
+          return null;
+     }
+
+     if (req.auth.role === 'customer' && auth.rejectIfNotSelf(req, res, session.customer_id)) {
+          return null;
+     }
+
+     if (session.status === 'active' && Date.now() > session.expires_at) {
+          await sweeper.expireSession(session.session_id);
+          session = await db.getSession(session.session_id);
+     }
+     return session;
+}
+
+/**
+ * Run a recorded delivery through the anomaly rules after the response; flags go to
+ * the review queue and never hold up the delivery itself.
+ */
+function screenDelivery(delivery) {
+     anomaly.evaluate(delivery).then((flags) => {
+          for (const flag of flags) {
+               console.log(`🚩 ${flag.severity} ${flag.rule} flag on ${flag.event_id} (DP ${flag.dp_id})`);
+          }
+     }).catch((error) => {
+          console.error(`Anomaly evaluation failed (${delivery.event_id}):`, error.message);
+     });
+}
+
+/**
+ * Record a proof or attempt rejected for a bad signature and run it through the anomaly
+ * rules after the response; the rejection itself does not wait for either.
+ */
+function screenSignatureFailure({ dp_id, action, subject_id }) {
+     const failure = {
+          failure_id: `sigf_${crypto.randomBytes(8).toString('hex')}`,
+          dp_id,
+          action,
+          subject_id,
+          code: 'INVALID_SIGNATURE',
+          created_at: Date.now()
+     };
+     anomaly.recordSignatureFailure(failure).then((flags) => {
+          for (const flag of flags) {
+               console.log(`🚩 ${flag.severity} ${flag.rule} flag on ${flag.failure_id} (DP ${flag.dp_id})`);
+          }
+     }).catch((error) => {
+          console.error(`Signature failure screening failed (${failure.failure_id}):`, error.message);
+     });
+}
+
+function describeFlag(flag) {
+     return {
+          flag_id: flag.flag_id,
+          event_id: flag.event_id,
+          failure_id: flag.failure_id,
+          dp_id: flag.dp_id,
+          rule: flag.rule,
+          severity: flag.severity,
+          details: JSON.parse(flag.details),
+          created_at: flag.created_at,
+          status: flag.status,
+          review: flag.reviewed_at ? {
+               reviewed_by_role: flag.reviewed_by_role,
+               reviewed_by_id: flag.reviewed_by_id,
+               note: flag.review_note,
+               reviewed_at: flag.reviewed_at
+          } : null
+     };
+}
+
+/**
+ * Describe a failed attempt or a delivery event as one entry of an order's attempt history,
+ * with its hash recomputed and its Merkle inclusion proof checked.
+ */
+function describeAttempt(record, outcome) {
+     const canonical = outcome === 'delivered' ? canonicalizeEvent(record) : canonicalizeAttempt(record);
+     const proof = record.merkle_proof ? JSON.parse(record.merkle_proof) : null;
+
+     return {
+          outcome,
+          attempt_id: record.attempt_id || null,
+          event_id: record.event_id || null,
+          session_id: record.session_id,
+          customer_id: record.customer_id,
+          customer_ref: record.customer_ref,
+          pii_purged: !!record.pii_purged_at,
+          dp_id: record.dp_id,
+          dp_key_version: record.dp_key_version,
+          reason_code: record.reason_code || null,
+          proximity: record.proximity || 'verified',
+          token_channel: record.token_channel,
+          evidence_hashes: JSON.parse(record.evidence_hashes || '[]'),
+          metadata_sealed: !!record.sealed_metadata,
+          timestamp: record.timestamp,
+          backend_received_at: record.backend_received_at,
+          status: record.status,
+          anchor_hash: record.anchor_hash,
+          hash_matches: '0x' + hashString(canonical) === record.anchor_hash,
+          anchor: record.merkle_root ? {
+               batch_id: record.batch_id,
+               merkle_root: record.merkle_root,
+               leaf_index: record.leaf_index,
+               proof,
+               inclusion_proof_valid: merkle.verifyProof(record.anchor_hash, proof, record.merkle_root),
+               tx_hash: record.tx_hash,
+               anchored_at: record.anchored_at,
+               anchor_backend: record.anchor_backend,
+               anchor_network: record.anchor_network
+          } : null
+     };
+}
+
+function describeCheckpoint(checkpoint) {
+     const proof = checkpoint.merkle_proof ? JSON.parse(checkpoint.merkle_proof) : null;
+
+     return {
+          checkpoint_id: checkpoint.checkpoint_id,
+          seq: checkpoint.seq,
+          head_hash: checkpoint.head_hash,
+          created_at: checkpoint.created_at,
+          anchor_hash: checkpoint.anchor_hash,
+          status: checkpoint.status,
+          anchor: checkpoint.merkle_root ? {
+               batch_id: checkpoint.batch_id,
+               merkle_root: checkpoint.merkle_root,
+               leaf_index: checkpoint.leaf_index,
+               proof,
+               inclusion_proof_valid: merkle.verifyProof(checkpoint.anchor_hash, proof, checkpoint.merkle_root),
+               tx_hash: checkpoint.tx_hash,
+               anchored_at: checkpoint.anchored_at,
+               anchor_backend: checkpoint.anchor_backend,
+               anchor_network: checkpoint.anchor_network
+          } : null
+     };
+}
+
+/**
+ * Parse a multipart evidence upload (one `file` part) into req.file, rejecting oversized
+ * or malformed bodies with 413/400.
+ */
+function receiveEvidence(req, res, next) {
+     evidenceUpload(req, res, (error) => {
+          if (error && error.code === 'LIMIT_FILE_SIZE') {
+               return res.status(413).json({ error: `Evidence exceeds ${EVIDENCE_MAX_BYTES} bytes`, code: 'EVIDENCE_TOO_LARGE' });
+          }
+          if (error) {
+               return res.status(400).json({ error: `Malformed upload: ${error.message}`, code: 'MALFORMED_UPLOAD' });
+          }
+          next();
+     });
+}
+
+/**
+ * Check that every evidence hash a DP submits refers to a blob it uploaded, for the
+ * session (scope.session_id) or any session of the order (scope.order_id).
+ * Returns null when they all do, otherwise an { error, code } rejection.
+ */
+async function validateEvidenceHashes(evidence_hashes, dp_id, scope) {
+     if (!Array.isArray(evidence_hashes) || !evidence_hashes.every(hash => typeof hash === 'string')) {
+          return { error: 'evidence_hashes must be an array of evidence addresses', code: 'EVIDENCE_INVALID' };
+     }
+
+     const uploaded = await db.getUploadedEvidenceAddresses(dp_id, scope, evidence_hashes);
+     const missing = evidence_hashes.filter(hash => !uploaded.includes(hash));
+     if (missing.length > 0) {
+          return { error: 'Evidence must be uploaded before it is referenced', code: 'EVIDENCE_NOT_UPLOADED', missing };
+     }
+     return null;
+}
+
+/**
+ * Seal optional rich metadata of an event (e.g. coarse location) under escrow; it is
+ * never stored in plaintext. Returns { sealed_metadata, sealedKey } (both null without
+ * metadata), or { rejection } when it is not an object or escrow is not configured.
+ */
+async function sealMetadata(metadata, { order_id, subject_id, customer_id }) {
+     if (metadata === undefined || metadata === null) {
+          return { sealed_metadata: null, sealedKey: null };
+     }
+     if (typeof metadata !== 'object' || Array.isArray(metadata)) {
+          return { rejection: { error: 'metadata must be a JSON object', code: 'METADATA_INVALID' } };
+     }
+     if (!escrow.enabled) {
+          return { rejection: { error: 'metadata is only accepted when escrow is configured', code: 'METADATA_REQUIRES_ESCROW' } };
+     }
+
+     const { sealed, key } = escrow.seal(Buffer.from(JSON.stringify(metadata)), {
+          order_id,
+          subject: 'metadata',
+          subject_id,
+          customerKey: customer_id ? await db.getCustomerKey(customer_id) : null
+     });
+     return { sealed_metadata: sealed.toString('base64'), sealedKey: key };
+}
+
+/**
+ * Describe an unlock request. The reviewer who opened it also gets, once it is
+ * unlocked, the sealed items and the holders' shares re-wrapped to their key.
+ */
+async function describeUnlockRequest(request, viewer) {
+     const keys = await db.getSealedKeys(JSON.parse(request.key_ids));
+     const approvals = await db.getUnlockApprovals(request.request_id);
+     const description = {
+          request_id: request.request_id,
+          order_id: request.order_id,
+          reviewer: { role: request.reviewer_role, id: request.reviewer_id },
+          reviewer_public_key: request.reviewer_public_key,
+          reason: request.reason,
+          status: request.status,
+          created_at: toISO(request.created_at),
+          unlocked_at: toISO(request.unlocked_at),
+          items: keys.map(key => ({ key_id: key.key_id, subject: key.subject, subject_id: key.subject_id, threshold: key.threshold, share_count: key.share_count })),
+          approvals: approvals.map(approval => ({ holder_id: approval.holder_id, holder_role: approval.holder_role, approved_at: toISO(approval.approved_at) }))
+     };
+
+     const isReviewer = viewer.role === request.reviewer_role && viewer.subject_id === request.reviewer_id;
+     if (!isReviewer || request.status !== 'unlocked') {
+          return description;
+     }
+
+     const shares = await db.getKeyShares(keys.map(key => key.key_id));
+     for (const item of description.items) {
+          item.aad = `${item.subject}:${item.subject_id}`;
+          if (item.subject === 'evidence') {
+               const record = await db.getEvidence(item.subject_id);
+               Object.assign(item, {
+                    evidence_hash: record.address,
+                    sha256: record.sha256,
+                    content_type: record.content_type,
+                    download: `/api/v1/escrow/unlock-requests/${request.request_id}/evidence/${record.evidence_id}`
+               });
+          } else {
+               const record = await db.getDeliveryEvent(item.subject_id) || await db.getDeliveryAttempt(item.subject_id);
+               item.sealed = record.sealed_metadata;
+          }
+     }
+     description.approvals = approvals.map((approval, i) => {
+          const rewrapped = JSON.parse(approval.shares);
+          return {
+               ...description.approvals[i],
+               shares: Object.fromEntries(Object.entries(rewrapped).map(([key_id, wrapped]) => [key_id, {
+                    share_index: shares.find(share => share.key_id === key_id && share.holder_id === approval.holder_id).share_index,
+                    wrapped
+               }]))
+          };
+     });
+     return description;
+}
+
+/**
+ * Check the fields of a DP-signed proof message against the session and challenge it claims to answer.
+ * Returns null when the message is consistent, otherwise an { error, code } rejection.
+ */
+function validateProofMessage(messageData, { session, challenge, dp_id, receivedAt }) {
+     if (messageData.session_id !== session.session_id) {
+          return { error: 'Signed session_id does not match session', code: 'SESSION_MISMATCH' };
+     }
+
+     if (messageData.challenge_nonce !== challenge.challenge_nonce) {
+          return { error: 'Signed challenge_nonce does not match issued challenge', code: 'CHALLENGE_MISMATCH' };
+     }
+
+     if (messageData.dp_id !== dp_id) {
+          return { error: 'Signed dp_id does not match submitting DP', code: 'DP_MISMATCH' };
+     }
+
+     // Proofs without a channel predate QR support and are treated as BLE
+     const channel = messageData.token_channel || 'BLE';
+     if (channel !== session.token_type) {
+          return { error: `Signed token_channel ${channel} does not match ${session.token_type} session`, code: 'CHANNEL_MISMATCH' };
+     }
+
+     if (channel === 'QR' && messageData.qr_payload_hash !== 'sha256:' + hashString(session.qr_payload)) {
+          return { error: 'Signed qr_payload_hash does not match the issued QR code', code: 'QR_PAYLOAD_MISMATCH' };
+     }
+
+     // Proves the DP actually observed the customer's ephemeral token (current or adjacent rotation window)
+     const hashToken = token => 'sha256:' + hashString(token);
+     if (!tokens.acceptedTokens(session, receivedAt).map(hashToken).includes(messageData.ephemeral_token_hash)) {
+          if (tokens.sessionTokens(session).map(hashToken).includes(messageData.ephemeral_token_hash)) {
+               return { error: 'Signed ephemeral token is from an expired rotation window', code: 'TOKEN_STALE' };
+          }
+          return { error: 'Signed ephemeral_token_hash does not match session token', code: 'TOKEN_MISMATCH' };
+     }
+
+     const signedAt = Date.parse(messageData.timestamp);
+     if (typeof messageData.timestamp !== 'string' || Number.isNaN(signedAt)) {
+          return { error: 'Signed timestamp missing or not ISO8601', code: 'TIMESTAMP_INVALID' };
+     }
+
+     if (signedAt < challenge.created_at - MAX_CLOCK_SKEW_MS ||
+          signedAt > challenge.expires_at + MAX_CLOCK_SKEW_MS) {
+          return { error: 'Signed timestamp outside challenge window', code: 'TIMESTAMP_OUTSIDE_WINDOW' };
+     }
+
+     if (Math.abs(receivedAt - signedAt) > MAX_CLOCK_SKEW_MS) {
+          return { error: 'Signed timestamp exceeds allowed clock skew', code: 'CLOCK_SKEW' };
+     }
+
+     return null;
+}
+
 // API Endpoints
 
 /**
  * POST /api/v1/sessions
  * Customer activates a delivery session
  */
-app.post('/api/v1/sessions', async (req, res) => {
+app.post('/api/v1/sessions', audit.capture('session.create', (req, body) => ({
+     subject: { type: 'session', id: body.session_id },
+     detail: { order_id: req.body.order_id, token_type: body.token_type }
+})), auth.requireAuth('customer'), async (req, res) => {
      try {
-          const { customer_id, order_id, ttl_seconds = 300 } = req.body;
+          const {
+               customer_id, order_id, ttl_seconds = 300, token_type = 'BLE', token_rotation = false,
+               require_customer_signature = false
+          } = req.body;
 
           if (!customer_id || !order_id) {
                return res.status(400).json({ error: 'customer_id and order_id required' });
           }
 
+          if (auth.rejectIfNotSelf(req, res, customer_id)) {
+               return;
+          }
+
+          if (!Number.isInteger(ttl_seconds) || ttl_seconds <= 0 || ttl_seconds > SESSION_MAX_TTL_SECONDS) {
+               return res.status(400).json({ error: `ttl_seconds must be an integer between 1 and ${SESSION_MAX_TTL_SECONDS}`, code: 'TTL_LIMIT_EXCEEDED' });
+          }
+
+          if (!TOKEN_TYPES.includes(token_type)) {
+               return res.status(400).json({ error: `token_type must be one of ${TOKEN_TYPES.join(', ')}` });
+          }
+
+          // A QR code is signed once by the backend, so it cannot follow a rotating token
+          if (token_type === 'QR' && token_rotation) {
+               return res.status(400).json({ error: 'token_rotation is only supported for BLE sessions' });
+          }
+
+          // Co-signed sessions need a registered customer key to check the countersignature against
+          if (require_customer_signature && !(await db.getCustomerKey(customer_id))) {
+               return res.status(400).json({
+                    error: 'Customer must register a key before requiring co-signature',
+                    code: 'CUSTOMER_NOT_REGISTERED'
+               });
+          }
+
           const session_id = generateId('s');
-          const ephemeral_token = generateToken();
           const created_at = Date.now();
           const expires_at = created_at + (ttl_seconds * 1000);
 
+          // Rotating sessions hand the device a seed; the token it advertises changes every window
+          const token_seed = token_rotation ? generateToken() : null;
+          const rotation_seconds = token_rotation ? tokens.ROTATION_SECONDS : null;
+          const ephemeral_token = token_rotation
+               ? tokens.deriveRotatingToken(token_seed, tokens.tokenWindow(created_at, rotation_seconds))
+               : generateToken();
+          const qr_payload = token_type === 'QR'
+               ? qr.createQrPayload({ session_id, ephemeral_token, expires_at }, backendKey)
+               : null;
+
           await db.createSession({
                session_id,
                customer_id,
                order_id,
                ephemeral_token,
-               token_type: 'BLE',
+               token_type,
+               token_seed,
+               rotation_seconds,
+               requires_cosignature: require_customer_signature,
+               qr_payload,
                created_at,
                expires_at
           });
 
-          console.log(`✅ Session created: ${session_id} for customer: ${customer_id}`);
+          console.log(`✅ Session created: ${session_id} for customer: ${customer_id} (${token_type}${token_rotation ? ', rotating token' : ''})`);
 
-          res.json({
+          const response = {
                session_id,
                ephemeral_token,
-               token_type: 'BLE',
+               token_type,
                expires_at: new Date(expires_at).toISOString(),
-               ttl_seconds
-          });
+               ttl_seconds,
+               requires_customer_signature: !!require_customer_signature
+          };
+          if (token_rotation) {
+               response.token_seed = token_seed;
+               response.rotation_seconds = rotation_seconds;
+          }
+          if (qr_payload) {
+               response.qr_payload = qr_payload;
+          }
+
+          res.json(response);
      } catch (error) {
           console.error('Session creation error:', error);
           res.status(500).json({ error: 'Internal server error' });
      }
 });
 
+/**
+ * GET /api/v1/sessions/:session_id
+ * Session status and transition history, for the customer app to poll
+ */
+app.get('/api/v1/sessions/:session_id', auth.requireAuth('customer', 'auditor', 'operator'), async (req, res) => {
+     try {
+          const session = await loadSessionForCaller(req, res);
+          if (!session) {
+               return;
+          }
+
+          res.json(describeSession(session, await db.getSessionTransitions(session.session_id)));
+     } catch (error) {
+          console.error('Session lookup error:', error);
+          res.status(500).json({ error: 'Internal server error' });
+     }
+});
+
+/**
+ * POST /api/v1/sessions/:session_id/cancel
+ * Customer (or an operator on their behalf) cancels an active session
+ */
+app.post('/api/v1/sessions/:session_id/cancel', auth.requireAuth('customer', 'operator'), async (req, res) => {
+     try {
+          const { reason = null } = req.body;
+
+          const session = await loadSessionForCaller(req, res);
+          if (!session) {
+               return;
+          }
+
+          const actor = { role: req.auth.role, id: req.auth.subject_id };
+          if (session.status !== 'active' || !(await db.cancelSession(session.session_id, actor, reason))) {
+               const current = await db.getSession(session.session_id);
+               return res.status(409).json({ error: `Session is ${current.status}`, code: 'SESSION_NOT_ACTIVE' });
+          }
+
+          console.log(`🚫 Session cancelled: ${session.session_id} by ${actor.role} ${actor.id}`);
+
+          const cancelled = await db.getSession(session.session_id);
+          res.json(describeSession(cancelled, await db.getSessionTransitions(session.session_id)));
+     } catch (error) {
+          console.error('Session cancel error:', error);
+          res.status(500).json({ error: 'Internal server error' });
+     }
+});
+
+/**
+ * POST /api/v1/sessions/:session_id/extend
+ * Customer extends an active session's expiry, within the TTL and extension-count policy
+ */
+app.post('/api/v1/sessions/:session_id/extend', auth.requireAuth('customer'), async (req, res) => {
+     try {
+          const { extend_seconds } = req.body;
+
+          if (!Number.isInteger(extend_seconds) || extend_seconds <= 0) {
+               return res.status(400).json({ error: 'extend_seconds must be a positive integer' });
+          }
+
+          const session = await loadSessionForCaller(req, res);
+          if (!session) {
+               return;
+          }
+
+          if (session.status !== 'active') {
+               return res.status(409).json({ error: `Session is ${session.status}`, code: 'SESSION_NOT_ACTIVE' });
+          }
+
+          if (await db.countSessionExtensions(session.session_id) >= SESSION_MAX_EXTENSIONS) {
+               return res.status(409).json({ error: `Session already extended ${SESSION_MAX_EXTENSIONS} times`, code: 'EXTENSION_LIMIT' });
+          }
+
+          const expires_at = session.expires_at + extend_seconds * 1000;
+          const latest = session.created_at + SESSION_MAX_TTL_SECONDS * 1000;
+          if (expires_at > latest) {
+               return res.status(400).json({
+                    error: `Sessions may last at most ${SESSION_MAX_TTL_SECONDS}s; at most ${Math.floor((latest - session.expires_at) / 1000)}s can be added`,
+                    code: 'TTL_LIMIT_EXCEEDED'
+               });
+          }
+
+          // The QR code carries the expiry under the backend signature, so it is re-issued
+          const qr_payload = session.token_type === 'QR'
+               ? qr.createQrPayload({ session_id: session.session_id, ephemeral_token: session.ephemeral_token, expires_at }, backendKey)
+               : null;
+
+          const extended = await db.extendSession(session.session_id, {
+               previous_expires_at: session.expires_at,
+               expires_at,
+               qr_payload,
+               actor: { role: req.auth.role, id: req.auth.subject_id }
+          });
+          if (!extended) {
+               return res.status(409).json({ error: 'Session changed while extending; retry', code: 'SESSION_CONFLICT' });
+          }
+
+          console.log(`⏳ Session extended: ${session.session_id} until ${new Date(expires_at).toISOString()}`);
+
+          const response = describeSession(await db.getSession(session.session_id), await db.getSessionTransitions(session.session_id));
+          if (qr_payload) {
+               response.qr_payload = qr_payload;
+          }
+          res.json(response);
+     } catch (error) {
+          console.error('Session extend error:', error);
+          res.status(500).json({ error: 'Internal server error' });
+     }
+});
+
 /**
  * POST /api/v1/sessions/:session_id/challenge
  * Delivery Partner requests a challenge for proximity verification
  */
-app.post('/api/v1/sessions/:session_id/challenge', async (req, res) => {
+app.post('/api/v1/sessions/:session_id/challenge', audit.capture('challenge.issue', (req, body) => ({
+     subject: { type: 'session', id: req.params.session_id },
+     detail: { expires_at: body.expires_at }
+})), auth.requireAuth('dp'), async (req, res) => {
      try {
           const { session_id } = req.params;
           const { dp_id } = req.body;
@@ -189,6 +867,10 @@ app.post('/api/v1/sessions/:session_id/challenge', async (req, res) => {
                return res.status(400).json({ error: 'dp_id required' });
           }
 
+          if (auth.rejectIfNotSelf(req, res, dp_id)) {
+               return;
+          }
+
           // Verify session exists and is active
           const session = await db.getSession(session_id);
           if (!session) {
@@ -227,7 +909,8 @@ app.post('/api/v1/sessions/:session_id/challenge', async (req, res) => {
 
           res.json({
                challenge_nonce,
-               expires_at: new Date(expires_at).toISOString()
+               expires_at: new Date(expires_at).toISOString(),
+               requires_customer_signature: !!session.requires_cosignature
           });
      } catch (error) {
           console.error('Challenge creation error:', error);
@@ -236,64 +919,274 @@ app.post('/api/v1/sessions/:session_id/challenge', async (req, res) => {
 });
 
 /**
- * POST /api/v1/deliveries
- * Delivery Partner submits signed delivery proof
+ * POST /api/v1/sessions/:session_id/evidence
+ * Delivery Partner uploads an evidence file (multipart, field `file`) while holding a challenge for the session
  */
-app.post('/api/v1/deliveries', async (req, res) => {
+app.post('/api/v1/sessions/:session_id/evidence', auth.requireAuth('dp'), receiveEvidence, async (req, res) => {
      try {
-          const { session_id, dp_id, signed_blob, evidence_hashes = [] } = req.body;
+          const { session_id } = req.params;
+          const { dp_id, expected_hash } = req.body;
 
-          if (!session_id || !dp_id || !signed_blob) {
-               return res.status(400).json({ error: 'session_id, dp_id, and signed_blob required' });
+          if (!dp_id || !req.file) {
+               return res.status(400).json({ error: 'dp_id and file required' });
+          }
+
+          if (auth.rejectIfNotSelf(req, res, dp_id)) {
+               return;
           }
 
-          // Get session
           const session = await db.getSession(session_id);
           if (!session) {
                return res.status(404).json({ error: 'Session not found' });
           }
 
-          // Get challenge
+          if (session.status !== 'active') {
+               return res.status(409).json({ error: 'Session not active', code: 'SESSION_NOT_ACTIVE' });
+          }
+
+          if (Date.now() > session.expires_at) {
+               return res.status(400).json({ error: 'Session expired', code: 'SESSION_EXPIRED' });
+          }
+
           const challenge = await db.getChallenge(session_id, dp_id);
-          if (!challenge) {
+          if (!challenge || Date.now() > challenge.expires_at) {
                return res.status(400).json({ error: 'No active challenge found' });
           }
 
-          if (Date.now() > challenge.expires_at) {
-               return res.status(400).json({ error: 'Challenge expired' });
+          // The DP's own hash of the file, if sent, must match what arrived
+          const content = evidence.addressOf(req.file.buffer);
+          if (expected_hash !== undefined && evidence.digestOf(expected_hash) !== content.sha256) {
+               return res.status(400).json({ error: 'Uploaded file does not match expected_hash', code: 'EVIDENCE_HASH_MISMATCH', address: content.address });
           }
 
-          // Get DP public key
-          const dpKey = await db.getDPKey(dp_id);
-          if (!dpKey) {
+          let record = await db.getEvidenceUpload(session_id, dp_id, content.address);
+          if (!record) {
+               const evidence_id = generateId('evd');
+
+               // With escrow configured only the sealed blob reaches the store, addressed by its own hash
+               let sealedKey = null;
+               let stored_address = null;
+               if (escrow.enabled) {
+                    const { sealed, key } = escrow.seal(req.file.buffer, {
+                         order_id: session.order_id,
+                         subject: 'evidence',
+                         subject_id: evidence_id,
+                         customerKey: await db.getCustomerKey(session.customer_id)
+                    });
+                    sealedKey = key;
+                    stored_address = (await evidence.put(sealed)).address;
+               } else {
+                    await evidence.put(req.file.buffer);
+               }
+
+               record = await db.recordEvidence({
+                    evidence_id,
+                    address: content.address,
+                    sha256: content.sha256,
+                    size: content.size,
+                    content_type: req.file.mimetype,
+                    session_id,
+                    order_id: session.order_id,
+                    customer_id: session.customer_id,
+                    dp_id,
+                    challenge_id: challenge.challenge_id,
+                    uploaded_at: Date.now(),
+                    stored_address
+               }, sealedKey);
+
+               console.log(`✅ Evidence stored: ${record.address} (${record.size} bytes${sealedKey ? ', sealed' : ''}) for session ${session_id}`);
+          }
+
+          res.json({
+               evidence_id: record.evidence_id,
+               evidence_hash: record.address,
+               sha256: record.sha256,
+               size: record.size,
+               content_type: record.content_type,
+               encrypted: !!record.key_id,
+               uploaded_at: toISO(record.uploaded_at)
+          });
+     } catch (error) {
+          console.error('Evidence upload error:', error);
+          res.status(500).json({ error: 'Internal server error' });
+     }
+});
+
+/**
+ * GET /api/v1/evidence/:evidence_hash
+ * Download an evidence file; the uploading DP, the session's customer, auditors and operators may read it
+ */
+app.get('/api/v1/evidence/:evidence_hash', auth.requireAuth(), async (req, res) => {
+     try {
+          const { evidence_hash } = req.params;
+
+          const records = await db.getEvidenceByAddress(evidence_hash);
+          if (records.length === 0) {
+               return res.status(404).json({ error: 'Evidence not found' });
+          }
+
+          const { role, subject_id } = req.auth;
+          const permitted = records.some(record =>
+               (role !== 'customer' || record.customer_id === subject_id) && (role !== 'dp' || record.dp_id === subject_id)
+          );
+          if (!permitted) {
+               return res.status(403).json({ error: 'Not a party to this evidence', code: 'FORBIDDEN' });
+          }
+
+          if (records.every(record => record.pii_purged_at)) {
+               return res.status(410).json({ error: 'Evidence was purged by the retention policy', code: 'EVIDENCE_PURGED' });
+          }
+
+          // Sealed evidence is only readable through an escrow unlock
+          if (records.every(record => record.key_id)) {
+               return res.status(423).json({ error: 'Evidence is encrypted under escrow; open an unlock request', code: 'EVIDENCE_SEALED' });
+          }
+
+          let content;
+          try {
+               content = await evidence.get(evidence_hash);
+          } catch (error) {
+               console.error('Evidence integrity error:', error.message);
+               return res.status(500).json({ error: 'Stored evidence does not match its hash', code: 'EVIDENCE_CORRUPTED' });
+          }
+          if (!content) {
+               return res.status(404).json({ error: 'Evidence file missing from store', code: 'EVIDENCE_MISSING' });
+          }
+
+          res.set('Content-Type', records[0].content_type || 'application/octet-stream');
+          res.set('ETag', `"${records[0].sha256}"`);
+          res.send(content);
+     } catch (error) {
+          console.error('Evidence download error:', error);
+          res.status(500).json({ error: 'Internal server error' });
+     }
+});
+
+/**
+ * POST /api/v1/deliveries
+ * Delivery Partner submits signed delivery proof
+ */
+app.post('/api/v1/deliveries', audit.capture('delivery.submit', (req, body) => ({
+     subject: { type: 'session', id: req.body.session_id },
+     detail: { event_id: body.event_id, anchor_hash: body.anchor_hash }
+})), auth.requireAuth('dp'), async (req, res) => {
+     try {
+          const { session_id, dp_id, signed_blob, customer_signed_blob, evidence_hashes = [], metadata } = req.body;
+
+          if (!session_id || !dp_id || !signed_blob) {
+               return res.status(400).json({ error: 'session_id, dp_id, and signed_blob required' });
+          }
+
+          if (auth.rejectIfNotSelf(req, res, dp_id)) {
+               return;
+          }
+
+          // Get session
+          const session = await db.getSession(session_id);
+          if (!session) {
+               return res.status(404).json({ error: 'Session not found' });
+          }
+
+          if (session.status !== 'active') {
+               return res.status(409).json({ error: 'Session not active', code: 'SESSION_NOT_ACTIVE' });
+          }
+
+          if (Date.now() > session.expires_at) {
+               return res.status(400).json({ error: 'Session expired', code: 'SESSION_EXPIRED' });
+          }
+
+          // Get challenge
+          const challenge = await db.getChallenge(session_id, dp_id);
+          if (!challenge) {
+               return res.status(400).json({ error: 'No active challenge found' });
+          }
+
+          if (Date.now() > challenge.expires_at) {
+               return res.status(400).json({ error: 'Challenge expired' });
+          }
+
+          // Get DP public key
+          const dpKey = await db.getDPKey(dp_id);
+          if (!dpKey) {
                return res.status(403).json({ error: 'Delivery partner not registered' });
           }
 
           // Parse signed blob
-          const signedData = JSON.parse(Buffer.from(signed_blob, 'base64').toString('utf8'));
-          const { message, signature } = signedData;
+          let message, signature, messageData;
+          try {
+               ({ message, signature, messageData } = parseSignedBlob(signed_blob));
+          } catch (error) {
+               return res.status(400).json({ error: 'signed_blob is not a valid signed message', code: 'MALFORMED_PROOF' });
+          }
 
           // Verify signature
           const isValid = verifySignature(dpKey.public_key, message, signature);
           if (!isValid) {
-               return res.status(401).json({ error: 'Invalid signature' });
+               screenSignatureFailure({ dp_id, action: 'delivery.submit', subject_id: session_id });
+               return res.status(401).json({ error: 'Invalid signature', code: 'INVALID_SIGNATURE' });
+          }
+
+          // A signed failed-attempt record carries the same proximity fields and must not pass as a delivery
+          if (messageData.type !== undefined && messageData.type !== 'delivery') {
+               return res.status(400).json({ error: `Signed message type ${messageData.type} is not a delivery proof`, code: 'MESSAGE_TYPE_MISMATCH' });
+          }
+
+          // Verify the signed message is bound to this session, challenge, DP and token
+          const backendReceivedAt = Date.now();
+          const rejection = validateProofMessage(messageData, { session, challenge, dp_id, receivedAt: backendReceivedAt });
+          if (rejection) {
+               return res.status(400).json(rejection);
           }
 
-          // Parse message and verify it contains required data
-          const messageData = JSON.parse(message);
-          if (messageData.session_id !== session_id ||
-               messageData.challenge_nonce !== challenge.challenge_nonce) {
-               return res.status(400).json({ error: 'Message data mismatch' });
+          const evidenceRejection = await validateEvidenceHashes(evidence_hashes, dp_id, { session_id });
+          if (evidenceRejection) {
+               return res.status(400).json(evidenceRejection);
           }
 
-          // Mark challenge as used
-          await db.markChallengeUsed(challenge.challenge_id);
+          // High-value sessions only verify once the customer has countersigned the challenge for this DP
+          let customer_signature = null;
+          if (session.requires_cosignature) {
+               if (!customer_signed_blob) {
+                    return res.status(400).json({ error: 'customer_signed_blob required for this session', code: 'COSIGNATURE_REQUIRED' });
+               }
+
+               const customerKey = await db.getCustomerKey(session.customer_id);
+               if (!customerKey) {
+                    return res.status(403).json({ error: 'Customer not registered', code: 'CUSTOMER_NOT_REGISTERED' });
+               }
+
+               let cosigned;
+               try {
+                    cosigned = parseSignedBlob(customer_signed_blob);
+               } catch (error) {
+                    return res.status(400).json({ error: 'customer_signed_blob is not a valid signed message', code: 'MALFORMED_COSIGNATURE' });
+               }
+
+               if (!verifySignature(customerKey.public_key, cosigned.message, cosigned.signature)) {
+                    return res.status(401).json({ error: 'Invalid customer signature', code: 'INVALID_COSIGNATURE' });
+               }
+
+               if (cosigned.messageData.session_id !== session_id ||
+                    cosigned.messageData.challenge_nonce !== challenge.challenge_nonce ||
+                    cosigned.messageData.dp_id !== dp_id) {
+                    return res.status(400).json({ error: 'Customer co-signature does not match challenge', code: 'COSIGNATURE_MISMATCH' });
+               }
+
+               customer_signature = cosigned.signature;
+          }
 
-          // Create delivery event
+          // Create delivery event; timestamp is the DP-signed time, backend_received_at is ours
           const event_id = generateId('evt');
-          const timestamp = new Date().toISOString();
-          const backend_received_at = new Date().toISOString();
-          const ephemeral_token_hash = 'sha256:' + hashString(session.ephemeral_token);
+          const timestamp = messageData.timestamp;
+          const backend_received_at = new Date(backendReceivedAt).toISOString();
+          const ephemeral_token_hash = messageData.ephemeral_token_hash;
+
+          const { sealed_metadata, sealedKey, rejection: metadataRejection } = await sealMetadata(metadata, {
+               order_id: session.order_id, subject_id: event_id, customer_id: session.customer_id
+          });
+          if (metadataRejection) {
+               return res.status(400).json(metadataRejection);
+          }
 
           const eventData = {
                event_id,
@@ -304,48 +1197,235 @@ app.post('/api/v1/deliveries', async (req, res) => {
                ephemeral_token_hash,
                challenge_nonce: challenge.challenge_nonce,
                dp_signature: signature,
+               // Kept verbatim so the DP signature can be re-checked offline
+               dp_signed_message: message,
+               dp_key_version: dpKey.key_version,
+               customer_signature,
+               token_channel: session.token_type,
                evidence_hashes: JSON.stringify(evidence_hashes),
                timestamp,
-               backend_received_at
+               backend_received_at,
+               sealed_metadata,
+               customer_ref: await retention.customerRef(session.customer_id, { create: true })
           };
+          eventData.anchor_hash = '0x' + hashString(canonicalizeEvent(eventData));
+
+          // Concurrent submissions can all pass the checks above; only one commits
+          const { recorded, code } = await db.recordDelivery(eventData, challenge.challenge_id, sealedKey);
+          if (!recorded) {
+               const error = code === 'CHALLENGE_USED' ? 'Challenge already used' : 'Session not active';
+               return res.status(409).json({ error, code });
+          }
+
+          console.log(`✅ Delivery event recorded: ${event_id} (queued for batch anchoring)`);
 
-          await db.createDeliveryEvent(eventData);
+          screenDelivery({
+               event_id,
+               dp_id,
+               dp_public_key: dpKey.public_key,
+               received_at: backendReceivedAt,
+               challenge_issued_at: challenge.created_at,
+               location: anomaly.locationOf(metadata)
+          });
+
+          res.json({
+               status: 'verified',
+               event_id,
+               anchor_hash: eventData.anchor_hash,
+               anchor_status: 'queued',
+               message: 'Delivery proof verified and recorded'
+          });
+     } catch (error) {
+          console.error('Delivery submission error:', error);
+          res.status(500).json({ error: 'Internal server error' });
+     }
+});
+
+/**
+ * POST /api/v1/orders/:order_id/attempts
+ * Delivery Partner records a signed failed delivery attempt, with or without proximity evidence
+ */
+app.post('/api/v1/orders/:order_id/attempts', audit.capture('attempt.submit', (req, body) => ({
+     subject: { type: 'order', id: req.params.order_id },
+     detail: { attempt_id: body.attempt_id, reason_code: body.reason_code, proximity: body.proximity, anchor_hash: body.anchor_hash }
+})), auth.requireAuth('dp'), async (req, res) => {
+     try {
+          const { order_id } = req.params;
+          const { dp_id, signed_blob, evidence_hashes = [], metadata } = req.body;
 
-          // Update session status
-          await db.updateSessionStatus(session_id, 'completed');
+          if (!dp_id || !signed_blob) {
+               return res.status(400).json({ error: 'dp_id and signed_blob required' });
+          }
 
-          console.log(`✅ Delivery event recorded: ${event_id}`);
+          if (auth.rejectIfNotSelf(req, res, dp_id)) {
+               return;
+          }
 
-          // Anchor to blockchain
-          let txHash = null;
-          if (contract) {
-               try {
-                    const canonicalJson = canonicalizeEvent(eventData);
-                    const anchor_hash = '0x' + hashString(canonicalJson);
+          const dpKey = await db.getDPKey(dp_id);
+          if (!dpKey) {
+               return res.status(403).json({ error: 'Delivery partner not registered' });
+          }
+
+          let message, signature, messageData;
+          try {
+               ({ message, signature, messageData } = parseSignedBlob(signed_blob));
+          } catch (error) {
+               return res.status(400).json({ error: 'signed_blob is not a valid signed message', code: 'MALFORMED_ATTEMPT' });
+          }
+
+          if (!verifySignature(dpKey.public_key, message, signature)) {
+               screenSignatureFailure({ dp_id, action: 'attempt.submit', subject_id: order_id });
+               return res.status(401).json({ error: 'Invalid signature', code: 'INVALID_SIGNATURE' });
+          }
+
+          if (messageData.type !== 'delivery_attempt') {
+               return res.status(400).json({ error: 'Signed message type must be delivery_attempt', code: 'MESSAGE_TYPE_MISMATCH' });
+          }
+
+          if (messageData.order_id !== order_id) {
+               return res.status(400).json({ error: 'Signed order_id does not match order', code: 'ORDER_MISMATCH' });
+          }
+
+          if (messageData.dp_id !== dp_id) {
+               return res.status(400).json({ error: 'Signed dp_id does not match submitting DP', code: 'DP_MISMATCH' });
+          }
+
+          if (!ATTEMPT_REASON_CODES.includes(messageData.reason_code)) {
+               return res.status(400).json({ error: `reason_code must be one of ${ATTEMPT_REASON_CODES.join(', ')}`, code: 'REASON_CODE_INVALID' });
+          }
+
+          const backendReceivedAt = Date.now();
+          const signedAt = Date.parse(messageData.timestamp);
+          if (typeof messageData.timestamp !== 'string' || Number.isNaN(signedAt)) {
+               return res.status(400).json({ error: 'Signed timestamp missing or not ISO8601', code: 'TIMESTAMP_INVALID' });
+          }
+
+          if (Math.abs(backendReceivedAt - signedAt) > MAX_CLOCK_SKEW_MS) {
+               return res.status(400).json({ error: 'Signed timestamp exceeds allowed clock skew', code: 'CLOCK_SKEW' });
+          }
+
+          // Without a session the attempt is attributed to the order's latest session, if any
+          let session = null;
+          if (messageData.session_id) {
+               session = await db.getSession(messageData.session_id);
+               if (!session) {
+                    return res.status(404).json({ error: 'Session not found' });
+               }
+               if (session.order_id !== order_id) {
+                    return res.status(400).json({ error: 'Session belongs to a different order', code: 'ORDER_MISMATCH' });
+               }
+          } else if (messageData.ephemeral_token_hash) {
+               return res.status(400).json({ error: 'Proximity evidence requires session_id', code: 'SESSION_REQUIRED' });
+          }
+          const orderSession = session || await db.getLatestSessionForOrder(order_id);
 
-                    console.log(`📦 Anchoring event ${event_id} to blockchain...`);
-                    const tx = await contract.storeAnchor(anchor_hash, event_id);
-                    const receipt = await tx.wait();
-                    txHash = receipt.hash;
+          // Proximity is only claimed when the DP answered a live challenge with the customer's token
+          let challenge = null;
+          if (messageData.ephemeral_token_hash) {
+               if (session.status !== 'active' || backendReceivedAt > session.expires_at) {
+                    return res.status(409).json({ error: 'Session not active', code: 'SESSION_NOT_ACTIVE' });
+               }
 
-                    const anchored_at = new Date().toISOString();
-                    await db.updateEventAnchor(event_id, anchor_hash, txHash, anchored_at);
+               challenge = await db.getChallenge(session.session_id, dp_id);
+               if (!challenge || backendReceivedAt > challenge.expires_at) {
+                    return res.status(400).json({ error: 'No active challenge found' });
+               }
 
-                    console.log(`⛓️  Event anchored! TX: ${txHash}`);
-               } catch (blockchainError) {
-                    console.error('Blockchain anchoring failed:', blockchainError.message);
-                    // Continue without blockchain anchor
+               const rejection = validateProofMessage(messageData, { session, challenge, dp_id, receivedAt: backendReceivedAt });
+               if (rejection) {
+                    return res.status(400).json(rejection);
                }
           }
 
+          const evidenceRejection = await validateEvidenceHashes(evidence_hashes, dp_id, { order_id });
+          if (evidenceRejection) {
+               return res.status(400).json(evidenceRejection);
+          }
+
+          const attempt_id = generateId('att');
+          const { sealed_metadata, sealedKey, rejection: metadataRejection } = await sealMetadata(metadata, {
+               order_id, subject_id: attempt_id, customer_id: orderSession ? orderSession.customer_id : null
+          });
+          if (metadataRejection) {
+               return res.status(400).json(metadataRejection);
+          }
+
+          const attempt = {
+               attempt_id,
+               order_id,
+               session_id: orderSession ? orderSession.session_id : null,
+               customer_id: orderSession ? orderSession.customer_id : null,
+               dp_id,
+               dp_key_version: dpKey.key_version,
+               reason_code: messageData.reason_code,
+               proximity: challenge ? 'verified' : 'none',
+               ephemeral_token_hash: challenge ? messageData.ephemeral_token_hash : null,
+               challenge_nonce: challenge ? challenge.challenge_nonce : null,
+               token_channel: challenge ? session.token_type : null,
+               dp_signature: signature,
+               dp_signed_message: message,
+               evidence_hashes: JSON.stringify(evidence_hashes),
+               timestamp: messageData.timestamp,
+               backend_received_at: new Date(backendReceivedAt).toISOString(),
+               sealed_metadata,
+               customer_ref: orderSession ? await retention.customerRef(orderSession.customer_id, { create: true }) : null
+          };
+          attempt.anchor_hash = '0x' + hashString(canonicalizeAttempt(attempt));
+
+          const { recorded, code } = await db.recordDeliveryAttempt(attempt, {
+               challenge_id: challenge && challenge.challenge_id,
+               anchor: ANCHOR_FAILED_ATTEMPTS,
+               sealedKey
+          });
+          if (!recorded) {
+               const error = code === 'CHALLENGE_USED' ? 'Challenge already used' : 'Attempt already recorded';
+               return res.status(409).json({ error, code });
+          }
+
+          console.log(`✅ Failed delivery attempt recorded: ${attempt_id} for order ${order_id} (${attempt.reason_code})`);
+
           res.json({
-               status: 'verified',
-               event_id,
-               txHash,
-               message: 'Delivery proof verified and recorded'
+               status: 'recorded',
+               attempt_id,
+               order_id,
+               reason_code: attempt.reason_code,
+               proximity: attempt.proximity,
+               anchor_hash: attempt.anchor_hash,
+               anchor_status: ANCHOR_FAILED_ATTEMPTS ? 'queued' : 'not_anchored'
           });
      } catch (error) {
-          console.error('Delivery submission error:', error);
+          console.error('Delivery attempt error:', error);
+          res.status(500).json({ error: 'Internal server error' });
+     }
+});
+
+/**
+ * GET /api/v1/orders/:order_id/attempts
+ * Attempt history of an order: failed attempts and the delivery, oldest first
+ */
+app.get('/api/v1/orders/:order_id/attempts', auth.requireAuth(), async (req, res) => {
+     try {
+          const { order_id } = req.params;
+
+          const entries = [
+               ...(await db.getDeliveryAttempts(order_id)).map(attempt => describeAttempt(attempt, 'failed')),
+               ...(await db.getDeliveryEventsByOrder(order_id)).map(event => describeAttempt(event, 'delivered'))
+          ].sort((a, b) => Date.parse(a.backend_received_at) - Date.parse(b.backend_received_at));
+
+          // Customers see the entries recorded against their sessions, DPs only their own
+          const { role, subject_id } = req.auth;
+          const visible = entries.filter(entry =>
+               (role !== 'customer' || entry.customer_id === subject_id) && (role !== 'dp' || entry.dp_id === subject_id)
+          );
+
+          res.json({
+               order_id,
+               attempt_count: visible.length,
+               delivered: visible.some(entry => entry.outcome === 'delivered'),
+               attempts: visible
+          });
+     } catch (error) {
+          console.error('Attempt history error:', error);
           res.status(500).json({ error: 'Internal server error' });
      }
 });
@@ -354,7 +1434,7 @@ app.post('/api/v1/deliveries', async (req, res) => {
  * GET /api/v1/deliveries/:event_id/verify
  * Verify a delivery event
  */
-app.get('/api/v1/deliveries/:event_id/verify', async (req, res) => {
+app.get('/api/v1/deliveries/:event_id/verify', auth.requireAuth(), async (req, res) => {
      try {
           const { event_id } = req.params;
 
@@ -363,16 +1443,52 @@ app.get('/api/v1/deliveries/:event_id/verify', async (req, res) => {
                return res.status(404).json({ error: 'Event not found' });
           }
 
-          // Check blockchain anchor if available
-          let blockchainVerified = false;
-          if (contract && event.anchor_hash) {
+          if (rejectIfNotEventParty(req, res, event)) {
+               return;
+          }
+
+          // Recompute the event hash from the stored record to detect DB tampering
+          const recomputedHash = '0x' + hashString(canonicalizeEvent(event));
+          const hashMatches = recomputedHash === event.anchor_hash;
+
+          let inclusionProof = null;
+          let proofValid = false;
+          if (event.merkle_root) {
+               inclusionProof = {
+                    batch_id: event.batch_id,
+                    leaf: event.anchor_hash,
+                    leaf_index: event.leaf_index,
+                    merkle_root: event.merkle_root,
+                    proof: JSON.parse(event.merkle_proof)
+               };
+               proofValid = merkle.verifyProof(event.anchor_hash, inclusionProof.proof, event.merkle_root);
+          }
+
+          const anchorJob = await db.getAnchorJob(event_id);
+
+          // Events keep verifying after a rotation; only a revocation effective before receipt taints them
+          let dpKey = null;
+          if (event.dp_key_version) {
+               const signingKey = await db.getDPKeyVersion(event.dp_id, event.dp_key_version);
+               if (signingKey) {
+                    dpKey = describeDPKey(signingKey);
+                    dpKey.valid_at_signing = !signingKey.revocation_effective_at ||
+                         Date.parse(event.backend_received_at) < signingKey.revocation_effective_at;
+               }
+          }
+
+          // Look the event up with its anchoring backend and cross-check the backend's metadata against our records
+          let onchainAnchor = null;
+          let rootAnchored = false;
+          if (event.merkle_root && anchoredWithCurrentBackend(event)) {
                try {
-                    const isAnchored = await contract.isAnchored(event.anchor_hash);
-                    blockchainVerified = isAnchored;
+                    onchainAnchor = await anchoring.lookupEvent(event, await db.getAnchorBatch(event.batch_id));
+                    rootAnchored = !!onchainAnchor && onchainAnchor.anchor_hash === event.merkle_root;
                } catch (error) {
                     console.error('Blockchain verification error:', error);
                }
           }
+          const metadataMatches = rootAnchored && onchainAnchor.mismatches.length === 0;
 
           res.json({
                event_id: event.event_id,
@@ -384,7 +1500,28 @@ app.get('/api/v1/deliveries/:event_id/verify', async (req, res) => {
                tx_hash: event.tx_hash,
                anchor_hash: event.anchor_hash,
                anchored_at: event.anchored_at,
-               blockchain_verified: blockchainVerified
+               anchor_backend: event.anchor_backend,
+               anchor_network: event.anchor_network,
+               token_channel: event.token_channel,
+               dp_key: dpKey,
+               customer_cosigned: !!event.customer_signature,
+               metadata_sealed: !!event.sealed_metadata,
+               pii_purged: !!event.pii_purged_at,
+               anchor_job: anchorJob ? {
+                    status: anchorJob.status,
+                    attempts: anchorJob.attempts,
+                    last_error: anchorJob.last_error,
+                    next_attempt_at: new Date(anchorJob.next_attempt_at).toISOString()
+               } : null,
+               inclusion_proof: inclusionProof,
+               onchain_anchor: onchainAnchor,
+               checks: {
+                    event_hash_matches: hashMatches,
+                    inclusion_proof_valid: proofValid,
+                    root_anchored_on_chain: rootAnchored,
+                    onchain_metadata_matches: metadataMatches
+               },
+               blockchain_verified: hashMatches && proofValid && rootAnchored && metadataMatches
           });
      } catch (error) {
           console.error('Verification error:', error);
@@ -393,76 +1530,1035 @@ app.get('/api/v1/deliveries/:event_id/verify', async (req, res) => {
 });
 
 /**
- * POST /api/v1/dp/register
- * Register a delivery partner public key
+ * GET /api/v1/deliveries/:event_id/bundle
+ * Export a self-contained, backend-signed proof bundle for offline verification
  */
-app.post('/api/v1/dp/register', async (req, res) => {
+app.get('/api/v1/deliveries/:event_id/bundle', auth.requireAuth(), async (req, res) => {
      try {
-          const { dp_id, public_key } = req.body;
-
-          if (!dp_id || typeof dp_id !== 'string' || dp_id.trim().length === 0) {
-               return res.status(400).json({ error: 'dp_id must be a non-empty string' });
+          const event = await loadExportableEvent(req, res);
+          if (!event) {
+               return;
           }
 
-          if (!public_key || typeof public_key !== 'string' || public_key.trim().length === 0) {
-               return res.status(400).json({ error: 'public_key must be a non-empty string' });
+          if (!event.dp_signed_message && event.pii_purged_at) {
+               return res.status(409).json({
+                    error: 'The DP-signed message named the customer and was purged; the anchor hash is still verifiable via /verify',
+                    code: 'DP_MESSAGE_PURGED'
+               });
           }
 
-          if (!/^[a-zA-Z0-9_-]{1,128}$/.test(dp_id)) {
-               return res.status(400).json({ error: 'dp_id must be alphanumeric (1-128 chars)' });
+          const bundle = bundles.createBundle({
+               event,
+               canonical_event: canonicalizeEvent(event),
+               dp_key: await db.getDPKeyVersion(event.dp_id, event.dp_key_version),
+               batch: await db.getAnchorBatch(event.batch_id),
+               anchoring: anchoring.describe()
+          }, backendKey);
+
+          res.setHeader('Content-Disposition', `attachment; filename="${event.event_id}.bundle.json"`);
+          res.json(bundle);
+     } catch (error) {
+          console.error('Bundle export error:', error);
+          res.status(500).json({ error: 'Internal server error' });
+     }
+});
+
+/**
+ * GET /api/v1/deliveries/:event_id/credential
+ * Issue the delivery event as a W3C Verifiable Credential signed by the backend's did:key
+ */
+app.get('/api/v1/deliveries/:event_id/credential', auth.requireAuth(), async (req, res) => {
+     try {
+          const event = await loadExportableEvent(req, res);
+          if (!event) {
+               return;
           }
 
-          const trimmedKey = public_key.trim();
-          if (!/^[0-9a-fA-F]{130}$/.test(trimmedKey)) {
-               return res.status(400).json({ error: 'public_key must be 130 hex chars (secp256k1 uncompressed)' });
+          const credential = credentials.issueDeliveryCredential({
+               event,
+               batch: await db.getAnchorBatch(event.batch_id),
+               anchoring: anchoring.describe()
+          }, backendKey);
+
+          res.json(credential);
+     } catch (error) {
+          console.error('Credential issuance error:', error);
+          res.status(500).json({ error: 'Internal server error' });
+     }
+});
+
+/**
+ * POST /api/v1/credentials/verify
+ * Verify a presented delivery credential (object with proof.jwt, or the bare JWT)
+ */
+app.post('/api/v1/credentials/verify', async (req, res) => {
+     try {
+          const { credential: presented } = req.body;
+          if (!presented) {
+               return res.status(400).json({ error: 'credential required' });
           }
 
+          let proof;
           try {
-               ec.keyFromPublic(trimmedKey, 'hex');
+               proof = credentials.verifyCredentialProof(presented);
           } catch (error) {
-               return res.status(400).json({ error: 'Invalid public key format' });
+               return res.status(400).json({ error: error.message, code: 'MALFORMED_CREDENTIAL' });
           }
 
-          const existingKey = await db.getDPKey(dp_id);
-          if (existingKey) {
-               return res.status(409).json({ error: 'DP already registered' });
-          }
+          const { credentialSubject: subject = {}, evidence = [] } = proof.credential;
+          const anchor = evidence.find(item => [].concat(item.type).includes('BlockchainAnchor')) || {};
 
-          await db.registerDPKey(dp_id, trimmedKey);
+          // The subject carries the canonical event fields, so its hash must be the anchored leaf
+          const subjectHashMatches = '0x' + hashString(canonicalizeEvent(subject)) === subject.anchor_hash;
+          const proofValid = !!anchor.merkleRoot &&
+               merkle.verifyProof(subject.anchor_hash, anchor.merkleProof || [], anchor.merkleRoot);
 
-          console.log(`✅ DP registered: ${dp_id} with key ${trimmedKey.slice(0, 20)}...`);
+          // Only evidence pointing at the backend, network and registry this server runs can be checked here
+          let rootAnchored = false;
+          const expected = anchoring ? credentials.anchorEvidence(anchoring.name, anchoring.network, anchoring.describe()) : null;
+          if (expected && anchor.merkleRoot && Object.keys(expected).every(field => anchor[field] === expected[field])) {
+               try {
+                    rootAnchored = await anchoring.isAnchored(anchor.merkleRoot);
+               } catch (error) {
+                    console.error('Blockchain verification error:', error);
+               }
+          }
+
+          const checks = {
+               signature_valid: proof.signature_valid,
+               credential_matches_proof: proof.body_matches_proof,
+               issuer_trusted: proof.issuer === credentials.didKeyFor(backendKey),
+               subject_hash_matches: subjectHashMatches,
+               inclusion_proof_valid: proofValid,
+               root_anchored_on_chain: rootAnchored
+          };
 
           res.json({
-               status: 'registered',
-               dp_id,
-               message: 'Delivery partner registered successfully'
+               verified: Object.values(checks).every(Boolean),
+               credential_id: proof.credential.id,
+               issuer: proof.issuer,
+               subject: subject.id,
+               checks
           });
      } catch (error) {
-          if (error.code === 'SQLITE_CONSTRAINT') {
-               return res.status(409).json({ error: 'DP already registered' });
+          console.error('Credential verification error:', error);
+          res.status(500).json({ error: 'Internal server error' });
+     }
+});
+
+/**
+ * GET /api/v1/anchors/reconciliation
+ * Anchored DB events without a matching on-chain log, and indexed logs without a DB event
+ */
+app.get('/api/v1/anchors/reconciliation', auth.requireAuth('auditor', 'operator'), async (req, res) => {
+     try {
+          if (!anchoring || anchoring.name !== 'evm') {
+               return res.status(503).json({ error: 'Reconciliation needs a connected evm anchoring backend' });
           }
-          console.error('DP registration error:', error.message);
+
+          res.json(await indexer.reconcile(anchoring.deployment.contractAddress));
+     } catch (error) {
+          console.error('Reconciliation error:', error);
           res.status(500).json({ error: 'Internal server error' });
      }
 });
 
 /**
- * GET /health
- * Health check endpoint
+ * GET /api/v1/escrow/holders
+ * Escrow holders that receive a share of every sealed item, and how many must approve an unlock
  */
-app.get('/health', (req, res) => {
+app.get('/api/v1/escrow/holders', auth.requireAuth(), (req, res) => {
      res.json({
-          status: 'ok',
-          blockchain: contract ? 'connected' : 'disconnected',
-          timestamp: new Date().toISOString()
+          enabled: escrow.enabled,
+          threshold: escrow.threshold,
+          holders: escrow.holders,
+          customer_holds_share: escrow.enabled
      });
 });
 
-// Initialize and start server
-async function start() {
+/**
+ * POST /api/v1/escrow/unlock-requests
+ * Dispute reviewer asks the escrow holders to release the sealed evidence and metadata of an order
+ */
+app.post('/api/v1/escrow/unlock-requests', auth.requireAuth('auditor', 'operator'), async (req, res) => {
      try {
-          await db.initialize();
-          await initBlockchain();
+          const { order_id, reviewer_public_key, reason } = req.body;
+
+          if (!order_id || !reviewer_public_key || !reason) {
+               return res.status(400).json({ error: 'order_id, reviewer_public_key and reason required' });
+          }
+
+          try {
+               ec.keyFromPublic(reviewer_public_key, 'hex').validate();
+          } catch (error) {
+               return res.status(400).json({ error: 'reviewer_public_key is not a secp256k1 public key', code: 'INVALID_PUBLIC_KEY' });
+          }
+
+          const keys = await db.getSealedKeysForOrder(order_id);
+          if (keys.length === 0) {
+               return res.status(404).json({ error: 'Nothing is sealed for this order', code: 'NOTHING_SEALED' });
+          }
+
+          const request = {
+               request_id: generateId('unl'),
+               order_id,
+               reviewer_role: req.auth.role,
+               reviewer_id: req.auth.subject_id,
+               reviewer_public_key,
+               reason,
+               key_ids: keys.map(key => key.key_id),
+               created_at: Date.now()
+          };
+          await db.createUnlockRequest(request);
+
+          console.log(`🔐 Unlock request ${request.request_id} for order ${order_id} by ${req.auth.role} ${req.auth.subject_id}`);
+
+          res.json(await describeUnlockRequest(await db.getUnlockRequest(request.request_id), req.auth));
+     } catch (error) {
+          console.error('Unlock request error:', error);
+          res.status(500).json({ error: 'Internal server error' });
+     }
+});
+
+/**
+ * GET /api/v1/escrow/unlock-requests/:request_id
+ * Status of an unlock request; its reviewer gets the re-wrapped shares once enough holders approved
+ */
+app.get('/api/v1/escrow/unlock-requests/:request_id', auth.requireAuth('auditor', 'operator'), async (req, res) => {
+     try {
+          const request = await db.getUnlockRequest(req.params.request_id);
+          if (!request) {
+               return res.status(404).json({ error: 'Unlock request not found' });
+          }
+          res.json(await describeUnlockRequest(request, req.auth));
+     } catch (error) {
+          console.error('Unlock request lookup error:', error);
+          res.status(500).json({ error: 'Internal server error' });
+     }
+});
+
+/**
+ * GET /api/v1/escrow/unlock-requests/:request_id/shares/:holder_id
+ * A holder's wrapped shares for the request. Holders have no login: the X-Signed-Blob header carries
+ * { type: 'escrow_share_request', request_id, holder_id, timestamp } signed with their escrow key
+ */
+app.get('/api/v1/escrow/unlock-requests/:request_id/shares/:holder_id', async (req, res) => {
+     try {
+          const { request_id, holder_id } = req.params;
+          const signed_blob = req.get('X-Signed-Blob');
+
+          if (!signed_blob) {
+               return res.status(401).json({ error: 'X-Signed-Blob header required', code: 'HOLDER_SIGNATURE_REQUIRED' });
+          }
+
+          const request = await db.getUnlockRequest(request_id);
+          if (!request) {
+               return res.status(404).json({ error: 'Unlock request not found' });
+          }
+
+          const shares = await db.getKeyShares(JSON.parse(request.key_ids), holder_id);
+          if (shares.length === 0) {
+               return res.status(404).json({ error: 'Holder has no shares in this request', code: 'NOT_A_HOLDER' });
+          }
+
+          let message, signature, messageData;
+          try {
+               ({ message, signature, messageData } = parseSignedBlob(signed_blob));
+          } catch (error) {
+               return res.status(400).json({ error: 'X-Signed-Blob is not a valid signed message', code: 'MALFORMED_SHARE_REQUEST' });
+          }
+
+          // Same key as for the approval: the one the shares are wrapped to
+          if (!verifySignature(shares[0].holder_public_key, message, signature)) {
+               return res.status(401).json({ error: 'Invalid signature', code: 'INVALID_SIGNATURE' });
+          }
+
+          if (messageData.type !== 'escrow_share_request' || messageData.request_id !== request_id || messageData.holder_id !== holder_id) {
+               return res.status(400).json({ error: 'Signed share request is not for this request and holder', code: 'SHARE_REQUEST_MISMATCH' });
+          }
+
+          const signedAt = Date.parse(messageData.timestamp);
+          if (!Number.isFinite(signedAt) || Math.abs(Date.now() - signedAt) > MAX_CLOCK_SKEW_MS) {
+               return res.status(400).json({ error: 'Signed timestamp exceeds allowed clock skew', code: 'CLOCK_SKEW' });
+          }
+
+          res.json({
+               request_id,
+               order_id: request.order_id,
+               reviewer: { role: request.reviewer_role, id: request.reviewer_id },
+               reviewer_public_key: request.reviewer_public_key,
+               reason: request.reason,
+               status: request.status,
+               holder_id,
+               shares: shares.map(share => ({ key_id: share.key_id, share_index: share.share_index, wrapped_share: JSON.parse(share.wrapped_share) }))
+          });
+     } catch (error) {
+          console.error('Share lookup error:', error);
+          res.status(500).json({ error: 'Internal server error' });
+     }
+});
+
+/**
+ * POST /api/v1/escrow/unlock-requests/:request_id/approvals
+ * Escrow holder approves by re-wrapping their shares to the reviewer's key, signed with their escrow key
+ */
+app.post('/api/v1/escrow/unlock-requests/:request_id/approvals', async (req, res) => {
+     try {
+          const { request_id } = req.params;
+          const { holder_id, signed_blob } = req.body;
+
+          if (!holder_id || !signed_blob) {
+               return res.status(400).json({ error: 'holder_id and signed_blob required' });
+          }
+
+          const request = await db.getUnlockRequest(request_id);
+          if (!request) {
+               return res.status(404).json({ error: 'Unlock request not found' });
+          }
+
+          if (request.status !== 'pending') {
+               return res.status(409).json({ error: 'Unlock request is no longer pending', code: 'REQUEST_NOT_PENDING' });
+          }
+
+          const key_ids = JSON.parse(request.key_ids);
+          const holderShares = await db.getKeyShares(key_ids, holder_id);
+          if (holderShares.length === 0) {
+               return res.status(403).json({ error: 'Holder has no shares in this request', code: 'NOT_A_HOLDER' });
+          }
+
+          let message, signature, messageData;
+          try {
+               ({ message, signature, messageData } = parseSignedBlob(signed_blob));
+          } catch (error) {
+               return res.status(400).json({ error: 'signed_blob is not a valid signed message', code: 'MALFORMED_APPROVAL' });
+          }
+
+          // Shares are wrapped to the key the holder had when the item was sealed; that key signs the approval
+          if (!verifySignature(holderShares[0].holder_public_key, message, signature)) {
+               return res.status(401).json({ error: 'Invalid signature', code: 'INVALID_SIGNATURE' });
+          }
+
+          if (messageData.type !== 'escrow_approval' || messageData.request_id !== request_id || messageData.holder_id !== holder_id) {
+               return res.status(400).json({ error: 'Signed approval is not for this request and holder', code: 'APPROVAL_MISMATCH' });
+          }
+
+          const shares = messageData.shares || {};
+          const expected = holderShares.map(share => share.key_id);
+          if (Object.keys(shares).length !== expected.length || !expected.every(key_id => shares[key_id] && shares[key_id].ephemeral_public_key && shares[key_id].sealed)) {
+               return res.status(400).json({ error: 'Approval must re-wrap every share the holder has in the request', code: 'APPROVAL_INCOMPLETE' });
+          }
+
+          const recorded = await db.recordUnlockApproval({
+               request_id,
+               holder_id,
+               holder_role: holderShares[0].holder_role,
+               shares: JSON.stringify(shares),
+               signed_message: message,
+               signature,
+               approved_at: Date.now()
+          });
+          if (!recorded) {
+               return res.status(409).json({ error: 'Holder already approved this request', code: 'ALREADY_APPROVED' });
+          }
+
+          // Unlocked once every item has as many approving holders as its threshold
+          const keys = await db.getSealedKeys(key_ids);
+          const approvals = (await db.getUnlockApprovals(request_id)).map(approval => JSON.parse(approval.shares));
+          if (keys.every(key => approvals.filter(approved => approved[key.key_id]).length >= key.threshold)) {
+               await db.markUnlockRequestUnlocked(request_id);
+               console.log(`🔓 Unlock request ${request_id} reached its threshold`);
+          }
+
+          console.log(`✅ Escrow approval for ${request_id} from ${holderShares[0].holder_role} ${holder_id}`);
+
+          res.json(await describeUnlockRequest(await db.getUnlockRequest(request_id), { role: null, subject_id: null }));
+     } catch (error) {
+          console.error('Escrow approval error:', error);
+          res.status(500).json({ error: 'Internal server error' });
+     }
+});
+
+/**
+ * GET /api/v1/escrow/unlock-requests/:request_id/evidence/:evidence_id
+ * Sealed evidence bytes for the reviewer of an unlocked request, to decrypt with the rebuilt data key
+ */
+app.get('/api/v1/escrow/unlock-requests/:request_id/evidence/:evidence_id', auth.requireAuth('auditor', 'operator'), async (req, res) => {
+     try {
+          const { request_id, evidence_id } = req.params;
+
+          const request = await db.getUnlockRequest(request_id);
+          if (!request) {
+               return res.status(404).json({ error: 'Unlock request not found' });
+          }
+
+          if (req.auth.role !== request.reviewer_role || req.auth.subject_id !== request.reviewer_id) {
+               return res.status(403).json({ error: 'Only the reviewer who opened the request may fetch its evidence', code: 'FORBIDDEN' });
+          }
+
+          if (request.status !== 'unlocked') {
+               return res.status(409).json({ error: 'Unlock request has not reached its threshold', code: 'REQUEST_NOT_UNLOCKED' });
+          }
+
+          const record = await db.getEvidence(evidence_id);
+          if (!record || !JSON.parse(request.key_ids).includes(record.key_id)) {
+               return res.status(404).json({ error: 'Evidence not part of this request' });
+          }
+
+          let sealed;
+          try {
+               sealed = await evidence.get(record.stored_address);
+          } catch (error) {
+               console.error('Evidence integrity error:', error.message);
+               return res.status(500).json({ error: 'Stored evidence does not match its hash', code: 'EVIDENCE_CORRUPTED' });
+          }
+          if (!sealed) {
+               return res.status(404).json({ error: 'Evidence file missing from store', code: 'EVIDENCE_MISSING' });
+          }
+
+          res.set('Content-Type', 'application/octet-stream');
+          res.send(sealed);
+     } catch (error) {
+          console.error('Sealed evidence download error:', error);
+          res.status(500).json({ error: 'Internal server error' });
+     }
+});
+
+/**
+ * GET /api/v1/retention/policies
+ * Retention window per table and what is purged once it has passed
+ */
+app.get('/api/v1/retention/policies', auth.requireAuth('auditor', 'operator'), (req, res) => {
+     res.json({ policies: retention.policies });
+});
+
+/**
+ * POST /api/v1/retention/runs
+ * Operator runs the retention purge now instead of waiting for the schedule
+ */
+app.post('/api/v1/retention/runs', auth.requireAuth('operator'), async (req, res) => {
+     try {
+          const report = await retention.purge(Date.now(), 'manual');
+          if (!report) {
+               return res.status(409).json({ error: 'A retention purge is already running', code: 'PURGE_IN_PROGRESS' });
+          }
+          res.json(report);
+     } catch (error) {
+          console.error('Retention purge error:', error);
+          res.status(500).json({ error: 'Internal server error' });
+     }
+});
+
+/**
+ * GET /api/v1/retention/runs
+ * Reports of past purges and erasures, newest first
+ */
+app.get('/api/v1/retention/runs', auth.requireAuth('auditor', 'operator'), async (req, res) => {
+     try {
+          const limit = Math.min(parseInt(req.query.limit || '50') || 50, 500);
+          const runs = await db.getRetentionRuns(limit);
+          res.json({ runs: runs.map(run => JSON.parse(run.report)) });
+     } catch (error) {
+          console.error('Retention report error:', error);
+          res.status(500).json({ error: 'Internal server error' });
+     }
+});
+
+/**
+ * GET /api/v1/audit/entries
+ * Audit log entries after a sequence number, oldest first, exactly as hashed into the chain
+ */
+app.get('/api/v1/audit/entries', auth.requireAuth('auditor', 'operator'), async (req, res) => {
+     try {
+          const after_seq = parseInt(req.query.after_seq || '0') || 0;
+          const limit = Math.min(parseInt(req.query.limit || '100') || 100, 1000);
+          const head = await db.getAuditHead();
+
+          res.json({
+               entries: await db.getAuditEntries(after_seq, limit),
+               head: head ? { seq: head.seq, entry_hash: head.entry_hash } : null
+          });
+     } catch (error) {
+          console.error('Audit log read error:', error);
+          res.status(500).json({ error: 'Internal server error' });
+     }
+});
+
+/**
+ * GET /api/v1/audit/checkpoints
+ * Checkpoints of the audit chain head with their anchors, newest first
+ */
+app.get('/api/v1/audit/checkpoints', auth.requireAuth('auditor', 'operator'), async (req, res) => {
+     try {
+          const limit = Math.min(parseInt(req.query.limit || '50') || 50, 500);
+          const checkpoints = await db.getAuditCheckpoints(limit);
+          res.json({ checkpoints: checkpoints.map(describeCheckpoint) });
+     } catch (error) {
+          console.error('Audit checkpoint read error:', error);
+          res.status(500).json({ error: 'Internal server error' });
+     }
+});
+
+/**
+ * POST /api/v1/audit/checkpoints
+ * Operator checkpoints the audit chain head now instead of waiting for the schedule
+ */
+app.post('/api/v1/audit/checkpoints', auth.requireAuth('operator'), async (req, res) => {
+     try {
+          const checkpoint = await audit.checkpoint();
+          if (!checkpoint) {
+               return res.status(409).json({ error: 'Nothing logged since the last checkpoint', code: 'NOTHING_TO_CHECKPOINT' });
+          }
+          res.json(describeCheckpoint({ ...checkpoint, status: 'pending' }));
+     } catch (error) {
+          console.error('Audit checkpoint error:', error);
+          res.status(500).json({ error: 'Internal server error' });
+     }
+});
+
+/**
+ * GET /api/v1/anomalies/rules
+ * Anomaly rules with the options they run with
+ */
+app.get('/api/v1/anomalies/rules', auth.requireAuth('auditor', 'operator'), (req, res) => {
+     res.json({ rules: anomaly.rules });
+});
+
+/**
+ * GET /api/v1/anomalies/flags
+ * Review queue of anomaly flags, newest first; filter by status, severity, dp_id or event_id
+ */
+app.get('/api/v1/anomalies/flags', auth.requireAuth('auditor', 'operator'), async (req, res) => {
+     try {
+          const { status = 'open', severity = null, dp_id = null, event_id = null } = req.query;
+          if (!FLAG_STATUSES.includes(status) && status !== 'all') {
+               return res.status(400).json({ error: `status must be one of ${FLAG_STATUSES.join(', ')} or all`, code: 'INVALID_FLAG_STATUS' });
+          }
+
+          const limit = Math.min(parseInt(req.query.limit || '50') || 50, 500);
+          const flags = await db.getAnomalyFlags({ status: status === 'all' ? null : status, severity, dp_id, event_id, limit });
+          res.json({ flags: flags.map(describeFlag) });
+     } catch (error) {
+          console.error('Anomaly flag read error:', error);
+          res.status(500).json({ error: 'Internal server error' });
+     }
+});
+
+/**
+ * POST /api/v1/anomalies/flags/:flag_id/review
+ * Auditor or operator confirms or dismisses an open flag, with an optional note
+ */
+app.post('/api/v1/anomalies/flags/:flag_id/review', audit.capture('anomaly.review', (req, body) => ({
+     subject: { type: 'anomaly_flag', id: req.params.flag_id },
+     detail: { decision: req.body.decision, event_id: body.event_id, failure_id: body.failure_id, rule: body.rule }
+})), auth.requireAuth('auditor', 'operator'), async (req, res) => {
+     try {
+          const { flag_id } = req.params;
+          const { decision, note = null } = req.body;
+
+          if (!REVIEW_DECISIONS.includes(decision)) {
+               return res.status(400).json({ error: `decision must be one of ${REVIEW_DECISIONS.join(', ')}`, code: 'INVALID_REVIEW_DECISION' });
+          }
+          if (note !== null && typeof note !== 'string') {
+               return res.status(400).json({ error: 'note must be a string', code: 'INVALID_REVIEW_NOTE' });
+          }
+
+          const flag = await db.getAnomalyFlag(flag_id);
+          if (!flag) {
+               return res.status(404).json({ error: 'Flag not found', code: 'FLAG_NOT_FOUND' });
+          }
+
+          const reviewed = await db.reviewAnomalyFlag(flag_id, {
+               status: decision,
+               reviewed_by_role: req.auth.role,
+               reviewed_by_id: req.auth.subject_id,
+               review_note: note
+          });
+          if (!reviewed) {
+               return res.status(409).json({ error: 'Flag has already been reviewed', code: 'FLAG_ALREADY_REVIEWED' });
+          }
+
+          console.log(`🚩 Flag ${flag_id} (${flag.rule} on ${flag.event_id || flag.failure_id}) ${decision} by ${req.auth.role} ${req.auth.subject_id}`);
+
+          res.json(describeFlag(await db.getAnomalyFlag(flag_id)));
+     } catch (error) {
+          console.error('Anomaly flag review error:', error);
+          res.status(500).json({ error: 'Internal server error' });
+     }
+});
+
+/**
+ * POST /api/v1/auth/nonce
+ * Customer or DP requests a login nonce to sign with its registered key
+ */
+app.post('/api/v1/auth/nonce', async (req, res) => {
+     try {
+          const { role, subject_id } = req.body;
+
+          if (!['customer', 'dp'].includes(role) || !subject_id) {
+               return res.status(400).json({ error: 'role (customer or dp) and subject_id required' });
+          }
+
+          const key = role === 'dp' ? await db.getDPKey(subject_id) : await db.getCustomerKey(subject_id);
+          if (!key) {
+               return res.status(404).json({ error: `No registered key for ${role} ${subject_id}` });
+          }
+
+          const nonce = generateToken(16);
+          const created_at = Date.now();
+          const expires_at = created_at + (2 * 60 * 1000);
+
+          await db.createAuthNonce({ nonce, role, subject_id, created_at, expires_at });
+
+          res.json({
+               nonce,
+               message: auth.loginMessage(role, subject_id, nonce),
+               expires_at: new Date(expires_at).toISOString()
+          });
+     } catch (error) {
+          console.error('Auth nonce error:', error);
+          res.status(500).json({ error: 'Internal server error' });
+     }
+});
+
+/**
+ * POST /api/v1/auth/login
+ * Exchange a signed login nonce for a short-lived access token
+ */
+app.post('/api/v1/auth/login', async (req, res) => {
+     try {
+          const { role, subject_id, nonce, signature } = req.body;
+
+          if (!role || !subject_id || !nonce || !signature) {
+               return res.status(400).json({ error: 'role, subject_id, nonce and signature required' });
+          }
+
+          const authNonce = await db.getAuthNonce(nonce);
+          if (!authNonce || authNonce.used || authNonce.role !== role || authNonce.subject_id !== subject_id) {
+               return res.status(401).json({ error: 'Unknown or used nonce', code: 'INVALID_NONCE' });
+          }
+
+          if (Date.now() > authNonce.expires_at) {
+               return res.status(401).json({ error: 'Nonce expired', code: 'INVALID_NONCE' });
+          }
+
+          const key = role === 'dp' ? await db.getDPKey(subject_id) : await db.getCustomerKey(subject_id);
+          if (!key || !verifySignature(key.public_key, auth.loginMessage(role, subject_id, nonce), signature)) {
+               return res.status(401).json({ error: 'Invalid signature', code: 'INVALID_SIGNATURE' });
+          }
+
+          if (!(await db.consumeAuthNonce(nonce))) {
+               return res.status(401).json({ error: 'Unknown or used nonce', code: 'INVALID_NONCE' });
+          }
+
+          console.log(`🔓 ${role} logged in: ${subject_id}`);
+
+          res.json(auth.issueToken(role, subject_id));
+     } catch (error) {
+          console.error('Login error:', error);
+          res.status(500).json({ error: 'Internal server error' });
+     }
+});
+
+/**
+ * Build a login handler for staff roles that authenticate with an operator-issued API key.
+ */
+function apiKeyLogin(role, idField, envVar) {
+     return (req, res) => {
+          const subject_id = req.body[idField];
+          const { api_key } = req.body;
+          const expected = process.env[envVar];
+
+          if (!expected) {
+               return res.status(403).json({ error: `${role} login disabled (${envVar} not set)` });
+          }
+
+          if (!subject_id || typeof api_key !== 'string') {
+               return res.status(400).json({ error: `${idField} and api_key required` });
+          }
+
+          const given = Buffer.from(hashString(api_key), 'hex');
+          const wanted = Buffer.from(hashString(expected), 'hex');
+          if (!crypto.timingSafeEqual(given, wanted)) {
+               return res.status(401).json({ error: 'Invalid API key', code: 'INVALID_CREDENTIALS' });
+          }
+
+          console.log(`🔓 ${role} logged in: ${subject_id}`);
+
+          res.json(auth.issueToken(role, subject_id));
+     };
+}
+
+/**
+ * POST /api/v1/auth/auditor
+ * Auditors log in with the operator-issued AUDITOR_API_KEY
+ */
+app.post('/api/v1/auth/auditor', apiKeyLogin('auditor', 'auditor_id', 'AUDITOR_API_KEY'));
+
+/**
+ * POST /api/v1/auth/operator
+ * Operators (key revocation and other admin actions) log in with OPERATOR_API_KEY
+ */
+app.post('/api/v1/auth/operator', apiKeyLogin('operator', 'operator_id', 'OPERATOR_API_KEY'));
+
+/**
+ * POST /api/v1/dp/:dp_id/enrolments
+ * Operator (e.g. when onboarding a delivery partner) issues a one-time code the DP registers its first key with
+ */
+app.post('/api/v1/dp/:dp_id/enrolments', audit.capture('dp.enrol', (req, body) => ({
+     subject: { type: 'dp', id: req.params.dp_id },
+     detail: { expires_at: body.expires_at }
+})), auth.requireAuth('operator'), async (req, res) => {
+     try {
+          const { dp_id } = req.params;
+
+          const enrolment_code = crypto.randomBytes(16).toString('hex');
+          const created_at = Date.now();
+          const expires_at = created_at + DP_ENROLMENT_TTL_SECONDS * 1000;
+          await db.createDPEnrolment({
+               code_hash: hashString(enrolment_code),
+               dp_id,
+               issued_by_role: req.auth.role,
+               issued_by_id: req.auth.subject_id,
+               created_at,
+               expires_at
+          });
+
+          console.log(`🎟️  Enrolment code issued for DP ${dp_id} by ${req.auth.role} ${req.auth.subject_id}`);
+
+          res.json({ dp_id, enrolment_code, expires_at });
+     } catch (error) {
+          console.error('DP enrolment error:', error);
+          res.status(500).json({ error: 'Internal server error' });
+     }
+});
+
+/**
+ * POST /api/v1/dp/register
+ * Register a delivery partner public key with an operator-issued enrolment code
+ */
+app.post('/api/v1/dp/register', audit.capture('dp.register', (req) => ({
+     subject: { type: 'dp', id: req.body.dp_id }
+})), async (req, res) => {
+     try {
+          const { dp_id, public_key, enrolment_code } = req.body;
+
+          const { error: validationError, publicKey: trimmedKey } = validateKeyRegistration('dp_id', dp_id, public_key);
+          if (validationError) {
+               return res.status(400).json({ error: validationError });
+          }
+
+          // DP login only proves possession of this key, so it must come from someone the backend already trusts
+          if (typeof enrolment_code !== 'string' || !enrolment_code) {
+               return res.status(400).json({ error: 'enrolment_code required', code: 'ENROLMENT_CODE_REQUIRED' });
+          }
+
+          // Revoked DPs are re-keyed by an operator through the revoke route, never by re-registering
+          const { registered, code } = await db.registerEnrolledDPKey(dp_id, hashString(enrolment_code), trimmedKey);
+          if (!registered) {
+               return code === 'DP_ALREADY_REGISTERED'
+                    ? res.status(409).json({ error: 'DP already registered', code })
+                    : res.status(403).json({ error: 'Enrolment code is not valid for this DP, already used or expired', code });
+          }
+
+          console.log(`✅ DP registered: ${dp_id} with key ${trimmedKey.slice(0, 20)}...`);
+
+          res.json({
+               status: 'registered',
+               dp_id,
+               message: 'Delivery partner registered successfully'
+          });
+     } catch (error) {
+          if (error.code === 'UNIQUE_VIOLATION') {
+               return res.status(409).json({ error: 'DP already registered', code: 'DP_ALREADY_REGISTERED' });
+          }
+          console.error('DP registration error:', error.message);
+          res.status(500).json({ error: 'Internal server error' });
+     }
+});
+
+/**
+ * POST /api/v1/dp/:dp_id/keys/rotate
+ * Replace the DP's active key; the new key must be authorized by a signature from the current one
+ */
+app.post('/api/v1/dp/:dp_id/keys/rotate', audit.capture('dp.key_rotate', (req, body) => ({
+     subject: { type: 'dp', id: req.params.dp_id },
+     detail: { key_version: body.key_version, previous_key_version: body.previous_key_version }
+})), auth.requireAuth('dp'), async (req, res) => {
+     try {
+          const { dp_id } = req.params;
+          const { new_public_key, signature } = req.body;
+
+          if (auth.rejectIfNotSelf(req, res, dp_id)) {
+               return;
+          }
+
+          const { error: validationError, publicKey: newKey } = validateKeyRegistration('dp_id', dp_id, new_public_key);
+          if (validationError) {
+               return res.status(400).json({ error: validationError });
+          }
+
+          const currentKey = await db.getDPKey(dp_id);
+          if (!currentKey) {
+               return res.status(404).json({ error: 'No active key for DP' });
+          }
+
+          const message = keyRotationMessage(dp_id, currentKey.key_version, newKey);
+          if (!verifySignature(currentKey.public_key, message, signature)) {
+               return res.status(401).json({ error: 'Rotation must be signed by the current key', code: 'INVALID_SIGNATURE' });
+          }
+
+          const key_version = await db.rotateDPKey(dp_id, currentKey.key_version, newKey);
+
+          console.log(`🔄 DP key rotated: ${dp_id} v${currentKey.key_version} -> v${key_version}`);
+
+          res.json({
+               status: 'rotated',
+               dp_id,
+               key_version,
+               previous_key_version: currentKey.key_version
+          });
+     } catch (error) {
+          console.error('DP key rotation error:', error.message);
+          res.status(500).json({ error: 'Internal server error' });
+     }
+});
+
+/**
+ * POST /api/v1/dp/:dp_id/keys/revoke
+ * Revoke a compromised DP key, optionally backdated, and (operators only) install a replacement
+ */
+app.post('/api/v1/dp/:dp_id/keys/revoke', audit.capture('dp.key_revoke', (req, body) => ({
+     subject: { type: 'dp', id: req.params.dp_id },
+     detail: { key_version: body.key_version, reason: req.body.reason, replacement_key_version: body.replacement_key_version }
+})), auth.requireAuth('dp', 'operator'), async (req, res) => {
+     try {
+          const { dp_id } = req.params;
+          const { reason, effective_at, replacement_public_key } = req.body;
+
+          if (req.auth.role === 'dp' && auth.rejectIfNotSelf(req, res, dp_id)) {
+               return;
+          }
+
+          if (!reason || typeof reason !== 'string') {
+               return res.status(400).json({ error: 'reason required' });
+          }
+
+          const effectiveAt = effective_at ? Date.parse(effective_at) : Date.now();
+          if (Number.isNaN(effectiveAt) || effectiveAt > Date.now()) {
+               return res.status(400).json({ error: 'effective_at must be an ISO8601 time not in the future' });
+          }
+
+          let replacementKey = null;
+          if (replacement_public_key) {
+               if (req.auth.role !== 'operator') {
+                    return res.status(403).json({ error: 'Only operators can install a replacement key', code: 'FORBIDDEN' });
+               }
+               const { error: validationError, publicKey } = validateKeyRegistration('dp_id', dp_id, replacement_public_key);
+               if (validationError) {
+                    return res.status(400).json({ error: validationError });
+               }
+               replacementKey = publicKey;
+          }
+
+          let key_version = req.body.key_version;
+          if (!key_version) {
+               const activeKey = await db.getDPKey(dp_id);
+               key_version = activeKey && activeKey.key_version;
+          }
+          if (!key_version || !(await db.getDPKeyVersion(dp_id, key_version))) {
+               return res.status(404).json({ error: 'DP key not found' });
+          }
+
+          if (!(await db.revokeDPKey(dp_id, key_version, reason, effectiveAt))) {
+               return res.status(409).json({ error: 'Key already revoked' });
+          }
+
+          const replacement_key_version = replacementKey ? await db.registerDPKey(dp_id, replacementKey) : null;
+
+          console.log(`⛔ DP key revoked: ${dp_id} v${key_version} (${reason})`);
+
+          res.json({
+               status: 'revoked',
+               dp_id,
+               key_version,
+               revocation_effective_at: new Date(effectiveAt).toISOString(),
+               replacement_key_version
+          });
+     } catch (error) {
+          console.error('DP key revocation error:', error.message);
+          res.status(500).json({ error: 'Internal server error' });
+     }
+});
+
+/**
+ * GET /api/v1/dp/:dp_id/keys
+ * Full key history of a DP
+ */
+app.get('/api/v1/dp/:dp_id/keys', auth.requireAuth(), async (req, res) => {
+     try {
+          const history = await db.getDPKeyHistory(req.params.dp_id);
+          if (history.length === 0) {
+               return res.status(404).json({ error: 'DP not found' });
+          }
+
+          res.json({
+               dp_id: req.params.dp_id,
+               keys: history.map(describeDPKey)
+          });
+     } catch (error) {
+          console.error('DP key history error:', error.message);
+          res.status(500).json({ error: 'Internal server error' });
+     }
+});
+
+/**
+ * POST /api/v1/customers/:customer_id/enrolments
+ * Operator (e.g. the shop backend at order creation) issues a one-time code the customer registers their key with
+ */
+app.post('/api/v1/customers/:customer_id/enrolments', audit.capture('customer.enrol', (req, body) => ({
+     subject: { type: 'customer', id: req.params.customer_id },
+     detail: { expires_at: body.expires_at }
+})), auth.requireAuth('operator'), async (req, res) => {
+     try {
+          const { customer_id } = req.params;
+
+          const enrolment_code = crypto.randomBytes(16).toString('hex');
+          const created_at = Date.now();
+          const expires_at = created_at + CUSTOMER_ENROLMENT_TTL_SECONDS * 1000;
+          await db.createCustomerEnrolment({
+               code_hash: hashString(enrolment_code),
+               customer_id,
+               issued_by_role: req.auth.role,
+               issued_by_id: req.auth.subject_id,
+               created_at,
+               expires_at
+          });
+
+          console.log(`🎟️  Enrolment code issued for customer ${customer_id} by ${req.auth.role} ${req.auth.subject_id}`);
+
+          res.json({ customer_id, enrolment_code, expires_at });
+     } catch (error) {
+          console.error('Customer enrolment error:', error);
+          res.status(500).json({ error: 'Internal server error' });
+     }
+});
+
+/**
+ * POST /api/v1/customers/register
+ * Register a customer's public key (login and co-signed sessions) with an operator-issued enrolment code
+ */
+app.post('/api/v1/customers/register', audit.capture('customer.register', (req) => ({
+     subject: { type: 'customer', id: req.body.customer_id }
+})), async (req, res) => {
+     try {
+          const { customer_id, public_key, enrolment_code } = req.body;
+
+          const { error: validationError, publicKey: trimmedKey } = validateKeyRegistration('customer_id', customer_id, public_key);
+          if (validationError) {
+               return res.status(400).json({ error: validationError });
+          }
+
+          // Whoever holds the key logs in as this customer, so it must come from someone the backend already trusts
+          if (typeof enrolment_code !== 'string' || !enrolment_code) {
+               return res.status(400).json({ error: 'enrolment_code required', code: 'ENROLMENT_CODE_REQUIRED' });
+          }
+
+          const { registered, code } = await db.registerEnrolledCustomerKey(customer_id, hashString(enrolment_code), trimmedKey);
+          if (!registered) {
+               return code === 'CUSTOMER_ALREADY_REGISTERED'
+                    ? res.status(409).json({ error: 'Customer already registered', code })
+                    : res.status(403).json({ error: 'Enrolment code is not valid for this customer, already used or expired', code });
+          }
+
+          console.log(`✅ Customer registered: ${customer_id} with key ${trimmedKey.slice(0, 20)}...`);
+
+          res.json({
+               status: 'registered',
+               customer_id,
+               message: 'Customer registered successfully'
+          });
+     } catch (error) {
+          if (error.code === 'UNIQUE_VIOLATION') {
+               return res.status(409).json({ error: 'Customer already registered', code: 'CUSTOMER_ALREADY_REGISTERED' });
+          }
+          console.error('Customer registration error:', error.message);
+          res.status(500).json({ error: 'Internal server error' });
+     }
+});
+
+/**
+ * POST /api/v1/customers/:customer_id/erase
+ * Erase a customer (GDPR / DPDP): purge their PII from every table now and delete their key and salt
+ */
+app.post('/api/v1/customers/:customer_id/erase', auth.requireAuth('customer', 'operator'), async (req, res) => {
+     try {
+          const { customer_id } = req.params;
+
+          if (req.auth.role === 'customer' && auth.rejectIfNotSelf(req, res, customer_id)) {
+               return;
+          }
+
+          if (await db.countActiveSessions(customer_id) > 0) {
+               return res.status(409).json({ error: 'Cancel the customer\'s active sessions before erasure', code: 'ACTIVE_SESSIONS' });
+          }
+
+          const report = await retention.eraseCustomer(customer_id);
+
+          console.log(`🗑️  Customer erased by ${req.auth.role} (run ${report.run_id})`);
+
+          res.json(report);
+     } catch (error) {
+          console.error('Customer erasure error:', error);
+          res.status(500).json({ error: 'Internal server error' });
+     }
+});
+
+/**
+ * GET /api/v1/keys/backend
+ * Public key the backend signs with (QR payloads, bundles, credentials), for offline verification
+ */
+app.get('/api/v1/keys/backend', (req, res) => {
+     res.json({
+          public_key: backendKey.getPublic('hex'),
+          key_type: 'secp256k1',
+          address: new ethers.Wallet(SIGNER_PRIVATE_KEY).address,
+          did: credentials.didKeyFor(backendKey)
+     });
+});
+
+/**
+ * GET /health
+ * Health check endpoint
+ */
+app.get('/health', (req, res) => {
+     res.json({
+          status: 'ok',
+          blockchain: anchoring ? 'connected' : 'disconnected',
+          anchoring: {
+               backend: anchoringBackend.name,
+               network: anchoring ? anchoring.network : null
+          },
+          timestamp: new Date().toISOString()
+     });
+});
+
+// Initialize and start server
+async function start() {
+     try {
+          await db.initialize();
+          await evidence.init();
+          escrow.init();
+          anomaly.init();
+          if (await initAnchoring()) {
+               await anchorer.start(anchoring);
+               // Only the EVM registry emits logs to index
+               if (anchoring.name === 'evm') {
+                    await indexer.start(anchoring.contract, anchoring.provider, anchoring.deployment);
+               }
+          }
+          sweeper.start();
+          retention.start();
+          audit.start();
 
           app.listen(PORT, () => {
                console.log('');
@@ -470,11 +2566,49 @@ async function start() {
                console.log(`📡 Server running on http://localhost:${PORT}`);
                console.log('');
                console.log('Endpoints:');
+               console.log('  POST   /api/v1/auth/nonce');
+               console.log('  POST   /api/v1/auth/login');
+               console.log('  POST   /api/v1/auth/auditor');
+               console.log('  POST   /api/v1/auth/operator');
                console.log('  POST   /api/v1/sessions');
+               console.log('  GET    /api/v1/sessions/:session_id');
+               console.log('  POST   /api/v1/sessions/:session_id/cancel');
+               console.log('  POST   /api/v1/sessions/:session_id/extend');
                console.log('  POST   /api/v1/sessions/:session_id/challenge');
+               console.log('  POST   /api/v1/sessions/:session_id/evidence');
+               console.log('  GET    /api/v1/evidence/:evidence_hash');
                console.log('  POST   /api/v1/deliveries');
+               console.log('  POST   /api/v1/orders/:order_id/attempts');
+               console.log('  GET    /api/v1/orders/:order_id/attempts');
                console.log('  GET    /api/v1/deliveries/:event_id/verify');
+               console.log('  GET    /api/v1/deliveries/:event_id/bundle');
+               console.log('  GET    /api/v1/deliveries/:event_id/credential');
+               console.log('  POST   /api/v1/credentials/verify');
+               console.log('  GET    /api/v1/anchors/reconciliation');
+               console.log('  GET    /api/v1/retention/policies');
+               console.log('  POST   /api/v1/retention/runs');
+               console.log('  GET    /api/v1/retention/runs');
+               console.log('  GET    /api/v1/audit/entries');
+               console.log('  GET    /api/v1/audit/checkpoints');
+               console.log('  POST   /api/v1/audit/checkpoints');
+               console.log('  GET    /api/v1/anomalies/rules');
+               console.log('  GET    /api/v1/anomalies/flags');
+               console.log('  POST   /api/v1/anomalies/flags/:flag_id/review');
+               console.log('  GET    /api/v1/escrow/holders');
+               console.log('  POST   /api/v1/escrow/unlock-requests');
+               console.log('  GET    /api/v1/escrow/unlock-requests/:request_id');
+               console.log('  GET    /api/v1/escrow/unlock-requests/:request_id/shares/:holder_id');
+               console.log('  POST   /api/v1/escrow/unlock-requests/:request_id/approvals');
+               console.log('  GET    /api/v1/escrow/unlock-requests/:request_id/evidence/:evidence_id');
+               console.log('  POST   /api/v1/dp/:dp_id/enrolments');
                console.log('  POST   /api/v1/dp/register');
+               console.log('  POST   /api/v1/dp/:dp_id/keys/rotate');
+               console.log('  POST   /api/v1/dp/:dp_id/keys/revoke');
+               console.log('  GET    /api/v1/dp/:dp_id/keys');
+               console.log('  POST   /api/v1/customers/:customer_id/enrolments');
+               console.log('  POST   /api/v1/customers/register');
+               console.log('  POST   /api/v1/customers/:customer_id/erase');
+               console.log('  GET    /api/v1/keys/backend');
                console.log('  GET    /health');
                console.log('');
           });
@@ -487,6 +2621,11 @@ async function start() {
 // Graceful shutdown
 process.on('SIGINT', async () => {
      console.log('\nShutting down...');
+     anchorer.stop();
+     indexer.stop();
+     sweeper.stop();
+     retention.stop();
+     audit.stop();
      await db.close();
      process.exit(0);
 });
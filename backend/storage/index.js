@@ -0,0 +1,48 @@
+const path = require('path');
+const SqliteStorage = require('./sqlite');
+const PostgresStorage = require('./postgres');
+
+/**
+ * Storage drivers behind db.js. All queries are written once with ? placeholders
+ * and portable SQL; a driver only has to provide:
+ *
+ *   name                 driver id
+ *   open()               connect
+ *   run(sql, params)     -> { changes } (rows affected)
+ *   get(sql, params)     first row or undefined
+ *   all(sql, params)     all rows
+ *   transaction(fn)      run fn(connection) in a transaction; connection is the driver with
+ *                        run/get/all bound to it. Commits when fn resolves, rolls back when it throws
+ *   columns(table)       column names of a table, [] when it does not exist
+ *   close()
+ *
+ * Statements violating a unique or primary key constraint reject with code
+ * 'UNIQUE_VIOLATION' on every driver; the driver's own code is kept as driver_code.
+ */
+
+/**
+ * Build the driver selected by DB_CLIENT (default: sqlite).
+ * SQLite uses DB_PATH, resolved against backend/ when relative;
+ * PostgreSQL uses DATABASE_URL.
+ */
+function createStorage() {
+     const client = process.env.DB_CLIENT || 'sqlite';
+
+     if (client === 'sqlite') {
+          const filename = path.resolve(__dirname, '..', process.env.DB_PATH || 'proximity_pod.db');
+          return new SqliteStorage({ filename });
+     }
+
+     if (client === 'postgres') {
+          if (!process.env.DATABASE_URL) {
+               throw new Error('DATABASE_URL is required when DB_CLIENT=postgres');
+          }
+          return new PostgresStorage({ connectionString: process.env.DATABASE_URL });
+     }
+
+     throw new Error(`Unknown DB_CLIENT "${client}" (expected sqlite or postgres)`);
+}
+
+module.exports = {
+     createStorage
+};
@@ -0,0 +1,111 @@
+const { Pool, types } = require('pg');
+
+// Millisecond timestamps are BIGINT columns; read them back as numbers like SQLite does
+types.setTypeParser(types.builtins.INT8, value => parseInt(value, 10));
+
+const POOL_SIZE = parseInt(process.env.PG_POOL_SIZE || '10');
+
+/**
+ * Rewrite SQLite-style ? placeholders as $1, $2, ... skipping quoted literals.
+ */
+function toPositional(sql) {
+     let index = 0;
+     let quoted = false;
+     let out = '';
+     for (const char of sql) {
+          if (char === '\'') {
+               quoted = !quoted;
+          }
+          out += char === '?' && !quoted ? `$${++index}` : char;
+     }
+     return out;
+}
+
+// 23505 is unique_violation
+function normalizeError(err) {
+     if (err.code === '23505') {
+          err.driver_code = err.code;
+          err.code = 'UNIQUE_VIOLATION';
+     }
+     return err;
+}
+
+async function query(client, sql, params) {
+     try {
+          return await client.query(toPositional(sql), params);
+     } catch (err) {
+          throw normalizeError(err);
+     }
+}
+
+/**
+ * PostgreSQL storage for running several backend instances against one database.
+ */
+class PostgresStorage {
+     constructor({ connectionString }) {
+          this.name = 'postgres';
+          this.connectionString = connectionString;
+          this.pool = null;
+     }
+
+     async open() {
+          this.pool = new Pool({ connectionString: this.connectionString, max: POOL_SIZE });
+          const client = await this.pool.connect();
+          const { host, port, database } = client;
+          client.release();
+
+          console.log(`Connected to PostgreSQL database (${host}:${port}/${database})`);
+     }
+
+     async run(sql, params = []) {
+          const result = await query(this.pool, sql, params);
+          return { changes: result.rowCount };
+     }
+
+     async get(sql, params = []) {
+          const result = await query(this.pool, sql, params);
+          return result.rows[0];
+     }
+
+     async all(sql, params = []) {
+          const result = await query(this.pool, sql, params);
+          return result.rows;
+     }
+
+     async transaction(fn) {
+          const client = await this.pool.connect();
+          // Same driver, but its statements go to the client holding the transaction
+          const connection = Object.create(this, {
+               run: { value: async (sql, params = []) => ({ changes: (await query(client, sql, params)).rowCount }) },
+               get: { value: async (sql, params = []) => (await query(client, sql, params)).rows[0] },
+               all: { value: async (sql, params = []) => (await query(client, sql, params)).rows }
+          });
+
+          try {
+               await client.query('BEGIN');
+               const result = await fn(connection);
+               await client.query('COMMIT');
+               return result;
+          } catch (err) {
+               await client.query('ROLLBACK');
+               throw err;
+          } finally {
+               client.release();
+          }
+     }
+
+     async columns(table) {
+          const rows = await this.all(
+               `SELECT column_name FROM information_schema.columns
+       WHERE table_schema = current_schema() AND table_name = ? ORDER BY ordinal_position`,
+               [table]
+          );
+          return rows.map(row => row.column_name);
+     }
+
+     async close() {
+          await this.pool.end();
+     }
+}
+
+module.exports = PostgresStorage;
@@ -0,0 +1,100 @@
+const sqlite3 = require('sqlite3').verbose();
+
+function normalizeError(err) {
+     if (err.code === 'SQLITE_CONSTRAINT' && /UNIQUE constraint failed/.test(err.message)) {
+          err.driver_code = err.code;
+          err.code = 'UNIQUE_VIOLATION';
+     }
+     return err;
+}
+
+/**
+ * Single-file SQLite storage, the default for local development.
+ */
+class SqliteStorage {
+     constructor({ filename }) {
+          this.name = 'sqlite';
+          this.filename = filename;
+          this.db = null;
+          this.queue = Promise.resolve();
+     }
+
+     async open() {
+          return new Promise((resolve, reject) => {
+               this.db = new sqlite3.Database(this.filename, (err) => {
+                    if (err) {
+                         reject(err);
+                    } else {
+                         console.log(`Connected to SQLite database (${this.filename})`);
+                         resolve();
+                    }
+               });
+          });
+     }
+
+     // One connection: statements are serialized so a transaction never interleaves with other queries
+     exclusive(fn) {
+          const result = this.queue.then(fn);
+          this.queue = result.catch(() => { });
+          return result;
+     }
+
+     execute(method, sql, params) {
+          return new Promise((resolve, reject) => {
+               this.db[method](sql, params, function (err, rows) {
+                    if (err) reject(normalizeError(err));
+                    else if (method === 'run') resolve({ changes: this.changes });
+                    else resolve(rows);
+               });
+          });
+     }
+
+     run(sql, params = []) {
+          return this.exclusive(() => this.execute('run', sql, params));
+     }
+
+     get(sql, params = []) {
+          return this.exclusive(() => this.execute('get', sql, params));
+     }
+
+     all(sql, params = []) {
+          return this.exclusive(() => this.execute('all', sql, params));
+     }
+
+     transaction(fn) {
+          // Same driver, but its statements skip the queue the transaction is holding
+          const connection = Object.create(this, {
+               run: { value: (sql, params = []) => this.execute('run', sql, params) },
+               get: { value: (sql, params = []) => this.execute('get', sql, params) },
+               all: { value: (sql, params = []) => this.execute('all', sql, params) }
+          });
+
+          return this.exclusive(async () => {
+               await this.execute('run', 'BEGIN IMMEDIATE', []);
+               try {
+                    const result = await fn(connection);
+                    await this.execute('run', 'COMMIT', []);
+                    return result;
+               } catch (err) {
+                    await this.execute('run', 'ROLLBACK', []);
+                    throw err;
+               }
+          });
+     }
+
+     async columns(table) {
+          const rows = await this.all(`PRAGMA table_info(${table})`);
+          return rows.map(row => row.name);
+     }
+
+     close() {
+          return this.exclusive(() => new Promise((resolve, reject) => {
+               this.db.close((err) => {
+                    if (err) reject(err);
+                    else resolve();
+               });
+          }));
+     }
+}
+
+module.exports = SqliteStorage;
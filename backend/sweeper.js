@@ -0,0 +1,67 @@
+const db = require('./db');
+
+const SWEEP_INTERVAL_MS = parseInt(process.env.SESSION_SWEEP_INTERVAL_MS || '30000');
+const SWEEP_BATCH_SIZE = parseInt(process.env.SESSION_SWEEP_BATCH_SIZE || '500');
+
+const SWEEPER_ACTOR = { role: 'system', id: 'session-sweeper' };
+
+/**
+ * Background worker that moves active sessions past their expiry to 'expired'
+ * (logging the transition) and stamps challenges that expired unused. Safe to run
+ * on several instances: each session is expired with a conditional update.
+ *
+ * Session states: active -> completed | cancelled | expired
+ */
+class SessionSweeper {
+     constructor() {
+          this.timer = null;
+          this.sweeping = false;
+     }
+
+     start() {
+          this.timer = setInterval(() => {
+               this.sweep().catch((error) => {
+                    console.error('Session sweep failed:', error.message);
+               });
+          }, SWEEP_INTERVAL_MS);
+          console.log(`🧹 Session sweeper running every ${SWEEP_INTERVAL_MS / 1000}s`);
+     }
+
+     stop() {
+          if (this.timer) {
+               clearInterval(this.timer);
+               this.timer = null;
+          }
+     }
+
+     // Also used to expire a session as soon as it is read after its expiry, between sweeps
+     async expireSession(session_id, now = Date.now()) {
+          return await db.expireSession(session_id, SWEEPER_ACTOR, now);
+     }
+
+     async sweep(now = Date.now()) {
+          if (this.sweeping) {
+               return null;
+          }
+
+          this.sweeping = true;
+          try {
+               let sessions = 0;
+               for (const { session_id } of await db.getExpiredActiveSessions(now, SWEEP_BATCH_SIZE)) {
+                    if (await this.expireSession(session_id, now)) {
+                         sessions++;
+                    }
+               }
+               const challenges = await db.expireChallenges(now);
+
+               if (sessions || challenges) {
+                    console.log(`🧹 Expired ${sessions} session(s) and ${challenges} challenge(s)`);
+               }
+               return { sessions, challenges };
+          } finally {
+               this.sweeping = false;
+          }
+     }
+}
+
+module.exports = new SessionSweeper();
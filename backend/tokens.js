@@ -0,0 +1,54 @@
+const crypto = require('crypto');
+
+const ROTATION_SECONDS = parseInt(process.env.TOKEN_ROTATION_SECONDS || '30');
+
+/**
+ * TOTP-style rotating ephemeral tokens. The backend issues a per-session seed to the
+ * customer device, which advertises HMAC-SHA256(seed, window) and rotates it every
+ * rotation period, so a sniffed token is only replayable within its own window.
+ */
+function tokenWindow(timeMs, rotationSeconds = ROTATION_SECONDS) {
+     return Math.floor(timeMs / (rotationSeconds * 1000));
+}
+
+function deriveRotatingToken(seed, window) {
+     return crypto.createHmac('sha256', Buffer.from(seed, 'hex')).update(String(window)).digest('hex');
+}
+
+/**
+ * Tokens a DP may legitimately have observed at `now`: the session's static token,
+ * or for rotating sessions the current window and its immediate neighbours.
+ */
+function acceptedTokens(session, now) {
+     if (!session.token_seed) {
+          return [session.ephemeral_token];
+     }
+
+     const current = tokenWindow(now, session.rotation_seconds);
+     return [current - 1, current, current + 1].map(window => deriveRotatingToken(session.token_seed, window));
+}
+
+/**
+ * All tokens a rotating session ever advertised, used to tell stale tokens from forged ones.
+ */
+function sessionTokens(session) {
+     if (!session.token_seed) {
+          return [session.ephemeral_token];
+     }
+
+     const tokens = [];
+     const first = tokenWindow(session.created_at, session.rotation_seconds);
+     const last = tokenWindow(session.expires_at, session.rotation_seconds);
+     for (let window = first; window <= last; window++) {
+          tokens.push(deriveRotatingToken(session.token_seed, window));
+     }
+     return tokens;
+}
+
+module.exports = {
+     ROTATION_SECONDS,
+     tokenWindow,
+     deriveRotatingToken,
+     acceptedTokens,
+     sessionTokens
+};
@@ -0,0 +1,76 @@
+#!/usr/bin/env node
+require('dotenv').config();
+
+/**
+ * Audit log verifier, against the database configured by DB_CLIENT/DB_PATH/DATABASE_URL.
+ *
+ *   node verify_audit.js [--offline]
+ *
+ * Recomputes the hash chain of every entry and checks each checkpoint against it and
+ * its Merkle proof. Unless --offline is given, the roots of anchored checkpoints are
+ * also looked up with the anchoring backend configured by ANCHOR_BACKEND. Exits 1 if
+ * anything does not match.
+ */
+
+const elliptic = require('elliptic');
+const db = require('./db');
+const audit = require('./audit');
+const { createAnchoringBackend } = require('./anchoring');
+
+// Same default as server.js: the first Hardhat account
+const SIGNER_PRIVATE_KEY = process.env.SIGNER_PRIVATE_KEY || '0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf4f2ff80';
+
+async function connectBackend() {
+     const signingKey = new elliptic.ec('secp256k1').keyFromPrivate(SIGNER_PRIVATE_KEY.replace(/^0x/, ''), 'hex');
+     const backend = createAnchoringBackend({ signerPrivateKey: SIGNER_PRIVATE_KEY, signingKey });
+     try {
+          if (await backend.init()) {
+               return backend;
+          }
+     } catch (error) {
+          console.warn(`⚠️  Anchoring backend unavailable: ${error.message}`);
+     }
+     console.warn('⚠️  Checkpoint roots will not be looked up; only their Merkle proofs are checked');
+     return null;
+}
+
+async function main() {
+     const args = process.argv.slice(2);
+     if (args.some(arg => arg !== '--offline')) {
+          console.error('❌ Usage: node verify_audit.js [--offline]');
+          process.exit(2);
+     }
+
+     await db.connect();
+     try {
+          const backend = args.includes('--offline') ? null : await connectBackend();
+          const report = await audit.verify({ backend });
+
+          console.log(`Audit log: ${report.entries} entries${report.head ? `, head ${report.head.seq} (${report.head.entry_hash})` : ''}`);
+          console.log(`Checkpoints: ${report.checkpoints.total} (${report.checkpoints.anchored} anchored, ${report.checkpoints.checked_with_backend} looked up with the backend, ${report.checkpoints.pending} pending)`);
+          if (report.head) {
+               const covered = report.last_anchored_seq || 0;
+               console.log(covered < report.head.seq
+                    ? `⏳ Entries ${covered + 1}-${report.head.seq} are only protected by the chain until a checkpoint covering them is anchored`
+                    : '✅ Every entry is covered by an anchored checkpoint');
+          }
+
+          for (const { seq, checkpoint_id, problem } of report.problems) {
+               console.log(`  ❌ ${checkpoint_id ? `checkpoint ${checkpoint_id} (entry ${seq})` : `entry ${seq}`}: ${problem}`);
+          }
+
+          if (!report.valid) {
+               console.log(`❌ Audit log has been tampered with (${report.problems.length} problem(s))`);
+               process.exitCode = 1;
+          } else {
+               console.log('✅ Audit log chain intact');
+          }
+     } finally {
+          await db.close();
+     }
+}
+
+main().catch((error) => {
+     console.error('❌ Audit verification failed:', error.message);
+     process.exit(1);
+});
@@ -4,10 +4,24 @@ pragma solidity ^0.8.20;
 /**
  * @title AnchorRegistry
  * @notice Stores tamper-proof hashes of delivery events on-chain for audit and verification
- * @dev Only emits events to minimize gas costs; actual event data stored off-chain
+ * @dev Event data stays off-chain; only hashes and compact anchor metadata are stored.
+ *      Only addresses granted the anchorer role by the owner may write, and the owner
+ *      can pause all writes.
  */
 contract AnchorRegistry {
-    
+
+    address public owner;
+    bool public paused;
+
+    // Addresses allowed to store anchors (the backend signer)
+    mapping(address => bool) public anchorers;
+
+    event OwnershipTransferred(address indexed previousOwner, address indexed newOwner);
+    event AnchorerAdded(address indexed account, address indexed by);
+    event AnchorerRemoved(address indexed account, address indexed by);
+    event Paused(address indexed by);
+    event Unpaused(address indexed by);
+
     // Event emitted when a delivery event hash is anchored
     event AnchorStored(
         bytes32 indexed anchorHash,
@@ -16,19 +30,125 @@ contract AnchorRegistry {
         string eventId
     );
 
-    // Mapping to prevent duplicate anchors (optional protection)
-    mapping(bytes32 => bool) public anchored;
+    // Event emitted when a Merkle root covering a batch of delivery events is anchored
+    event MerkleRootStored(
+        bytes32 indexed merkleRoot,
+        address indexed actor,
+        uint256 timestamp,
+        string batchId,
+        uint256 leafCount,
+        bytes32 eventIdsHash
+    );
+
+    // Metadata kept for every anchor (a single event hash or a batch Merkle root)
+    struct AnchorRecord {
+        address anchorer;
+        uint64 timestamp;
+        uint64 blockNumber;
+        bytes32 eventIdHash;  // keccak256(eventId), or keccak256(abi.encode(eventIds)) for batch roots
+        string batchId;       // empty for single-event anchors
+        uint256 leafCount;    // events covered: 1 for single-event anchors
+    }
+
+    // Anchor metadata by anchor hash; a zero timestamp means not anchored (also prevents duplicates)
+    mapping(bytes32 => AnchorRecord) private anchors;
+
+    // Merkle root of each batch, by keccak256(batchId). Events are not indexed on-chain:
+    // an event is resolved to its batch off-chain and proven against the root with its
+    // Merkle inclusion proof
+    mapping(bytes32 => bytes32) public rootOfBatch;
+
+    modifier onlyOwner() {
+        require(msg.sender == owner, "Caller is not the owner");
+        _;
+    }
+
+    modifier onlyAnchorer() {
+        require(anchorers[msg.sender], "Caller is not an anchorer");
+        _;
+    }
+
+    modifier whenNotPaused() {
+        require(!paused, "Registry is paused");
+        _;
+    }
+
+    /**
+     * @notice The deployer becomes the owner and the first anchorer
+     */
+    constructor() {
+        owner = msg.sender;
+        emit OwnershipTransferred(address(0), msg.sender);
+
+        anchorers[msg.sender] = true;
+        emit AnchorerAdded(msg.sender, msg.sender);
+    }
+
+    /**
+     * @notice Grant the anchorer role
+     * @param account Address allowed to store anchors
+     */
+    function addAnchorer(address account) external onlyOwner {
+        require(account != address(0), "Zero address");
+        require(!anchorers[account], "Already an anchorer");
+
+        anchorers[account] = true;
+        emit AnchorerAdded(account, msg.sender);
+    }
+
+    /**
+     * @notice Revoke the anchorer role
+     * @param account Address to remove
+     */
+    function removeAnchorer(address account) external onlyOwner {
+        require(anchorers[account], "Not an anchorer");
+
+        anchorers[account] = false;
+        emit AnchorerRemoved(account, msg.sender);
+    }
+
+    /**
+     * @notice Hand the owner role to another address
+     * @param newOwner Address of the new owner
+     */
+    function transferOwnership(address newOwner) external onlyOwner {
+        require(newOwner != address(0), "Zero address");
+
+        emit OwnershipTransferred(owner, newOwner);
+        owner = newOwner;
+    }
+
+    /**
+     * @notice Stop all anchor writes, e.g. while a signer key is being replaced
+     */
+    function pause() external onlyOwner {
+        require(!paused, "Registry is paused");
+
+        paused = true;
+        emit Paused(msg.sender);
+    }
+
+    /**
+     * @notice Resume anchor writes
+     */
+    function unpause() external onlyOwner {
+        require(paused, "Registry is not paused");
+
+        paused = false;
+        emit Unpaused(msg.sender);
+    }
 
     /**
      * @notice Store a hash of a delivery event on-chain
      * @param anchorHash SHA256 hash of the canonical event JSON
      * @param eventId Backend event identifier for cross-reference
      */
-    function storeAnchor(bytes32 anchorHash, string memory eventId) external {
-        require(!anchored[anchorHash], "Anchor already exists");
-        
-        anchored[anchorHash] = true;
-        
+    function storeAnchor(bytes32 anchorHash, string memory eventId) external onlyAnchorer whenNotPaused {
+        require(!_isAnchored(anchorHash), "Anchor already exists");
+
+        bytes32 eventIdHash = keccak256(bytes(eventId));
+        _record(anchorHash, eventIdHash, "", 1);
+
         emit AnchorStored(
             anchorHash,
             msg.sender,
@@ -45,15 +165,17 @@ contract AnchorRegistry {
     function storeAnchorBatch(
         bytes32[] memory anchorHashes,
         string[] memory eventIds
-    ) external {
+    ) external onlyAnchorer whenNotPaused {
         require(
             anchorHashes.length == eventIds.length,
             "Array length mismatch"
         );
         
         for (uint256 i = 0; i < anchorHashes.length; i++) {
-            if (!anchored[anchorHashes[i]]) {
-                anchored[anchorHashes[i]] = true;
+            if (!_isAnchored(anchorHashes[i])) {
+                bytes32 eventIdHash = keccak256(bytes(eventIds[i]));
+                _record(anchorHashes[i], eventIdHash, "", 1);
+
                 emit AnchorStored(
                     anchorHashes[i],
                     msg.sender,
@@ -64,12 +186,93 @@ contract AnchorRegistry {
         }
     }
 
+    /**
+     * @notice Store the Merkle root of a batch of delivery event hashes
+     * @dev Individual events are proven against this root with off-chain inclusion proofs.
+     *      Gas does not grow with the batch: one record is stored per batch, and the event
+     *      ids are only committed to by their hash.
+     * @param merkleRoot Root of the Merkle tree built over the events' SHA256 hashes
+     * @param batchId Backend batch identifier for cross-reference
+     * @param leafCount Number of events covered by the root
+     * @param eventIdsHash keccak256(abi.encode(eventIds)) of the events' ids in leaf order
+     */
+    function storeMerkleRoot(
+        bytes32 merkleRoot,
+        string calldata batchId,
+        uint256 leafCount,
+        bytes32 eventIdsHash
+    ) external onlyAnchorer whenNotPaused {
+        require(!_isAnchored(merkleRoot), "Anchor already exists");
+        require(leafCount > 0, "Empty batch");
+
+        bytes32 batchIdHash = keccak256(bytes(batchId));
+        require(rootOfBatch[batchIdHash] == bytes32(0), "Batch already exists");
+
+        _record(merkleRoot, eventIdsHash, batchId, leafCount);
+        rootOfBatch[batchIdHash] = merkleRoot;
+
+        emit MerkleRootStored(
+            merkleRoot,
+            msg.sender,
+            block.timestamp,
+            batchId,
+            leafCount,
+            eventIdsHash
+        );
+    }
+
     /**
      * @notice Check if an anchor has been stored
      * @param anchorHash The hash to check
      * @return bool True if anchor exists
      */
     function isAnchored(bytes32 anchorHash) external view returns (bool) {
-        return anchored[anchorHash];
+        return _isAnchored(anchorHash);
+    }
+
+    /**
+     * @notice Fetch the metadata of an anchor
+     * @param anchorHash Event hash or batch Merkle root
+     * @return record Anchor metadata (zero timestamp if not anchored)
+     */
+    function getAnchor(bytes32 anchorHash) external view returns (AnchorRecord memory record) {
+        return anchors[anchorHash];
+    }
+
+    /**
+     * @notice Fetch the anchor of a batch
+     * @dev This is how an event's anchor is looked up: resolve the event to its batch
+     *      off-chain, fetch the batch root here and check the event's Merkle proof against it
+     * @param batchId Backend batch identifier
+     * @return merkleRoot Batch Merkle root (zero if not anchored)
+     * @return record Anchor metadata
+     */
+    function getAnchorByBatchId(string calldata batchId)
+        external
+        view
+        returns (bytes32 merkleRoot, AnchorRecord memory record)
+    {
+        merkleRoot = rootOfBatch[keccak256(bytes(batchId))];
+        record = anchors[merkleRoot];
+    }
+
+    function _isAnchored(bytes32 anchorHash) internal view returns (bool) {
+        return anchors[anchorHash].timestamp != 0;
+    }
+
+    function _record(
+        bytes32 anchorHash,
+        bytes32 eventIdHash,
+        string memory batchId,
+        uint256 leafCount
+    ) internal {
+        anchors[anchorHash] = AnchorRecord({
+            anchorer: msg.sender,
+            timestamp: uint64(block.timestamp),
+            blockNumber: uint64(block.number),
+            eventIdHash: eventIdHash,
+            batchId: batchId,
+            leafCount: leafCount
+        });
     }
 }
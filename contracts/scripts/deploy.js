@@ -13,9 +13,26 @@ async function main() {
      const address = await anchorRegistry.getAddress();
      console.log(`AnchorRegistry deployed to: ${address}`);
 
+     // The deployer owns the registry; the backend signer needs the anchorer role to write to it
+     const [deployer] = await hre.ethers.getSigners();
+     const backendSigner = process.env.SIGNER_PRIVATE_KEY
+          ? new hre.ethers.Wallet(process.env.SIGNER_PRIVATE_KEY).address
+          : deployer.address;
+
+     if (await anchorRegistry.anchorers(backendSigner)) {
+          console.log(`Backend signer ${backendSigner} is already an anchorer`);
+     } else {
+          await (await anchorRegistry.addAnchorer(backendSigner)).wait();
+          console.log(`Granted anchorer role to backend signer ${backendSigner}`);
+     }
+
      // Save deployment info for backend to use
      const deploymentInfo = {
           contractAddress: address,
+          owner: deployer.address,
+          anchorer: backendSigner,
+          // First block the backend's chain indexer needs to scan
+          deployBlock: (await anchorRegistry.deploymentTransaction().wait()).blockNumber,
           chainId: (await hre.ethers.provider.getNetwork()).chainId.toString(),
           deployedAt: new Date().toISOString()
      };
@@ -0,0 +1,224 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { anyValue } = require("@nomicfoundation/hardhat-chai-matchers/withArgs");
+
+describe("AnchorRegistry", function () {
+     const hash = (label) => ethers.keccak256(ethers.toUtf8Bytes(label));
+     const idsHash = (eventIds) => ethers.keccak256(ethers.AbiCoder.defaultAbiCoder().encode(["string[]"], [eventIds]));
+
+     async function deployFixture() {
+          const [owner, backend, outsider] = await ethers.getSigners();
+          const AnchorRegistry = await ethers.getContractFactory("AnchorRegistry");
+          const registry = await AnchorRegistry.deploy();
+          await registry.addAnchorer(backend.address);
+          return { registry, owner, backend, outsider };
+     }
+
+     describe("Deployment", function () {
+          it("makes the deployer owner and anchorer", async function () {
+               const { registry, owner } = await loadFixture(deployFixture);
+
+               expect(await registry.owner()).to.equal(owner.address);
+               expect(await registry.anchorers(owner.address)).to.equal(true);
+               expect(await registry.paused()).to.equal(false);
+          });
+     });
+
+     describe("Unauthorized calls", function () {
+          it("rejects anchors from non-anchorers", async function () {
+               const { registry, outsider } = await loadFixture(deployFixture);
+
+               await expect(registry.connect(outsider).storeAnchor(hash("evt_1"), "evt_1"))
+                    .to.be.revertedWith("Caller is not an anchorer");
+               await expect(registry.connect(outsider).storeAnchorBatch([hash("evt_1")], ["evt_1"]))
+                    .to.be.revertedWith("Caller is not an anchorer");
+               await expect(registry.connect(outsider).storeMerkleRoot(hash("root_1"), "batch_1", 1, idsHash(["evt_1"])))
+                    .to.be.revertedWith("Caller is not an anchorer");
+               expect(await registry.isAnchored(hash("evt_1"))).to.equal(false);
+          });
+
+          it("rejects role and pause changes from non-owners", async function () {
+               const { registry, backend, outsider } = await loadFixture(deployFixture);
+
+               await expect(registry.connect(backend).addAnchorer(outsider.address))
+                    .to.be.revertedWith("Caller is not the owner");
+               await expect(registry.connect(outsider).removeAnchorer(backend.address))
+                    .to.be.revertedWith("Caller is not the owner");
+               await expect(registry.connect(backend).pause())
+                    .to.be.revertedWith("Caller is not the owner");
+               await expect(registry.connect(outsider).transferOwnership(outsider.address))
+                    .to.be.revertedWith("Caller is not the owner");
+          });
+     });
+
+     describe("Anchoring", function () {
+          it("lets an anchorer store anchors and Merkle roots", async function () {
+               const { registry, backend } = await loadFixture(deployFixture);
+
+               await expect(registry.connect(backend).storeAnchor(hash("evt_1"), "evt_1"))
+                    .to.emit(registry, "AnchorStored");
+               await expect(registry.connect(backend).storeMerkleRoot(hash("root_1"), "batch_1", 2, idsHash(["evt_1", "evt_2"])))
+                    .to.emit(registry, "MerkleRootStored")
+                    .withArgs(hash("root_1"), backend.address, anyValue, "batch_1", 2, idsHash(["evt_1", "evt_2"]));
+
+               expect(await registry.isAnchored(hash("evt_1"))).to.equal(true);
+               expect(await registry.isAnchored(hash("root_1"))).to.equal(true);
+          });
+
+          it("rejects duplicate anchors", async function () {
+               const { registry, backend } = await loadFixture(deployFixture);
+
+               await registry.connect(backend).storeAnchor(hash("evt_1"), "evt_1");
+               await expect(registry.connect(backend).storeAnchor(hash("evt_1"), "evt_1"))
+                    .to.be.revertedWith("Anchor already exists");
+          });
+     });
+
+     describe("Anchor metadata", function () {
+          it("records who anchored a single event, when, and for which event id", async function () {
+               const { registry, backend } = await loadFixture(deployFixture);
+
+               const tx = await registry.connect(backend).storeAnchor(hash("evt_1"), "evt_1");
+               const receipt = await tx.wait();
+               const block = await ethers.provider.getBlock(receipt.blockNumber);
+
+               const record = await registry.getAnchor(hash("evt_1"));
+               expect(record.anchorer).to.equal(backend.address);
+               expect(record.timestamp).to.equal(block.timestamp);
+               expect(record.blockNumber).to.equal(receipt.blockNumber);
+               expect(record.eventIdHash).to.equal(hash("evt_1"));
+               expect(record.batchId).to.equal("");
+               expect(record.leafCount).to.equal(1);
+          });
+
+          it("stores one record per Merkle batch, looked up by batch id", async function () {
+               const { registry, backend } = await loadFixture(deployFixture);
+
+               const eventIds = ["evt_1", "evt_2", "evt_3"];
+               await registry.connect(backend).storeMerkleRoot(hash("root_1"), "batch_1", 3, idsHash(eventIds));
+
+               const record = await registry.getAnchor(hash("root_1"));
+               expect(record.batchId).to.equal("batch_1");
+               expect(record.leafCount).to.equal(3);
+               expect(record.eventIdHash).to.equal(idsHash(eventIds));
+
+               const [merkleRoot, byBatch] = await registry.getAnchorByBatchId("batch_1");
+               expect(merkleRoot).to.equal(hash("root_1"));
+               expect(byBatch.anchorer).to.equal(backend.address);
+               expect(byBatch.leafCount).to.equal(3);
+
+               // Events are not indexed one by one; they resolve to their batch off-chain
+               expect(registry.interface.getFunction("getAnchorByEventId")).to.equal(null);
+          });
+
+          it("does not grow in gas with the batch size", async function () {
+               const { registry, backend } = await loadFixture(deployFixture);
+
+               const gasFor = async (label, size) => {
+                    const eventIds = Array.from({ length: size }, (_, i) => `evt_${label}_${i}`);
+                    const tx = await registry.connect(backend).storeMerkleRoot(hash(label), label, size, idsHash(eventIds));
+                    return (await tx.wait()).gasUsed;
+               };
+               // Only the calldata bytes of leafCount differ
+               const small = await gasFor("batch_a", 2);
+               const large = await gasFor("batch_b", 500);
+               expect(large - small).to.be.lessThan(100n);
+          });
+
+          it("rejects reusing a batch id", async function () {
+               const { registry, backend } = await loadFixture(deployFixture);
+
+               await registry.connect(backend).storeMerkleRoot(hash("root_1"), "batch_1", 1, idsHash(["evt_1"]));
+               await expect(registry.connect(backend).storeMerkleRoot(hash("root_2"), "batch_1", 1, idsHash(["evt_2"])))
+                    .to.be.revertedWith("Batch already exists");
+          });
+
+          it("returns an empty record for unknown anchors and batches", async function () {
+               const { registry } = await loadFixture(deployFixture);
+
+               const record = await registry.getAnchor(hash("missing"));
+               expect(record.timestamp).to.equal(0);
+               expect(record.anchorer).to.equal(ethers.ZeroAddress);
+               const [merkleRoot, byBatch] = await registry.getAnchorByBatchId("missing");
+               expect(merkleRoot).to.equal(ethers.ZeroHash);
+               expect(byBatch.timestamp).to.equal(0);
+          });
+
+          it("rejects empty batches", async function () {
+               const { registry, backend } = await loadFixture(deployFixture);
+
+               await expect(registry.connect(backend).storeMerkleRoot(hash("root_1"), "batch_1", 0, idsHash([])))
+                    .to.be.revertedWith("Empty batch");
+          });
+     });
+
+     describe("Role changes", function () {
+          it("grants and revokes the anchorer role", async function () {
+               const { registry, owner, outsider } = await loadFixture(deployFixture);
+
+               await expect(registry.addAnchorer(outsider.address))
+                    .to.emit(registry, "AnchorerAdded").withArgs(outsider.address, owner.address);
+               await registry.connect(outsider).storeAnchor(hash("evt_1"), "evt_1");
+
+               await expect(registry.removeAnchorer(outsider.address))
+                    .to.emit(registry, "AnchorerRemoved").withArgs(outsider.address, owner.address);
+               await expect(registry.connect(outsider).storeAnchor(hash("evt_2"), "evt_2"))
+                    .to.be.revertedWith("Caller is not an anchorer");
+          });
+
+          it("rejects granting twice, revoking non-anchorers and the zero address", async function () {
+               const { registry, backend, outsider } = await loadFixture(deployFixture);
+
+               await expect(registry.addAnchorer(backend.address)).to.be.revertedWith("Already an anchorer");
+               await expect(registry.removeAnchorer(outsider.address)).to.be.revertedWith("Not an anchorer");
+               await expect(registry.addAnchorer(ethers.ZeroAddress)).to.be.revertedWith("Zero address");
+          });
+
+          it("transfers ownership", async function () {
+               const { registry, owner, outsider } = await loadFixture(deployFixture);
+
+               await expect(registry.transferOwnership(outsider.address))
+                    .to.emit(registry, "OwnershipTransferred").withArgs(owner.address, outsider.address);
+               expect(await registry.owner()).to.equal(outsider.address);
+
+               await expect(registry.pause()).to.be.revertedWith("Caller is not the owner");
+               await registry.connect(outsider).pause();
+          });
+     });
+
+     describe("Pausing", function () {
+          it("blocks every write while paused and resumes after unpause", async function () {
+               const { registry, owner, backend } = await loadFixture(deployFixture);
+
+               await expect(registry.pause()).to.emit(registry, "Paused").withArgs(owner.address);
+
+               await expect(registry.connect(backend).storeAnchor(hash("evt_1"), "evt_1"))
+                    .to.be.revertedWith("Registry is paused");
+               await expect(registry.connect(backend).storeAnchorBatch([hash("evt_1")], ["evt_1"]))
+                    .to.be.revertedWith("Registry is paused");
+               await expect(registry.connect(backend).storeMerkleRoot(hash("root_1"), "batch_1", 1, idsHash(["evt_1"])))
+                    .to.be.revertedWith("Registry is paused");
+
+               await expect(registry.unpause()).to.emit(registry, "Unpaused").withArgs(owner.address);
+               await registry.connect(backend).storeAnchor(hash("evt_1"), "evt_1");
+               expect(await registry.isAnchored(hash("evt_1"))).to.equal(true);
+          });
+
+          it("rejects pausing twice and unpausing when not paused", async function () {
+               const { registry } = await loadFixture(deployFixture);
+
+               await expect(registry.unpause()).to.be.revertedWith("Registry is not paused");
+               await registry.pause();
+               await expect(registry.pause()).to.be.revertedWith("Registry is paused");
+          });
+
+          it("keeps reads available while paused", async function () {
+               const { registry, backend } = await loadFixture(deployFixture);
+
+               await registry.connect(backend).storeAnchor(hash("evt_1"), "evt_1");
+               await registry.pause();
+               expect(await registry.isAnchored(hash("evt_1"))).to.equal(true);
+          });
+     });
+});
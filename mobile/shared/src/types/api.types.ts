@@ -1,7 +1,12 @@
-export interface SessionResponse {
-  session_id: string;
-  ephemeral_token: string;
-  token_type: 'BLE' | 'QR';
-  expires_at: string;
-  ttl_seconds: number;
-}
+export interface SessionResponse {
+  session_id: string;
+  ephemeral_token: string;
+  token_type: 'BLE' | 'QR';
+  expires_at: string;
+  ttl_seconds: number;
+  // Present when the session was created with token_rotation: true
+  token_seed?: string;
+  rotation_seconds?: number;
+  // Present for QR sessions: backend-signed POD1.<body>.<signature> text to render as a QR code
+  qr_payload?: string;
+}
@@ -1,3 +1,9 @@
-import crypto from 'crypto-js';
-
-export const sha256Hex = (input: string) => crypto.SHA256(input).toString(crypto.enc.Hex);
+import crypto from 'crypto-js';
+
+export const sha256Hex = (input: string) => crypto.SHA256(input).toString(crypto.enc.Hex);
+
+// Token to advertise for a rotating session; must match backend/tokens.js
+export const deriveRotatingToken = (seedHex: string, rotationSeconds: number, now = Date.now()) => {
+  const window = Math.floor(now / (rotationSeconds * 1000));
+  return crypto.HmacSHA256(String(window), crypto.enc.Hex.parse(seedHex)).toString(crypto.enc.Hex);
+};
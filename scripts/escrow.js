@@ -0,0 +1,186 @@
+#!/usr/bin/env node
+
+/**
+ * Key escrow tooling for sealed evidence and metadata (see backend/escrow).
+ *
+ *   keygen  [--threshold=2] [--dir=escrow_keys]
+ *           Local test keys for the operator and compliance holders, and the
+ *           holder config the backend reads them from: ESCROW_CONFIG_PATH,
+ *           resolved against backend/ (default backend/escrow_holders.json)
+ *   request --order=<id> --auditor=<id> --api-key=<key> --reason=<text>
+ *           Open an unlock request as a dispute reviewer; the reviewer key is
+ *           saved next to the holder keys
+ *   approve --request=<id> --key=<file> [--holder=<id>]
+ *           Unwrap a holder's shares and re-wrap them to the reviewer. Works with
+ *           holder key files and with customer key files from sim/
+ *   decrypt --request=<id> --auditor=<id> --api-key=<key> [--out=escrow_out]
+ *           Rebuild the data keys from the approvals and decrypt every item
+ *
+ * Set BACKEND_URL to reach a backend other than http://localhost:3000.
+ */
+
+const axios = require('axios');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const EC = require('elliptic').ec;
+const { open, wrap, unwrap, combine } = require('../backend/escrow/crypto');
+const escrow = require('../backend/escrow');
+
+const BASE_URL = process.env.BACKEND_URL || 'http://localhost:3000';
+const ec = new EC('secp256k1');
+
+const [command, ...rest] = process.argv.slice(2);
+const args = Object.fromEntries(rest
+     .filter(arg => arg.startsWith('--'))
+     .map(arg => {
+          const [name, ...value] = arg.slice(2).split('=');
+          return [name, value.join('=')];
+     }));
+
+function required(name) {
+     if (!args[name]) {
+          throw new Error(`--${name} is required for ${command}`);
+     }
+     return args[name];
+}
+
+function keyDir() {
+     return path.resolve(args.dir || 'escrow_keys');
+}
+
+function sign(keyPair, message) {
+     const signature = keyPair.sign(crypto.createHash('sha256').update(message).digest('hex'));
+     return signature.r.toString('hex').padStart(64, '0') + signature.s.toString('hex').padStart(64, '0');
+}
+
+async function auditorAuth() {
+     const { data } = await axios.post(`${BASE_URL}/api/v1/auth/auditor`, {
+          auditor_id: required('auditor'),
+          api_key: required('api-key')
+     });
+     return { headers: { Authorization: `Bearer ${data.access_token}` } };
+}
+
+function keygen() {
+     const threshold = parseInt(args.threshold || '2');
+     const dir = keyDir();
+     fs.mkdirSync(dir, { recursive: true });
+
+     const holders = ['operator', 'compliance'].map(role => {
+          const keyPair = ec.genKeyPair();
+          const holder = { holder_id: `escrow_${role}`, role, public_key: keyPair.getPublic('hex') };
+          fs.writeFileSync(path.join(dir, `${holder.holder_id}.json`), JSON.stringify({ ...holder, private_key: keyPair.getPrivate('hex') }, null, 2));
+          console.log(`🔑 ${role} holder key: ${path.join(dir, `${holder.holder_id}.json`)}`);
+          return holder;
+     });
+
+     // Resolved by the backend's escrow service itself, so both agree on where the config lives
+     const configPath = escrow.configPath;
+     fs.mkdirSync(path.dirname(configPath), { recursive: true });
+     fs.writeFileSync(configPath, JSON.stringify({ threshold, holders }, null, 2));
+     console.log(`✅ Escrow config (${threshold} of ${holders.length} + customer): ${configPath}`);
+     console.log('   Restart the backend to start sealing evidence');
+}
+
+async function request() {
+     const reviewer = ec.genKeyPair();
+     const { data } = await axios.post(`${BASE_URL}/api/v1/escrow/unlock-requests`, {
+          order_id: required('order'),
+          reviewer_public_key: reviewer.getPublic('hex'),
+          reason: required('reason')
+     }, await auditorAuth());
+
+     const dir = keyDir();
+     fs.mkdirSync(dir, { recursive: true });
+     const keyPath = path.join(dir, `reviewer_${data.request_id}.json`);
+     fs.writeFileSync(keyPath, JSON.stringify({ request_id: data.request_id, private_key: reviewer.getPrivate('hex') }, null, 2));
+
+     console.log(`✅ Unlock request ${data.request_id} for order ${data.order_id}`);
+     console.log(`   Items: ${data.items.map(item => `${item.subject} ${item.subject_id}`).join(', ')}`);
+     console.log(`   Reviewer key: ${keyPath}`);
+}
+
+async function approve() {
+     const request_id = required('request');
+     const key = JSON.parse(fs.readFileSync(required('key'), 'utf8'));
+     const holder_id = args.holder || key.holder_id || key.customer_id;
+     const keyPair = ec.keyFromPrivate(key.private_key, 'hex');
+
+     const shareRequest = JSON.stringify({ type: 'escrow_share_request', request_id, holder_id, timestamp: new Date().toISOString() });
+     const { data } = await axios.get(`${BASE_URL}/api/v1/escrow/unlock-requests/${request_id}/shares/${holder_id}`, {
+          headers: { 'X-Signed-Blob': Buffer.from(JSON.stringify({ message: shareRequest, signature: sign(keyPair, shareRequest) })).toString('base64') }
+     });
+     console.log(`📋 Request ${request_id} for order ${data.order_id} by ${data.reviewer.role} ${data.reviewer.id}`);
+     console.log(`   Reason: ${data.reason}`);
+
+     const shares = {};
+     for (const share of data.shares) {
+          const value = unwrap(key.private_key, share.wrapped_share);
+          shares[share.key_id] = wrap(data.reviewer_public_key, value);
+          value.fill(0);
+     }
+
+     const message = JSON.stringify({ type: 'escrow_approval', request_id, holder_id, shares });
+     const signed_blob = Buffer.from(JSON.stringify({ message, signature: sign(keyPair, message) })).toString('base64');
+     const { data: result } = await axios.post(`${BASE_URL}/api/v1/escrow/unlock-requests/${request_id}/approvals`, { holder_id, signed_blob });
+
+     console.log(`✅ ${holder_id} approved ${data.shares.length} share(s); request is ${result.status}`);
+}
+
+async function decrypt() {
+     const request_id = required('request');
+     const reviewer = JSON.parse(fs.readFileSync(path.join(keyDir(), `reviewer_${request_id}.json`), 'utf8'));
+     const authConfig = await auditorAuth();
+
+     const { data } = await axios.get(`${BASE_URL}/api/v1/escrow/unlock-requests/${request_id}`, authConfig);
+     if (data.status !== 'unlocked') {
+          throw new Error(`Request ${request_id} is ${data.status} (${data.approvals.length} approval(s))`);
+     }
+     if (data.reviewer.id !== args.auditor) {
+          throw new Error(`Only ${data.reviewer.role} ${data.reviewer.id}, who opened the request, can decrypt it`);
+     }
+
+     const out = path.resolve(args.out || 'escrow_out');
+     fs.mkdirSync(out, { recursive: true });
+
+     for (const item of data.items) {
+          const shares = data.approvals
+               .filter(approval => approval.shares[item.key_id])
+               .slice(0, item.threshold)
+               .map(approval => ({
+                    index: approval.shares[item.key_id].share_index,
+                    value: unwrap(reviewer.private_key, approval.shares[item.key_id].wrapped)
+               }));
+          const dataKey = combine(shares);
+
+          if (item.subject === 'evidence') {
+               const { data: sealed } = await axios.get(`${BASE_URL}${item.download}`, { ...authConfig, responseType: 'arraybuffer' });
+               const content = open(dataKey, Buffer.from(sealed), item.aad);
+               if (crypto.createHash('sha256').update(content).digest('hex') !== item.sha256) {
+                    throw new Error(`Decrypted evidence ${item.subject_id} does not match its hash`);
+               }
+               fs.writeFileSync(path.join(out, item.subject_id), content);
+               console.log(`🔓 Evidence ${item.evidence_hash} (${item.content_type}) -> ${path.join(out, item.subject_id)}`);
+          } else {
+               const metadata = JSON.parse(open(dataKey, Buffer.from(item.sealed, 'base64'), item.aad).toString('utf8'));
+               fs.writeFileSync(path.join(out, `${item.subject_id}.metadata.json`), JSON.stringify(metadata, null, 2));
+               console.log(`🔓 Metadata of ${item.subject_id} -> ${path.join(out, `${item.subject_id}.metadata.json`)}`);
+          }
+          dataKey.fill(0);
+     }
+}
+
+const commands = { keygen, request, approve, decrypt };
+
+if (!commands[command]) {
+     console.error('Usage: node scripts/escrow.js keygen|request|approve|decrypt [--options]');
+     process.exit(1);
+}
+
+Promise.resolve()
+     .then(() => commands[command]())
+     .catch(error => {
+          console.error(`❌ ${error.response ? JSON.stringify(error.response.data) : error.message}`);
+          process.exit(1);
+     });
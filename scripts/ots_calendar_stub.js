@@ -0,0 +1,93 @@
+#!/usr/bin/env node
+
+/**
+ * Local stand-in for an OpenTimestamps calendar server, for the opentimestamps
+ * anchoring backend (ANCHOR_BACKEND=opentimestamps).
+ *
+ * Speaks the two calendar endpoints the backend uses:
+ *   POST /digest             raw digest bytes in, receipt bytes out
+ *   GET  /timestamp/<hex>    receipt for a submitted digest, 404 if unknown
+ *
+ * Receipts are opaque pending attestations kept in memory, so nothing survives a
+ * restart and nothing is ever committed to Bitcoin. Point OTS_CALENDAR_URL at a
+ * real calendar (e.g. https://alice.btc.calendar.opentimestamps.org) to replace it.
+ */
+
+const crypto = require('crypto');
+const http = require('http');
+
+const PORT = parseInt(process.env.OTS_CALENDAR_PORT || '14788');
+const MAX_DIGEST_BYTES = 64;
+
+const receipts = new Map();
+
+function readBody(req) {
+     return new Promise((resolve, reject) => {
+          const chunks = [];
+          req.on('data', chunk => chunks.push(chunk));
+          req.on('end', () => resolve(Buffer.concat(chunks)));
+          req.on('error', reject);
+     });
+}
+
+function createReceipt(digest) {
+     // A pending attestation names the calendar and when it received the digest
+     const attestation = Buffer.from(JSON.stringify({
+          calendar: `http://127.0.0.1:${PORT}`,
+          received_at: new Date().toISOString(),
+          nonce: crypto.randomBytes(8).toString('hex')
+     }));
+     return Buffer.concat([digest, attestation]);
+}
+
+const server = http.createServer(async (req, res) => {
+     try {
+          if (req.method === 'POST' && req.url === '/digest') {
+               const digest = await readBody(req);
+               if (digest.length === 0 || digest.length > MAX_DIGEST_BYTES) {
+                    res.writeHead(400);
+                    return res.end('digest must be 1-64 bytes');
+               }
+
+               const key = digest.toString('hex');
+               if (!receipts.has(key)) {
+                    receipts.set(key, createReceipt(digest));
+                    console.log(`🕒 Digest ${key.slice(0, 16)}... received`);
+               }
+               res.writeHead(200, { 'Content-Type': 'application/vnd.opentimestamps.v1' });
+               return res.end(receipts.get(key));
+          }
+
+          const match = req.method === 'GET' && req.url.match(/^\/timestamp\/([0-9a-fA-F]+)$/);
+          if (match) {
+               const receipt = receipts.get(match[1].toLowerCase());
+               if (!receipt) {
+                    res.writeHead(404);
+                    return res.end('Not found');
+               }
+               res.writeHead(200, { 'Content-Type': 'application/vnd.opentimestamps.v1' });
+               return res.end(receipt);
+          }
+
+          if (req.method === 'GET' && req.url === '/') {
+               res.writeHead(200, { 'Content-Type': 'text/plain' });
+               return res.end(`OpenTimestamps calendar stub (${receipts.size} digests)`);
+          }
+
+          res.writeHead(404);
+          res.end('Not found');
+     } catch (error) {
+          console.error('Calendar stub error:', error.message);
+          res.writeHead(500);
+          res.end('Internal error');
+     }
+});
+
+server.listen(PORT, () => {
+     console.log(`🕒 OpenTimestamps calendar stub listening on http://127.0.0.1:${PORT}`);
+});
+
+process.on('SIGINT', () => {
+     server.close();
+     process.exit(0);
+});
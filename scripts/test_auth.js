@@ -0,0 +1,247 @@
+#!/usr/bin/env node
+
+/**
+ * Auth test: customers and DPs log in by signing a single-use nonce with their
+ * registered key, and tokens only authorize acting as their own subject and role.
+ * DP keys that were rotated out or revoked can no longer log in or sign, while events
+ * signed before a revocation took effect still verify.
+ * Assumes blockchain node and backend are already running, with AUDITOR_API_KEY and
+ * OPERATOR_API_KEY set for both.
+ */
+
+const axios = require('axios');
+const crypto = require('crypto');
+const EC = require('elliptic').ec;
+
+const BASE_URL = 'http://localhost:3000';
+
+const ec = new EC('secp256k1');
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest('hex');
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+function signHex(keyPair, message) {
+     const sig = keyPair.sign(sha256(message));
+     return sig.r.toString('hex').padStart(64, '0') + sig.s.toString('hex').padStart(64, '0');
+}
+
+const bearer = (access_token) => ({ headers: { Authorization: `Bearer ${access_token}` } });
+
+// Request a login nonce and sign it; the body is returned so tests can tamper with or replay it
+async function signedLogin(role, subject_id, keyPair) {
+     const { data: { nonce, message } } = await axios.post(`${BASE_URL}/api/v1/auth/nonce`, { role, subject_id });
+     return { role, subject_id, nonce, signature: signHex(keyPair, message) };
+}
+
+function signedBlob(keyPair, data) {
+     const message = JSON.stringify(data);
+     return Buffer.from(JSON.stringify({ message, signature: signHex(keyPair, message) })).toString('base64');
+}
+
+async function login(role, subject_id, keyPair) {
+     const { data } = await axios.post(`${BASE_URL}/api/v1/auth/login`, await signedLogin(role, subject_id, keyPair));
+     return bearer(data.access_token);
+}
+
+async function expectError(request, status, code) {
+     const response = await request.catch(error => error.response);
+     if (!response || response.status !== status || response.data.code !== code) {
+          throw new Error(`Expected ${status} ${code}, got ${response && response.status} ${JSON.stringify(response && response.data)}`);
+     }
+}
+
+async function operatorAuth() {
+     const { data } = await axios.post(`${BASE_URL}/api/v1/auth/operator`, {
+          operator_id: 'auth_operator',
+          api_key: process.env.OPERATOR_API_KEY
+     });
+     return bearer(data.access_token);
+}
+
+// Operator issues the one-time enrolment code a DP ('dp') or customer ('customers') registers its key with
+async function enrolmentCode(resource, id) {
+     const { data } = await axios.post(`${BASE_URL}/api/v1/${resource}/${encodeURIComponent(id)}/enrolments`, {}, await operatorAuth());
+     return data.enrolment_code;
+}
+
+async function registerDP(dp_id, keyPair) {
+     await axios.post(`${BASE_URL}/api/v1/dp/register`, {
+          dp_id,
+          public_key: keyPair.getPublic('hex'),
+          name: 'Auth Test DP',
+          enrolment_code: await enrolmentCode('dp', dp_id)
+     });
+}
+
+async function registerCustomer(customer_id, keyPair) {
+     await axios.post(`${BASE_URL}/api/v1/customers/register`, {
+          customer_id,
+          public_key: keyPair.getPublic('hex'),
+          enrolment_code: await enrolmentCode('customers', customer_id)
+     });
+}
+
+async function testLogin() {
+     console.log('\n🔑 Login');
+     const dpKeyPair = ec.genKeyPair();
+     const dp_id = `dp_auth_${Date.now()}`;
+     await registerDP(dp_id, dpKeyPair);
+
+     await expectError(axios.post(`${BASE_URL}/api/v1/auth/nonce`, { role: 'dp', subject_id: `dp_unknown_${Date.now()}` }), 404, undefined);
+     await expectError(axios.post(`${BASE_URL}/api/v1/auth/nonce`, { role: 'auditor', subject_id: dp_id }), 400, undefined);
+     console.log('✅ Nonces are only issued to registered customers and DPs');
+
+     await expectError(axios.post(`${BASE_URL}/api/v1/auth/login`, await signedLogin('dp', dp_id, ec.genKeyPair())), 401, 'INVALID_SIGNATURE');
+     console.log('✅ Nonce signed with another key rejected');
+
+     const body = await signedLogin('dp', dp_id, dpKeyPair);
+     await axios.post(`${BASE_URL}/api/v1/auth/login`, body);
+     await expectError(axios.post(`${BASE_URL}/api/v1/auth/login`, body), 401, 'INVALID_NONCE');
+     console.log('✅ A login nonce is single-use');
+
+     // A nonce is bound to the role and subject it was issued for
+     const other = await signedLogin('dp', dp_id, dpKeyPair);
+     await expectError(axios.post(`${BASE_URL}/api/v1/auth/login`, { ...other, subject_id: `${dp_id}_x` }), 401, 'INVALID_NONCE');
+     await expectError(axios.post(`${BASE_URL}/api/v1/auth/login`, { ...other, role: 'customer' }), 401, 'INVALID_NONCE');
+     console.log('✅ Nonce presented for another subject or role rejected');
+
+     await expectError(axios.post(`${BASE_URL}/api/v1/auth/auditor`, { auditor_id: 'auth_auditor', api_key: 'wrong' }), 401, 'INVALID_CREDENTIALS');
+     await expectError(axios.post(`${BASE_URL}/api/v1/auth/operator`, { operator_id: 'auth_operator', api_key: 'wrong' }), 401, 'INVALID_CREDENTIALS');
+     console.log('✅ Staff logins with a wrong API key rejected');
+}
+
+async function testAccess() {
+     console.log('\n🛂 Access');
+     const [dpKeyPair, otherDpKeyPair, customerKeyPair] = [ec.genKeyPair(), ec.genKeyPair(), ec.genKeyPair()];
+     const suffix = Date.now();
+     const [dp_id, other_dp_id, customer_id] = [`dp_auth_a_${suffix}`, `dp_auth_b_${suffix}`, `cust_auth_${suffix}`];
+     await registerDP(dp_id, dpKeyPair);
+     await registerDP(other_dp_id, otherDpKeyPair);
+     await registerCustomer(customer_id, customerKeyPair);
+     const [dpAuth, customerAuth] = [await login('dp', dp_id, dpKeyPair), await login('customer', customer_id, customerKeyPair)];
+
+     const createSession = (auth, owner = customer_id) => axios.post(`${BASE_URL}/api/v1/sessions`,
+          { customer_id: owner, order_id: `order_auth_${crypto.randomBytes(4).toString('hex')}`, ttl_seconds: 300 }, auth);
+     await expectError(createSession({}), 401, 'UNAUTHENTICATED');
+     await expectError(createSession(bearer('not-a-token')), 401, 'UNAUTHENTICATED');
+     console.log('✅ Missing and invalid bearer tokens rejected');
+
+     await expectError(createSession(dpAuth), 403, 'FORBIDDEN');
+     await expectError(createSession(customerAuth, `cust_other_${suffix}`), 403, 'FORBIDDEN');
+     const { data: session } = await createSession(customerAuth);
+     console.log('✅ Only the customer themselves can open their sessions');
+
+     const challenge = (auth, as) => axios.post(`${BASE_URL}/api/v1/sessions/${session.session_id}/challenge`, { dp_id: as }, auth);
+     await expectError(challenge(customerAuth, dp_id), 403, 'FORBIDDEN');
+     await expectError(challenge(dpAuth, other_dp_id), 403, 'FORBIDDEN');
+     await challenge(dpAuth, dp_id);
+     console.log('✅ A DP token only acts as its own DP');
+}
+
+async function testKeyLifecycle() {
+     console.log('\n🔄 DP key rotation and revocation');
+     const [firstKey, secondKey, replacementKey] = [ec.genKeyPair(), ec.genKeyPair(), ec.genKeyPair()];
+     const customerKeyPair = ec.genKeyPair();
+     const suffix = Date.now();
+     const [dp_id, customer_id] = [`dp_keys_${suffix}`, `cust_keys_${suffix}`];
+     await registerDP(dp_id, firstKey);
+     await registerCustomer(customer_id, customerKeyPair);
+     const customerAuth = await login('customer', customer_id, customerKeyPair);
+     const dpAuth = await login('dp', dp_id, firstKey);
+
+     // Open a session and answer its challenge with a proof signed by the given key
+     const submitDelivery = async (keyPair) => {
+          const { data: session } = await axios.post(`${BASE_URL}/api/v1/sessions`,
+               { customer_id, order_id: `order_keys_${crypto.randomBytes(4).toString('hex')}`, ttl_seconds: 300 }, customerAuth);
+          const { data: { challenge_nonce } } = await axios.post(`${BASE_URL}/api/v1/sessions/${session.session_id}/challenge`, { dp_id }, dpAuth);
+          return axios.post(`${BASE_URL}/api/v1/deliveries`, {
+               session_id: session.session_id,
+               dp_id,
+               signed_blob: signedBlob(keyPair, {
+                    session_id: session.session_id,
+                    dp_id,
+                    ephemeral_token_hash: 'sha256:' + sha256(session.ephemeral_token),
+                    challenge_nonce,
+                    timestamp: new Date().toISOString()
+               })
+          }, dpAuth);
+     };
+     const signingKeyOf = async (event_id) =>
+          (await axios.get(`${BASE_URL}/api/v1/deliveries/${event_id}/verify`, dpAuth)).data.dp_key;
+
+     const { data: beforeRotation } = await submitDelivery(firstKey);
+
+     // The new key is authorized by a signature of the current one
+     const rotate = (signingKey) => axios.post(`${BASE_URL}/api/v1/dp/${dp_id}/keys/rotate`, {
+          new_public_key: secondKey.getPublic('hex'),
+          signature: signHex(signingKey, JSON.stringify({ action: 'rotate_key', dp_id, key_version: 1, new_public_key: secondKey.getPublic('hex') }))
+     }, dpAuth);
+     await expectError(rotate(secondKey), 401, 'INVALID_SIGNATURE');
+     const { data: rotated } = await rotate(firstKey);
+     if (rotated.key_version !== 2) {
+          throw new Error(`Rotation produced key version ${rotated.key_version}`);
+     }
+     await expectError(axios.post(`${BASE_URL}/api/v1/auth/login`, await signedLogin('dp', dp_id, firstKey)), 401, 'INVALID_SIGNATURE');
+     await login('dp', dp_id, secondKey);
+     await expectError(submitDelivery(firstKey), 401, 'INVALID_SIGNATURE');
+     const rotatedOut = await signingKeyOf(beforeRotation.event_id);
+     if (rotatedOut.key_version !== 1 || rotatedOut.status !== 'rotated' || !rotatedOut.valid_at_signing) {
+          throw new Error(`Event signed before the rotation no longer verifies: ${JSON.stringify(rotatedOut)}`);
+     }
+     console.log('✅ Rotated-out key can no longer log in or sign; its earlier events still verify');
+
+     // Revoke the second key effective between two of its deliveries
+     const { data: beforeRevocation } = await submitDelivery(secondKey);
+     await sleep(1000);
+     const effective_at = new Date().toISOString();
+     await sleep(1000);
+     const { data: afterRevocation } = await submitDelivery(secondKey);
+
+     const operator = await operatorAuth();
+     const revoke = (body) => axios.post(`${BASE_URL}/api/v1/dp/${dp_id}/keys/revoke`, body, operator);
+     await expectError(revoke({ reason: 'device stolen', effective_at: new Date(Date.now() + 60000).toISOString() }), 400, undefined);
+     const { data: revoked } = await revoke({
+          key_version: 2,
+          reason: 'device stolen',
+          effective_at,
+          replacement_public_key: replacementKey.getPublic('hex')
+     });
+     if (revoked.replacement_key_version !== 3) {
+          throw new Error(`Replacement installed as key version ${revoked.replacement_key_version}`);
+     }
+     await expectError(revoke({ key_version: 2, reason: 'again' }), 409, undefined);
+
+     const [before, after] = [await signingKeyOf(beforeRevocation.event_id), await signingKeyOf(afterRevocation.event_id)];
+     if (before.key_version !== 2 || before.status !== 'revoked' || !before.valid_at_signing) {
+          throw new Error(`Event received before effective_at must still verify: ${JSON.stringify(before)}`);
+     }
+     if (after.key_version !== 2 || after.valid_at_signing) {
+          throw new Error(`Event received after effective_at must not verify: ${JSON.stringify(after)}`);
+     }
+     console.log('✅ Revoked key still vouches for events before effective_at, not after');
+
+     await expectError(axios.post(`${BASE_URL}/api/v1/auth/login`, await signedLogin('dp', dp_id, secondKey)), 401, 'INVALID_SIGNATURE');
+     await expectError(submitDelivery(secondKey), 401, 'INVALID_SIGNATURE');
+     await login('dp', dp_id, replacementKey);
+     const { data: history } = await axios.get(`${BASE_URL}/api/v1/dp/${dp_id}/keys`, operator);
+     const statuses = history.keys.map(key => `${key.key_version}:${key.status}`).join(',');
+     if (statuses !== '1:rotated,2:revoked,3:active') {
+          throw new Error(`Unexpected key history ${statuses}`);
+     }
+     console.log('✅ Revoked key can no longer log in or sign; the replacement can');
+}
+
+async function main() {
+     await testLogin();
+     await testAccess();
+     await testKeyLifecycle();
+
+     console.log('\n🎉 Auth test passed');
+}
+
+main().catch(error => {
+     console.error('\n❌ Test Failed:', error.message);
+     if (error.response) {
+          console.error('Response:', error.response.data);
+     }
+     process.exit(1);
+});
@@ -0,0 +1,157 @@
+#!/usr/bin/env node
+
+/**
+ * Concurrency test: fires parallel delivery submissions at one session and checks
+ * exactly one proof is recorded.
+ * Assumes blockchain node and backend are already running, with OPERATOR_API_KEY set for both
+ */
+
+const axios = require('axios');
+const crypto = require('crypto');
+const EC = require('elliptic').ec;
+
+const BASE_URL = 'http://localhost:3000';
+const PARALLEL = 10;
+
+const ec = new EC('secp256k1');
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest('hex');
+
+function signHex(keyPair, message) {
+     const sig = keyPair.sign(sha256(message));
+     return sig.r.toString('hex').padStart(64, '0') + sig.s.toString('hex').padStart(64, '0');
+}
+
+async function login(role, subject_id, keyPair) {
+     const { data: { nonce, message } } = await axios.post(`${BASE_URL}/api/v1/auth/nonce`, { role, subject_id });
+     const { data } = await axios.post(`${BASE_URL}/api/v1/auth/login`, { role, subject_id, nonce, signature: signHex(keyPair, message) });
+     return { headers: { Authorization: `Bearer ${data.access_token}` } };
+}
+
+// Operator issues the one-time enrolment code a DP ('dp') or customer ('customers') registers its key with
+async function enrolmentCode(resource, id) {
+     const { data: { access_token } } = await axios.post(`${BASE_URL}/api/v1/auth/operator`, {
+          operator_id: 'concurrency_operator',
+          api_key: process.env.OPERATOR_API_KEY
+     });
+     const { data } = await axios.post(`${BASE_URL}/api/v1/${resource}/${encodeURIComponent(id)}/enrolments`, {},
+          { headers: { Authorization: `Bearer ${access_token}` } });
+     return data.enrolment_code;
+}
+
+async function registerDP(label) {
+     const keyPair = ec.genKeyPair();
+     const dp_id = `dp_${label}_${Date.now()}`;
+     await axios.post(`${BASE_URL}/api/v1/dp/register`, {
+          dp_id,
+          public_key: keyPair.getPublic('hex'),
+          enrolment_code: await enrolmentCode('dp', dp_id)
+     });
+     return { dp_id, keyPair, auth: await login('dp', dp_id, keyPair) };
+}
+
+async function createSession(order_id) {
+     const keyPair = ec.genKeyPair();
+     const customer_id = `cust_${order_id}`;
+     await axios.post(`${BASE_URL}/api/v1/customers/register`, {
+          customer_id,
+          public_key: keyPair.getPublic('hex'),
+          enrolment_code: await enrolmentCode('customers', customer_id)
+     });
+     const auth = await login('customer', customer_id, keyPair);
+     const { data } = await axios.post(`${BASE_URL}/api/v1/sessions`, { customer_id, order_id, ttl_seconds: 300 }, auth);
+     return { ...data, customer_id, order_id };
+}
+
+// Request a challenge for the DP and return a signed delivery submission for it
+async function signedSubmission(dp, session) {
+     const { data: { challenge_nonce } } = await axios.post(
+          `${BASE_URL}/api/v1/sessions/${session.session_id}/challenge`, { dp_id: dp.dp_id }, dp.auth
+     );
+     const message = JSON.stringify({
+          session_id: session.session_id,
+          order_id: session.order_id,
+          customer_id: session.customer_id,
+          dp_id: dp.dp_id,
+          ephemeral_token_hash: 'sha256:' + sha256(session.ephemeral_token),
+          challenge_nonce,
+          timestamp: new Date().toISOString()
+     });
+     const signed_blob = Buffer.from(JSON.stringify({ message, signature: signHex(dp.keyPair, message) })).toString('base64');
+     return { session_id: session.session_id, dp_id: dp.dp_id, signed_blob, evidence_hashes: [] };
+}
+
+// Submit everything at once and sort the responses into recorded events and rejections
+async function race(submissions) {
+     const results = await Promise.all(submissions.map(({ dp, body }) =>
+          axios.post(`${BASE_URL}/api/v1/deliveries`, body, dp.auth)
+               .then(response => ({ dp, status: response.status, data: response.data }))
+               .catch(error => ({ dp, status: error.response?.status, data: error.response?.data }))
+     ));
+     return {
+          recorded: results.filter(result => result.status === 200),
+          rejected: results.filter(result => result.status !== 200)
+     };
+}
+
+function check(name, passed, detail) {
+     console.log(`   ${passed ? '✓' : '✗'} ${name}${detail ? ` (${detail})` : ''}`);
+     return passed;
+}
+
+function checkRace({ recorded, rejected }) {
+     const reasons = new Set(rejected.map(result => `${result.status} ${result.data?.code || result.data?.error}`));
+     return [
+          check('exactly one submission recorded', recorded.length === 1, `${recorded.length} recorded`),
+          check('every other submission rejected with 4xx',
+               rejected.every(result => result.status >= 400 && result.status < 500), [...reasons].join(', '))
+     ];
+}
+
+async function main() {
+     console.log('\n' + '='.repeat(70));
+     console.log('🏁 Concurrent Delivery Submission Test');
+     console.log('='.repeat(70));
+
+     const passed = [];
+     const dpA = await registerDP('race_a');
+     const dpB = await registerDP('race_b');
+
+     console.log(`\n🔁 Same proof submitted ${PARALLEL} times in parallel`);
+     console.log('-'.repeat(70));
+     const session1 = await createSession(`order_race_${Date.now()}`);
+     const proof = await signedSubmission(dpA, session1);
+     const replay = await race(Array.from({ length: PARALLEL }, () => ({ dp: dpA, body: proof })));
+     passed.push(...checkRace(replay));
+
+     console.log(`\n👥 Two DPs with their own challenges racing for one session`);
+     console.log('-'.repeat(70));
+     const session2 = await createSession(`order_race2_${Date.now()}`);
+     const proofA = await signedSubmission(dpA, session2);
+     const proofB = await signedSubmission(dpB, session2);
+     const contested = await race(Array.from({ length: PARALLEL }, (_, i) =>
+          i % 2 === 0 ? { dp: dpA, body: proofA } : { dp: dpB, body: proofB }
+     ));
+     passed.push(...checkRace(contested));
+
+     const winner = contested.recorded[0];
+     const verified = winner ?
+          (await axios.get(`${BASE_URL}/api/v1/deliveries/${winner.data.event_id}/verify`, winner.dp.auth)).data : null;
+     passed.push(check('recorded event belongs to the winning DP and session',
+          verified?.session_id === session2.session_id && verified?.dp_id === winner.dp.dp_id));
+
+     console.log('');
+     if (passed.every(Boolean)) {
+          console.log('🎉 Exactly one proof per session under concurrent submission');
+     } else {
+          console.error('❌ Concurrency test failed');
+          process.exit(1);
+     }
+}
+
+main().catch((error) => {
+     console.error('\n❌ Test Failed:', error.message);
+     if (error.response) {
+          console.error('Response:', error.response.data);
+     }
+     process.exit(1);
+});
@@ -2,7 +2,7 @@
 
 /**
  * Test script for proximity-verified delivery prototype
- * Assumes blockchain node and backend are already running
+ * Assumes blockchain node and backend are already running, with OPERATOR_API_KEY set for both
  */
 
 const axios = require('axios');
@@ -18,6 +18,33 @@ const ec = new EC('secp256k1');
 const dpKeyPair = ec.keyFromPrivate('a1b2c3d4e5f6789012345678901234567890abcdef1234567890abcdef123456');
 const dpPublicKey = dpKeyPair.getPublic('hex');
 const dpId = 'dp_001';
+// Customer device key pair, used to log in
+const customerKeyPair = ec.genKeyPair();
+const customerId = `cust_test_${Date.now()}`;
+
+// Sign a login nonce with the given key and return the bearer auth header
+async function login(role, subject_id, keyPair) {
+     const { data: { nonce, message } } = await axios.post(`${BASE_URL}/api/v1/auth/nonce`, { role, subject_id });
+     const sig = keyPair.sign(crypto.createHash('sha256').update(message).digest('hex'));
+     const { data } = await axios.post(`${BASE_URL}/api/v1/auth/login`, {
+          role,
+          subject_id,
+          nonce,
+          signature: sig.r.toString('hex').padStart(64, '0') + sig.s.toString('hex').padStart(64, '0')
+     });
+     return { headers: { Authorization: `Bearer ${data.access_token}` } };
+}
+
+// Operator issues the one-time enrolment code a DP ('dp') or customer ('customers') registers its key with
+async function enrolmentCode(resource, id) {
+     const { data: { access_token } } = await axios.post(`${BASE_URL}/api/v1/auth/operator`, {
+          operator_id: 'demo_operator',
+          api_key: process.env.OPERATOR_API_KEY
+     });
+     const { data } = await axios.post(`${BASE_URL}/api/v1/${resource}/${encodeURIComponent(id)}/enrolments`, {},
+          { headers: { Authorization: `Bearer ${access_token}` } });
+     return data.enrolment_code;
+}
 
 console.log('\n' + '='.repeat(70));
 console.log('🚚 Proximity-Verified Delivery - End-to-End Test');
@@ -31,18 +58,28 @@ async function main() {
           const registerResponse = await axios.post(`${BASE_URL}/api/v1/dp/register`, {
                dp_id: dpId,
                public_key: dpPublicKey,
-               name: 'Test Delivery Partner'
+               name: 'Test Delivery Partner',
+               enrolment_code: await enrolmentCode('dp', dpId)
           });
           console.log('✅ DP Registered:', registerResponse.data);
+          const dpAuth = await login('dp', dpId, dpKeyPair);
+          console.log('✅ DP Logged In');
 
           // Step 2: Customer activates session
           console.log('\n👤 Step 2: Customer Activates Delivery Session');
           console.log('-'.repeat(70));
+          await axios.post(`${BASE_URL}/api/v1/customers/register`, {
+               customer_id: customerId,
+               public_key: customerKeyPair.getPublic('hex'),
+               enrolment_code: await enrolmentCode('customers', customerId)
+          });
+          const customerAuth = await login('customer', customerId, customerKeyPair);
+          console.log('✅ Customer Registered and Logged In');
           const sessionResponse = await axios.post(`${BASE_URL}/api/v1/sessions`, {
-               customer_id: 'cust_123',
+               customer_id: customerId,
                order_id: 'order_789',
                ttl_seconds: 300
-          });
+          }, customerAuth);
           const { session_id, ephemeral_token, expires_at } = sessionResponse.data;
           console.log('✅ Session Created:');
           console.log(`   Session ID: ${session_id}`);
@@ -59,7 +96,8 @@ async function main() {
           console.log('-'.repeat(70));
           const challengeResponse = await axios.post(
                `${BASE_URL}/api/v1/sessions/${session_id}/challenge`,
-               { dp_id: dpId }
+               { dp_id: dpId },
+               dpAuth
           );
           const { challenge_nonce } = challengeResponse.data;
           console.log('✅ Challenge Received:');
@@ -74,9 +112,9 @@ async function main() {
           const canonicalEvent = {
                session_id,
                order_id: 'order_789',
-               customer_id: 'cust_123',
+               customer_id: customerId,
                dp_id: dpId,
-               ephemeral_token_hash: crypto.createHash('sha256').update(ephemeral_token).digest('hex'),
+               ephemeral_token_hash: 'sha256:' + crypto.createHash('sha256').update(ephemeral_token).digest('hex'),
                challenge_nonce,
                timestamp
           };
@@ -109,20 +147,24 @@ async function main() {
                dp_id: dpId,
                signed_blob: signedBlobBase64,
                evidence_hashes: []
-          });
+          }, dpAuth);
 
-          const { event_id, txHash, status } = deliveryResponse.data;
+          const { event_id, anchor_hash, anchor_status, status } = deliveryResponse.data;
           console.log('✅ Delivery Submitted:');
           console.log(`   Event ID: ${event_id}`);
           console.log(`   Status: ${status}`);
-          console.log(`   Blockchain TxHash: ${txHash}`);
+          console.log(`   Anchor Hash: ${anchor_hash} (${anchor_status})`);
 
           // Step 7: Verify delivery
           console.log('\n🔍 Step 7: Verify Delivery Event');
           console.log('-'.repeat(70));
-          await sleep(1000); // Wait for blockchain confirmation
-
-          const verifyResponse = await axios.get(`${BASE_URL}/api/v1/deliveries/${event_id}/verify`);
+          // Events are anchored in Merkle batches, so poll until our batch lands on-chain
+          let verifyResponse;
+          for (let attempt = 0; attempt < 30; attempt++) {
+               verifyResponse = await axios.get(`${BASE_URL}/api/v1/deliveries/${event_id}/verify`, customerAuth);
+               if (verifyResponse.data.status === 'anchored') break;
+               await sleep(1000);
+          }
           console.log('✅ Verification Result:');
           console.log(JSON.stringify(verifyResponse.data, null, 2));
 
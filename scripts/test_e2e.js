@@ -2,7 +2,7 @@
 
 /**
  * Test script for proximity-verified delivery prototype
- * Assumes blockchain node and backend are already running
+ * Assumes blockchain node and backend are already running, with OPERATOR_API_KEY set for both
  */
 
 const axios = require('axios');
@@ -18,6 +18,50 @@ const dpKeyPair = ec.keyFromPrivate('a1b2c3d4e5f6789012345678901234567890abcdef1
 const dpPublicKey = dpKeyPair.getPublic('hex');
 // Generate unique DP ID for each test run to avoid duplicate registration errors
 const dpId = `dp_test_${Date.now()}`;
+// Customer device key pair, used to log in
+const customerKeyPair = ec.genKeyPair();
+const customerId = `cust_test_${Date.now()}`;
+
+// Sign a login nonce with the given key and return the bearer auth header
+async function login(role, subject_id, keyPair) {
+     const { data: { nonce, message } } = await axios.post(`${BASE_URL}/api/v1/auth/nonce`, { role, subject_id });
+     const sig = keyPair.sign(crypto.createHash('sha256').update(message).digest('hex'));
+     const { data } = await axios.post(`${BASE_URL}/api/v1/auth/login`, {
+          role,
+          subject_id,
+          nonce,
+          signature: sig.r.toString('hex').padStart(64, '0') + sig.s.toString('hex').padStart(64, '0')
+     });
+     return { headers: { Authorization: `Bearer ${data.access_token}` } };
+}
+
+// Operator issues the one-time enrolment code a DP ('dp') or customer ('customers') registers its key with
+async function enrolmentCode(resource, id) {
+     const { data: { access_token } } = await axios.post(`${BASE_URL}/api/v1/auth/operator`, {
+          operator_id: 'e2e_operator',
+          api_key: process.env.OPERATOR_API_KEY
+     });
+     const { data } = await axios.post(`${BASE_URL}/api/v1/${resource}/${encodeURIComponent(id)}/enrolments`, {},
+          { headers: { Authorization: `Bearer ${access_token}` } });
+     return data.enrolment_code;
+}
+
+async function expectError(request, status, code) {
+     const response = await request.catch(error => error.response);
+     if (!response || response.status !== status || response.data.code !== code) {
+          throw new Error(`Expected ${status} ${code}, got ${response && response.status} ${JSON.stringify(response && response.data)}`);
+     }
+}
+
+const tokenHash = (token) => 'sha256:' + crypto.createHash('sha256').update(token).digest('hex');
+
+// Sign a message with the given key and wrap it in the base64 signed blob the backend expects
+function signBlob(keyPair, messageData) {
+     const message = JSON.stringify(messageData);
+     const sig = keyPair.sign(crypto.createHash('sha256').update(message).digest('hex'));
+     const signature = sig.r.toString('hex').padStart(64, '0') + sig.s.toString('hex').padStart(64, '0');
+     return Buffer.from(JSON.stringify({ message, signature })).toString('base64');
+}
 
 console.log('\n' + '='.repeat(70));
 console.log('🚚 Proximity-Verified Delivery - End-to-End Test');
@@ -28,21 +72,47 @@ async function main() {
           // Step 1: Register Delivery Partner
           console.log('\n📋 Step 1: Register Delivery Partner');
           console.log('-'.repeat(70));
-          const registerResponse = await axios.post(`${BASE_URL}/api/v1/dp/register`, {
+          const registerDP = (enrolment_code, public_key = dpPublicKey) => axios.post(`${BASE_URL}/api/v1/dp/register`, {
                dp_id: dpId,
-               public_key: dpPublicKey,
-               name: 'Test Delivery Partner'
+               public_key,
+               name: 'Test Delivery Partner',
+               enrolment_code
           });
+          // DP login only proves possession of the registered key, so an unregistered dp_id cannot be claimed without a code
+          const dpSquatter = ec.genKeyPair().getPublic('hex');
+          await expectError(registerDP(undefined, dpSquatter), 400, 'ENROLMENT_CODE_REQUIRED');
+          await expectError(registerDP(await enrolmentCode('dp', `dp_other_${Date.now()}`), dpSquatter), 403, 'INVALID_ENROLMENT_CODE');
+          const dpCode = await enrolmentCode('dp', dpId);
+          const registerResponse = await registerDP(dpCode);
+          await expectError(registerDP(dpCode, dpSquatter), 409, 'DP_ALREADY_REGISTERED');
           console.log('✅ DP Registered:', registerResponse.data);
+          const dpAuth = await login('dp', dpId, dpKeyPair);
+          console.log('✅ DP Logged In');
 
           // Step 2: Customer activates session
           console.log('\n👤 Step 2: Customer Activates Delivery Session');
           console.log('-'.repeat(70));
+          const register = (customer_id, enrolment_code, keyPair = customerKeyPair) => axios.post(`${BASE_URL}/api/v1/customers/register`, {
+               customer_id,
+               public_key: keyPair.getPublic('hex'),
+               enrolment_code
+          });
+          // Nobody can claim a customer id without the code the operator issued for it
+          const squatter = ec.genKeyPair();
+          await expectError(register(customerId, undefined, squatter), 400, 'ENROLMENT_CODE_REQUIRED');
+          const otherCode = await enrolmentCode('customers', `cust_other_${Date.now()}`);
+          await expectError(register(customerId, otherCode, squatter), 403, 'INVALID_ENROLMENT_CODE');
+          console.log('✅ Registering someone else\'s customer id rejected');
+          const code = await enrolmentCode('customers', customerId);
+          await register(customerId, code);
+          await expectError(register(customerId, code, squatter), 409, 'CUSTOMER_ALREADY_REGISTERED');
+          const customerAuth = await login('customer', customerId, customerKeyPair);
+          console.log('✅ Customer Registered and Logged In');
           const sessionResponse = await axios.post(`${BASE_URL}/api/v1/sessions`, {
-               customer_id: 'cust_123',
+               customer_id: customerId,
                order_id: 'order_789',
                ttl_seconds: 300
-          });
+          }, customerAuth);
           const { session_id, ephemeral_token, expires_at } = sessionResponse.data;
           console.log('✅ Session Created:');
           console.log(`   Session ID: ${session_id}`);
@@ -59,7 +129,8 @@ async function main() {
           console.log('-'.repeat(70));
           const challengeResponse = await axios.post(
                `${BASE_URL}/api/v1/sessions/${session_id}/challenge`,
-               { dp_id: dpId }
+               { dp_id: dpId },
+               dpAuth
           );
           const { challenge_nonce } = challengeResponse.data;
           console.log('✅ Challenge Received:');
@@ -74,9 +145,9 @@ async function main() {
           const canonicalEvent = {
                session_id,
                order_id: 'order_789',
-               customer_id: 'cust_123',
+               customer_id: customerId,
                dp_id: dpId,
-               ephemeral_token_hash: crypto.createHash('sha256').update(ephemeral_token).digest('hex'),
+               ephemeral_token_hash: 'sha256:' + crypto.createHash('sha256').update(ephemeral_token).digest('hex'),
                challenge_nonce,
                timestamp
           };
@@ -101,6 +172,30 @@ async function main() {
           };
           const signedBlobBase64 = Buffer.from(JSON.stringify(signedBlob)).toString('base64');
 
+          // Step 5b: Upload the delivery photo; only uploaded evidence can be referenced
+          console.log('\n📸 Step 5b: Upload Delivery Photo');
+          console.log('-'.repeat(70));
+          const photo = crypto.randomBytes(4096);
+          const photoHash = 'sha256:' + crypto.createHash('sha256').update(photo).digest('hex');
+          const form = new FormData();
+          form.append('dp_id', dpId);
+          form.append('expected_hash', photoHash);
+          form.append('file', new Blob([photo], { type: 'image/jpeg' }), 'photo.jpg');
+          const uploadResponse = await axios.post(`${BASE_URL}/api/v1/sessions/${session_id}/evidence`, form, dpAuth);
+          const evidenceHash = uploadResponse.data.evidence_hash;
+          console.log(`✅ Evidence stored as ${evidenceHash} (${uploadResponse.data.size} bytes)`);
+
+          const fabricated = await axios.post(`${BASE_URL}/api/v1/deliveries`, {
+               session_id,
+               dp_id: dpId,
+               signed_blob: signedBlobBase64,
+               evidence_hashes: ['sha256:' + crypto.randomBytes(32).toString('hex')]
+          }, dpAuth).catch(error => error.response);
+          if (fabricated.status !== 400 || fabricated.data.code !== 'EVIDENCE_NOT_UPLOADED') {
+               throw new Error(`Delivery citing un-uploaded evidence was not rejected (${fabricated.status})`);
+          }
+          console.log('✅ Delivery citing a fabricated evidence hash rejected');
+
           // Step 6: Submit delivery with proof
           console.log('\n📤 Step 6: Submit Delivery with Proof');
           console.log('-'.repeat(70));
@@ -108,24 +203,156 @@ async function main() {
                session_id,
                dp_id: dpId,
                signed_blob: signedBlobBase64,
-               evidence_hashes: []
-          });
+               evidence_hashes: [evidenceHash]
+          }, dpAuth);
 
-          const { event_id, txHash, status } = deliveryResponse.data;
+          const { event_id, anchor_hash, anchor_status, status } = deliveryResponse.data;
           console.log('✅ Delivery Submitted:');
           console.log(`   Event ID: ${event_id}`);
           console.log(`   Status: ${status}`);
-          console.log(`   Blockchain TxHash: ${txHash}`);
+          console.log(`   Anchor Hash: ${anchor_hash} (${anchor_status})`);
 
           // Step 7: Verify delivery
           console.log('\n🔍 Step 7: Verify Delivery Event');
           console.log('-'.repeat(70));
-          await sleep(1000); // Wait for blockchain confirmation
-
-          const verifyResponse = await axios.get(`${BASE_URL}/api/v1/deliveries/${event_id}/verify`);
+          // Events are anchored in Merkle batches, so poll until our batch lands on-chain
+          let verifyResponse;
+          for (let attempt = 0; attempt < 30; attempt++) {
+               verifyResponse = await axios.get(`${BASE_URL}/api/v1/deliveries/${event_id}/verify`, customerAuth);
+               if (verifyResponse.data.status === 'anchored') break;
+               await sleep(1000);
+          }
           console.log('✅ Verification Result:');
           console.log(JSON.stringify(verifyResponse.data, null, 2));
 
+          // The customer can fetch the photo the event references, byte for byte
+          const download = await axios.get(`${BASE_URL}/api/v1/evidence/${encodeURIComponent(evidenceHash)}`,
+               { ...customerAuth, responseType: 'arraybuffer' });
+          if (!Buffer.from(download.data).equals(photo)) {
+               throw new Error('Downloaded evidence does not match the uploaded photo');
+          }
+          console.log('✅ Evidence downloaded by the customer matches the upload');
+
+          // The anchored event as a Verifiable Credential; any edit to it or its JWT proof must fail verification
+          const { data: credential } = await axios.get(`${BASE_URL}/api/v1/deliveries/${event_id}/credential`, customerAuth);
+          const verifyCredential = async (presented) => (await axios.post(`${BASE_URL}/api/v1/credentials/verify`, { credential: presented })).data;
+          const presentedResult = await verifyCredential(credential);
+          if (!presentedResult.verified) {
+               throw new Error(`Issued credential does not verify: ${JSON.stringify(presentedResult.checks)}`);
+          }
+          const editedBody = await verifyCredential({ ...credential, credentialSubject: { ...credential.credentialSubject, dp_id: 'dp_forged' } });
+          if (editedBody.verified || editedBody.checks.credential_matches_proof) {
+               throw new Error('Credential with an edited subject verified');
+          }
+          const [header, payload, jwtSignature] = credential.proof.jwt.split('.');
+          const claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+          claims.vc.credentialSubject.dp_id = 'dp_forged';
+          const forgedJwt = `${header}.${Buffer.from(JSON.stringify(claims)).toString('base64url')}.${jwtSignature}`;
+          const editedProof = await verifyCredential(forgedJwt);
+          if (editedProof.verified || editedProof.checks.signature_valid) {
+               throw new Error('Credential JWT with an edited payload verified');
+          }
+          await expectError(axios.post(`${BASE_URL}/api/v1/credentials/verify`, { credential: 'not.a-jwt' }), 400, 'MALFORMED_CREDENTIAL');
+          console.log('✅ Issued credential verifies; edited subjects and JWTs do not');
+
+          // Step 7b: Proofs the backend must refuse, on sessions of a second customer so the erasure below is unaffected
+          console.log('\n🚫 Step 7b: Rejected Proofs');
+          console.log('-'.repeat(70));
+          const otherCustomerId = `cust_other_test_${Date.now()}`;
+          const otherKeyPair = ec.genKeyPair();
+          await register(otherCustomerId, await enrolmentCode('customers', otherCustomerId), otherKeyPair);
+          const otherAuth = await login('customer', otherCustomerId, otherKeyPair);
+          const openSession = async (options = {}) => {
+               const order_id = `order_rejected_${crypto.randomBytes(4).toString('hex')}`;
+               const { data } = await axios.post(`${BASE_URL}/api/v1/sessions`,
+                    { customer_id: otherCustomerId, order_id, ttl_seconds: 300, ...options }, otherAuth);
+               return { ...data, order_id };
+          };
+          const requestChallenge = async (session) => (await axios.post(
+               `${BASE_URL}/api/v1/sessions/${session.session_id}/challenge`, { dp_id: dpId }, dpAuth)).data.challenge_nonce;
+          const proof = (session, fields) => ({
+               session_id: session.session_id,
+               order_id: session.order_id,
+               customer_id: otherCustomerId,
+               dp_id: dpId,
+               ephemeral_token_hash: tokenHash(session.ephemeral_token),
+               timestamp: new Date().toISOString(),
+               ...fields
+          });
+          const submitProof = (session, fields) => axios.post(`${BASE_URL}/api/v1/deliveries`, {
+               session_id: session.session_id,
+               dp_id: dpId,
+               signed_blob: signBlob(dpKeyPair, proof(session, fields))
+          }, dpAuth);
+
+          // Opened first: its token only goes stale two rotation windows later
+          const rotating = await openSession({ token_rotation: true });
+          const rotationMs = rotating.rotation_seconds * 1000;
+          const staleFrom = (Math.floor(Date.now() / rotationMs) + 2) * rotationMs;
+
+          const pending = await openSession();
+          const firstNonce = await requestChallenge(pending);
+          await expectError(submitProof(pending, {
+               challenge_nonce: firstNonce,
+               timestamp: new Date(Date.now() - 3600 * 1000).toISOString()
+          }), 400, 'TIMESTAMP_OUTSIDE_WINDOW');
+          console.log('✅ Proof signed an hour before the challenge rejected');
+          // Inside the one-minute challenge window, but further from the backend clock than MAX_CLOCK_SKEW_SECONDS (30 s)
+          await expectError(submitProof(pending, {
+               challenge_nonce: firstNonce,
+               timestamp: new Date(Date.now() + 45 * 1000).toISOString()
+          }), 400, 'CLOCK_SKEW');
+          console.log('✅ Proof with a clock 45 s ahead rejected');
+
+          // A failed attempt consumes the challenge; a delivery proof reusing its nonce answers no live challenge
+          await axios.post(`${BASE_URL}/api/v1/orders/${pending.order_id}/attempts`, {
+               dp_id: dpId,
+               signed_blob: signBlob(dpKeyPair, proof(pending, {
+                    type: 'delivery_attempt', challenge_nonce: firstNonce, reason_code: 'CUSTOMER_UNAVAILABLE'
+               }))
+          }, dpAuth);
+          await requestChallenge(pending);
+          await expectError(submitProof(pending, { challenge_nonce: firstNonce }), 400, 'CHALLENGE_MISMATCH');
+          console.log('✅ Proof reusing a consumed challenge nonce rejected');
+
+          // A QR proof is bound to the QR code scanned for its own session, and to the QR channel
+          const [qrScanned, qrSession] = [await openSession({ token_type: 'QR' }), await openSession({ token_type: 'QR' })];
+          const qrNonce = await requestChallenge(qrSession);
+          await expectError(submitProof(qrSession, {
+               challenge_nonce: qrNonce, token_channel: 'QR', qr_payload_hash: tokenHash(qrScanned.qr_payload)
+          }), 400, 'QR_PAYLOAD_MISMATCH');
+          await expectError(submitProof(qrSession, { challenge_nonce: qrNonce, token_channel: 'BLE' }), 400, 'CHANNEL_MISMATCH');
+          console.log('✅ QR proofs citing another session\'s QR code or the BLE channel rejected');
+
+          // The token advertised at activation is outside the current and adjacent windows by now
+          if (Date.now() < staleFrom) {
+               console.log(`   Waiting ${Math.ceil((staleFrom - Date.now()) / 1000)} s for the rotating token to expire...`);
+               await sleep(staleFrom - Date.now());
+          }
+          const rotatingNonce = await requestChallenge(rotating);
+          await expectError(submitProof(rotating, { challenge_nonce: rotatingNonce }), 400, 'TOKEN_STALE');
+          console.log('✅ Proof with an expired rotating token rejected');
+
+          // Step 8: Customer erases their data; the event stays verifiable through its salted customer reference
+          console.log('\n🗑️  Step 8: Customer Erasure');
+          console.log('-'.repeat(70));
+          const erasure = await axios.post(`${BASE_URL}/api/v1/customers/${customerId}/erase`, {}, customerAuth);
+          console.log(`✅ Erased (run ${erasure.data.run_id}):`, JSON.stringify(erasure.data.purged));
+          // The completed session has not expired yet, but erasure must not wait for it
+          if (erasure.data.purged.sessions !== 1) {
+               throw new Error(`Erasure purged ${erasure.data.purged.sessions} session(s), expected the completed one`);
+          }
+          const erasedEvent = await axios.get(`${BASE_URL}/api/v1/deliveries/${event_id}/verify`, dpAuth);
+          if (!erasedEvent.data.blockchain_verified || !erasedEvent.data.pii_purged) {
+               throw new Error('Erased event must be purged and still verify against its anchor');
+          }
+          const purgedEvidence = await axios.get(`${BASE_URL}/api/v1/evidence/${encodeURIComponent(evidenceHash)}`, dpAuth)
+               .catch(error => error.response);
+          if (purgedEvidence.status !== 410) {
+               throw new Error(`Erased customer's evidence is still served (${purgedEvidence.status})`);
+          }
+          console.log('✅ Event still matches its anchor hash; customer id and evidence are gone');
+
           // Success summary
           console.log('\n' + '='.repeat(70));
           console.log('🎉 END-TO-END TEST COMPLETED SUCCESSFULLY!');
@@ -136,8 +363,12 @@ async function main() {
           console.log(`   ✓ BLE proximity simulated`);
           console.log(`   ✓ Challenge-response completed`);
           console.log(`   ✓ Cryptographic proof generated`);
+          console.log(`   ✓ Delivery photo uploaded and verified`);
           console.log(`   ✓ Event anchored to blockchain`);
           console.log(`   ✓ Delivery verified`);
+          console.log(`   ✓ Verifiable Credential issued and verified`);
+          console.log(`   ✓ Stale, skewed, replayed, cross-channel and expired-token proofs rejected`);
+          console.log(`   ✓ Customer erased, proof still verifiable`);
           console.log('\n💡 The prototype is fully functional!');
           console.log('');
 
@@ -0,0 +1,207 @@
+#!/usr/bin/env node
+
+/**
+ * Escrow test: a delivery's photo and metadata are sealed at rest, one holder
+ * cannot unlock them, and the reviewer decrypts them once the threshold is met.
+ * Assumes blockchain node and backend are already running, with holder keys from
+ * `npm run escrow -- keygen` (threshold 2) and AUDITOR_API_KEY and OPERATOR_API_KEY set for both.
+ */
+
+const axios = require('axios');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const EC = require('elliptic').ec;
+const { open, wrap, unwrap, combine } = require('../backend/escrow/crypto');
+
+const BASE_URL = 'http://localhost:3000';
+const KEY_DIR = path.resolve(process.env.ESCROW_KEY_DIR || 'escrow_keys');
+
+const ec = new EC('secp256k1');
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest('hex');
+
+function signHex(keyPair, message) {
+     const sig = keyPair.sign(sha256(message));
+     return sig.r.toString('hex').padStart(64, '0') + sig.s.toString('hex').padStart(64, '0');
+}
+
+function signedBlob(keyPair, data) {
+     const message = JSON.stringify(data);
+     return Buffer.from(JSON.stringify({ message, signature: signHex(keyPair, message) })).toString('base64');
+}
+
+async function login(role, subject_id, keyPair) {
+     const { data: { nonce, message } } = await axios.post(`${BASE_URL}/api/v1/auth/nonce`, { role, subject_id });
+     const { data } = await axios.post(`${BASE_URL}/api/v1/auth/login`, { role, subject_id, nonce, signature: signHex(keyPair, message) });
+     return { headers: { Authorization: `Bearer ${data.access_token}` } };
+}
+
+async function expectError(request, status, code) {
+     const response = await request.catch(error => error.response);
+     if (!response || response.status !== status || response.data.code !== code) {
+          throw new Error(`Expected ${status} ${code}, got ${response && response.status} ${JSON.stringify(response && response.data)}`);
+     }
+}
+
+// Operator issues the one-time enrolment code a DP ('dp') or customer ('customers') registers its key with
+async function enrolmentCode(resource, id) {
+     const { data: { access_token } } = await axios.post(`${BASE_URL}/api/v1/auth/operator`, {
+          operator_id: 'escrow_operator',
+          api_key: process.env.OPERATOR_API_KEY
+     });
+     const { data } = await axios.post(`${BASE_URL}/api/v1/${resource}/${encodeURIComponent(id)}/enrolments`, {},
+          { headers: { Authorization: `Bearer ${access_token}` } });
+     return data.enrolment_code;
+}
+
+// Holders fetch their shares with a request signed by their escrow key
+function fetchShares(request_id, holder_id, privateKey, signed = { type: 'escrow_share_request', request_id, holder_id, timestamp: new Date().toISOString() }) {
+     return axios.get(`${BASE_URL}/api/v1/escrow/unlock-requests/${request_id}/shares/${holder_id}`,
+          { headers: { 'X-Signed-Blob': signedBlob(ec.keyFromPrivate(privateKey, 'hex'), signed) } });
+}
+
+// Holder re-wraps their shares to the reviewer and signs the approval
+async function approve(request_id, holder_id, privateKey) {
+     const { data } = await fetchShares(request_id, holder_id, privateKey);
+     const shares = Object.fromEntries(data.shares.map(share =>
+          [share.key_id, wrap(data.reviewer_public_key, unwrap(privateKey, share.wrapped_share))]));
+     const blob = signedBlob(ec.keyFromPrivate(privateKey, 'hex'), { type: 'escrow_approval', request_id, holder_id, shares });
+     return axios.post(`${BASE_URL}/api/v1/escrow/unlock-requests/${request_id}/approvals`, { holder_id, signed_blob: blob });
+}
+
+async function main() {
+     const [operator, compliance] = ['escrow_operator', 'escrow_compliance']
+          .map(holder_id => JSON.parse(fs.readFileSync(path.join(KEY_DIR, `${holder_id}.json`), 'utf8')));
+
+     const dpKeyPair = ec.genKeyPair();
+     const dp_id = `dp_escrow_${Date.now()}`;
+     await axios.post(`${BASE_URL}/api/v1/dp/register`, {
+          dp_id,
+          public_key: dpKeyPair.getPublic('hex'),
+          enrolment_code: await enrolmentCode('dp', dp_id)
+     });
+     const dpAuth = await login('dp', dp_id, dpKeyPair);
+
+     const { data: holders } = await axios.get(`${BASE_URL}/api/v1/escrow/holders`, dpAuth);
+     if (!holders.enabled || holders.threshold !== 2) {
+          throw new Error('Backend must run with a 2-of-n escrow config (npm run escrow -- keygen)');
+     }
+     console.log(`✅ Escrow enabled: ${holders.threshold} of ${holders.holders.map(holder => holder.role).join(', ')} + customer`);
+
+     const customerKeyPair = ec.genKeyPair();
+     const customer_id = `cust_escrow_${Date.now()}`;
+     const order_id = `order_escrow_${Date.now()}`;
+     await axios.post(`${BASE_URL}/api/v1/customers/register`, {
+          customer_id,
+          public_key: customerKeyPair.getPublic('hex'),
+          enrolment_code: await enrolmentCode('customers', customer_id)
+     });
+     const customerAuth = await login('customer', customer_id, customerKeyPair);
+     const { data: session } = await axios.post(`${BASE_URL}/api/v1/sessions`, { customer_id, order_id, ttl_seconds: 300 }, customerAuth);
+     const { data: { challenge_nonce } } = await axios.post(
+          `${BASE_URL}/api/v1/sessions/${session.session_id}/challenge`, { dp_id }, dpAuth
+     );
+
+     // The photo is sealed before it reaches the store and cannot be downloaded in plaintext
+     const photo = crypto.randomBytes(2048);
+     const form = new FormData();
+     form.append('dp_id', dp_id);
+     form.append('file', new Blob([photo], { type: 'image/jpeg' }), 'photo.jpg');
+     const { data: upload } = await axios.post(`${BASE_URL}/api/v1/sessions/${session.session_id}/evidence`, form, dpAuth);
+     if (!upload.encrypted || upload.evidence_hash !== 'sha256:' + sha256(photo)) {
+          throw new Error(`Upload was not sealed under its plaintext address: ${JSON.stringify(upload)}`);
+     }
+     console.log(`✅ Evidence ${upload.evidence_hash} sealed at rest`);
+
+     const metadata = { coarse_location: 'gh:tdr1w', note: 'left with neighbour' };
+     const { data: delivery } = await axios.post(`${BASE_URL}/api/v1/deliveries`, {
+          session_id: session.session_id,
+          dp_id,
+          signed_blob: signedBlob(dpKeyPair, {
+               session_id: session.session_id,
+               order_id,
+               customer_id,
+               dp_id,
+               ephemeral_token_hash: 'sha256:' + sha256(session.ephemeral_token),
+               challenge_nonce,
+               timestamp: new Date().toISOString()
+          }),
+          evidence_hashes: [upload.evidence_hash],
+          metadata
+     }, dpAuth);
+     console.log(`✅ Delivery ${delivery.event_id} recorded with sealed metadata`);
+
+     await expectError(axios.get(`${BASE_URL}/api/v1/evidence/${encodeURIComponent(upload.evidence_hash)}`, customerAuth), 423, 'EVIDENCE_SEALED');
+     console.log('✅ Plaintext download refused while sealed');
+
+     // Dispute reviewer opens an unlock request with a key only they hold
+     const { data: { access_token } } = await axios.post(`${BASE_URL}/api/v1/auth/auditor`, {
+          auditor_id: 'escrow_reviewer',
+          api_key: process.env.AUDITOR_API_KEY
+     });
+     const reviewerAuth = { headers: { Authorization: `Bearer ${access_token}` } };
+     const reviewer = ec.genKeyPair();
+     const { data: request } = await axios.post(`${BASE_URL}/api/v1/escrow/unlock-requests`, {
+          order_id,
+          reviewer_public_key: reviewer.getPublic('hex'),
+          reason: 'Customer disputes the delivery'
+     }, reviewerAuth);
+     if (request.items.length !== 2) {
+          throw new Error(`Expected evidence and metadata in the request, got ${JSON.stringify(request.items)}`);
+     }
+     console.log(`✅ Unlock request ${request.request_id} covers ${request.items.map(item => item.subject).join(' and ')}`);
+
+     // Shares and request details are only served to the holder, signing afresh for this request
+     const sharesUrl = `${BASE_URL}/api/v1/escrow/unlock-requests/${request.request_id}/shares/${operator.holder_id}`;
+     await expectError(axios.get(sharesUrl), 401, 'HOLDER_SIGNATURE_REQUIRED');
+     await expectError(fetchShares(request.request_id, operator.holder_id, compliance.private_key), 401, 'INVALID_SIGNATURE');
+     const stale = { type: 'escrow_share_request', request_id: request.request_id, holder_id: operator.holder_id, timestamp: new Date(Date.now() - 3600000).toISOString() };
+     await expectError(fetchShares(request.request_id, operator.holder_id, operator.private_key, stale), 400, 'CLOCK_SKEW');
+     await expectError(fetchShares(request.request_id, operator.holder_id, operator.private_key, { ...stale, request_id: 'unl_other', timestamp: new Date().toISOString() }), 400, 'SHARE_REQUEST_MISMATCH');
+     console.log('✅ Shares are only served to a holder signing for this request');
+
+     await approve(request.request_id, operator.holder_id, operator.private_key);
+     await expectError(approve(request.request_id, operator.holder_id, operator.private_key), 409, 'ALREADY_APPROVED');
+     await expectError(approve(request.request_id, 'escrow_nobody', ec.genKeyPair().getPrivate('hex')), 404, 'NOT_A_HOLDER');
+     const { data: pending } = await axios.get(`${BASE_URL}/api/v1/escrow/unlock-requests/${request.request_id}`, reviewerAuth);
+     if (pending.status !== 'pending' || pending.items.some(item => item.aad)) {
+          throw new Error('One approval must not unlock a 2-of-n request');
+     }
+     console.log('✅ One approval is not enough');
+
+     // The customer is the second holder
+     const { data: approved } = await approve(request.request_id, customer_id, customerKeyPair.getPrivate('hex'));
+     if (approved.status !== 'unlocked') {
+          throw new Error(`Request is ${approved.status} after two approvals`);
+     }
+     console.log('✅ Unlocked with the customer\'s approval');
+
+     const { data: unlocked } = await axios.get(`${BASE_URL}/api/v1/escrow/unlock-requests/${request.request_id}`, reviewerAuth);
+     for (const item of unlocked.items) {
+          const dataKey = combine(unlocked.approvals.map(approval => ({
+               index: approval.shares[item.key_id].share_index,
+               value: unwrap(reviewer.getPrivate('hex'), approval.shares[item.key_id].wrapped)
+          })));
+          if (item.subject === 'evidence') {
+               const { data: sealed } = await axios.get(`${BASE_URL}${item.download}`, { ...reviewerAuth, responseType: 'arraybuffer' });
+               if (!open(dataKey, Buffer.from(sealed), item.aad).equals(photo)) {
+                    throw new Error('Decrypted evidence does not match the photo');
+               }
+          } else if (JSON.stringify(JSON.parse(open(dataKey, Buffer.from(item.sealed, 'base64'), item.aad))) !== JSON.stringify(metadata)) {
+               throw new Error('Decrypted metadata does not match');
+          }
+     }
+     console.log('✅ Reviewer decrypted the photo and metadata');
+
+     await expectError(approve(request.request_id, compliance.holder_id, compliance.private_key), 409, 'REQUEST_NOT_PENDING');
+
+     console.log('\n🎉 Escrow test passed');
+}
+
+main().catch(error => {
+     console.error('\n❌ Test Failed:', error.message);
+     if (error.response) {
+          console.error('Response:', error.response.data);
+     }
+     process.exit(1);
+});
@@ -0,0 +1,142 @@
+#!/usr/bin/env node
+
+/**
+ * Chain indexer test: indexes registry logs from a simulated chain into a temporary
+ * SQLite database, then reorganizes the chain and checks the indexer notices from the
+ * new blocks' parent hashes, rewinds exactly to the last common block and re-indexes.
+ * No backend or node is needed.
+ *
+ *   node scripts/test_indexer.js
+ */
+
+const assert = require('assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ethers } = require('ethers');
+
+const DB_PATH = path.join(os.tmpdir(), `pod-indexer-test-${process.pid}.db`);
+process.env.DB_CLIENT = 'sqlite';
+process.env.DB_PATH = DB_PATH;
+
+const db = require('../backend/db');
+const indexer = require('../backend/indexer');
+
+const REGISTRY = '0x' + '11'.repeat(20);
+const ACTOR = '0x' + '22'.repeat(20);
+const registry = new ethers.Interface([
+     'event AnchorStored(bytes32 indexed anchorHash, address indexed actor, uint256 timestamp, string eventId)',
+     'event MerkleRootStored(bytes32 indexed merkleRoot, address indexed actor, uint256 timestamp, string batchId, uint256 leafCount, bytes32 eventIdsHash)'
+]);
+
+const hex32 = () => '0x' + crypto.randomBytes(32).toString('hex');
+
+// An in-memory chain whose blocks above any height can be replaced by a fork
+class SimulatedChain {
+     constructor() {
+          this.blocks = [{ number: 0, hash: hex32(), parentHash: ethers.ZeroHash, timestamp: 1700000000, logs: [] }];
+     }
+
+     mine(batchIds = []) {
+          const parent = this.blocks[this.blocks.length - 1];
+          const block = { number: parent.number + 1, hash: hex32(), parentHash: parent.hash, timestamp: parent.timestamp + 12, logs: [] };
+          block.logs = batchIds.map((batchId, index) => {
+               const { topics, data } = registry.encodeEventLog('MerkleRootStored', [hex32(), ACTOR, block.timestamp, batchId, 1, hex32()]);
+               return {
+                    address: REGISTRY, topics, data, index, blockNumber: block.number, blockHash: block.hash, transactionHash: hex32()
+               };
+          });
+          this.blocks.push(block);
+          return block;
+     }
+
+     fork(fromBlock) {
+          this.blocks = this.blocks.slice(0, fromBlock);
+     }
+
+     // The subset of the ethers provider the indexer uses
+     provider() {
+          return {
+               getBlockNumber: async () => this.blocks.length - 1,
+               getBlock: async (number) => this.blocks[number] || null,
+               getLogs: async ({ fromBlock, toBlock }) => this.blocks
+                    .filter(block => block.number >= fromBlock && block.number <= toBlock)
+                    .flatMap(block => block.logs)
+          };
+     }
+}
+
+async function indexedBatches() {
+     const rows = await db.all('SELECT batch_id FROM chain_anchor_logs ORDER BY block_number, log_index');
+     return rows.map(row => row.batch_id);
+}
+
+async function main() {
+     console.log('\n' + '='.repeat(70));
+     console.log('🔎 Chain Indexer Test');
+     console.log('='.repeat(70));
+
+     fs.rmSync(DB_PATH, { force: true });
+     await db.initialize();
+
+     const chain = new SimulatedChain();
+     indexer.contract = { interface: registry, getAddress: async () => REGISTRY };
+     indexer.provider = chain.provider();
+     indexer.startBlock = 1;
+
+     for (let i = 1; i <= 10; i++) {
+          chain.mine(i % 3 === 0 ? [`batch_${i}`] : []);
+     }
+     await indexer.poll();
+     assert.deepStrictEqual(await indexedBatches(), ['batch_3', 'batch_6', 'batch_9']);
+     const stored = await db.getIndexedBlocks();
+     assert.deepStrictEqual(stored.map(block => block.block_number), [10, 9, 8, 7, 6, 5, 4, 3, 2, 1]);
+     assert.ok(stored.every(block => block.block_hash === chain.blocks[block.block_number].hash));
+     console.log('   ✓ every indexed block hash is stored');
+
+     // Blocks 8-10 are replaced by a longer fork that moves batch_9 into block 11
+     const warnings = [];
+     const warn = console.warn;
+     console.warn = message => warnings.push(message);
+     chain.fork(8);
+     chain.mine();
+     chain.mine();
+     chain.mine();
+     chain.mine(['batch_9']);
+     await indexer.poll();
+     assert.match(warnings.pop(), /rewound index to block 7 \(1 log\(s\) dropped\)/);
+     assert.deepStrictEqual(await indexedBatches(), ['batch_3', 'batch_6', 'batch_9']);
+     assert.strictEqual((await db.get('SELECT block_number FROM chain_anchor_logs WHERE batch_id = ?', ['batch_9'])).block_number, 11);
+     assert.strictEqual((await db.getIndexerCursor()).block_hash, chain.blocks[11].hash);
+     console.log('   ✓ a new block not building on the cursor rewinds to the last common block');
+
+     // The tip is replaced at the same height: no new block, so the cursor's own hash is checked
+     chain.fork(11);
+     chain.mine(['batch_11b']);
+     await indexer.poll();
+     assert.match(warnings.pop(), /rewound index to block 10 \(1 log\(s\) dropped\)/);
+     assert.deepStrictEqual(await indexedBatches(), ['batch_3', 'batch_6', 'batch_11b']);
+     console.log('   ✓ a replaced tip at the same height is rewound');
+
+     // No reorg: the next poll only indexes the new blocks
+     chain.mine(['batch_12']);
+     await indexer.poll();
+     console.warn = warn;
+     assert.strictEqual(warnings.length, 0);
+     assert.deepStrictEqual(await indexedBatches(), ['batch_3', 'batch_6', 'batch_11b', 'batch_12']);
+     console.log('   ✓ an unchanged chain is indexed forward without rewinding');
+
+     console.log('');
+     console.log('🎉 Chain indexer test passed');
+}
+
+main()
+     .catch((error) => {
+          console.error('❌ Chain indexer test failed:', error.message);
+          process.exitCode = 1;
+     })
+     .finally(async () => {
+          await db.close();
+          fs.rmSync(DB_PATH, { force: true });
+     });
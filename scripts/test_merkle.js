@@ -0,0 +1,60 @@
+#!/usr/bin/env node
+
+/**
+ * Merkle batching test: every leaf's inclusion proof leads to the batch root for
+ * batches of any size, odd levels cannot be padded into a second tree with the same
+ * root, and proofs built with duplicate padding are rejected. No backend or chain is needed.
+ *
+ *   node scripts/test_merkle.js
+ */
+
+const assert = require('assert');
+const crypto = require('crypto');
+const merkle = require('../backend/merkle');
+
+const hex32 = () => '0x' + crypto.randomBytes(32).toString('hex');
+
+function main() {
+     console.log('\n' + '='.repeat(70));
+     console.log('🌳 Merkle Batching Test');
+     console.log('='.repeat(70));
+
+     for (let size = 1; size <= 17; size++) {
+          const leaves = Array.from({ length: size }, hex32);
+          const { root, proofs } = merkle.buildTree(leaves);
+          leaves.forEach((leaf, i) => {
+               assert.ok(merkle.verifyProof(leaf, proofs[i], root), `leaf ${i} of ${size}`);
+               assert.ok(!merkle.verifyProof(leaf, proofs[(i + 1) % size], root) || size === 1, `leaf ${i} of ${size} with another leaf's proof`);
+          });
+          assert.ok(!merkle.verifyProof(hex32(), proofs[0], root));
+     }
+     console.log('   ✓ every leaf proves into its root for batches of 1 to 17');
+
+     const [a, b, c] = [hex32(), hex32(), hex32()];
+     const three = merkle.buildTree([a, b, c]);
+     const four = merkle.buildTree([a, b, c, c]);
+     assert.notStrictEqual(three.root, four.root);
+     // The odd leaf is promoted, so it is proven with one step instead of a step against itself
+     assert.deepStrictEqual(three.proofs[2].map(step => step.position), ['left']);
+     assert.ok(!merkle.verifyProof(c, four.proofs[3], three.root));
+     console.log('   ✓ [a, b, c] and [a, b, c, c] have different roots');
+
+     // In [a, b, c, c] the third leaf's first step is the fourth: c paired with itself, as duplicate padding did
+     const padded = four.proofs[2];
+     assert.strictEqual(padded[0].hash, merkle.buildTree([c]).root);
+     assert.ok(!merkle.verifyProof(c, padded, four.root));
+     assert.throws(() => merkle.computeRoot(c, padded), /pairs a node with itself/);
+     console.log('   ✓ proofs pairing a node with itself are rejected');
+
+     assert.throws(() => merkle.buildTree([]), /no leaves/);
+
+     console.log('');
+     console.log('🎉 Merkle batching test passed');
+}
+
+try {
+     main();
+} catch (error) {
+     console.error('❌ Merkle test failed:', error.message);
+     process.exit(1);
+}
@@ -1,10 +1,15 @@
 #!/usr/bin/env node
 
 const http = require('http');
+const crypto = require('crypto');
+const elliptic = require('elliptic');
+const fs = require('fs');
+const path = require('path');
 
+const ec = new elliptic.ec('secp256k1');
 const API_BASE = process.env.API_BASE || 'http://localhost:3000';
 
-function makeRequest(method, path, data = null) {
+function makeRequest(method, path, data = null, accessToken = null) {
      return new Promise((resolve, reject) => {
           const url = new URL(path, API_BASE);
           const options = {
@@ -16,6 +21,9 @@ function makeRequest(method, path, data = null) {
                     'Content-Type': 'application/json'
                }
           };
+          if (accessToken) {
+               options.headers.Authorization = `Bearer ${accessToken}`;
+          }
 
           const req = http.request(options, (res) => {
                let body = '';
@@ -39,6 +47,66 @@ function makeRequest(method, path, data = null) {
      });
 }
 
+function hashString(data) {
+     return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+// Customer device key used to log in and to countersign high-value deliveries (read by simulate_dp_submit.js --customer)
+function loadOrCreateCustomerKey(customer_id) {
+     const keyPath = path.join(__dirname, `${customer_id}_key.json`);
+
+     if (fs.existsSync(keyPath)) {
+          console.log(`📂 Loading existing key for ${customer_id}...`);
+          const keyData = JSON.parse(fs.readFileSync(keyPath, 'utf8'));
+          return {
+               keyPair: ec.keyFromPrivate(keyData.private_key, 'hex'),
+               public_key: keyData.public_key,
+               isNew: false
+          };
+     }
+
+     console.log(`🔑 Generating new key pair for ${customer_id}...`);
+     const keyPair = ec.genKeyPair();
+     const keyData = {
+          customer_id,
+          private_key: keyPair.getPrivate('hex'),
+          public_key: keyPair.getPublic('hex'),
+          created_at: new Date().toISOString()
+     };
+
+     fs.writeFileSync(keyPath, JSON.stringify(keyData, null, 2));
+     console.log(`💾 Key saved to ${keyPath}`);
+
+     return { keyPair, public_key: keyData.public_key, isNew: true };
+}
+
+// Sign the backend's login nonce with the customer key and exchange it for an access token
+async function login(customer_id, keyPair) {
+     const { nonce, message } = await makeRequest('POST', '/api/v1/auth/nonce', { role: 'customer', subject_id: customer_id });
+     const signature = keyPair.sign(hashString(message));
+     const { access_token } = await makeRequest('POST', '/api/v1/auth/login', {
+          role: 'customer',
+          subject_id: customer_id,
+          nonce,
+          signature: signature.r.toString('hex', 64) + signature.s.toString('hex', 64)
+     });
+     return access_token;
+}
+
+// One-time enrolment code for a new customer key: given with --code, or issued here when OPERATOR_API_KEY is set
+async function enrolmentCode(customer_id, code) {
+     if (code) return code;
+     if (!process.env.OPERATOR_API_KEY) {
+          throw new Error('Registering a new customer needs --code=<enrolment code> or OPERATOR_API_KEY');
+     }
+     const { access_token } = await makeRequest('POST', '/api/v1/auth/operator', {
+          operator_id: 'sim_operator',
+          api_key: process.env.OPERATOR_API_KEY
+     });
+     const { enrolment_code } = await makeRequest('POST', `/api/v1/customers/${encodeURIComponent(customer_id)}/enrolments`, {}, access_token);
+     return enrolment_code;
+}
+
 async function main() {
      const args = process.argv.slice(2);
 
@@ -46,6 +114,10 @@ async function main() {
      const customer_id = args.find(arg => arg.startsWith('--customer='))?.split('=')[1] || 'cus_' + Date.now();
      const order_id = args.find(arg => arg.startsWith('--order='))?.split('=')[1] || 'ord_' + Date.now();
      const ttl = parseInt(args.find(arg => arg.startsWith('--ttl='))?.split('=')[1] || '300');
+     const rotate = args.includes('--rotate');
+     const cosign = args.includes('--cosign');
+     const token_type = args.includes('--qr') ? 'QR' : 'BLE';
+     const code = args.find(arg => arg.startsWith('--code='))?.split('=')[1];
 
      console.log('');
      console.log('🛒 Customer Activating Delivery Session');
@@ -53,14 +125,33 @@ async function main() {
      console.log(`Customer ID: ${customer_id}`);
      console.log(`Order ID:    ${order_id}`);
      console.log(`TTL:         ${ttl} seconds`);
+     console.log(`Rotation:    ${rotate ? 'enabled' : 'disabled'}`);
+     console.log(`Co-sign:     ${cosign ? 'required' : 'not required'}`);
+     console.log(`Channel:     ${token_type}`);
      console.log('');
 
      try {
+          const { keyPair, public_key, isNew } = loadOrCreateCustomerKey(customer_id);
+          if (isNew) {
+               console.log('📝 Registering customer key...');
+               const enrolment_code = await enrolmentCode(customer_id, code);
+               await makeRequest('POST', '/api/v1/customers/register', { customer_id, public_key, enrolment_code });
+               console.log('✅ Customer registered');
+          }
+
+          console.log('🔓 Logging in...');
+          const accessToken = await login(customer_id, keyPair);
+          console.log('✅ Logged in');
+          console.log('');
+
           const response = await makeRequest('POST', '/api/v1/sessions', {
                customer_id,
                order_id,
-               ttl_seconds: ttl
-          });
+               ttl_seconds: ttl,
+               token_type,
+               token_rotation: rotate,
+               require_customer_signature: cosign
+          }, accessToken);
 
           console.log('✅ Session created successfully!');
           console.log('');
@@ -70,17 +161,45 @@ async function main() {
           console.log(`Ephemeral Token:  ${response.ephemeral_token}`);
           console.log(`Token Type:       ${response.token_type}`);
           console.log(`Expires At:       ${response.expires_at}`);
+          if (response.token_seed) {
+               console.log(`Token Seed:       ${response.token_seed}`);
+               console.log(`Rotates Every:    ${response.rotation_seconds} seconds`);
+          }
           console.log('');
-          console.log('📱 Customer app would now:');
-          console.log('   1. Display this token via BLE peripheral mode');
-          console.log('   2. Or show as QR code for delivery partner to scan');
+          if (response.qr_payload) {
+               console.log('📱 Customer app would now show this QR code for the delivery partner to scan:');
+               console.log('');
+               console.log(`   ${response.qr_payload}`);
+          } else {
+               console.log('📱 Customer app would now:');
+               console.log('   1. Display this token via BLE peripheral mode');
+               console.log('   2. Or show as QR code for delivery partner to scan (--qr)');
+          }
           console.log('');
           console.log('💾 Save these values for DP simulation:');
           console.log('─────────────────────────────────────');
           console.log(`SESSION_ID="${response.session_id}"`);
           console.log(`TOKEN="${response.ephemeral_token}"`);
+          if (response.requires_customer_signature) {
+               console.log(`CUSTOMER_ID="${customer_id}"`);
+          }
+          if (response.qr_payload) {
+               console.log(`QR="${response.qr_payload}"`);
+          }
+          if (response.token_seed) {
+               console.log(`SEED="${response.token_seed}"`);
+               console.log(`ROTATION="${response.rotation_seconds}"`);
+          }
           console.log('');
-          console.log('Next step: Run simulate_dp_submit.js with these values');
+          if (response.qr_payload) {
+               console.log('Next step: Run simulate_dp_submit.js --qr=<QR> to scan the QR code');
+          } else if (response.requires_customer_signature) {
+               console.log('Next step: Run simulate_dp_submit.js with --customer so the customer device countersigns');
+          } else if (response.token_seed) {
+               console.log('Next step: Run simulate_dp_submit.js with --seed and --rotation to use the current rotating token');
+          } else {
+               console.log('Next step: Run simulate_dp_submit.js with these values');
+          }
           console.log('');
 
      } catch (error) {
@@ -9,7 +9,7 @@ const path = require('path');
 const ec = new elliptic.ec('secp256k1');
 const API_BASE = process.env.API_BASE || 'http://localhost:3000';
 
-function makeRequest(method, urlPath, data = null) {
+function makeRequest(method, urlPath, data = null, accessToken = null) {
      return new Promise((resolve, reject) => {
           const url = new URL(urlPath, API_BASE);
           const options = {
@@ -21,6 +21,9 @@ function makeRequest(method, urlPath, data = null) {
                     'Content-Type': 'application/json'
                }
           };
+          if (accessToken) {
+               options.headers.Authorization = `Bearer ${accessToken}`;
+          }
 
           const req = http.request(options, (res) => {
                let body = '';
@@ -44,10 +47,59 @@ function makeRequest(method, urlPath, data = null) {
      });
 }
 
+// Multipart upload of one evidence file; the backend stores it by content hash and returns the address
+async function uploadEvidence(session_id, dp_id, content, filename, accessToken) {
+     const form = new FormData();
+     form.append('dp_id', dp_id);
+     form.append('expected_hash', 'sha256:' + crypto.createHash('sha256').update(content).digest('hex'));
+     form.append('file', new Blob([content]), filename);
+
+     const response = await fetch(new URL(`/api/v1/sessions/${session_id}/evidence`, API_BASE), {
+          method: 'POST',
+          headers: { Authorization: `Bearer ${accessToken}` },
+          body: form
+     });
+     const body = await response.text();
+     if (!response.ok) {
+          throw new Error(`HTTP ${response.status}: ${body}`);
+     }
+     return JSON.parse(body);
+}
+
 function hashString(data) {
      return crypto.createHash('sha256').update(data).digest('hex');
 }
 
+// Mirrors backend/tokens.js: the customer device advertises HMAC-SHA256(seed, window)
+function deriveRotatingToken(seed, rotationSeconds, windowOffset = 0) {
+     const window = Math.floor(Date.now() / (rotationSeconds * 1000)) + windowOffset;
+     return crypto.createHmac('sha256', Buffer.from(seed, 'hex')).update(String(window)).digest('hex');
+}
+
+// Decode a backend-signed POD1.<body>.<signature> QR payload and check it against the backend key
+function scanQrPayload(payload, backendPublicKey) {
+     const parts = payload.split('.');
+     if (parts.length !== 3 || parts[0] !== 'POD1') {
+          throw new Error('Not a POD1 QR payload');
+     }
+
+     const signature = Buffer.from(parts[2], 'base64url').toString('hex');
+     const validSignature = ec.keyFromPublic(backendPublicKey, 'hex').verify(hashString(parts[1]), {
+          r: signature.slice(0, 64),
+          s: signature.slice(64, 128)
+     });
+     if (!validSignature) {
+          throw new Error('QR code is not signed by the backend');
+     }
+
+     const data = JSON.parse(Buffer.from(parts[1], 'base64url').toString('utf8'));
+     if (Date.now() > data.exp * 1000) {
+          throw new Error('QR code has expired');
+     }
+
+     return { session_id: data.sid, token: data.tok };
+}
+
 function loadOrCreateDPKey(dp_id) {
      const keyPath = path.join(__dirname, `${dp_id}_key.json`);
 
@@ -79,18 +131,88 @@ function loadOrCreateDPKey(dp_id) {
      }
 }
 
+// Simulates the customer device countersigning the challenge over the BLE/QR exchange
+function customerCosign(customer_id, messageData) {
+     const keyPath = path.join(__dirname, `${customer_id}_key.json`);
+     if (!fs.existsSync(keyPath)) {
+          throw new Error(`No customer key at ${keyPath}; run simulate_customer_activate.js --cosign first`);
+     }
+
+     const keyData = JSON.parse(fs.readFileSync(keyPath, 'utf8'));
+     const keyPair = ec.keyFromPrivate(keyData.private_key, 'hex');
+     const message = JSON.stringify(messageData);
+     const signature = keyPair.sign(hashString(message));
+
+     return Buffer.from(JSON.stringify({
+          message,
+          signature: signature.r.toString('hex', 64) + signature.s.toString('hex', 64)
+     })).toString('base64');
+}
+
+// Sign the backend's login nonce with the DP key and exchange it for an access token
+async function login(dp_id, keyPair) {
+     const { nonce, message } = await makeRequest('POST', '/api/v1/auth/nonce', { role: 'dp', subject_id: dp_id });
+     const signature = keyPair.sign(hashString(message));
+     const { access_token } = await makeRequest('POST', '/api/v1/auth/login', {
+          role: 'dp',
+          subject_id: dp_id,
+          nonce,
+          signature: signature.r.toString('hex', 64) + signature.s.toString('hex', 64)
+     });
+     return access_token;
+}
+
+// One-time enrolment code for a new DP key: given with --code, or issued here when OPERATOR_API_KEY is set
+async function enrolmentCode(dp_id, code) {
+     if (code) return code;
+     if (!process.env.OPERATOR_API_KEY) {
+          throw new Error('Registering a new DP needs --code=<enrolment code> or OPERATOR_API_KEY');
+     }
+     const { access_token } = await makeRequest('POST', '/api/v1/auth/operator', {
+          operator_id: 'sim_operator',
+          api_key: process.env.OPERATOR_API_KEY
+     });
+     const { enrolment_code } = await makeRequest('POST', `/api/v1/dp/${encodeURIComponent(dp_id)}/enrolments`, {}, access_token);
+     return enrolment_code;
+}
+
 async function main() {
      const args = process.argv.slice(2);
 
      // Parse arguments
-     const session_id = args.find(arg => arg.startsWith('--session='))?.split('=')[1];
-     const token = args.find(arg => arg.startsWith('--token='))?.split('=')[1];
+     const qrPayload = args.find(arg => arg.startsWith('--qr='))?.split('=')[1];
+     let session_id = args.find(arg => arg.startsWith('--session='))?.split('=')[1];
+     const seed = args.find(arg => arg.startsWith('--seed='))?.split('=')[1];
+     const rotation = parseInt(args.find(arg => arg.startsWith('--rotation='))?.split('=')[1] || '30');
+     const windowOffset = parseInt(args.find(arg => arg.startsWith('--window-offset='))?.split('=')[1] || '0');
+     let token = seed
+          ? deriveRotatingToken(seed, rotation, windowOffset)
+          : args.find(arg => arg.startsWith('--token='))?.split('=')[1];
+
+     if (qrPayload) {
+          try {
+               const backendKey = await makeRequest('GET', '/api/v1/keys/backend');
+               ({ session_id, token } = scanQrPayload(qrPayload, backendKey.public_key));
+          } catch (error) {
+               console.error('❌ QR scan failed:', error.message);
+               process.exit(1);
+          }
+     }
      const dp_id = args.find(arg => arg.startsWith('--dp='))?.split('=')[1] || 'dp_' + Math.floor(Math.random() * 1000);
+     const customer_id = args.find(arg => arg.startsWith('--customer='))?.split('=')[1];
+     const photo = args.find(arg => arg.startsWith('--photo='))?.split('=')[1];
+     const code = args.find(arg => arg.startsWith('--code='))?.split('=')[1];
 
      if (!session_id || !token) {
           console.error('❌ Usage: node simulate_dp_submit.js --session=<SESSION_ID> --token=<TOKEN> [--dp=<DP_ID>]');
+          console.error('       node simulate_dp_submit.js --session=<SESSION_ID> --seed=<SEED> [--rotation=<SECONDS>] [--window-offset=<N>] [--dp=<DP_ID>]');
+          console.error('       node simulate_dp_submit.js --qr=<QR_PAYLOAD> [--dp=<DP_ID>]');
           console.error('');
-          console.error('Run simulate_customer_activate.js first to get SESSION_ID and TOKEN');
+          console.error('Run simulate_customer_activate.js first to get SESSION_ID and TOKEN (or SEED with --rotate)');
+          console.error('--window-offset scans a token from N rotation windows away (e.g. -3 to replay a stale token)');
+          console.error('--customer=<CUSTOMER_ID> countersigns with the key saved by simulate_customer_activate.js --cosign');
+          console.error('--photo=<PATH> uploads that file as delivery evidence instead of a simulated photo');
+          console.error('--code=<CODE> registers a new DP key with that enrolment code (otherwise issued with OPERATOR_API_KEY)');
           process.exit(1);
      }
 
@@ -99,7 +221,7 @@ async function main() {
      console.log('=====================================');
      console.log(`DP ID:        ${dp_id}`);
      console.log(`Session ID:   ${session_id}`);
-     console.log(`Token:        ${token.substring(0, 16)}...`);
+     console.log(`Token:        ${token.substring(0, 16)}...${seed ? ` (rotating, window offset ${windowOffset})` : ''}`);
      console.log('');
 
      try {
@@ -111,23 +233,34 @@ async function main() {
                console.log('📝 Registering delivery partner...');
                await makeRequest('POST', '/api/v1/dp/register', {
                     dp_id,
-                    public_key
+                    public_key,
+                    enrolment_code: await enrolmentCode(dp_id, code)
                });
                console.log('✅ DP registered');
                console.log('');
           }
 
+          console.log('🔓 Logging in...');
+          const accessToken = await login(dp_id, keyPair);
+          console.log('✅ Logged in');
+          console.log('');
+
           // Step 1: Request challenge
           console.log('🔐 Requesting challenge from backend...');
           const challengeResponse = await makeRequest('POST', `/api/v1/sessions/${session_id}/challenge`, {
                dp_id
-          });
+          }, accessToken);
           console.log(`✅ Challenge received: ${challengeResponse.challenge_nonce.substring(0, 16)}...`);
           console.log(`   Expires: ${challengeResponse.expires_at}`);
           console.log('');
 
-          // Step 2: Simulate BLE detection (in real app, this would be from BLE scan)
-          console.log('📡 Simulating BLE proximity detection...');
+          // Step 2: Simulate BLE detection or QR scan (in real app, this would be from BLE scan or camera)
+          if (qrPayload) {
+               console.log('📷 Simulating QR code scan...');
+               console.log('   ✅ QR code signature and expiry verified');
+          } else {
+               console.log('📡 Simulating BLE proximity detection...');
+          }
           console.log(`   Found ephemeral token: ${token.substring(0, 16)}...`);
           console.log('   ✅ Device is within proximity range');
           console.log('');
@@ -142,8 +275,12 @@ async function main() {
                ephemeral_token_hash: token_hash,
                challenge_nonce: challengeResponse.challenge_nonce,
                timestamp,
-               dp_id
+               dp_id,
+               token_channel: qrPayload ? 'QR' : 'BLE'
           };
+          if (qrPayload) {
+               messageData.qr_payload_hash = 'sha256:' + hashString(qrPayload);
+          }
 
           const message = JSON.stringify(messageData);
           const msgHash = hashString(message);
@@ -162,32 +299,45 @@ async function main() {
                signature: signatureHex
           })).toString('base64');
 
-          const evidence_hashes = [
-               'sha256:' + crypto.randomBytes(32).toString('hex') // Simulated photo hash
-          ];
+          let customerSignedBlob;
+          if (challengeResponse.requires_customer_signature) {
+               if (!customer_id) {
+                    throw new Error('Session requires a customer co-signature; pass --customer=<CUSTOMER_ID>');
+               }
+               console.log('🤝 Requesting customer co-signature...');
+               customerSignedBlob = customerCosign(customer_id, {
+                    session_id,
+                    challenge_nonce: challengeResponse.challenge_nonce,
+                    dp_id
+               });
+               console.log('   ✅ Customer countersigned the challenge');
+          }
+
+          console.log('📸 Uploading delivery photo...');
+          const photoContent = photo ? fs.readFileSync(photo) : crypto.randomBytes(2048); // Simulated photo
+          const uploaded = await uploadEvidence(session_id, dp_id, photoContent, photo ? path.basename(photo) : 'photo.jpg', accessToken);
+          console.log(`   ✅ Stored as ${uploaded.evidence_hash} (${uploaded.size} bytes)`);
+          const evidence_hashes = [uploaded.evidence_hash];
 
           const deliveryResponse = await makeRequest('POST', '/api/v1/deliveries', {
                session_id,
                dp_id,
                signed_blob: signedBlob,
+               customer_signed_blob: customerSignedBlob,
                evidence_hashes
-          });
+          }, accessToken);
 
           console.log('');
           console.log('🎉 SUCCESS! Delivery Verified');
           console.log('═════════════════════════════════════');
           console.log(`Status:    ${deliveryResponse.status}`);
           console.log(`Event ID:  ${deliveryResponse.event_id}`);
-          if (deliveryResponse.txHash) {
-               console.log(`TX Hash:   ${deliveryResponse.txHash}`);
-               console.log('⛓️  Proof anchored to blockchain!');
-          } else {
-               console.log('⚠️  Blockchain anchoring not available');
-          }
+          console.log(`Anchor:    ${deliveryResponse.anchor_hash}`);
+          console.log(`⛓️  Anchor status: ${deliveryResponse.anchor_status} (anchored in the next Merkle batch by the background worker)`);
           console.log('');
           console.log('✅ Delivery proof recorded and verified');
           console.log('');
-          console.log(`Verify at: ${API_BASE}/api/v1/deliveries/${deliveryResponse.event_id}/verify`);
+          console.log(`Verify at: ${API_BASE}/api/v1/deliveries/${deliveryResponse.event_id}/verify (requires a bearer token)`);
           console.log('');
 
      } catch (error) {
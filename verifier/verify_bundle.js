@@ -0,0 +1,351 @@
+#!/usr/bin/env node
+
+/**
+ * Offline verifier for exported proof-of-delivery bundles.
+ *
+ * Needs no backend: every check is recomputed from the bundle itself, and the
+ * anchor is looked up where the bundle says it was anchored: on the chain at --rpc
+ * (evm), in a copy of the backend's signed anchor log given with --log (signed-log),
+ * or on the calendar server (opentimestamps).
+ *
+ * Bundles are exported by GET /api/v1/deliveries/:event_id/bundle; their layout is
+ * documented by bundle.schema.json.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const elliptic = require('elliptic');
+const { ethers } = require('ethers');
+
+const ec = new elliptic.ec('secp256k1');
+const SUPPORTED_BUNDLE_VERSIONS = [1, 2];
+
+const REGISTRY_ABI = [
+     'event AnchorStored(bytes32 indexed anchorHash, address indexed actor, uint256 timestamp, string eventId)',
+     'event MerkleRootStored(bytes32 indexed merkleRoot, address indexed actor, uint256 timestamp, string batchId, uint256 leafCount, bytes32 eventIdsHash)'
+];
+
+// Fields of the DP-signed proof message that must agree with the recorded event
+const BOUND_FIELDS = ['session_id', 'dp_id', 'challenge_nonce', 'ephemeral_token_hash', 'timestamp'];
+
+function sha256Hex(data) {
+     return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+// Mirrors canonicalizeEvent in backend/server.js; field order matters
+function canonicalizeEvent(event) {
+     const canonical = {
+          session_id: event.session_id,
+          order_id: event.order_id,
+          // Bundle version 2: events with a salted customer reference commit to it instead of the id
+          ...(event.customer_ref ? { customer_ref: event.customer_ref } : { customer_id: event.customer_id }),
+          dp_id: event.dp_id,
+          ephemeral_token_hash: event.ephemeral_token_hash,
+          challenge_nonce: event.challenge_nonce,
+          dp_signature: event.dp_signature,
+          evidence_hashes: event.evidence_hashes || [],
+          timestamp: event.timestamp,
+          backend_received_at: event.backend_received_at
+     };
+
+     if (event.customer_signature) {
+          canonical.customer_signature = event.customer_signature;
+     }
+     if (event.token_channel) {
+          canonical.token_channel = event.token_channel;
+     }
+
+     return JSON.stringify(canonical);
+}
+
+// Mirrors backend/merkle.js: 0x00-prefixed leaves, 0x01-prefixed interior nodes. Odd nodes are
+// promoted without a step, so a step pairing a node with itself can only come from ambiguous padding
+function computeMerkleRoot(anchorHash, proof) {
+     const toBuffer = hash => Buffer.from(hash.replace(/^0x/, ''), 'hex');
+     const hashNode = (left, right) => crypto.createHash('sha256').update(Buffer.concat([Buffer.from([0x01]), left, right])).digest();
+
+     let node = crypto.createHash('sha256').update(Buffer.concat([Buffer.from([0x00]), toBuffer(anchorHash)])).digest();
+     for (const step of proof) {
+          const sibling = toBuffer(step.hash);
+          if (sibling.equals(node)) {
+               throw new Error('proof pairs a node with itself (duplicate padding)');
+          }
+          node = step.position === 'left' ? hashNode(sibling, node) : hashNode(node, sibling);
+     }
+     return '0x' + node.toString('hex');
+}
+
+function verifySecp256k1(publicKeyHex, message, signature) {
+     try {
+          return /^[0-9a-fA-F]{128}$/.test(signature) && ec.keyFromPublic(publicKeyHex, 'hex').verify(sha256Hex(message), {
+               r: signature.slice(0, 64),
+               s: signature.slice(64, 128)
+          });
+     } catch (error) {
+          return false;
+     }
+}
+
+// The backend signs in low-S form; (r, n - s) also verifies, so a high-S signature is a malleated copy
+function isLowS(signature) {
+     return /^[0-9a-fA-F]{128}$/.test(signature) && BigInt('0x' + signature.slice(64, 128)) <= BigInt('0x' + ec.nh.toString(16));
+}
+
+function checkBackendSignature(bundle, pinnedKey) {
+     const { backend_signature, ...content } = bundle;
+     if (!backend_signature) {
+          return { pass: false, detail: 'bundle is not signed by the backend' };
+     }
+     if (pinnedKey && backend_signature.public_key.toLowerCase() !== pinnedKey.toLowerCase()) {
+          return { pass: false, detail: 'signed by a key other than --backend-key' };
+     }
+     if (!verifySecp256k1(backend_signature.public_key, JSON.stringify(content), backend_signature.signature)) {
+          return { pass: false, detail: 'signature does not match bundle contents' };
+     }
+     if (!isLowS(backend_signature.signature)) {
+          return { pass: false, detail: 'signature is not in low-S form' };
+     }
+     return {
+          pass: true,
+          detail: `issued ${bundle.issued_at} by ${ethers.computeAddress('0x' + backend_signature.public_key)}${pinnedKey ? ' (pinned)' : ''}`
+     };
+}
+
+function checkCanonicalHash(bundle) {
+     const canonical = canonicalizeEvent(bundle.event);
+     if (canonical !== bundle.canonical_event) {
+          return { pass: false, detail: 'canonical_event differs from the canonical JSON of event' };
+     }
+
+     const expected = '0x' + sha256Hex(canonical);
+     if (expected !== bundle.anchor.anchor_hash) {
+          return { pass: false, detail: `recomputed ${expected}, bundle claims ${bundle.anchor.anchor_hash}` };
+     }
+     return { pass: true, detail: expected };
+}
+
+function checkDPSignature(bundle) {
+     let message, signature;
+     try {
+          ({ message, signature } = JSON.parse(Buffer.from(bundle.dp_signed_blob, 'base64').toString('utf8')));
+     } catch (error) {
+          return { pass: false, detail: 'dp_signed_blob is not a base64 { message, signature } document' };
+     }
+
+     if (signature !== bundle.event.dp_signature) {
+          return { pass: false, detail: 'signed blob signature differs from the recorded dp_signature' };
+     }
+
+     if (!verifySecp256k1(bundle.dp_public_key, message, signature)) {
+          return { pass: false, detail: 'signature does not verify against dp_public_key' };
+     }
+
+     const messageData = JSON.parse(message);
+     const mismatched = BOUND_FIELDS.filter(field => messageData[field] !== bundle.event[field]);
+     if (mismatched.length > 0) {
+          return { pass: false, detail: `signed message disagrees with event on: ${mismatched.join(', ')}` };
+     }
+
+     return { pass: true, detail: `signed by key v${bundle.dp_key_version} ${bundle.dp_public_key.slice(0, 18)}...` };
+}
+
+function checkInclusion(bundle) {
+     const { anchor_hash, merkle_root, merkle_proof } = bundle.anchor;
+     if (!merkle_root) {
+          return { pass: true, detail: 'event anchored individually, no batch' };
+     }
+
+     try {
+          const root = computeMerkleRoot(anchor_hash, merkle_proof || []);
+          if (root.toLowerCase() !== merkle_root.toLowerCase()) {
+               return { pass: false, detail: `proof leads to ${root}, bundle claims ${merkle_root}` };
+          }
+     } catch (error) {
+          return { pass: false, detail: `malformed inclusion proof: ${error.message}` };
+     }
+     return { pass: true, detail: `included in batch root ${merkle_root}` };
+}
+
+async function checkOnChain(bundle, rpcUrl, contractAddress) {
+     const { anchor_hash, merkle_root, tx_hash, block_number } = bundle.anchor;
+     if (!contractAddress) {
+          return { pass: false, detail: 'no contract address in bundle or --contract' };
+     }
+
+     const provider = new ethers.JsonRpcProvider(rpcUrl);
+     const registry = new ethers.Contract(contractAddress, REGISTRY_ABI, provider);
+
+     // Batched events are anchored through their Merkle root, older events through AnchorStored directly
+     const filter = merkle_root
+          ? registry.filters.MerkleRootStored(merkle_root)
+          : registry.filters.AnchorStored(anchor_hash);
+     const logs = block_number
+          ? await registry.queryFilter(filter, block_number, block_number)
+          : await registry.queryFilter(filter, 0);
+
+     if (logs.length === 0) {
+          return { pass: false, detail: `no ${merkle_root ? 'MerkleRootStored' : 'AnchorStored'} log for ${merkle_root || anchor_hash}` };
+     }
+
+     const log = tx_hash ? logs.find(entry => entry.transactionHash === tx_hash) : logs[0];
+     if (!log) {
+          return { pass: false, detail: `anchor was logged, but not in tx ${tx_hash}` };
+     }
+
+     // The anchoring wallet is the backend key that signed the bundle
+     if (bundle.backend_signature && log.args.actor !== ethers.computeAddress('0x' + bundle.backend_signature.public_key)) {
+          return { pass: false, detail: `anchored by ${log.args.actor}, not by the bundle's signer` };
+     }
+
+     const block = await provider.getBlock(log.blockNumber);
+     return {
+          pass: true,
+          detail: `${log.eventName} in tx ${log.transactionHash}, block ${log.blockNumber} (${new Date(block.timestamp * 1000).toISOString()})`
+     };
+}
+
+/**
+ * signed-log anchors live in the backend's append-only log: every entry is hash-chained
+ * to the previous one and signed by the backend key, so a copy of the log is enough.
+ */
+function checkSignedLog(bundle, logPath) {
+     const { merkle_root, batch_id, tx_hash, block_number } = bundle.anchor;
+     if (!logPath) {
+          return { pass: false, detail: 'signed-log anchors need a copy of the anchor log (--log=<anchor_log.jsonl>)' };
+     }
+
+     const entries = fs.readFileSync(logPath, 'utf8').split('\n').filter(Boolean).map(line => JSON.parse(line));
+     let previousHash = null;
+     for (const entry of entries) {
+          const { entry_hash, signature, ...body } = entry;
+          if (body.prev_entry_hash !== previousHash || '0x' + sha256Hex(JSON.stringify(body)) !== entry_hash) {
+               return { pass: false, detail: `log hash chain is broken at entry ${body.seq}` };
+          }
+          previousHash = entry_hash;
+
+          if (entry_hash !== tx_hash) {
+               continue;
+          }
+
+          // Entries are signed over their hash directly rather than over a SHA-256 of a message
+          if (!bundle.backend_signature || !ec.keyFromPublic(bundle.backend_signature.public_key, 'hex').verify(entry_hash.slice(2), {
+               r: signature.slice(0, 64),
+               s: signature.slice(64, 128)
+          })) {
+               return { pass: false, detail: `log entry ${body.seq} is not signed by the bundle's signer` };
+          }
+          if (body.merkle_root !== merkle_root || body.batch_id !== batch_id || body.seq !== block_number) {
+               return { pass: false, detail: `log entry ${body.seq} records a different root, batch or sequence number` };
+          }
+          if (!body.event_ids.includes(bundle.event.event_id)) {
+               return { pass: false, detail: `log entry ${body.seq} does not list event ${bundle.event.event_id}` };
+          }
+          return { pass: true, detail: `log entry ${body.seq} (${body.anchored_at}) signed by ${body.signer}` };
+     }
+
+     return { pass: false, detail: `no log entry ${tx_hash}` };
+}
+
+/**
+ * opentimestamps anchors are checked against the calendar the root was submitted to.
+ * The receipt is only a pending attestation until upgraded with an OpenTimestamps client.
+ */
+async function checkCalendar(bundle, calendarUrl) {
+     const { merkle_root, tx_hash, receipt } = bundle.anchor;
+     if (!calendarUrl) {
+          return { pass: false, detail: 'no calendar URL in bundle or --calendar' };
+     }
+     if (!receipt || '0x' + sha256Hex(Buffer.from(receipt, 'hex')) !== tx_hash) {
+          return { pass: false, detail: 'bundle receipt does not hash to its tx_hash' };
+     }
+
+     const response = await fetch(`${calendarUrl.replace(/\/$/, '')}/timestamp/${merkle_root.slice(2)}`, {
+          headers: { Accept: 'application/vnd.opentimestamps.v1' },
+          signal: AbortSignal.timeout(15000)
+     });
+     if (!response.ok) {
+          return { pass: false, detail: `calendar has no timestamp for ${merkle_root} (HTTP ${response.status})` };
+     }
+     return { pass: true, detail: `calendar ${calendarUrl} holds a timestamp for ${merkle_root}` };
+}
+
+async function main() {
+     const args = process.argv.slice(2);
+     const bundlePath = args.find(arg => !arg.startsWith('--'));
+     const rpcUrl = args.find(arg => arg.startsWith('--rpc='))?.split('=')[1] || process.env.RPC_URL || 'http://127.0.0.1:8545';
+     const contractOverride = args.find(arg => arg.startsWith('--contract='))?.split('=')[1];
+     const pinnedBackendKey = args.find(arg => arg.startsWith('--backend-key='))?.split('=')[1];
+     const logPath = args.find(arg => arg.startsWith('--log='))?.split('=')[1];
+     const calendarOverride = args.find(arg => arg.startsWith('--calendar='))?.slice('--calendar='.length);
+
+     if (!bundlePath) {
+          console.error('❌ Usage: node verify_bundle.js <bundle.json> [--rpc=<RPC_URL>] [--contract=<ADDRESS>] [--backend-key=<PUBLIC_KEY>]');
+          console.error('                                         [--log=<anchor_log.jsonl>] [--calendar=<URL>]');
+          console.error('');
+          console.error('--contract overrides the registry address recorded in the bundle');
+          console.error('--backend-key pins the backend public key the bundle must be signed with');
+          console.error('--log is a copy of the backend\'s signed anchor log, needed for signed-log bundles');
+          console.error('--calendar overrides the OpenTimestamps calendar recorded in the bundle');
+          process.exit(2);
+     }
+
+     let bundle;
+     try {
+          bundle = JSON.parse(fs.readFileSync(bundlePath, 'utf8'));
+          if (!SUPPORTED_BUNDLE_VERSIONS.includes(bundle.bundle_version)) {
+               throw new Error(`unsupported bundle_version ${bundle.bundle_version}`);
+          }
+          if (!bundle.event || !bundle.anchor || !bundle.dp_signed_blob || !bundle.dp_public_key) {
+               throw new Error('bundle must contain event, dp_signed_blob, dp_public_key and anchor');
+          }
+     } catch (error) {
+          console.error('❌ Cannot read bundle:', error.message);
+          process.exit(2);
+     }
+
+     console.log('🔍 Offline Proof-of-Delivery Verification');
+     console.log('═════════════════════════════════════');
+     // Bundles from before pluggable anchoring carry no backend and were anchored on an EVM registry
+     const backend = bundle.anchor.backend || 'evm';
+     const anchorChecks = {
+          'evm': ['On-chain anchor', () => checkOnChain(bundle, rpcUrl, contractOverride || bundle.anchor.contract_address)],
+          'signed-log': ['Signed-log anchor', () => checkSignedLog(bundle, logPath)],
+          'opentimestamps': ['Calendar anchor', () => checkCalendar(bundle, calendarOverride || bundle.anchor.calendar_url)]
+     };
+     const anchorCheck = anchorChecks[backend] ||
+          ['Anchor', () => ({ pass: false, detail: `unsupported anchoring backend ${backend}` })];
+
+     console.log(`Event ID:  ${bundle.event.event_id}`);
+     console.log(`Anchored:  ${backend}${bundle.anchor.network ? ` (${bundle.anchor.network})` : ''}`);
+     if (backend === 'evm') {
+          console.log(`RPC:       ${rpcUrl}`);
+     }
+     console.log('');
+
+     const checks = [
+          ['Backend signature', () => checkBackendSignature(bundle, pinnedBackendKey)],
+          ['Canonical event hash', () => checkCanonicalHash(bundle)],
+          ['DP signature', () => checkDPSignature(bundle)],
+          ['Merkle inclusion', () => checkInclusion(bundle)],
+          anchorCheck
+     ];
+
+     let allPassed = true;
+     for (const [name, check] of checks) {
+          let result;
+          try {
+               result = await check();
+          } catch (error) {
+               result = { pass: false, detail: error.message };
+          }
+          allPassed = allPassed && result.pass;
+          console.log(`${result.pass ? '✅ PASS' : '❌ FAIL'}  ${name}`);
+          console.log(`         ${result.detail}`);
+     }
+
+     console.log('');
+     console.log(allPassed ? '🎉 Bundle verified' : '⚠️  Bundle did NOT verify');
+     process.exit(allPassed ? 0 : 1);
+}
+
+main();